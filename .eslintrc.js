@@ -0,0 +1,23 @@
+// backend/.eslintrc.js
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true,
+  },
+  parserOptions: {
+    ecmaVersion: "latest",
+    sourceType: "script",
+  },
+  // Formatting is left to prettier
+  extends: ["eslint:recommended", "prettier"],
+  rules: {
+    "no-unused-vars": ["error", { args: "none", ignoreRestSiblings: true }],
+  },
+  overrides: [
+    {
+      files: ["tests/**/*.js"],
+      env: { jest: true },
+    },
+  ],
+};
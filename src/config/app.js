@@ -57,6 +57,35 @@ module.exports = {
     },
   },
 
+  // Twilio (SMS and WhatsApp)
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM,
+    whatsappFrom: process.env.TWILIO_WHATSAPP_FROM,
+  },
+
+  // WhatsApp Business (Meta Cloud API)
+  whatsapp: {
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    token: process.env.WHATSAPP_TOKEN,
+    apiVersion: process.env.WHATSAPP_API_VERSION || "v18.0",
+  },
+
+  // Notification outbox
+  notifications: {
+    // Set to "local" to write every message to a file instead of a gateway
+    // (not allowed in production)
+    provider: process.env.NOTIFICATION_PROVIDER,
+    localFile:
+      process.env.NOTIFICATION_LOCAL_FILE || "./logs/notifications.log",
+    callbackUrl: process.env.NOTIFICATION_CALLBACK_URL, // Public URL of /notifications/callbacks
+    callbackToken: process.env.NOTIFICATION_CALLBACK_TOKEN, // Required; delivery reports are refused without it
+    payLinkUrl:
+      process.env.PAY_LINK_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/pay`,
+  },
+
   // File upload configuration
   upload: {
     maxSize: 5 * 1024 * 1024, // 5MB
@@ -103,6 +132,7 @@ module.exports = {
     maxLoginAttempts: 5,
     lockoutTime: 30 * 60 * 1000, // 30 minutes
     apiKey: process.env.API_KEY,
+    ipWhitelistOverrideKey: process.env.IP_WHITELIST_OVERRIDE_KEY, // Break-glass key
   },
 
   // Business rules
@@ -122,6 +152,16 @@ module.exports = {
     destination: process.env.BACKUP_PATH || "./backups",
   },
 
+  // Scheduled jobs (cron expressions, in the app timezone; the crons in
+  // vercel.json run in UTC)
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== "false",
+    paymentReminders: process.env.PAYMENT_REMINDER_SCHEDULE || "0 9 * * *", // 9 AM daily
+    notificationOutbox: process.env.NOTIFICATION_OUTBOX_SCHEDULE || "* * * * *", // Every minute
+    exportJobs: process.env.EXPORT_JOB_SCHEDULE || "* * * * *", // Every minute
+    cronSecret: process.env.CRON_SECRET, // Sent by the platform scheduler as a Bearer token
+  },
+
   // Feature flags
   features: {
     multiLocation: process.env.FEATURE_MULTI_LOCATION === "true",
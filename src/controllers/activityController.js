@@ -1,5 +1,6 @@
 // backend/src/controllers/activityController.js
 const ActivityLog = require("../models/ActivityLog");
+const exportService = require("../services/exportService");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 
 // @desc    Get activity logs
@@ -120,6 +121,7 @@ const getSecurityEvents = asyncHandler(async (req, res, next) => {
     failedLogins: [],
     passwordChanges: [],
     permissionChanges: [],
+    blockedAccess: [],
     errors: [],
     other: [],
   };
@@ -131,6 +133,8 @@ const getSecurityEvents = asyncHandler(async (req, res, next) => {
       groupedEvents.passwordChanges.push(event);
     } else if (event.action.includes("permission")) {
       groupedEvents.permissionChanges.push(event);
+    } else if (event.action.startsWith("security.")) {
+      groupedEvents.blockedAccess.push(event);
     } else if (event.severity === "error" || event.severity === "critical") {
       groupedEvents.errors.push(event);
     } else {
@@ -146,6 +150,7 @@ const getSecurityEvents = asyncHandler(async (req, res, next) => {
         failedLogins: groupedEvents.failedLogins.length,
         passwordChanges: groupedEvents.passwordChanges.length,
         permissionChanges: groupedEvents.permissionChanges.length,
+        blockedAccess: groupedEvents.blockedAccess.length,
         errors: groupedEvents.errors.length,
       },
       events: groupedEvents,
@@ -153,32 +158,62 @@ const getSecurityEvents = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Activity logs within a date range, oldest first
+const activityRangeQuery = ({ startDate, endDate }) => ({
+  createdAt: {
+    $gte: new Date(startDate),
+    $lte: new Date(endDate),
+  },
+});
+
+exportService.register("activities", {
+  title: "Activity Log",
+  roles: ["owner"],
+  build: (filters) =>
+    ActivityLog.find(activityRangeQuery(filters))
+      .populate("user", "name email")
+      .sort("createdAt")
+      .lean(),
+  subtitle: (logs, { startDate, endDate }) =>
+    `${new Date(startDate).toISOString().split("T")[0]} to ${
+      new Date(endDate).toISOString().split("T")[0]
+    }`,
+  sheets: (logs) => [
+    {
+      name: "Activity Log",
+      columns: [
+        { header: "Date", key: "createdAt", width: 18, type: "date" },
+        { header: "User", key: "user.name", width: 20 },
+        { header: "Email", key: "user.email", width: 25 },
+        { header: "Action", key: "action", width: 25 },
+        { header: "Entity", key: "entity.type", width: 15 },
+        { header: "Entity Name", key: "entity.name", width: 25 },
+        { header: "Severity", key: "severity", width: 10 },
+        { header: "Notes", key: "details.notes", width: 35 },
+        { header: "IP", key: "metadata.ip", width: 15 },
+      ],
+      rows: logs,
+    },
+  ],
+});
+
 // @desc    Export activity logs
 // @route   POST /api/activities/export
 // @access  Private (Owner only)
 const exportActivities = asyncHandler(async (req, res, next) => {
-  const { startDate, endDate, format = "csv" } = req.body;
+  const { startDate, endDate, format = "csv", background } = req.body;
 
-  const logs = await ActivityLog.find({
-    createdAt: {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate),
-    },
-  })
-    .populate("user", "name email")
-    .sort("-createdAt")
-    .lean();
+  const count = await ActivityLog.countDocuments(
+    activityRangeQuery({ startDate, endDate })
+  );
 
-  // In production, this would generate actual file
-  res.json({
-    success: true,
-    message: `Export ready in ${format} format`,
-    data: {
-      format,
-      count: logs.length,
-      logs: process.env.NODE_ENV === "development" ? logs.slice(0, 10) : [],
-    },
-  });
+  await exportService.respond(
+    req,
+    res,
+    "activities",
+    { startDate, endDate, format, background },
+    count
+  );
 });
 
 // @desc    Get activity statistics
@@ -0,0 +1,120 @@
+// backend/src/controllers/apiKeyController.js
+const ApiKey = require("../models/ApiKey");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// @desc    Get all API keys
+// @route   GET /api/api-keys
+// @access  Private (Owner only)
+const getApiKeys = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+
+  const apiKeys = await ApiKey.find()
+    .populate("createdBy", "name")
+    .populate("revokedBy", "name")
+    .sort("-createdAt");
+
+  res.json({
+    success: true,
+    data: status
+      ? apiKeys.filter((apiKey) => apiKey.status === status)
+      : apiKeys,
+  });
+});
+
+// @desc    Create API key
+// @route   POST /api/api-keys
+// @access  Private (Owner only)
+const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, description, scopes, rateLimit, expiresAt } = req.body;
+
+  const existing = await ApiKey.findOne({ name });
+  if (existing) {
+    return next(new AppError("An API key with this name already exists", 400));
+  }
+
+  const { apiKey, key } = await ApiKey.generate({
+    name,
+    description,
+    scopes,
+    rateLimit,
+    expiresAt,
+    createdBy: req.user._id,
+  });
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "api_key.created",
+    entity: {
+      type: "api_key",
+      id: apiKey._id,
+      name: apiKey.name,
+    },
+    severity: "warning",
+    details: {
+      current: { scopes: apiKey.scopes, rateLimit: apiKey.rateLimit },
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy the key now; it will not be shown again",
+    data: {
+      apiKey,
+      key,
+    },
+  });
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (Owner only)
+const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    return next(new AppError("API key not found", 404));
+  }
+
+  try {
+    await apiKey.revoke(req.user._id);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "api_key.revoked",
+    entity: {
+      type: "api_key",
+      id: apiKey._id,
+      name: apiKey.name,
+    },
+    severity: "warning",
+    details: {
+      reason: req.body.reason,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "API key revoked",
+    data: apiKey,
+  });
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
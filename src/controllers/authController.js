@@ -1,10 +1,73 @@
 // backend/src/controllers/authController.js
 const User = require("../models/User");
+const Settings = require("../models/Settings");
 const ActivityLog = require("../models/ActivityLog");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { activityLogger } = require("../middleware/logger");
+const notificationService = require("../services/notificationService");
+const twoFactorService = require("../services/twoFactorService");
+const sessionService = require("../services/sessionService");
+const ipAccessService = require("../services/ipAccessService");
 const crypto = require("crypto");
-const jwt = require("jsonwebtoken");
+
+// Start the second login step when the user needs one and the device is not
+// trusted. Returns the response to send instead of tokens, or null.
+const startTwoFactor = async (user, settings, deviceToken, loginType) => {
+  const method = twoFactorService.getLoginMethod(user, settings);
+
+  if (
+    !method ||
+    twoFactorService.getTrustedDevice(user, deviceToken, settings)
+  ) {
+    return null;
+  }
+
+  if (method === "sms" || method === "email") {
+    await twoFactorService.sendCode(user, method, settings);
+  }
+
+  // Enrolment during login: the first app code completes the login
+  const setup =
+    method === "enroll"
+      ? await twoFactorService.startEnrollment(user, settings.business.name)
+      : undefined;
+
+  return {
+    success: true,
+    message: setup
+      ? "Set up an authenticator app to finish logging in"
+      : "Two-factor verification required",
+    data: {
+      twoFactorRequired: true,
+      method,
+      ...(setup && { setup }),
+      pendingToken: twoFactorService.createPendingToken(user, {
+        method,
+        loginType,
+      }),
+      expiresIn: twoFactorService.pendingTokenSeconds,
+    },
+  };
+};
+
+// Carry a trusted device over to the new session
+const getDeviceTrust = (user, settings, deviceToken) => {
+  const device = twoFactorService.getTrustedDevice(user, deviceToken, settings);
+  return (
+    device && {
+      deviceTokenHash: device.deviceTokenHash,
+      trustedUntil: device.trustedUntil,
+    }
+  );
+};
+
+// Require a new password once the current one is older than the policy
+// allows. Access tokens then only reach the change-password route.
+const flagExpiredPassword = (user, settings) => {
+  if (user.isPasswordExpired(settings.security.passwordPolicy.expiryDays)) {
+    user.mustChangePassword = true;
+  }
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -23,6 +86,13 @@ const register = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Check the password against the current policy
+  const settings = await Settings.getSettings();
+  const policyError = settings.getPasswordPolicyError(password);
+  if (policyError) {
+    return next(new AppError(policyError, 400));
+  }
+
   // Create user
   const user = await User.create({
     name,
@@ -37,8 +107,7 @@ const register = asyncHandler(async (req, res, next) => {
   });
 
   // Generate token
-  const token = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  const { token, refreshToken } = sessionService.start(user, req, settings);
   await user.save();
 
   // Log activity
@@ -71,15 +140,37 @@ const register = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/login
 // @access  Public
 const login = asyncHandler(async (req, res, next) => {
-  const { email, password } = req.body;
+  const { email, password, deviceToken } = req.body;
 
   try {
     // Find user and verify password
     const user = await User.findByCredentials(email, password);
 
+    // Staff outside the IP allow-list cannot log in
+    const settings = await Settings.getSettings();
+    if (!(await ipAccessService.check(req, user, settings))) {
+      return next(new AppError("Access from this network is not allowed", 403));
+    }
+
+    // Ask for a second step unless the device is trusted
+    const challenge = await startTwoFactor(
+      user,
+      settings,
+      deviceToken,
+      "password"
+    );
+    if (challenge) {
+      return res.json(challenge);
+    }
+
     // Generate tokens
-    const token = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    flagExpiredPassword(user, settings);
+    const { token, refreshToken } = sessionService.start(
+      user,
+      req,
+      settings,
+      getDeviceTrust(user, settings, deviceToken)
+    );
     await user.save();
 
     // Record successful login
@@ -108,9 +199,14 @@ const login = asyncHandler(async (req, res, next) => {
         user,
         token,
         refreshToken,
+        passwordExpired: user.mustChangePassword,
       },
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+
     // Log failed login attempt
     if (error.message === "Invalid credentials") {
       const user = await User.findOne({ email });
@@ -128,15 +224,32 @@ const login = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/pin-login
 // @access  Public
 const pinLogin = asyncHandler(async (req, res, next) => {
-  const { email, pin } = req.body;
+  const { email, pin, deviceToken } = req.body;
 
   try {
     // Find user and verify PIN
     const user = await User.findByPIN(email, pin);
 
+    // Staff outside the IP allow-list cannot log in
+    const settings = await Settings.getSettings();
+    if (!(await ipAccessService.check(req, user, settings))) {
+      return next(new AppError("Access from this network is not allowed", 403));
+    }
+
+    // Ask for a second step unless the device is trusted
+    const challenge = await startTwoFactor(user, settings, deviceToken, "pin");
+    if (challenge) {
+      return res.json(challenge);
+    }
+
     // Generate tokens
-    const token = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    flagExpiredPassword(user, settings);
+    const { token, refreshToken } = sessionService.start(
+      user,
+      req,
+      settings,
+      getDeviceTrust(user, settings, deviceToken)
+    );
     await user.save();
 
     // Record successful login
@@ -164,9 +277,14 @@ const pinLogin = asyncHandler(async (req, res, next) => {
         user,
         token,
         refreshToken,
+        passwordExpired: user.mustChangePassword,
       },
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+
     // Log failed login attempt
     const user = await User.findOne({ email });
     if (user) {
@@ -197,16 +315,21 @@ const pinLogin = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/refresh
 // @access  Public
 const refreshAccessToken = asyncHandler(async (req, res, next) => {
-  const { user, refreshToken } = req;
+  const { user, refreshTokenEntry } = req;
 
-  // Generate new access token
-  const newAccessToken = user.generateAuthToken();
+  // Rotate the refresh token; the one just used stops working
+  const { token, refreshToken } = sessionService.rotate(
+    user,
+    refreshTokenEntry,
+    req
+  );
+  await user.save();
 
   res.json({
     success: true,
     message: "Token refreshed successfully",
     data: {
-      token: newAccessToken,
+      token,
       refreshToken,
     },
   });
@@ -216,15 +339,20 @@ const refreshAccessToken = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res, next) => {
-  const { user, token } = req;
+  const { user } = req;
+
+  // End this session
+  if (req.sessionId) {
+    sessionService.revoke(user, { sessionId: req.sessionId });
+  }
 
   // Remove refresh token
   if (req.body.refreshToken) {
     user.refreshTokens = user.refreshTokens.filter(
       (rt) => rt.token !== req.body.refreshToken
     );
-    await user.save();
   }
+  await user.save();
 
   // Log activity
   await ActivityLog.log({
@@ -252,9 +380,12 @@ const logout = asyncHandler(async (req, res, next) => {
 // @access  Private
 const logoutAll = asyncHandler(async (req, res, next) => {
   const { user } = req;
+  const keepCurrent = Boolean(req.body.exceptCurrent && req.sessionId);
 
-  // Clear all refresh tokens
-  user.refreshTokens = [];
+  // End every session, optionally keeping this one
+  sessionService.revoke(user, {
+    except: keepCurrent ? req.sessionId : undefined,
+  });
   await user.save();
 
   // Log activity
@@ -267,7 +398,55 @@ const logoutAll = asyncHandler(async (req, res, next) => {
       name: user.name,
     },
     details: {
-      notes: "Logged out from all devices",
+      notes: keepCurrent
+        ? "Logged out from all other devices"
+        : "Logged out from all devices",
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: keepCurrent
+      ? "Logged out from all other devices successfully"
+      : "Logged out from all devices successfully",
+  });
+});
+
+// @desc    Get my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
+  res.json({
+    success: true,
+    data: sessionService.list(req.user, settings, req.sessionId),
+  });
+});
+
+// @desc    End one of my sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = asyncHandler(async (req, res, next) => {
+  const { user } = req;
+
+  if (!sessionService.revoke(user, { sessionId: req.params.sessionId })) {
+    return next(new AppError("Session not found", 404));
+  }
+  await user.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: user._id,
+    action: "user.session_revoked",
+    entity: {
+      type: "user",
+      id: user._id,
+      name: user.name,
     },
     metadata: {
       ip: req.ip,
@@ -277,7 +456,7 @@ const logoutAll = asyncHandler(async (req, res, next) => {
 
   res.json({
     success: true,
-    message: "Logged out from all devices successfully",
+    message: "Session ended",
   });
 });
 
@@ -353,8 +532,10 @@ const changePassword = asyncHandler(async (req, res, next) => {
   const { currentPassword, newPassword } = req.body;
   const { user } = req;
 
-  // Get user with password
-  const userWithPassword = await User.findById(user._id).select("+password");
+  // Get user with password and password history
+  const userWithPassword = await User.findById(user._id).select(
+    "+password +passwordHistory"
+  );
 
   // Check current password
   const isPasswordValid = await userWithPassword.comparePassword(
@@ -364,13 +545,23 @@ const changePassword = asyncHandler(async (req, res, next) => {
     return next(new AppError("Current password is incorrect", 401));
   }
 
-  // Update password
-  userWithPassword.password = newPassword;
+  // Update password (policy and reuse checks)
+  const settings = await Settings.getSettings();
+  try {
+    await userWithPassword.setPassword(newPassword, settings);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
   await userWithPassword.save();
 
-  // Generate new tokens
-  const token = userWithPassword.generateAuthToken();
-  const refreshToken = userWithPassword.generateRefreshToken();
+  // Continue in a new session and end every other one, so devices that
+  // knew the old password are logged out
+  const { token, refreshToken, sessionId } = sessionService.start(
+    userWithPassword,
+    req,
+    settings
+  );
+  sessionService.revoke(userWithPassword, { except: sessionId });
   await userWithPassword.save();
 
   // Log activity
@@ -439,10 +630,23 @@ const forgotPassword = asyncHandler(async (req, res, next) => {
   const resetToken = user.createPasswordResetToken();
   await user.save({ validateBeforeSave: false });
 
-  // In production, send email with reset token
-  // For now, return token in response (development only)
   const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
+  // Email the reset link (the link is also returned in development)
+  const notification = await notificationService.sendEmail(
+    user.email,
+    "Password reset",
+    `Hello ${user.name},\n\nUse the link below to reset your password. It expires in 30 minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    { relatedTo: { type: "user", id: user._id } }
+  );
+
+  if (notification.status === "failed") {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    return next(new AppError("Password reset email could not be sent", 500));
+  }
+
   res.json({
     success: true,
     message: "Password reset link sent to email",
@@ -464,30 +668,418 @@ const resetPassword = asyncHandler(async (req, res, next) => {
   const user = await User.findOne({
     passwordResetToken: hashedToken,
     passwordResetExpires: { $gt: Date.now() },
-  });
+  }).select("+password +passwordHistory");
 
   if (!user) {
     return next(new AppError("Invalid or expired reset token", 400));
   }
 
-  // Reset password
-  user.password = password;
+  // Reset password (policy and reuse checks)
+  const settings = await Settings.getSettings();
+  try {
+    await user.setPassword(password, settings);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
+
+  // End every session, including any opened with the old password
+  sessionService.revoke(user);
   await user.save();
 
-  // Generate new tokens
-  const authToken = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  // No session is started here: the user logs in with the new password,
+  // passing the IP allow-list and second step like any other login
+  res.json({
+    success: true,
+    message: "Password reset successful. Log in with your new password",
+  });
+});
+
+// @desc    Get the password policy
+// @route   GET /api/auth/password-policy
+// @access  Public
+const getPasswordPolicy = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
+  res.json({
+    success: true,
+    data: settings.getPasswordPolicy(),
+  });
+});
+
+// @desc    Complete a login with its second-step code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { pendingToken, code, rememberDevice } = req.body;
+
+  const pending = twoFactorService.verifyPendingToken(pendingToken);
+  const user = await twoFactorService.loadUser(pending._id);
+
+  if (!user || !user.isActive) {
+    return next(new AppError("User not found or inactive", 401));
+  }
+
+  if (user.isAccountLocked()) {
+    return next(
+      new AppError("Account is locked. Please try again later.", 401)
+    );
+  }
+
+  // Check the code (a recovery code is also accepted). Users enrolling
+  // during login confirm the app they have just set up.
+  const enrolment = pending.method === "enroll" && user.twoFactor.pending;
+  const isValid = enrolment
+    ? Boolean(enrolment.secret) &&
+      twoFactorService.verifyCode(user, "app", code, {
+        secret: enrolment.secret,
+        allowRecovery: false,
+      })
+    : twoFactorService.verifyCode(user, pending.method, code);
+
+  if (!isValid) {
+    await user.incrementFailedLogin();
+    await user.recordLogin(req.ip, req.get("user-agent"), false);
+    activityLogger.logLogin(user, req.ip, false);
+
+    await ActivityLog.log({
+      user: user._id,
+      action: "user.failed_login",
+      severity: "warning",
+      entity: {
+        type: "user",
+        id: user._id,
+        name: user.name,
+      },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        loginType: "two_factor",
+      },
+    });
+
+    return next(new AppError("Invalid verification code", 401));
+  }
+
+  const recoveryCodes = enrolment
+    ? twoFactorService.enable(user, "app", enrolment.secret)
+    : undefined;
+
+  // Remember this device when asked
+  const settings = await Settings.getSettings();
+  const trust = rememberDevice ? twoFactorService.trustDevice(settings) : null;
+
+  // Generate tokens
+  user.failedLoginAttempts = 0;
+  user.accountLockedUntil = null;
+  flagExpiredPassword(user, settings);
+  const { token, refreshToken } = sessionService.start(
+    user,
+    req,
+    settings,
+    trust && {
+      deviceTokenHash: trust.deviceTokenHash,
+      trustedUntil: trust.trustedUntil,
+    }
+  );
   await user.save();
 
+  // Record successful login
+  await user.recordLogin(req.ip, req.get("user-agent"), true);
+  activityLogger.logLogin(user, req.ip, true);
+
+  // Log activity
+  await ActivityLog.log({
+    user: user._id,
+    action: pending.loginType === "pin" ? "user.pin_login" : "user.login",
+    entity: {
+      type: "user",
+      id: user._id,
+      name: user.name,
+    },
+    details: {
+      notes: `Two-factor verification by ${pending.method}`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  if (recoveryCodes) {
+    await ActivityLog.log({
+      user: user._id,
+      action: "user.two_factor_enabled",
+      entity: {
+        type: "user",
+        id: user._id,
+        name: user.name,
+      },
+      severity: "warning",
+      details: {
+        notes: "Verification by app, set up during login",
+      },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+  }
+
   res.json({
     success: true,
-    message: "Password reset successful",
+    message: "Login successful",
     data: {
-      token: authToken,
+      user,
+      token,
       refreshToken,
+      passwordExpired: user.mustChangePassword,
+      ...(recoveryCodes && { recoveryCodes }),
+      ...(trust && {
+        deviceToken: trust.deviceToken,
+        trustedUntil: trust.trustedUntil,
+      }),
+    },
+  });
+});
+
+// @desc    Send a new login code by SMS or email
+// @route   POST /api/auth/2fa/resend
+// @access  Public
+const resendTwoFactorCode = asyncHandler(async (req, res, next) => {
+  const pending = twoFactorService.verifyPendingToken(req.body.pendingToken);
+
+  if (pending.method === "app" || pending.method === "enroll") {
+    return next(
+      new AppError("Enter the code shown in your authenticator app", 400)
+    );
+  }
+
+  const user = await twoFactorService.loadUser(pending._id);
+  if (!user || !user.isActive) {
+    return next(new AppError("User not found or inactive", 401));
+  }
+
+  const settings = await Settings.getSettings();
+  await twoFactorService.sendCode(user, pending.method, settings);
+
+  res.json({
+    success: true,
+    message: "Verification code sent",
+  });
+});
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const { method, password } = req.body;
+
+  const settings = await Settings.getSettings();
+  const policy = settings.security.twoFactorAuth;
+
+  if (!policy.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  if (!policy.methods?.[method]) {
+    return next(new AppError(`Verification by ${method} is not allowed`, 400));
+  }
+
+  // Verify password before changing login security
+  const user = await twoFactorService.loadUser(req.user._id, "+password");
+  const isPasswordValid = await user.comparePassword(password);
+
+  if (!isPasswordValid) {
+    return next(new AppError("Password is incorrect", 401));
+  }
+
+  let data = { method };
+
+  if (method === "app") {
+    data = {
+      method,
+      ...(await twoFactorService.startEnrollment(user, settings.business.name)),
+    };
+  } else {
+    user.twoFactor.pending = { method };
+    await twoFactorService.sendCode(user, method, settings);
+  }
+
+  res.json({
+    success: true,
+    message:
+      method === "app"
+        ? "Scan the QR code with your authenticator app"
+        : "Verification code sent",
+    data,
+  });
+});
+
+// @desc    Confirm enrolment with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await twoFactorService.loadUser(req.user._id);
+  const pending = user.twoFactor.pending;
+
+  if (!pending?.method) {
+    return next(new AppError("Start two-factor setup first", 400));
+  }
+
+  const isValid = twoFactorService.verifyCode(
+    user,
+    pending.method,
+    req.body.code,
+    { secret: pending.secret, allowRecovery: false }
+  );
+
+  if (!isValid) {
+    await user.save({ validateBeforeSave: false });
+    return next(new AppError("Invalid verification code", 400));
+  }
+
+  // Recovery codes are only shown now
+  const codes = twoFactorService.enable(user, pending.method, pending.secret);
+  await user.save({ validateBeforeSave: false });
+
+  // Log activity
+  await ActivityLog.log({
+    user: user._id,
+    action: "user.two_factor_enabled",
+    entity: {
+      type: "user",
+      id: user._id,
+      name: user.name,
+    },
+    severity: "warning",
+    details: {
+      notes: `Verification by ${pending.method}`,
     },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Keep your recovery codes somewhere safe",
+    data: {
+      method: user.twoFactor.method,
+      recoveryCodes: codes,
+    },
+  });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  if (settings.security.twoFactorAuth.requiredRoles.includes(req.user.role)) {
+    return next(
+      new AppError("Two-factor authentication is required for your role", 403)
+    );
+  }
+
+  // Verify password before changing login security
+  const user = await twoFactorService.loadUser(req.user._id, "+password");
+  const isPasswordValid = await user.comparePassword(req.body.password);
+
+  if (!isPasswordValid) {
+    return next(new AppError("Password is incorrect", 401));
+  }
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  user.twoFactor = { enabled: false };
+  twoFactorService.forgetTrustedDevices(user);
+  await user.save({ validateBeforeSave: false });
+
+  // Log activity
+  await ActivityLog.log({
+    user: user._id,
+    action: "user.two_factor_disabled",
+    entity: {
+      type: "user",
+      id: user._id,
+      name: user.name,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  // Verify password before showing new codes
+  const user = await twoFactorService.loadUser(req.user._id, "+password");
+  const isPasswordValid = await user.comparePassword(req.body.password);
+
+  if (!isPasswordValid) {
+    return next(new AppError("Password is incorrect", 401));
+  }
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+
+  const { codes, hashed } = twoFactorService.generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashed;
+  await user.save({ validateBeforeSave: false });
+
+  // Log activity
+  await ActivityLog.log({
+    user: user._id,
+    action: "user.recovery_codes_regenerated",
+    entity: {
+      type: "user",
+      id: user._id,
+      name: user.name,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Recovery codes regenerated. Earlier codes no longer work",
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+// @desc    Stop trusting remembered devices
+// @route   DELETE /api/auth/2fa/trusted-devices
+// @access  Private
+const forgetTrustedDevices = asyncHandler(async (req, res, next) => {
+  const { user } = req;
+
+  const count = twoFactorService.forgetTrustedDevices(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: `${count} trusted device(s) forgotten`,
   });
 });
 
@@ -498,10 +1090,20 @@ module.exports = {
   refreshAccessToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   getMe,
   updateProfile,
   changePassword,
   setPin,
   forgotPassword,
   resetPassword,
+  getPasswordPolicy,
+  verifyTwoFactor,
+  resendTwoFactorCode,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  forgetTrustedDevices,
 };
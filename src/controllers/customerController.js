@@ -2,7 +2,10 @@
 const Customer = require("../models/Customer");
 const Sale = require("../models/Sale");
 const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const LoyaltyTransaction = require("../models/LoyaltyTransaction");
 const ActivityLog = require("../models/ActivityLog");
+const exportService = require("../services/exportService");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 
 // @desc    Get all customers
@@ -341,7 +344,7 @@ const updateCredit = asyncHandler(async (req, res, next) => {
 // @route   POST /api/customers/:id/credit-transaction
 // @access  Private
 const addCreditTransaction = asyncHandler(async (req, res, next) => {
-  const { type, amount, reference } = req.body;
+  const { type, amount, reference, notes } = req.body;
   const customer = await Customer.findById(req.params.id);
 
   if (!customer) {
@@ -349,7 +352,9 @@ const addCreditTransaction = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    await customer.addCreditTransaction(type, amount, reference, req.user._id);
+    await customer.addCreditTransaction(type, amount, reference, req.user._id, {
+      notes,
+    });
 
     // Log activity
     await ActivityLog.log({
@@ -385,6 +390,267 @@ const addCreditTransaction = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Build a customer's account statement for a period
+const buildCustomerStatement = async ({ customerId, startDate, endDate }) => {
+  const customer = await Customer.findById(customerId).populate(
+    "credit.transactions.recordedBy",
+    "name"
+  );
+
+  if (!customer) {
+    throw new AppError("Customer not found", 404);
+  }
+
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  const ledger = [...customer.credit.transactions].sort(
+    (a, b) => a.date - b.date
+  );
+  const before = ledger.filter((transaction) => transaction.date < start);
+  const during = ledger.filter(
+    (transaction) => transaction.date >= start && transaction.date <= end
+  );
+
+  const openingBalance = before.length ? before[before.length - 1].balance : 0;
+  const closingBalance = during.length
+    ? during[during.length - 1].balance
+    : openingBalance;
+
+  const transactions = during.map((transaction) => {
+    const isCharge =
+      ["credit", "interest"].includes(transaction.type) ||
+      (transaction.type === "adjustment" && transaction.amount > 0);
+
+    return {
+      date: transaction.date,
+      type: transaction.type,
+      reference: transaction.reference,
+      notes: transaction.notes,
+      dueDate: transaction.dueDate,
+      debit: isCharge ? transaction.amount : 0,
+      credit: isCharge ? 0 : Math.abs(transaction.amount),
+      balance: transaction.balance,
+      recordedBy: transaction.recordedBy?.name,
+    };
+  });
+
+  return {
+    customer: {
+      _id: customer._id,
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+    },
+    period: { start, end },
+    credit: {
+      limit: customer.credit.limit,
+      balance: customer.credit.used,
+      available: customer.availableCredit,
+      dueDate: customer.credit.dueDate,
+    },
+    openingBalance,
+    closingBalance,
+    totals: {
+      charges: transactions.reduce((sum, row) => sum + row.debit, 0),
+      payments: transactions.reduce((sum, row) => sum + row.credit, 0),
+    },
+    transactions,
+    openCharges: customer.getOpenCharges(),
+    aging: customer.getCreditAging(),
+  };
+};
+
+exportService.register("customer-statement", {
+  title: "Customer Statement",
+  build: buildCustomerStatement,
+  subtitle: (statement) =>
+    [
+      `${statement.customer.name} (${statement.customer.phone})`,
+      `${statement.period.start.toISOString().split("T")[0]} to ${
+        statement.period.end.toISOString().split("T")[0]
+      }`,
+      `Opening balance: ${statement.openingBalance.toFixed(2)}`,
+      `Closing balance: ${statement.closingBalance.toFixed(2)}`,
+    ].join(" | "),
+  sheets: (statement) => [
+    {
+      name: "Statement",
+      columns: [
+        { header: "Date", key: "date", width: 18, type: "date" },
+        { header: "Type", key: "type", width: 12 },
+        { header: "Reference", key: "reference", width: 20 },
+        { header: "Due Date", key: "dueDate", width: 18, type: "date" },
+        { header: "Charges", key: "debit", width: 14, type: "currency" },
+        { header: "Payments", key: "credit", width: 14, type: "currency" },
+        { header: "Balance", key: "balance", width: 14, type: "currency" },
+        { header: "Notes", key: "notes", width: 30 },
+      ],
+      rows: statement.transactions,
+    },
+    {
+      name: "Aged Balance",
+      columns: [
+        { header: "0-30 Days", key: "current", width: 14, type: "currency" },
+        {
+          header: "31-60 Days",
+          key: "days31To60",
+          width: 14,
+          type: "currency",
+        },
+        {
+          header: "61-90 Days",
+          key: "days61To90",
+          width: 14,
+          type: "currency",
+        },
+        { header: "90+ Days", key: "over90", width: 14, type: "currency" },
+        { header: "Overdue", key: "overdue", width: 14, type: "currency" },
+        { header: "Total Due", key: "total", width: 14, type: "currency" },
+      ],
+      rows: [statement.aging],
+    },
+  ],
+});
+
+// @desc    Get customer account statement with aged balances
+// @route   GET /api/customers/:id/statement
+// @access  Private
+const getCustomerStatement = asyncHandler(async (req, res, next) => {
+  const { startDate, endDate, format, background } = req.query;
+  const customer = await Customer.findById(req.params.id);
+
+  if (!customer) {
+    return next(new AppError("Customer not found", 404));
+  }
+
+  // Bring interest on overdue balances up to date first
+  const settings = await Settings.getSettings();
+  await customer.applyCreditInterest(
+    settings.sales.payment.creditTerms,
+    req.user._id
+  );
+
+  if (format) {
+    return exportService.respond(req, res, "customer-statement", {
+      format,
+      background,
+      customerId: req.params.id,
+      startDate,
+      endDate,
+    });
+  }
+
+  const statement = await buildCustomerStatement({
+    customerId: req.params.id,
+    startDate,
+    endDate,
+  });
+
+  res.json({
+    success: true,
+    data: statement,
+  });
+});
+
+// @desc    Get customer loyalty points and ledger
+// @route   GET /api/customers/:id/loyalty
+// @access  Private
+const getLoyaltyHistory = asyncHandler(async (req, res, next) => {
+  const { type, page = 1, limit = 20 } = req.query;
+  const customer = await Customer.findById(req.params.id);
+
+  if (!customer) {
+    return next(new AppError("Customer not found", 404));
+  }
+
+  // Expire the balance if its expiry date has passed
+  await customer.expireLoyaltyPoints(req.user._id);
+
+  const settings = await Settings.getSettings();
+  const query = {
+    customer: customer._id,
+    ...(type && { type }),
+  };
+
+  const transactions = await LoyaltyTransaction.find(query)
+    .populate("performedBy", "name")
+    .sort("-createdAt")
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await LoyaltyTransaction.countDocuments(query);
+  const summary = await LoyaltyTransaction.getSummary(customer._id);
+
+  res.json({
+    success: true,
+    data: {
+      loyalty: customer.loyalty,
+      redemptionValue:
+        customer.loyalty.points * settings.features.loyalty.redemptionRate,
+      summary,
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// @desc    Adjust customer loyalty points
+// @route   POST /api/customers/:id/loyalty/adjust
+// @access  Private (Owner/Manager)
+const adjustLoyaltyPoints = asyncHandler(async (req, res, next) => {
+  const { points, reason } = req.body;
+  const customer = await Customer.findById(req.params.id);
+
+  if (!customer) {
+    return next(new AppError("Customer not found", 404));
+  }
+
+  const previousPoints = customer.loyalty.points;
+
+  try {
+    await customer.addLoyaltyTransaction("adjusted", points, {
+      reason,
+      userId: req.user._id,
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "customer.loyalty_adjusted",
+    entity: {
+      type: "customer",
+      id: customer._id,
+      name: customer.name,
+    },
+    details: {
+      previous: { points: previousPoints },
+      current: { points: customer.loyalty.points },
+      reason,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Loyalty points adjusted successfully",
+    data: customer.loyalty,
+  });
+});
+
 // @desc    Get customer purchase history
 // @route   GET /api/customers/:id/purchases
 // @access  Private
@@ -529,31 +795,84 @@ const getCustomersWithBirthdays = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Columns available in customer exports, keyed by field path
+const CUSTOMER_EXPORT_COLUMNS = [
+  { header: "Name", key: "name", width: 30 },
+  { header: "Phone", key: "phone", width: 15 },
+  { header: "Email", key: "email", width: 30 },
+  { header: "Tier", key: "loyalty.tier", width: 12 },
+  { header: "Points", key: "loyalty.points", width: 12, type: "number" },
+  {
+    header: "Orders",
+    key: "statistics.totalOrders",
+    width: 12,
+    type: "number",
+  },
+  {
+    header: "Total Spent",
+    key: "statistics.totalSpent",
+    width: 18,
+    type: "currency",
+  },
+  {
+    header: "Last Order",
+    key: "statistics.lastOrderDate",
+    width: 18,
+    type: "date",
+  },
+  { header: "Joined", key: "createdAt", width: 18, type: "date" },
+];
+
+const DEFAULT_EXPORT_FIELDS =
+  "name phone email loyalty.tier statistics.totalSpent createdAt";
+
+// Fields requested for export, limited to the known export columns
+const getExportColumns = (fields = DEFAULT_EXPORT_FIELDS) => {
+  const requested = fields.split(/[\s,]+/).filter(Boolean);
+  return CUSTOMER_EXPORT_COLUMNS.filter((column) =>
+    requested.includes(column.key)
+  );
+};
+
+exportService.register("customers", {
+  title: "Customers",
+  build: async ({ fields }) =>
+    Customer.find({ "status.isActive": true })
+      .select(
+        getExportColumns(fields)
+          .map((column) => column.key)
+          .join(" ")
+      )
+      .sort("name")
+      .lean(),
+  sheets: (customers, { fields }) => [
+    {
+      name: "Customers",
+      columns: getExportColumns(fields),
+      rows: customers,
+    },
+  ],
+});
+
 // @desc    Export customers
 // @route   GET /api/customers/export
 // @access  Private (Owner/Manager)
 const exportCustomers = asyncHandler(async (req, res, next) => {
-  const { format = "csv", fields } = req.query;
+  const { format = "csv", fields, background } = req.query;
 
-  // Get all active customers
-  const customers = await Customer.find({ "status.isActive": true })
-    .select(
-      fields || "name phone email loyalty.tier statistics.totalSpent createdAt"
-    )
-    .lean();
+  if (fields && getExportColumns(fields).length === 0) {
+    return next(new AppError("No exportable fields requested", 400));
+  }
 
-  // In production, this would generate actual CSV/Excel file
-  // For now, return the data
-  res.json({
-    success: true,
-    message: `Export ready in ${format} format`,
-    data: {
-      format,
-      count: customers.length,
-      customers:
-        process.env.NODE_ENV === "development" ? customers.slice(0, 10) : [],
-    },
-  });
+  const count = await Customer.countDocuments({ "status.isActive": true });
+
+  await exportService.respond(
+    req,
+    res,
+    "customers",
+    { format, fields, background },
+    count
+  );
 });
 
 module.exports = {
@@ -565,6 +884,9 @@ module.exports = {
   addNote,
   updateCredit,
   addCreditTransaction,
+  getCustomerStatement,
+  getLoyaltyHistory,
+  adjustLoyaltyPoints,
   getPurchaseHistory,
   getSegments,
   getNearbyCustomers,
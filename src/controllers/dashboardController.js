@@ -5,6 +5,7 @@ const Order = require("../models/Order");
 const Customer = require("../models/Customer");
 const User = require("../models/User");
 const ActivityLog = require("../models/ActivityLog");
+const Settings = require("../models/Settings");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 // @desc    Get dashboard overview
@@ -312,33 +313,57 @@ const getTopProducts = asyncHandler(async (req, res, next) => {
 // @route   GET /api/dashboard/low-stock
 // @access  Private
 const getLowStockAlerts = asyncHandler(async (req, res, next) => {
-  const { limit = 10 } = req.query;
-
-  const lowStockProducts = await Product.find({
+  const { limit = 10, location } = req.query;
+  const settings = await Settings.getSettings();
+
+  // Compare stock at the branch when one is requested
+  const stock = location
+    ? Product.getLocationStockExpression(
+        location,
+        settings.getDefaultLocation()
+      )
+    : "$inventory.currentStock";
+  const minStock = location
+    ? Product.getLocationMinStockExpression(location)
+    : "$inventory.minStock";
+  const lowStockQuery = {
     "status.isActive": true,
     $expr: {
-      $lte: ["$inventory.currentStock", "$inventory.minStock"],
+      $lte: [stock, minStock],
     },
-  })
-    .select("name sku inventory.currentStock inventory.minStock stockStatus")
+  };
+
+  const lowStockProducts = await Product.find(lowStockQuery)
+    .select(
+      "name sku inventory.currentStock inventory.minStock stockByLocation stockStatus"
+    )
     .populate("category", "name")
     .sort("inventory.currentStock")
     .limit(parseInt(limit));
 
+  // Get lots nearing expiry
+  const { trackExpiry } = settings.inventory;
+  const expiringLots = trackExpiry.enabled
+    ? await Product.findExpiringLots(trackExpiry.alertDays)
+    : [];
+
   res.json({
     success: true,
     data: {
       products: lowStockProducts,
-      totalLowStock: await Product.countDocuments({
-        "status.isActive": true,
-        $expr: {
-          $lte: ["$inventory.currentStock", "$inventory.minStock"],
-        },
-      }),
+      totalLowStock: await Product.countDocuments(lowStockQuery),
       outOfStock: await Product.countDocuments({
         "status.isActive": true,
-        "inventory.currentStock": 0,
+        ...(location
+          ? { $expr: { $lte: [stock, 0] } }
+          : { "inventory.currentStock": 0 }),
       }),
+      expiring: {
+        lots: expiringLots.slice(0, parseInt(limit)),
+        total: expiringLots.length,
+        expired: expiringLots.filter((lot) => lot.isExpired).length,
+        alertDays: trackExpiry.alertDays,
+      },
     },
   });
 });
@@ -455,6 +480,34 @@ const getNotifications = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Check for expiring and expired stock
+  const settings = await Settings.getSettings();
+  const { trackExpiry } = settings.inventory;
+
+  if (trackExpiry.enabled) {
+    const expiringLots = await Product.findExpiringLots(trackExpiry.alertDays);
+    const expiredCount = expiringLots.filter((lot) => lot.isExpired).length;
+    const expiringCount = expiringLots.length - expiredCount;
+
+    if (expiredCount > 0) {
+      notifications.push({
+        type: "error",
+        category: "inventory",
+        message: `${expiredCount} stock lots have expired and should be written off`,
+        action: "/inventory/expiring",
+      });
+    }
+
+    if (expiringCount > 0) {
+      notifications.push({
+        type: "warning",
+        category: "inventory",
+        message: `${expiringCount} stock lots expire within ${trackExpiry.alertDays} days`,
+        action: "/inventory/expiring",
+      });
+    }
+  }
+
   // Check for pending orders
   const pendingOrders = await Order.countDocuments({
     status: "pending",
@@ -0,0 +1,650 @@
+// backend/src/controllers/deliveryRunController.js
+const DeliveryRun = require("../models/DeliveryRun");
+const Order = require("../models/Order");
+const Customer = require("../models/Customer");
+const User = require("../models/User");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const orderService = require("../services/orderService");
+const deliveryProofService = require("../services/deliveryProofService");
+const exportService = require("../services/exportService");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const { runInTransaction } = require("../utils/transaction");
+
+// Dispatching, reconciling and overseeing runs is supervisory work, open to
+// owners and staff with the users.manage permission
+const canManageRuns = (user) => Boolean(user.fullPermissions?.users?.manage);
+
+// Riders only see and update their own runs
+const canAccessRun = (user, run) =>
+  canManageRuns(user) ||
+  (run.rider._id || run.rider).toString() === user._id.toString();
+
+const formatAddress = (address = {}) =>
+  [address.street, address.area, address.landmark, address.city]
+    .filter(Boolean)
+    .join(", ");
+
+// Balance the rider collects at the door; credit orders go on account
+const getAmountToCollect = (order) =>
+  order.payment.method === "credit"
+    ? 0
+    : Math.max(0, Math.round(order.paymentBalance * 100) / 100);
+
+const logRunActivity = (req, action, run, details = {}, severity) =>
+  ActivityLog.log({
+    user: req.user._id,
+    action,
+    entity: {
+      type: "delivery_run",
+      id: run._id,
+      name: run.runNumber,
+    },
+    ...(severity && { severity }),
+    details,
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+// Run with its stops in order, for the manifest
+const buildDeliveryManifest = async ({ runId }) => {
+  const run = await DeliveryRun.findById(runId)
+    .populate("rider", "name phone")
+    .populate("createdBy", "name");
+
+  if (!run) {
+    throw new AppError("Delivery run not found", 404);
+  }
+
+  return run;
+};
+
+exportService.register("delivery-manifest", {
+  title: "Delivery Manifest",
+  build: buildDeliveryManifest,
+  subtitle: (run) =>
+    [
+      run.runNumber,
+      `Rider: ${run.rider?.name || ""}`,
+      run.date.toISOString().split("T")[0],
+      `${run.summary.stops} stops, ${run.summary.distanceKm} km`,
+      `To collect: ${run.summary.amountToCollect.toFixed(2)}`,
+    ].join(" | "),
+  sheets: (run) => [
+    {
+      name: "Stops",
+      columns: [
+        { header: "#", key: "sequence", width: 6, type: "number" },
+        { header: "Order", key: "orderNumber", width: 16 },
+        { header: "Customer", key: "customerName", width: 22 },
+        { header: "Phone", key: "phone", width: 16 },
+        { header: "Address", key: "address", width: 36 },
+        { header: "Instructions", key: "instructions", width: 24 },
+        { header: "Km", key: "distanceKm", width: 8, type: "decimal" },
+        { header: "Payment", key: "paymentMethod", width: 12 },
+        {
+          header: "To Collect",
+          key: "amountToCollect",
+          width: 14,
+          type: "currency",
+        },
+        { header: "Status", key: "status", width: 12 },
+        {
+          header: "Collected",
+          key: "collected.amount",
+          width: 14,
+          type: "currency",
+        },
+        { header: "Notes", key: "notes", width: 24 },
+      ],
+      rows: run.stops,
+    },
+  ],
+});
+
+// @desc    Get delivery runs
+// @route   GET /api/delivery-runs
+// @access  Private
+const getDeliveryRuns = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-date",
+    status,
+    rider,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const query = {
+    ...(status && { status }),
+    ...(rider && { rider }),
+  };
+
+  if (!canManageRuns(req.user)) {
+    query.rider = req.user._id;
+  }
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const runs = await DeliveryRun.find(query)
+    .populate("rider", "name phone")
+    .populate("createdBy", "name")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await DeliveryRun.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: runs,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single delivery run
+// @route   GET /api/delivery-runs/:id
+// @access  Private
+const getDeliveryRun = asyncHandler(async (req, res, next) => {
+  const run = await DeliveryRun.findById(req.params.id)
+    .populate("rider", "name phone")
+    .populate("createdBy", "name")
+    .populate("reconciliation.reconciledBy", "name");
+
+  if (!run || !canAccessRun(req.user, run)) {
+    return next(new AppError("Delivery run not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: run,
+  });
+});
+
+// @desc    Get printable delivery run manifest
+// @route   GET /api/delivery-runs/:id/manifest
+// @access  Private
+const getDeliveryManifest = asyncHandler(async (req, res, next) => {
+  const { format = "pdf", background } = req.query;
+  const run = await DeliveryRun.findById(req.params.id).select("rider");
+
+  if (!run || !canAccessRun(req.user, run)) {
+    return next(new AppError("Delivery run not found", 404));
+  }
+
+  return exportService.respond(req, res, "delivery-manifest", {
+    format,
+    background,
+    runId: req.params.id,
+  });
+});
+
+// @desc    Plan a delivery run for a rider
+// @route   POST /api/delivery-runs
+// @access  Private (Owner/Operator with permission)
+const createDeliveryRun = asyncHandler(async (req, res, next) => {
+  const { rider: riderId, orders: orderIds, date, notes } = req.body;
+
+  const rider = await User.findById(riderId).select("name isActive");
+  if (!rider || !rider.isActive) {
+    return next(new AppError("Rider not found or inactive", 400));
+  }
+
+  const settings = await Settings.getSettings();
+
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  let run;
+  try {
+    // The run and the rider assignment on its orders commit together
+    run = await runInTransaction(async (session) => {
+      const orders = await Order.find({ _id: { $in: orderIds } }).session(
+        session
+      );
+
+      if (orders.length !== new Set(orderIds).size) {
+        throw new AppError("One or more orders were not found", 404);
+      }
+
+      for (const order of orders) {
+        if (order.delivery.type !== "delivery") {
+          throw new AppError(
+            `Order ${order.orderNumber} is not for delivery`,
+            400
+          );
+        }
+        if (!["ready", "failed"].includes(order.status)) {
+          throw new AppError(
+            `Order ${order.orderNumber} is ${order.status}, not ready for delivery`,
+            400
+          );
+        }
+      }
+
+      const active =
+        await DeliveryRun.findActiveForOrders(orderIds).session(session);
+      if (active.length > 0) {
+        throw new AppError(
+          `Some orders are already on run ${active[0].runNumber}`,
+          400
+        );
+      }
+
+      // Customer coordinates for orders placed without a map location
+      const customerIds = orders
+        .filter(
+          (order) =>
+            order.customer &&
+            order.delivery.address?.location?.coordinates?.length !== 2
+        )
+        .map((order) => order.customer);
+      const customers = await Customer.find({ _id: { $in: customerIds } })
+        .select("addresses")
+        .session(session);
+
+      const stops = orders.map((order) => {
+        const customer = customers.find((item) =>
+          item._id.equals(order.customer)
+        );
+        const coordinates =
+          order.delivery.address?.location?.coordinates?.length === 2
+            ? order.delivery.address.location.coordinates
+            : customer?.getDefaultAddress()?.location?.coordinates;
+
+        return {
+          order: order._id,
+          orderNumber: order.orderNumber,
+          customerName: order.customerInfo.name,
+          phone: order.customerInfo.phone,
+          address: formatAddress(order.delivery.address),
+          instructions: order.delivery.address?.instructions,
+          coordinates: coordinates && [...coordinates],
+          amountToCollect: getAmountToCollect(order),
+          paymentMethod: order.payment.method,
+        };
+      });
+
+      const run = new DeliveryRun({
+        rider: rider._id,
+        date: date || new Date(),
+        location,
+        origin: settings.business.address?.location?.coordinates,
+        stops: DeliveryRun.orderStops(
+          settings.business.address?.location?.coordinates,
+          stops
+        ),
+        createdBy: req.user._id,
+        notes,
+      });
+      await run.save({ session });
+
+      for (const order of orders) {
+        order.assignedTo = rider._id;
+        order.delivery.deliveryPerson = rider._id;
+        await order.save();
+      }
+
+      return run;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  // Log activity
+  await logRunActivity(req, "delivery_run.created", run, {
+    notes: `${run.stops.length} stops for ${rider.name}`,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Delivery run created successfully",
+    data: run,
+  });
+});
+
+// @desc    Start a delivery run, sending its orders out for delivery
+// @route   POST /api/delivery-runs/:id/start
+// @access  Private
+const startDeliveryRun = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
+  let result;
+  try {
+    result = await runInTransaction(async (session) => {
+      const run = await DeliveryRun.findById(req.params.id).session(session);
+
+      if (!run || !canAccessRun(req.user, run)) {
+        throw new AppError("Delivery run not found", 404);
+      }
+
+      const orders = [];
+      for (const stop of run.stops) {
+        const order = await Order.findById(stop.order).session(session);
+        if (!order) {
+          throw new AppError(`Order ${stop.orderNumber} not found`, 404);
+        }
+
+        await orderService.changeStatus(order, "out_for_delivery", {
+          userId: req.user._id,
+          notes: `Out on run ${run.runNumber}`,
+          settings,
+          session,
+        });
+        orders.push(order);
+      }
+
+      await run.start();
+
+      return { run, orders };
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  const { run, orders } = result;
+
+  // Tell customers their orders are on the way
+  for (const order of orders) {
+    // Detach from the finished transaction before the notification save
+    order.$session(null);
+    await order.notifyStatusChange();
+  }
+
+  // Log activity
+  await logRunActivity(req, "delivery_run.started", run, {
+    notes: `${run.stops.length} stops`,
+  });
+
+  res.json({
+    success: true,
+    message: "Delivery run started",
+    data: run,
+  });
+});
+
+// @desc    Record the outcome of a stop on a delivery run, with proof of
+//          delivery for delivered stops
+// @route   POST /api/delivery-runs/:id/stops/:stopId/outcome
+// @access  Private
+const recordStopOutcome = asyncHandler(async (req, res, next) => {
+  const {
+    status,
+    amountCollected,
+    method,
+    reference,
+    notes,
+    rescheduledTo,
+    recipientName,
+    latitude,
+    longitude,
+  } = req.body;
+
+  const current = await DeliveryRun.findById(req.params.id);
+  if (!current || !canAccessRun(req.user, current)) {
+    return next(new AppError("Delivery run not found", 404));
+  }
+
+  const currentStop = current.stops.id(req.params.stopId);
+  if (!currentStop) {
+    return next(new AppError("Stop not found on this run", 404));
+  }
+
+  let stored = {};
+  if (status === "delivered") {
+    try {
+      stored = await deliveryProofService.store(
+        currentStop.orderNumber,
+        deliveryProofService.readUpload(req)
+      );
+    } catch (error) {
+      return next(
+        error instanceof AppError ? error : new AppError(error.message, 400)
+      );
+    }
+  }
+
+  const settings = await Settings.getSettings();
+  const location =
+    latitude !== undefined && longitude !== undefined
+      ? { latitude, longitude }
+      : undefined;
+
+  let result;
+  try {
+    // Stop outcome, order status, payment and sale commit together
+    result = await runInTransaction(async (session) => {
+      const run = await DeliveryRun.findById(req.params.id).session(session);
+      const stop = run.stops.id(req.params.stopId);
+
+      const order = await Order.findById(stop.order).session(session);
+      if (!order) {
+        throw new AppError(`Order ${stop.orderNumber} not found`, 404);
+      }
+
+      let collected;
+      if (status === "delivered") {
+        const amount = amountCollected ?? stop.amountToCollect;
+        const paymentMethod =
+          method ||
+          (order.payment.method === "credit" ? "cash" : order.payment.method);
+
+        // Whatever the rider does not collect goes on the customer's
+        // account, so orders without one must be paid in full
+        const unpaid = order.paymentBalance - Math.max(0, amount);
+        if (unpaid >= 1 && !order.customer) {
+          throw new AppError(
+            `${stop.orderNumber} has no customer account for the unpaid ${settings.formatCurrency(
+              unpaid
+            )}; collect the full amount or record the stop as failed`,
+            400
+          );
+        }
+
+        if (amount > 0) {
+          await order.recordPayment(
+            amount,
+            paymentMethod,
+            reference || run.runNumber,
+            req.user._id
+          );
+        }
+        collected = { amount, method: paymentMethod, reference };
+
+        if (order.paymentBalance >= 1) {
+          order.payment.method = "credit";
+        }
+
+        deliveryProofService.attach(order, stored, {
+          recipientName,
+          latitude,
+          longitude,
+          userId: req.user._id,
+        });
+
+        await orderService.changeStatus(order, "delivered", {
+          userId: req.user._id,
+          notes,
+          location,
+          settings,
+          session,
+        });
+      } else {
+        await orderService.changeStatus(order, "failed", {
+          userId: req.user._id,
+          notes:
+            status === "rescheduled"
+              ? `Rescheduled to ${new Date(rescheduledTo).toDateString()}${
+                  notes ? `: ${notes}` : ""
+                }`
+              : notes,
+          location,
+          settings,
+          session,
+        });
+
+        if (status === "rescheduled") {
+          order.delivery.scheduledDate = rescheduledTo;
+          await order.save();
+        }
+      }
+
+      await run.recordStopOutcome(stop._id, {
+        status,
+        collected,
+        rescheduledTo,
+        notes,
+      });
+
+      return { run, stop, order };
+    });
+  } catch (error) {
+    await deliveryProofService.discard(stored);
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  const { run, stop, order } = result;
+
+  // Tell the customer about the new status
+  order.$session(null);
+  await order.notifyStatusChange({ reason: notes || "" });
+
+  // Log activity
+  await logRunActivity(req, "delivery_run.stop_updated", run, {
+    notes: `${stop.orderNumber} ${stop.status}${
+      stop.collected.amount > 0
+        ? `, collected ${stop.collected.amount.toFixed(2)} ${
+            stop.collected.method
+          }`
+        : ""
+    }`,
+  });
+
+  res.json({
+    success: true,
+    message: `Stop marked ${stop.status}`,
+    data: run,
+  });
+});
+
+// @desc    Reconcile cash returned by the rider against cash collected
+// @route   POST /api/delivery-runs/:id/reconcile
+// @access  Private (Owner/Operator with permission)
+const reconcileDeliveryRun = asyncHandler(async (req, res, next) => {
+  const { cashReturned, notes } = req.body;
+  const run = await DeliveryRun.findById(req.params.id);
+
+  if (!run) {
+    return next(new AppError("Delivery run not found", 404));
+  }
+
+  try {
+    await run.reconcile(cashReturned, req.user._id, notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const { status, expectedCash, variance } = run.reconciliation;
+
+  // Log activity
+  await logRunActivity(
+    req,
+    "delivery_run.reconciled",
+    run,
+    {
+      notes: `Returned ${cashReturned.toFixed(2)} of ${expectedCash.toFixed(
+        2
+      )} expected, ${status}${
+        variance ? ` by ${Math.abs(variance).toFixed(2)}` : ""
+      }`,
+    },
+    status === "short" ? "warning" : undefined
+  );
+
+  res.json({
+    success: true,
+    message: `Delivery run reconciled: ${status}`,
+    data: run,
+  });
+});
+
+// @desc    Cancel a planned delivery run
+// @route   POST /api/delivery-runs/:id/cancel
+// @access  Private (Owner/Operator with permission)
+const cancelDeliveryRun = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  let run;
+  try {
+    // Orders go back to the queue without a rider
+    run = await runInTransaction(async (session) => {
+      const run = await DeliveryRun.findById(req.params.id).session(session);
+
+      if (!run) {
+        throw new AppError("Delivery run not found", 404);
+      }
+
+      await run.cancel(reason);
+
+      await Order.updateMany(
+        { _id: { $in: run.stops.map((stop) => stop.order) } },
+        { $unset: { assignedTo: "", "delivery.deliveryPerson": "" } },
+        { session }
+      );
+
+      return run;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  // Log activity
+  await logRunActivity(
+    req,
+    "delivery_run.cancelled",
+    run,
+    { reason },
+    "warning"
+  );
+
+  res.json({
+    success: true,
+    message: "Delivery run cancelled",
+    data: run,
+  });
+});
+
+module.exports = {
+  getDeliveryRuns,
+  getDeliveryRun,
+  getDeliveryManifest,
+  createDeliveryRun,
+  startDeliveryRun,
+  recordStopOutcome,
+  reconcileDeliveryRun,
+  cancelDeliveryRun,
+};
@@ -0,0 +1,217 @@
+// backend/src/controllers/deliveryZoneController.js
+const Settings = require("../models/Settings");
+const Customer = require("../models/Customer");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+const ZONE_FIELDS = [
+  "name",
+  "areas",
+  "boundary",
+  "fee",
+  "estimatedTime",
+  "isActive",
+];
+
+// Check that no other zone already uses a name
+const isNameTaken = (zones, name, exceptId) =>
+  zones.some(
+    (zone) =>
+      zone.name.toLowerCase() === name.toLowerCase() &&
+      zone._id.toString() !== exceptId
+  );
+
+// Save zone changes with the settings audit fields
+const saveZones = async (settings, userId) => {
+  settings.metadata.lastUpdated = new Date();
+  settings.metadata.updatedBy = userId;
+  await settings.save();
+};
+
+const logZoneActivity = (req, action, zone) =>
+  ActivityLog.log({
+    user: req.user._id,
+    action,
+    entity: {
+      type: "delivery_zone",
+      id: zone._id,
+      name: zone.name,
+    },
+    details: {
+      changes: Object.keys(req.body),
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+// @desc    Get delivery zones
+// @route   GET /api/delivery-zones
+// @access  Private
+const getDeliveryZones = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const { zones, defaultFee, freeDeliveryThreshold, restrictToZones } =
+    settings.orders.delivery;
+
+  res.json({
+    success: true,
+    data: zones,
+    defaults: {
+      defaultFee,
+      freeDeliveryThreshold,
+      restrictToZones,
+    },
+  });
+});
+
+// @desc    Get single delivery zone
+// @route   GET /api/delivery-zones/:id
+// @access  Private
+const getDeliveryZone = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const zone = settings.orders.delivery.zones.id(req.params.id);
+
+  if (!zone) {
+    return next(new AppError("Delivery zone not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: zone,
+  });
+});
+
+// @desc    Create delivery zone
+// @route   POST /api/delivery-zones
+// @access  Private (Owner/Manager)
+const createDeliveryZone = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const { zones } = settings.orders.delivery;
+
+  if (isNameTaken(zones, req.body.name)) {
+    return next(
+      new AppError("Delivery zone with this name already exists", 400)
+    );
+  }
+
+  const data = {};
+  ZONE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  zones.push(data);
+  const zone = zones[zones.length - 1];
+  await saveZones(settings, req.user._id);
+
+  // Log activity
+  await logZoneActivity(req, "delivery_zone.created", zone);
+
+  res.status(201).json({
+    success: true,
+    message: "Delivery zone created successfully",
+    data: zone,
+  });
+});
+
+// @desc    Update delivery zone
+// @route   PUT /api/delivery-zones/:id
+// @access  Private (Owner/Manager)
+const updateDeliveryZone = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const { zones } = settings.orders.delivery;
+  const zone = zones.id(req.params.id);
+
+  if (!zone) {
+    return next(new AppError("Delivery zone not found", 404));
+  }
+
+  if (req.body.name && isNameTaken(zones, req.body.name, req.params.id)) {
+    return next(
+      new AppError("Delivery zone with this name already exists", 400)
+    );
+  }
+
+  ZONE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      zone[field] = req.body[field];
+    }
+  });
+
+  await saveZones(settings, req.user._id);
+
+  // Log activity
+  await logZoneActivity(req, "delivery_zone.updated", zone);
+
+  res.json({
+    success: true,
+    message: "Delivery zone updated successfully",
+    data: zone,
+  });
+});
+
+// @desc    Delete delivery zone
+// @route   DELETE /api/delivery-zones/:id
+// @access  Private (Owner/Manager)
+const deleteDeliveryZone = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+  const zone = settings.orders.delivery.zones.id(req.params.id);
+
+  if (!zone) {
+    return next(new AppError("Delivery zone not found", 404));
+  }
+
+  zone.deleteOne();
+  await saveZones(settings, req.user._id);
+
+  // Log activity
+  await logZoneActivity(req, "delivery_zone.deleted", zone);
+
+  res.json({
+    success: true,
+    message: "Delivery zone deleted successfully",
+  });
+});
+
+// @desc    Quote the delivery fee for an address before ordering
+// @route   POST /api/delivery-zones/quote
+// @access  Private
+const quoteDelivery = asyncHandler(async (req, res, next) => {
+  const { customer: customerId, amount = 0 } = req.body;
+  let address = req.body.address || {};
+
+  // Fall back to the customer's default address
+  if (!address.area && !address.location?.coordinates && customerId) {
+    const customer = await Customer.findById(customerId).select("addresses");
+    if (!customer) {
+      return next(new AppError("Customer not found", 404));
+    }
+    address = customer.getDefaultAddress() || address;
+  }
+
+  const settings = await Settings.getSettings();
+  const { zone, ...quote } = settings.quoteDelivery(address, amount);
+
+  res.json({
+    success: true,
+    data: {
+      ...quote,
+      zone: zone && {
+        _id: zone._id,
+        name: zone.name,
+        estimatedTime: zone.estimatedTime,
+      },
+    },
+  });
+});
+
+module.exports = {
+  getDeliveryZones,
+  getDeliveryZone,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  quoteDelivery,
+};
@@ -0,0 +1,20 @@
+// backend/src/controllers/jobController.js
+const schedulerService = require("../services/schedulerService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+// @desc    Run a scheduled job
+// @route   GET /api/jobs/:name
+// @access  Private (Cron secret)
+const runJob = asyncHandler(async (req, res, next) => {
+  const result = await schedulerService.trigger(req.params.name);
+
+  res.json({
+    success: true,
+    message: `Job ${req.params.name} completed`,
+    data: result,
+  });
+});
+
+module.exports = {
+  runJob,
+};
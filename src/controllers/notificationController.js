@@ -0,0 +1,296 @@
+// backend/src/controllers/notificationController.js
+const crypto = require("crypto");
+const Notification = require("../models/Notification");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const notificationService = require("../services/notificationService");
+const {
+  TEMPLATE_LANGUAGES,
+  SAMPLE_VALUES,
+  templates,
+  getTemplate,
+  validateTemplates,
+} = require("../services/notificationTemplates");
+const config = require("../config/app");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// @desc    Get notification outbox
+// @route   GET /api/notifications
+// @access  Private (Owner/Manager)
+const getNotifications = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    channel,
+    relatedType,
+    relatedId,
+  } = req.query;
+
+  const query = {
+    ...(status && { status }),
+    ...(channel && { channel }),
+    ...(relatedType && { "relatedTo.type": relatedType }),
+    ...(relatedId && { "relatedTo.id": relatedId }),
+  };
+
+  const notifications = await Notification.find(query)
+    .select("-statusHistory")
+    .populate("createdBy", "name")
+    .sort("-createdAt")
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Notification.countDocuments(query);
+
+  // Counts per status for the outbox overview
+  const summary = await Notification.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  res.json({
+    success: true,
+    data: notifications,
+    summary,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single notification with its status history
+// @route   GET /api/notifications/:id
+// @access  Private (Owner/Manager)
+const getNotification = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findById(req.params.id).populate(
+    "createdBy",
+    "name"
+  );
+
+  if (!notification) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: notification,
+  });
+});
+
+// @desc    Retry sending a failed notification
+// @route   POST /api/notifications/:id/retry
+// @access  Private (Owner/Manager)
+const retryNotification = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  try {
+    await notificationService.retry(notification);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.json({
+    success: notification.status !== "failed",
+    message:
+      notification.status === "failed"
+        ? `Notification failed: ${notification.lastError}`
+        : "Notification sent",
+    data: notification,
+  });
+});
+
+// @desc    Retry queued notifications that are due
+// @route   POST /api/notifications/process
+// @access  Private (Owner/Manager)
+const processOutbox = asyncHandler(async (req, res, next) => {
+  const result = await notificationService.processOutbox();
+
+  res.json({
+    success: true,
+    message: `Processed ${result.processed} notifications`,
+    data: result,
+  });
+});
+
+// @desc    Send a test notification
+// @route   POST /api/notifications/test
+// @access  Private (Owner only)
+const sendTestNotification = asyncHandler(async (req, res, next) => {
+  const { channel, to, message } = req.body;
+
+  const notification = await notificationService.send({
+    channel,
+    to,
+    subject: "Test notification",
+    message: message || "This is a test notification from JennySaleFlow",
+    relatedTo: { type: "system" },
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: notification.status !== "failed",
+    message:
+      notification.status === "failed"
+        ? `Notification failed: ${notification.lastError}`
+        : "Test notification sent",
+    data: notification,
+  });
+});
+
+// @desc    Get notification templates with their variables and text
+// @route   GET /api/notifications/templates
+// @access  Private (Owner/Manager)
+const getTemplates = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
+  const data = Object.entries(templates).map(([key, template]) => ({
+    key,
+    channels: template.channels,
+    variables: template.variables,
+    text: template.channels.reduce((byChannel, channel) => {
+      byChannel[channel] = TEMPLATE_LANGUAGES.reduce((byLanguage, language) => {
+        byLanguage[language] = getTemplate(
+          settings,
+          channel,
+          key,
+          language
+        ).message;
+        return byLanguage;
+      }, {});
+      return byChannel;
+    }, {}),
+    defaults: template.defaults,
+  }));
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Preview a template with sample or order values
+// @route   POST /api/notifications/templates/preview
+// @access  Private (Owner/Manager)
+const previewTemplate = asyncHandler(async (req, res, next) => {
+  const {
+    template: key,
+    channel = "sms",
+    language = "en",
+    text,
+    order: orderId,
+  } = req.body;
+
+  // Unsaved text is checked the same way as on save
+  if (text !== undefined) {
+    const errors = validateTemplates(channel === "email" ? "email" : "sms", {
+      [key]: { [language]: text },
+    });
+    if (errors.length > 0) {
+      return next(new AppError(errors.join("; "), 400));
+    }
+  }
+
+  const settings = await Settings.getSettings();
+
+  let values = SAMPLE_VALUES;
+  if (orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return next(new AppError("Order not found", 404));
+    }
+    values = {
+      ...SAMPLE_VALUES,
+      ...order.getTemplateValues(settings, language),
+    };
+  }
+
+  const { subject, message } = notificationService.renderTemplate(key, {
+    channel,
+    language,
+    settings,
+    values,
+  });
+  const rendered = text ? notificationService.render(text, values) : message;
+
+  res.json({
+    success: true,
+    data: {
+      template: key,
+      channel,
+      language,
+      subject,
+      message: rendered,
+      characters: rendered.length,
+      variables: templates[key].variables,
+    },
+  });
+});
+
+// Check the token a provider sends back against NOTIFICATION_CALLBACK_TOKEN.
+// Callbacks are refused while no token is configured.
+const isValidCallbackToken = (provided) => {
+  const { callbackToken } = config.notifications;
+
+  return (
+    Boolean(callbackToken && typeof provided === "string" && provided) &&
+    crypto.timingSafeEqual(
+      crypto.createHash("sha256").update(callbackToken).digest(),
+      crypto.createHash("sha256").update(provided).digest()
+    )
+  );
+};
+
+// @desc    Receive delivery reports from a provider
+// @route   POST /api/notifications/callbacks/:provider?token=
+// @access  Public (shared token)
+const handleProviderCallback = asyncHandler(async (req, res, next) => {
+  if (!isValidCallbackToken(req.query.token)) {
+    return next(new AppError("Invalid callback token", 401));
+  }
+
+  try {
+    const updated = await notificationService.handleCallback(
+      req.params.provider,
+      req.body
+    );
+    res.json({ success: true, updated });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+});
+
+// @desc    Verify the WhatsApp Business webhook subscription
+// @route   GET /api/notifications/callbacks/whatsapp_business
+// @access  Public (shared token)
+const verifyWhatsappWebhook = (req, res) => {
+  if (
+    req.query["hub.mode"] === "subscribe" &&
+    isValidCallbackToken(req.query["hub.verify_token"])
+  ) {
+    return res.send(req.query["hub.challenge"]);
+  }
+
+  res.status(403).json({
+    success: false,
+    message: "Webhook verification failed",
+  });
+};
+
+module.exports = {
+  getNotifications,
+  getNotification,
+  retryNotification,
+  processOutbox,
+  sendTestNotification,
+  getTemplates,
+  previewTemplate,
+  handleProviderCallback,
+  verifyWhatsappWebhook,
+};
@@ -1,11 +1,28 @@
 // backend/src/controllers/orderController.js
 const Order = require("../models/Order");
+const DeliveryRun = require("../models/DeliveryRun");
 const Product = require("../models/Product");
 const Customer = require("../models/Customer");
 const Settings = require("../models/Settings");
 const ActivityLog = require("../models/ActivityLog");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { activityLogger } = require("../middleware/logger");
+const { runInTransaction } = require("../utils/transaction");
+const orderService = require("../services/orderService");
+const deliveryProofService = require("../services/deliveryProofService");
+
+// Value of order items after item discounts, before tax and delivery
+const getItemsAmount = (items) =>
+  items.reduce((sum, item) => {
+    const amount = item.unitPrice * item.quantity;
+    const discount = item.discount?.percentage
+      ? amount * (item.discount.percentage / 100)
+      : item.discount?.amount || 0;
+    return sum + amount - discount;
+  }, 0);
+
+// Delivery details an order update may change
+const EDITABLE_DELIVERY_FIELDS = ["address", "scheduledDate", "scheduledTime"];
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -13,6 +30,16 @@ const { activityLogger } = require("../middleware/logger");
 const createOrder = asyncHandler(async (req, res, next) => {
   const { customerInfo, items, delivery, payment, notes, priority } = req.body;
 
+  // Fulfil from the requested branch, or the user's own
+  const settings = await Settings.getSettings();
+  const defaultLocation = settings.getDefaultLocation();
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
   // Validate items and check stock
   const validatedItems = [];
   for (const item of items) {
@@ -29,14 +56,15 @@ const createOrder = asyncHandler(async (req, res, next) => {
     }
 
     // Check stock availability
+    const available = product.getAvailableStock(location, defaultLocation);
     if (
       product.inventory.trackInventory &&
-      product.inventory.currentStock < item.quantity &&
+      available < item.quantity &&
       !product.inventory.allowBackorder
     ) {
       return next(
         new AppError(
-          `Insufficient stock for ${product.name}. Available: ${product.inventory.currentStock}`,
+          `Insufficient stock for ${product.name}. Available: ${available}`,
           400
         )
       );
@@ -50,14 +78,49 @@ const createOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Get delivery fee from settings
-  const settings = await Settings.getSettings();
+  // Get delivery fee from the zone covering the address, or the known
+  // customer's default address when no area or coordinates are given
   let deliveryFee = 0;
+  let zone;
 
   if (delivery.type === "delivery") {
-    deliveryFee = settings.calculateDeliveryFee(
-      delivery.address?.area || "default"
+    let address = delivery.address || {};
+    if (!address.area && !address.location?.coordinates) {
+      const knownCustomer =
+        customerInfo.phone &&
+        (await Customer.findOne({ phone: customerInfo.phone }).select(
+          "addresses"
+        ));
+      address = knownCustomer?.getDefaultAddress() || address;
+    }
+
+    const quote = settings.quoteDelivery(
+      address,
+      getItemsAmount(validatedItems)
     );
+    if (!quote.deliverable) {
+      return next(
+        new AppError("Delivery is not available to this address", 400)
+      );
+    }
+
+    deliveryFee = quote.fee;
+    zone = quote.zone && { id: quote.zone._id, name: quote.zone.name };
+  }
+
+  // Only a known customer with enough points can redeem them
+  const redeemPoints = payment?.redeemPoints || 0;
+  if (redeemPoints > 0) {
+    if (!settings.features.loyalty.enabled) {
+      return next(new AppError("Loyalty program is not enabled", 400));
+    }
+
+    const customer =
+      customerInfo.phone &&
+      (await Customer.findOne({ phone: customerInfo.phone }));
+    if (!customer || customer.loyalty.points < redeemPoints) {
+      return next(new AppError("Insufficient loyalty points", 400));
+    }
   }
 
   // Check or create customer
@@ -91,24 +154,66 @@ const createOrder = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Create order
-  const order = new Order({
-    customer: customerId,
-    customerInfo,
-    items: validatedItems,
-    delivery: {
-      ...delivery,
-      deliveryFee,
-    },
-    payment: payment || { method: "cash", status: "pending" },
-    priority: priority || "normal",
-    notes,
-    source: "pos",
-    createdBy: req.user._id,
-    assignedTo: req.user._id,
-  });
+  // Order and points redemption commit together
+  let order;
+  try {
+    order = await runInTransaction(async (session) => {
+      const order = new Order({
+        customer: customerId,
+        customerInfo,
+        items: validatedItems,
+        delivery: {
+          ...delivery,
+          deliveryFee,
+          ...(zone && { zone }),
+        },
+        payment: payment || { method: "cash", status: "pending" },
+        priority: priority || "normal",
+        notes,
+        source: "pos",
+        createdBy: req.user._id,
+        assignedTo: req.user._id,
+        metadata: {
+          location,
+        },
+        ...(redeemPoints > 0 && {
+          loyalty: {
+            pointsRedeemed: redeemPoints,
+            redemptionValue:
+              redeemPoints * settings.features.loyalty.redemptionRate,
+          },
+        }),
+      });
 
-  await order.save();
+      await order.save({ session });
+
+      if (redeemPoints > 0) {
+        if (order.totals.loyaltyDiscount < order.loyalty.redemptionValue) {
+          throw new AppError("Redeemed points exceed the order amount", 400);
+        }
+
+        const customer = await Customer.findById(customerId).session(session);
+        await customer.redeemLoyaltyPoints(
+          redeemPoints,
+          settings.features.loyalty,
+          {
+            reference: order.orderNumber,
+            order: order._id,
+            userId: req.user._id,
+          }
+        );
+      }
+
+      return order;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  // Confirm receipt to the customer
+  await order.notifyStatusChange();
 
   // Log activity
   await ActivityLog.log({
@@ -153,6 +258,7 @@ const getOrders = asyncHandler(async (req, res, next) => {
     deliveryDate,
     customer,
     assignedTo,
+    location,
     search,
   } = req.query;
 
@@ -189,6 +295,10 @@ const getOrders = asyncHandler(async (req, res, next) => {
     query.assignedTo = assignedTo;
   }
 
+  if (location) {
+    query["metadata.location"] = location;
+  }
+
   if (search) {
     query.$or = [
       { orderNumber: new RegExp(search, "i") },
@@ -247,76 +357,37 @@ const getOrder = asyncHandler(async (req, res, next) => {
 // @access  Private
 const updateOrderStatus = asyncHandler(async (req, res, next) => {
   const { status, notes, location } = req.body;
-  const order = await Order.findById(req.params.id);
-
-  if (!order) {
-    return next(new AppError("Order not found", 404));
-  }
-
-  // Validate status transition
-  const validTransitions = {
-    pending: ["confirmed", "cancelled"],
-    confirmed: ["processing", "cancelled"],
-    processing: ["ready", "cancelled"],
-    ready: ["out_for_delivery", "delivered", "cancelled"],
-    out_for_delivery: ["delivered", "failed"],
-    delivered: [],
-    cancelled: [],
-    failed: ["out_for_delivery", "cancelled"],
-  };
-
-  if (!validTransitions[order.status].includes(status)) {
-    return next(
-      new AppError(
-        `Cannot change status from ${order.status} to ${status}`,
-        400
-      )
-    );
-  }
-
-  // Update status
-  await order.updateStatus(status, req.user._id, notes, location);
+  const settings = await Settings.getSettings();
 
-  // Handle stock updates for cancellation
-  if (status === "cancelled") {
-    // Don't update stock for orders as they haven't been fulfilled yet
-    // Stock is only reduced when order is delivered
-  }
+  let order;
+  try {
+    // Status change, stock deduction and customer statistics commit together
+    order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-  // Handle stock updates for delivery
-  if (status === "delivered") {
-    // Reduce stock for delivered items
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product && product.inventory.trackInventory) {
-        await product.updateStock(
-          item.quantity,
-          "sale",
-          order.orderNumber,
-          req.user._id,
-          "Order delivered"
-        );
+      if (!order) {
+        throw new AppError("Order not found", 404);
       }
-    }
 
-    // Update customer statistics
-    if (order.customer) {
-      const customer = await Customer.findById(order.customer);
-      if (customer) {
-        await customer.updateOrderStatistics(order.totals.total);
-      }
-    }
-  }
+      await orderService.changeStatus(order, status, {
+        userId: req.user._id,
+        notes,
+        location,
+        settings,
+        session,
+      });
 
-  // Send notification if configured
-  if (settings.notifications.sms.enabled) {
-    // Send SMS notification based on status
-    await order.sendNotification(
-      "sms",
-      `Your order ${order.orderNumber} is now ${status}`
+      return order;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
     );
   }
 
+  // Tell the customer about the new status
+  await order.notifyStatusChange({ reason: notes || "" });
+
   // Log activity
   await ActivityLog.log({
     user: req.user._id,
@@ -361,13 +432,7 @@ const updateOrder = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const allowedUpdates = [
-    "customerInfo",
-    "delivery",
-    "priority",
-    "notes",
-    "assignedTo",
-  ];
+  const allowedUpdates = ["customerInfo", "priority", "notes", "assignedTo"];
 
   // Only update allowed fields
   allowedUpdates.forEach((field) => {
@@ -376,6 +441,14 @@ const updateOrder = asyncHandler(async (req, res, next) => {
     }
   });
 
+  // The delivery type, fee and proof are set when the order is placed and
+  // delivered, so only where and when to deliver can change here
+  EDITABLE_DELIVERY_FIELDS.forEach((field) => {
+    if (req.body.delivery?.[field] !== undefined) {
+      order.delivery[field] = req.body.delivery[field];
+    }
+  });
+
   await order.save();
 
   // Log activity
@@ -502,6 +575,152 @@ const getOrderMetrics = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Complete a delivery with proof of delivery
+// @route   POST /api/orders/:id/deliver
+// @access  Private
+const completeDelivery = asyncHandler(async (req, res, next) => {
+  const { recipientName, latitude, longitude, notes } = req.body;
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError("Order not found", 404));
+  }
+
+  if (order.delivery.type !== "delivery") {
+    return next(
+      new AppError("Only delivery orders take proof of delivery", 400)
+    );
+  }
+
+  if (!orderService.canTransition(order.status, "delivered")) {
+    return next(
+      new AppError(`Cannot deliver an order that is ${order.status}`, 400)
+    );
+  }
+
+  // Orders on a run are completed through the run so its cash adds up
+  const [run] = await DeliveryRun.findActiveForOrders([order._id]);
+  if (run) {
+    return next(
+      new AppError(
+        `Order is on delivery run ${run.runNumber}; record the outcome on the run`,
+        400
+      )
+    );
+  }
+
+  let stored;
+  try {
+    stored = await deliveryProofService.store(
+      order.orderNumber,
+      deliveryProofService.readUpload(req)
+    );
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  const settings = await Settings.getSettings();
+  const location =
+    latitude !== undefined && longitude !== undefined
+      ? { latitude, longitude }
+      : undefined;
+
+  let delivered;
+  try {
+    // Proof, status change and sale commit together
+    delivered = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+
+      deliveryProofService.attach(order, stored, {
+        recipientName,
+        latitude,
+        longitude,
+        userId: req.user._id,
+      });
+
+      await orderService.changeStatus(order, "delivered", {
+        userId: req.user._id,
+        notes:
+          notes || (recipientName ? `Received by ${recipientName}` : undefined),
+        location,
+        settings,
+        session,
+      });
+
+      return order;
+    });
+  } catch (error) {
+    await deliveryProofService.discard(stored);
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  // Tell the customer about the new status
+  await delivered.notifyStatusChange();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "order.status_changed",
+    entity: {
+      type: "order",
+      id: delivered._id,
+      name: delivered.orderNumber,
+    },
+    details: {
+      previous: { status: order.status },
+      current: { status: "delivered" },
+      notes: `Delivered with proof: ${
+        Object.keys(stored).join(", ") || "none"
+      }`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Order delivered successfully",
+    data: delivered,
+  });
+});
+
+// @desc    Get a proof-of-delivery image
+// @route   GET /api/orders/:id/proof/:type
+// @access  Private
+const getDeliveryProof = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id).select("delivery");
+
+  if (!order) {
+    return next(new AppError("Order not found", 404));
+  }
+
+  const fileId = order.delivery?.[req.params.type];
+  if (!fileId) {
+    return next(new AppError("Proof of delivery not found", 404));
+  }
+
+  res.set("Cache-Control", "private, max-age=3600");
+  deliveryProofService
+    .open(fileId)
+    .once("file", (file) => {
+      res.set({
+        "Content-Type": file.metadata.mimeType,
+        "Content-Length": file.length,
+      });
+    })
+    .once("error", () => {
+      if (res.headersSent) return res.destroy();
+      next(new AppError("Proof of delivery not found", 404));
+    })
+    .pipe(res);
+});
+
 // @desc    Record order payment
 // @route   POST /api/orders/:id/payment
 // @access  Private
@@ -531,33 +750,48 @@ const recordOrderPayment = asyncHandler(async (req, res, next) => {
 // @access  Private
 const cancelOrder = asyncHandler(async (req, res, next) => {
   const { reason } = req.body;
-  const order = await Order.findById(req.params.id);
+  const settings = await Settings.getSettings();
 
-  if (!order) {
-    return next(new AppError("Order not found", 404));
-  }
+  let order;
+  try {
+    // Cancellation, released stock and returned points commit together
+    order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-  if (["delivered", "cancelled"].includes(order.status)) {
-    return next(new AppError("Cannot cancel this order", 400));
-  }
+      if (!order) {
+        throw new AppError("Order not found", 404);
+      }
 
-  order.status = "cancelled";
-  order.cancellation = {
-    cancelledBy: req.user._id,
-    cancelledAt: new Date(),
-    reason,
-  };
+      // Orders on a run are taken off the run so its cash adds up
+      const [run] = await DeliveryRun.findActiveForOrders([order._id]).session(
+        session
+      );
+      if (run) {
+        throw new AppError(
+          `Order is on delivery run ${run.runNumber}; record the outcome on the run`,
+          400
+        );
+      }
 
-  await order.save();
+      order.cancellation.reason = reason;
+      await orderService.changeStatus(order, "cancelled", {
+        userId: req.user._id,
+        notes: reason,
+        settings,
+        session,
+      });
 
-  // Send notification
-  if (order.customer) {
-    await order.sendNotification(
-      "sms",
-      `Your order ${order.orderNumber} has been cancelled. Reason: ${reason}`
+      return order;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
     );
   }
 
+  // Send notification
+  await order.notifyStatusChange({ reason });
+
   // Log activity
   await ActivityLog.log({
     user: req.user._id,
@@ -595,5 +829,7 @@ module.exports = {
   getDeliveryQueue,
   getOrderMetrics,
   recordOrderPayment,
+  completeDelivery,
+  getDeliveryProof,
   cancelOrder,
 };
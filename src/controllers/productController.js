@@ -1,9 +1,13 @@
 // backend/src/controllers/productController.js
 const Product = require("../models/Product");
 const Category = require("../models/Category");
+const Settings = require("../models/Settings");
+const ImportBatch = require("../models/ImportBatch");
 const ActivityLog = require("../models/ActivityLog");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { activityLogger } = require("../middleware/logger");
+const { runInTransaction } = require("../utils/transaction");
+const productImportService = require("../services/productImportService");
 
 // @desc    Get all products
 // @route   GET /api/products
@@ -116,6 +120,17 @@ const createProduct = asyncHandler(async (req, res, next) => {
     createdBy: req.user._id,
   };
 
+  // Start the cost history with the opening cost price
+  req.body.costHistory = req.body.pricing?.cost
+    ? [
+        {
+          cost: req.body.pricing.cost,
+          source: "manual",
+          changedBy: req.user._id,
+        },
+      ]
+    : [];
+
   const product = await Product.create(req.body);
 
   // Update category product count
@@ -170,7 +185,19 @@ const updateProduct = asyncHandler(async (req, res, next) => {
 
   // Don't allow direct stock updates through this endpoint
   delete req.body.inventory?.currentStock;
+  delete req.body.inventory?.reservedStock;
   delete req.body.stockMovements;
+  delete req.body.costHistory;
+
+  // Cost changes go through updateCost so they are kept in the history
+  const cost = req.body.pricing?.cost;
+  if (req.body.pricing) {
+    req.body.pricing = {
+      ...previousData.pricing,
+      ...req.body.pricing,
+      cost: previousData.pricing.cost,
+    };
+  }
 
   // Update metadata
   req.body.metadata = {
@@ -180,6 +207,9 @@ const updateProduct = asyncHandler(async (req, res, next) => {
 
   // Update product
   Object.assign(product, req.body);
+  if (cost !== undefined) {
+    product.updateCost(cost, "manual", null, req.user._id);
+  }
   await product.save();
 
   // Update category product count if category changed
@@ -218,16 +248,47 @@ const updateProduct = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/products/:id/stock
 // @access  Private
 const updateStock = asyncHandler(async (req, res, next) => {
-  const { quantity, type, reference, reason } = req.body;
-  const product = await Product.findById(req.params.id);
-
-  if (!product) {
-    return next(new AppError("Product not found", 404));
+  const {
+    quantity,
+    type,
+    reference,
+    reason,
+    unitCost,
+    batchNumber,
+    expiryDate,
+  } = req.body;
+
+  const settings = await Settings.getSettings();
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
   }
 
   try {
     // Update stock using the model method
-    await product.updateStock(quantity, type, reference, req.user._id, reason);
+    const product = await runInTransaction(async (session) => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) {
+        throw new AppError("Product not found", 404);
+      }
+
+      return product.updateStock(
+        quantity,
+        type,
+        reference,
+        req.user._id,
+        reason,
+        {
+          unitCost,
+          batchNumber,
+          expiryDate,
+          location,
+          defaultLocation: settings.getDefaultLocation(),
+        }
+      );
+    });
 
     // Log activity
     await ActivityLog.log({
@@ -244,6 +305,7 @@ const updateStock = asyncHandler(async (req, res, next) => {
           quantity,
           newStock: product.inventory.currentStock,
           reason,
+          location,
         },
       },
       metadata: {
@@ -272,7 +334,9 @@ const updateStock = asyncHandler(async (req, res, next) => {
       },
     });
   } catch (error) {
-    return next(new AppError(error.message, 400));
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
   }
 });
 
@@ -330,7 +394,12 @@ const deleteProduct = asyncHandler(async (req, res, next) => {
 // @route   GET /api/products/low-stock
 // @access  Private
 const getLowStockProducts = asyncHandler(async (req, res, next) => {
-  const products = await Product.findLowStock();
+  const { location } = req.query;
+  const settings = await Settings.getSettings();
+  const products = await Product.findLowStock(
+    location,
+    settings.getDefaultLocation()
+  );
 
   res.json({
     success: true,
@@ -352,11 +421,122 @@ const getOutOfStockProducts = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get lots expiring soon
+// @route   GET /api/products/expiring
+// @access  Private
+const getExpiringProducts = asyncHandler(async (req, res, next) => {
+  const settings = await Settings.getSettings();
+
+  if (!settings.inventory.trackExpiry.enabled) {
+    return next(new AppError("Expiry tracking is not enabled", 400));
+  }
+
+  const days = parseInt(
+    req.query.days || settings.inventory.trackExpiry.alertDays
+  );
+  const lots = await Product.findExpiringLots(days);
+
+  res.json({
+    success: true,
+    data: lots,
+    total: lots.length,
+    expired: lots.filter((lot) => lot.isExpired).length,
+    alertDays: days,
+  });
+});
+
+// @desc    Write off expired lots as damaged stock
+// @route   POST /api/products/expiring/write-off
+// @access  Private (Owner/Manager)
+const writeOffExpiredLots = asyncHandler(async (req, res, next) => {
+  const { productIds } = req.body;
+
+  // Expired stock is written off at the branch holding it
+  const settings = await Settings.getSettings();
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const query = {
+    "status.isActive": true,
+    lots: {
+      $elemMatch: { expiryDate: { $lt: new Date() }, quantity: { $gt: 0 } },
+    },
+  };
+  if (productIds && Array.isArray(productIds)) {
+    query._id = { $in: productIds };
+  }
+
+  const products = await Product.find(query).select("_id");
+  const results = [];
+
+  for (const { _id } of products) {
+    // Each product's lots are written off in their own transaction
+    let writtenOff;
+    const product = await runInTransaction(async (session) => {
+      const product = await Product.findById(_id).session(session);
+      writtenOff = await product.writeOffExpiredLots(req.user._id, {
+        location,
+        defaultLocation: settings.getDefaultLocation(),
+      });
+      return product;
+    });
+
+    if (writtenOff.length > 0) {
+      results.push({
+        productId: product._id,
+        productName: product.name,
+        lots: writtenOff,
+        quantity: writtenOff.reduce((sum, lot) => sum + lot.quantity, 0),
+      });
+
+      await ActivityLog.log({
+        user: req.user._id,
+        action: "product.stock_adjusted",
+        entity: {
+          type: "product",
+          id: product._id,
+          name: product.name,
+        },
+        details: {
+          reason: "Expired stock written off",
+          current: {
+            type: "damage",
+            lots: writtenOff,
+            newStock: product.inventory.currentStock,
+          },
+        },
+        severity: "warning",
+        metadata: {
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    message: `${results.length} products had expired stock written off`,
+    data: results,
+  });
+});
+
 // @desc    Get inventory value
 // @route   GET /api/products/inventory-value
 // @access  Private (Owner/Operator with permission)
 const getInventoryValue = asyncHandler(async (req, res, next) => {
-  const value = await Product.calculateInventoryValue();
+  const settings = await Settings.getSettings();
+  const method = req.query.method || settings.inventory.valuationMethod;
+
+  if (!["fifo", "weighted_average"].includes(method)) {
+    return next(new AppError("Invalid valuation method", 400));
+  }
+
+  const value = await Product.calculateInventoryValue(method);
 
   res.json({
     success: true,
@@ -427,42 +607,67 @@ const bulkUpdateProducts = asyncHandler(async (req, res, next) => {
 // @route   POST /api/products/import
 // @access  Private (Owner/Operator with permission)
 const importProducts = asyncHandler(async (req, res, next) => {
-  // This would handle file upload and parsing
-  // For now, expecting products array in body
-  const { products } = req.body;
-
-  if (!products || !Array.isArray(products)) {
-    return next(new AppError("Products array is required", 400));
+  if (!req.file) {
+    return next(new AppError("A CSV or XLSX file is required", 400));
   }
 
-  const importBatch = `IMPORT_${Date.now()}`;
-  const results = {
-    success: [],
-    failed: [],
-  };
+  const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
 
-  for (const productData of products) {
+  // Multipart forms send the column mapping as a JSON string
+  let mapping = req.body.mapping || {};
+  if (typeof mapping === "string") {
     try {
-      // Add metadata
-      productData.metadata = {
-        createdBy: req.user._id,
-        importBatch,
-      };
-
-      // Create product
-      const product = await Product.create(productData);
-      results.success.push({
-        name: product.name,
-        sku: product.sku,
-      });
+      mapping = JSON.parse(mapping);
     } catch (error) {
-      results.failed.push({
-        data: productData,
-        error: error.message,
-      });
+      return next(new AppError("Column mapping must be valid JSON", 400));
     }
   }
 
+  const settings = await Settings.getSettings();
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  let sheet;
+  let columns;
+  try {
+    sheet = await productImportService.readSpreadsheet(req.file);
+    columns = productImportService.mapColumns(sheet.headers, mapping);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const results = await productImportService.preview(
+    sheet.rows,
+    columns.columns,
+    { userId: req.user._id }
+  );
+  const summary = productImportService.summarize(results);
+
+  if (dryRun) {
+    return res.json({
+      success: true,
+      message: `Preview: ${summary.create} to create, ${summary.update} to update, ${summary.skip} with errors`,
+      data: {
+        columns: columns.columns,
+        unmappedColumns: columns.unmapped,
+        summary,
+        rows: results.map((result) => productImportService.toPreview(result)),
+      },
+    });
+  }
+
+  const batch = await productImportService.apply(results, {
+    batchNumber: `IMPORT_${Date.now()}`,
+    fileName: req.file.originalname,
+    userId: req.user._id,
+    location,
+    defaultLocation: settings.getDefaultLocation(),
+  });
+
   // Log activity
   await ActivityLog.log({
     user: req.user._id,
@@ -472,10 +677,7 @@ const importProducts = asyncHandler(async (req, res, next) => {
       name: "Bulk import",
     },
     details: {
-      importBatch,
-      total: products.length,
-      success: results.success.length,
-      failed: results.failed.length,
+      notes: `${batch.batchNumber} from ${batch.fileName}: ${batch.summary.created} created, ${batch.summary.updated} updated, ${batch.summary.failed} failed`,
     },
     metadata: {
       ip: req.ip,
@@ -483,10 +685,105 @@ const importProducts = asyncHandler(async (req, res, next) => {
     },
   });
 
+  res.status(201).json({
+    success: true,
+    message: `Import completed. ${batch.summary.created} products created, ${batch.summary.updated} updated.`,
+    data: batch,
+  });
+});
+
+// @desc    Get product import batches
+// @route   GET /api/products/imports
+// @access  Private
+const getImportBatches = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = status ? { status } : {};
+
+  const batches = await ImportBatch.find(query)
+    .select("-items.changes")
+    .populate("importedBy", "name")
+    .populate("rollbackInfo.rolledBackBy", "name")
+    .sort("-createdAt")
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ImportBatch.countDocuments(query);
+
   res.json({
     success: true,
-    message: `Import completed. ${results.success.length} products imported successfully.`,
-    data: results,
+    data: batches,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single product import batch
+// @route   GET /api/products/imports/:id
+// @access  Private
+const getImportBatch = asyncHandler(async (req, res, next) => {
+  const batch = await ImportBatch.findById(req.params.id)
+    .populate("items.product", "name sku status.isActive")
+    .populate("importedBy", "name")
+    .populate("rollbackInfo.rolledBackBy", "name");
+
+  if (!batch) {
+    return next(new AppError("Import not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: batch,
+  });
+});
+
+// @desc    Roll back a product import
+// @route   POST /api/products/imports/:id/rollback
+// @access  Private (Owner/Manager)
+const rollbackImport = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  const batch = await ImportBatch.findById(req.params.id);
+
+  if (!batch) {
+    return next(new AppError("Import not found", 404));
+  }
+
+  let result;
+  try {
+    result = await batch.rollback(req.user._id, reason);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await productImportService.updateCategoryCounts(result.categories);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "product.import_rolled_back",
+    entity: {
+      type: "product",
+      name: batch.batchNumber,
+    },
+    details: {
+      reason,
+      notes: `${result.deleted} deleted, ${result.deactivated} deactivated, ${result.restored} restored`,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: `Import rolled back. ${result.deleted} products deleted, ${result.deactivated} deactivated, ${result.restored} restored.`,
+    data: batch,
   });
 });
 
@@ -500,6 +797,8 @@ const getProductPerformance = asyncHandler(async (req, res, next) => {
     return next(new AppError("Product not found", 404));
   }
 
+  const settings = await Settings.getSettings();
+
   // Calculate additional metrics
   const metrics = {
     basic: {
@@ -511,7 +810,7 @@ const getProductPerformance = asyncHandler(async (req, res, next) => {
     },
     inventory: {
       currentStock: product.inventory.currentStock,
-      stockValue: product.getStockValue(),
+      stockValue: product.getStockValue(settings.inventory.valuationMethod),
       daysOfStock: product.getDaysOfStock(),
       stockStatus: product.stockStatus,
     },
@@ -540,8 +839,13 @@ module.exports = {
   deleteProduct,
   getLowStockProducts,
   getOutOfStockProducts,
+  getExpiringProducts,
+  writeOffExpiredLots,
   getInventoryValue,
   bulkUpdateProducts,
   importProducts,
+  getImportBatches,
+  getImportBatch,
+  rollbackImport,
   getProductPerformance,
 };
@@ -0,0 +1,461 @@
+// backend/src/controllers/purchaseOrderController.js
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const { runInTransaction } = require("../utils/transaction");
+
+// Build purchase order lines from request items
+const buildItems = async (items) => {
+  const validatedItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      throw new AppError(`Product not found`, 404);
+    }
+
+    validatedItems.push({
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      quantityOrdered: item.quantity,
+      unitCost:
+        item.unitCost !== undefined
+          ? item.unitCost
+          : product.supplier?.lastPurchasePrice || 0,
+    });
+  }
+
+  return validatedItems;
+};
+
+// @desc    Get all purchase orders
+// @route   GET /api/purchase-orders
+// @access  Private
+const getPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-createdAt",
+    status,
+    supplier,
+    product,
+    location,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (status) {
+    query.status = Array.isArray(status) ? { $in: status } : status;
+  }
+
+  if (supplier) {
+    query.supplier = supplier;
+  }
+
+  if (product) {
+    query["items.product"] = product;
+  }
+
+  if (location) {
+    query.location = location;
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  if (search) {
+    query.$or = [
+      { poNumber: new RegExp(search, "i") },
+      { "supplierInfo.name": new RegExp(search, "i") },
+    ];
+  }
+
+  // Execute query
+  const purchaseOrders = await PurchaseOrder.find(query)
+    .populate("supplier", "name phone")
+    .populate("createdBy", "name")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await PurchaseOrder.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: purchaseOrders,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single purchase order
+// @route   GET /api/purchase-orders/:id
+// @access  Private
+const getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+    .populate("supplier")
+    .populate("items.product", "name sku barcode inventory.currentStock")
+    .populate("createdBy", "name")
+    .populate("statusHistory.updatedBy", "name")
+    .populate("receipts.receivedBy", "name");
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Create purchase order
+// @route   POST /api/purchase-orders
+// @access  Private
+const createPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const {
+    supplier: supplierId,
+    items,
+    taxRate,
+    expectedDate,
+    notes,
+  } = req.body;
+
+  // Deliver to the requested branch, or the buyer's own
+  const settings = await Settings.getSettings();
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const supplier = await Supplier.findById(supplierId);
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  if (!supplier.isActive) {
+    return next(new AppError(`Supplier ${supplier.name} is not active`, 400));
+  }
+
+  const validatedItems = await buildItems(items);
+
+  const purchaseOrder = new PurchaseOrder({
+    supplier: supplier._id,
+    supplierInfo: {
+      name: supplier.name,
+      contact: supplier.contact,
+    },
+    items: validatedItems,
+    taxRate,
+    location,
+    expectedDate,
+    notes,
+    createdBy: req.user._id,
+    statusHistory: [
+      {
+        status: "draft",
+        updatedBy: req.user._id,
+      },
+    ],
+  });
+
+  await purchaseOrder.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.created",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      notes: `${purchaseOrder.items.length} items for ${supplier.name}`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Purchase order created successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Update draft purchase order
+// @route   PUT /api/purchase-orders/:id
+// @access  Private
+const updatePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  if (purchaseOrder.status !== "draft") {
+    return next(
+      new AppError("Only draft purchase orders can be modified", 400)
+    );
+  }
+
+  const { items, taxRate, expectedDate, notes } = req.body;
+
+  if (items) {
+    purchaseOrder.items = await buildItems(items);
+  }
+
+  if (taxRate !== undefined) purchaseOrder.taxRate = taxRate;
+  if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+  if (notes !== undefined) purchaseOrder.notes = notes;
+
+  purchaseOrder.updatedBy = req.user._id;
+  await purchaseOrder.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.updated",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Purchase order updated successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Mark purchase order as sent to supplier
+// @route   POST /api/purchase-orders/:id/send
+// @access  Private
+const sendPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { notes } = req.body;
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  try {
+    await purchaseOrder.send(req.user._id, notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const supplier = await Supplier.findById(purchaseOrder.supplier);
+  if (supplier) {
+    await supplier.recordOrder();
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.sent",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Purchase order sent successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Receive goods against purchase order
+// @route   POST /api/purchase-orders/:id/receive
+// @access  Private
+const receivePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { items, reference, notes } = req.body;
+  const settings = await Settings.getSettings();
+
+  let purchaseOrder;
+  try {
+    // Stock, costs, the receipt and the supplier totals commit together
+    purchaseOrder = await runInTransaction(async (session) => {
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(
+        session
+      );
+      if (!purchaseOrder) {
+        throw new AppError("Purchase order not found", 404);
+      }
+
+      return purchaseOrder.receive(items, req.user._id, {
+        reference,
+        notes,
+        defaultLocation: settings.getDefaultLocation(),
+      });
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  const receipt = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.received",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      reason: reference,
+      notes: `${receipt.items.length} lines received, status ${purchaseOrder.status}`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message:
+      purchaseOrder.status === "received"
+        ? "Purchase order fully received"
+        : "Purchase order partially received",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Close purchase order
+// @route   POST /api/purchase-orders/:id/close
+// @access  Private
+const closePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { notes } = req.body;
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  const outstanding = purchaseOrder.outstandingQuantity;
+
+  try {
+    await purchaseOrder.close(req.user._id, notes);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.closed",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      notes: outstanding > 0 ? `Closed short by ${outstanding} units` : notes,
+    },
+    severity: outstanding > 0 ? "warning" : "info",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Purchase order closed successfully",
+    data: purchaseOrder,
+  });
+});
+
+// @desc    Cancel purchase order
+// @route   POST /api/purchase-orders/:id/cancel
+// @access  Private
+const cancelPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError("Purchase order not found", 404));
+  }
+
+  try {
+    await purchaseOrder.cancel(req.user._id, reason);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "purchase_order.cancelled",
+    entity: {
+      type: "purchase_order",
+      id: purchaseOrder._id,
+      name: purchaseOrder.poNumber,
+    },
+    details: {
+      reason,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Purchase order cancelled successfully",
+    data: purchaseOrder,
+  });
+});
+
+module.exports = {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+};
@@ -1,36 +1,41 @@
 // backend/src/controllers/reportController.js
+const mongoose = require("mongoose");
 const Sale = require("../models/Sale");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const Customer = require("../models/Customer");
 const User = require("../models/User");
+const PurchaseOrder = require("../models/PurchaseOrder");
 const ActivityLog = require("../models/ActivityLog");
+const Settings = require("../models/Settings");
+const ExportJob = require("../models/ExportJob");
+const exportService = require("../services/exportService");
+const receivablesService = require("../services/receivablesService");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
-const { taskLogger } = require("../middleware/logger");
 
-// @desc    Get sales report
-// @route   GET /api/reports/sales
-// @access  Private (Owner/Manager)
-const getSalesReport = asyncHandler(async (req, res, next) => {
+// Build the sales report for a set of filters
+const buildSalesReport = async (filters) => {
   const {
     startDate = new Date(new Date().setMonth(new Date().getMonth() - 1)),
     endDate = new Date(),
     groupBy = "day",
     includeDetails = false,
-  } = req.query;
+    location,
+  } = filters;
 
   const start = new Date(startDate);
   const end = new Date(endDate);
   end.setHours(23, 59, 59, 999);
 
+  const saleMatch = {
+    createdAt: { $gte: start, $lte: end },
+    status: { $in: ["completed", "partial_refund"] },
+    ...(location && { "metadata.location": location }),
+  };
+
   // Get sales summary
   const salesSummary = await Sale.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: start, $lte: end },
-        status: { $in: ["completed", "partial_refund"] },
-      },
-    },
+    { $match: saleMatch },
     {
       $group: {
         _id: null,
@@ -57,12 +62,7 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
 
   // Get sales by payment method
   const salesByPayment = await Sale.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: start, $lte: end },
-        status: { $in: ["completed", "partial_refund"] },
-      },
-    },
+    { $match: saleMatch },
     {
       $group: {
         _id: "$payment.method",
@@ -77,12 +77,7 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
 
   // Get top selling products
   const topProducts = await Sale.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: start, $lte: end },
-        status: { $in: ["completed", "partial_refund"] },
-      },
-    },
+    { $match: saleMatch },
     { $unwind: "$items" },
     {
       $group: {
@@ -104,12 +99,7 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
   };
 
   const salesTrend = await Sale.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: start, $lte: end },
-        status: { $in: ["completed", "partial_refund"] },
-      },
-    },
+    { $match: saleMatch },
     {
       $group: {
         _id: {
@@ -127,12 +117,7 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
 
   // Get hourly distribution
   const hourlyDistribution = await Sale.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: start, $lte: end },
-        status: { $in: ["completed", "partial_refund"] },
-      },
-    },
+    { $match: saleMatch },
     {
       $group: {
         _id: { $hour: "$createdAt" },
@@ -143,6 +128,36 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
     { $sort: { _id: 1 } },
   ]);
 
+  return {
+    period: { start, end },
+    summary: salesSummary[0] || {
+      totalSales: 0,
+      totalRevenue: 0,
+      totalDiscount: 0,
+      totalTax: 0,
+      averageSale: 0,
+      uniqueCustomers: 0,
+    },
+    paymentMethods: salesByPayment,
+    topProducts,
+    trend: salesTrend,
+    hourlyDistribution,
+    ...(includeDetails && {
+      rawData: await Sale.find(saleMatch).limit(1000),
+    }),
+  };
+};
+
+// @desc    Get sales report
+// @route   GET /api/reports/sales
+// @access  Private (Owner/Manager)
+const getSalesReport = asyncHandler(async (req, res, next) => {
+  if (req.query.format) {
+    return exportService.respond(req, res, "sales", req.query);
+  }
+
+  const data = await buildSalesReport(req.query);
+
   // Log report generation
   await ActivityLog.log({
     user: req.user._id,
@@ -152,9 +167,10 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
       name: "Sales Report",
     },
     details: {
-      startDate: start,
-      endDate: end,
-      groupBy,
+      startDate: data.period.start,
+      endDate: data.period.end,
+      groupBy: req.query.groupBy || "day",
+      location: req.query.location,
     },
     metadata: {
       ip: req.ip,
@@ -164,35 +180,22 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
 
   res.json({
     success: true,
-    data: {
-      period: { start, end },
-      summary: salesSummary[0] || {
-        totalSales: 0,
-        totalRevenue: 0,
-        totalDiscount: 0,
-        totalTax: 0,
-        averageSale: 0,
-        uniqueCustomers: 0,
-      },
-      paymentMethods: salesByPayment,
-      topProducts,
-      trend: salesTrend,
-      hourlyDistribution,
-      ...(includeDetails && {
-        rawData: await Sale.find({
-          createdAt: { $gte: start, $lte: end },
-          status: { $in: ["completed", "partial_refund"] },
-        }).limit(1000),
-      }),
-    },
+    data,
   });
 });
 
-// @desc    Get inventory report
-// @route   GET /api/reports/inventory
-// @access  Private (Owner/Manager)
-const getInventoryReport = asyncHandler(async (req, res, next) => {
-  const { category, includeInactive = false } = req.query;
+// Build the inventory report for a set of filters
+const buildInventoryReport = async (filters) => {
+  const {
+    category,
+    includeInactive = false,
+    startDate = new Date(new Date().setDate(new Date().getDate() - 30)),
+    endDate = new Date(),
+    location,
+  } = filters;
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
 
   // Build query
   const query = {};
@@ -200,11 +203,37 @@ const getInventoryReport = asyncHandler(async (req, res, next) => {
     query["status.isActive"] = true;
   }
   if (category) {
-    query.category = category;
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new AppError("Invalid category ID", 400);
+    }
+    // Cast for aggregation pipelines, which don't cast like find()
+    query.category = new mongoose.Types.ObjectId(category);
+  }
+
+  // Get inventory summary using the configured valuation method
+  const settings = await Settings.getSettings();
+  const valuationMethod =
+    filters.valuationMethod || settings.inventory.valuationMethod;
+
+  if (!["fifo", "weighted_average"].includes(valuationMethod)) {
+    throw new AppError("Invalid valuation method", 400);
   }
 
-  // Get inventory summary
-  const inventoryValue = await Product.calculateInventoryValue();
+  // Stock figures for a single branch when a location is requested
+  const defaultLocation = settings.getDefaultLocation();
+  const stock = location
+    ? Product.getLocationStockExpression(location, defaultLocation)
+    : "$inventory.currentStock";
+  const minStock = location
+    ? Product.getLocationMinStockExpression(location)
+    : "$inventory.minStock";
+
+  const inventoryValue = await Product.calculateInventoryValue(
+    valuationMethod,
+    query,
+    location,
+    defaultLocation
+  );
 
   // Get stock status distribution
   const stockStatus = await Product.aggregate([
@@ -213,14 +242,10 @@ const getInventoryReport = asyncHandler(async (req, res, next) => {
       $project: {
         status: {
           $cond: [
-            { $eq: ["$inventory.currentStock", 0] },
+            { $lte: [stock, 0] },
             "out_of_stock",
             {
-              $cond: [
-                { $lte: ["$inventory.currentStock", "$inventory.minStock"] },
-                "low_stock",
-                "in_stock",
-              ],
+              $cond: [{ $lte: [stock, minStock] }, "low_stock", "in_stock"],
             },
           ],
         },
@@ -241,9 +266,13 @@ const getInventoryReport = asyncHandler(async (req, res, next) => {
       $group: {
         _id: "$category",
         count: { $sum: 1 },
-        totalStock: { $sum: "$inventory.currentStock" },
+        totalStock: { $sum: stock },
         stockValue: {
-          $sum: { $multiply: ["$inventory.currentStock", "$pricing.cost"] },
+          $sum: Product.getStockValueExpression(
+            valuationMethod,
+            location,
+            defaultLocation
+          ),
         },
       },
     },
@@ -278,60 +307,127 @@ const getInventoryReport = asyncHandler(async (req, res, next) => {
 
   const slowMoving = await Product.find({
     ...query,
-    "inventory.currentStock": { $gt: 0 },
+    $expr: { $gt: [stock, 0] },
     $or: [
       { "performance.lastSoldDate": { $lt: thirtyDaysAgo } },
       { "performance.lastSoldDate": null },
     ],
   })
     .select(
-      "name sku inventory.currentStock pricing.cost performance.lastSoldDate"
+      "name sku inventory.currentStock inventory.averageCost pricing.cost performance.lastSoldDate stockByLocation"
     )
     .sort("-inventory.currentStock")
     .limit(20);
 
+  // Get cost of goods sold and gross profit per product from sale snapshots
+  const profitability = await Sale.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: start, $lte: end },
+        status: { $in: ["completed", "partial_refund"] },
+        ...(location && { "metadata.location": location }),
+      },
+    },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.product",
+        productName: { $first: "$items.productName" },
+        quantitySold: { $sum: "$items.quantity" },
+        netSales: {
+          $sum: {
+            $subtract: [
+              "$items.subtotal",
+              { $ifNull: ["$items.tax.amount", 0] },
+            ],
+          },
+        },
+        cogs: {
+          $sum: {
+            $multiply: [{ $ifNull: ["$items.unitCost", 0] }, "$items.quantity"],
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        grossProfit: { $subtract: ["$netSales", "$cogs"] },
+      },
+    },
+    { $sort: { grossProfit: -1 } },
+  ]);
+
+  const profitabilityTotals = profitability.reduce(
+    (totals, product) => ({
+      netSales: totals.netSales + product.netSales,
+      cogs: totals.cogs + product.cogs,
+      grossProfit: totals.grossProfit + product.grossProfit,
+    }),
+    { netSales: 0, cogs: 0, grossProfit: 0 }
+  );
+
   // Get products needing reorder
   const needsReorder = await Product.find({
     ...query,
     $expr: {
-      $lte: ["$inventory.currentStock", "$inventory.minStock"],
+      $lte: [stock, minStock],
     },
   })
     .select(
-      "name sku inventory.currentStock inventory.minStock inventory.reorderQuantity"
+      "name sku inventory.currentStock inventory.minStock inventory.reorderQuantity stockByLocation"
     )
     .populate("category", "name");
 
+  return {
+    summary: {
+      ...inventoryValue,
+      stockStatusDistribution: stockStatus,
+    },
+    byCategory: productsByCategory,
+    alerts: {
+      needsReorder: needsReorder.length,
+      slowMoving: slowMoving.length,
+      outOfStock: stockStatus.find((s) => s._id === "out_of_stock")?.count || 0,
+      lowStock: stockStatus.find((s) => s._id === "low_stock")?.count || 0,
+    },
+    profitability: {
+      period: { start, end },
+      ...profitabilityTotals,
+      grossMargin:
+        profitabilityTotals.netSales > 0
+          ? (
+              (profitabilityTotals.grossProfit / profitabilityTotals.netSales) *
+              100
+            ).toFixed(2)
+          : 0,
+      topProducts: profitability.slice(0, 20),
+    },
+    slowMovingProducts: slowMoving,
+    reorderList: needsReorder,
+  };
+};
+
+// @desc    Get inventory report
+// @route   GET /api/reports/inventory
+// @access  Private (Owner/Manager)
+const getInventoryReport = asyncHandler(async (req, res, next) => {
+  if (req.query.format) {
+    return exportService.respond(req, res, "inventory", req.query);
+  }
+
   res.json({
     success: true,
-    data: {
-      summary: {
-        ...inventoryValue,
-        stockStatusDistribution: stockStatus,
-      },
-      byCategory: productsByCategory,
-      alerts: {
-        needsReorder: needsReorder.length,
-        slowMoving: slowMoving.length,
-        outOfStock:
-          stockStatus.find((s) => s._id === "out_of_stock")?.count || 0,
-        lowStock: stockStatus.find((s) => s._id === "low_stock")?.count || 0,
-      },
-      slowMovingProducts: slowMoving,
-      reorderList: needsReorder,
-    },
+    data: await buildInventoryReport(req.query),
   });
 });
 
-// @desc    Get staff performance report
-// @route   GET /api/reports/staff-performance
-// @access  Private (Owner/Manager)
-const getStaffPerformance = asyncHandler(async (req, res, next) => {
+// Build the staff performance report for a set of filters
+const buildStaffPerformance = async (filters) => {
   const {
     startDate = new Date(new Date().setMonth(new Date().getMonth() - 1)),
     endDate = new Date(),
     userId,
-  } = req.query;
+  } = filters;
 
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -477,25 +573,34 @@ const getStaffPerformance = asyncHandler(async (req, res, next) => {
     },
   ]);
 
+  return {
+    period: { start, end },
+    salesPerformance,
+    orderPerformance,
+    activitySummary,
+  };
+};
+
+// @desc    Get staff performance report
+// @route   GET /api/reports/staff-performance
+// @access  Private (Owner/Manager)
+const getStaffPerformance = asyncHandler(async (req, res, next) => {
+  if (req.query.format) {
+    return exportService.respond(req, res, "staff-performance", req.query);
+  }
+
   res.json({
     success: true,
-    data: {
-      period: { start, end },
-      salesPerformance,
-      orderPerformance,
-      activitySummary,
-    },
+    data: await buildStaffPerformance(req.query),
   });
 });
 
-// @desc    Get customer analytics report
-// @route   GET /api/reports/customer-analytics
-// @access  Private (Owner/Manager)
-const getCustomerAnalytics = asyncHandler(async (req, res, next) => {
+// Build the customer analytics report for a set of filters
+const buildCustomerAnalytics = async (filters) => {
   const {
     startDate = new Date(new Date().setMonth(new Date().getMonth() - 3)),
     endDate = new Date(),
-  } = req.query;
+  } = filters;
 
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -597,28 +702,38 @@ const getCustomerAnalytics = asyncHandler(async (req, res, next) => {
     .sort("-statistics.totalSpent")
     .limit(10);
 
+  return {
+    period: { start, end },
+    acquisition: acquisitionTrend,
+    segments,
+    lifetimeValue: ltv,
+    retention,
+    topCustomers,
+  };
+};
+
+// @desc    Get customer analytics report
+// @route   GET /api/reports/customer-analytics
+// @access  Private (Owner/Manager)
+const getCustomerAnalytics = asyncHandler(async (req, res, next) => {
+  if (req.query.format) {
+    return exportService.respond(req, res, "customer-analytics", req.query);
+  }
+
   res.json({
     success: true,
-    data: {
-      period: { start, end },
-      acquisition: acquisitionTrend,
-      segments,
-      lifetimeValue: ltv,
-      retention,
-      topCustomers,
-    },
+    data: await buildCustomerAnalytics(req.query),
   });
 });
 
-// @desc    Get financial summary report
-// @route   GET /api/reports/financial-summary
-// @access  Private (Owner only)
-const getFinancialSummary = asyncHandler(async (req, res, next) => {
+// Build the financial summary for a set of filters
+const buildFinancialSummary = async (filters) => {
   const {
     startDate = new Date(new Date().getFullYear(), new Date().getMonth(), 1),
     endDate = new Date(),
     compareWith = "lastMonth",
-  } = req.query;
+    location,
+  } = filters;
 
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -638,22 +753,39 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
     compareEnd.setFullYear(compareEnd.getFullYear() - 1);
   }
 
+  // Net sales exclude tax; cost of goods sold comes from the unit cost
+  // captured on each sale, less the cost of anything refunded back to stock
+  const salesTotalsGroup = {
+    _id: null,
+    revenue: { $sum: "$totals.total" },
+    orders: { $sum: 1 },
+    tax: { $sum: "$totals.tax" },
+    discount: { $sum: "$totals.discount" },
+    netSales: {
+      $sum: { $subtract: ["$totals.subtotal", "$totals.discount"] },
+    },
+    refunds: { $sum: { $ifNull: ["$refundInfo.totalRefunded", 0] } },
+    cogs: {
+      $sum: {
+        $subtract: [
+          { $ifNull: ["$totals.cost", 0] },
+          { $ifNull: ["$refundInfo.totalCost", 0] },
+        ],
+      },
+    },
+  };
+
   // Get current period data
   const currentPeriod = await Sale.aggregate([
     {
       $match: {
         createdAt: { $gte: start, $lte: end },
         status: { $in: ["completed", "partial_refund"] },
+        ...(location && { "metadata.location": location }),
       },
     },
     {
-      $group: {
-        _id: null,
-        revenue: { $sum: "$totals.total" },
-        orders: { $sum: 1 },
-        tax: { $sum: "$totals.tax" },
-        discount: { $sum: "$totals.discount" },
-      },
+      $group: salesTotalsGroup,
     },
   ]);
 
@@ -664,23 +796,36 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
           $match: {
             createdAt: { $gte: compareStart, $lte: compareEnd },
             status: { $in: ["completed", "partial_refund"] },
+            ...(location && { "metadata.location": location }),
           },
         },
         {
-          $group: {
-            _id: null,
-            revenue: { $sum: "$totals.total" },
-            orders: { $sum: 1 },
-            tax: { $sum: "$totals.tax" },
-            discount: { $sum: "$totals.discount" },
-          },
+          $group: salesTotalsGroup,
         },
       ])
     : [];
 
+  // Get stock received from suppliers during the period
+  const purchases = await PurchaseOrder.aggregate([
+    { $match: location ? { location } : {} },
+    { $unwind: "$receipts" },
+    { $match: { "receipts.receivedAt": { $gte: start, $lte: end } } },
+    { $unwind: "$receipts.items" },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $multiply: ["$receipts.items.quantity", "$receipts.items.unitCost"],
+          },
+        },
+      },
+    },
+  ]);
+
   // Get expense categories (simplified - in production, this would come from expense tracking)
   const expenses = {
-    purchases: 0, // Would calculate from purchase orders
+    purchases: purchases[0]?.total || 0,
     salaries: 0, // Would come from payroll
     rent: 0, // Fixed costs
     utilities: 0,
@@ -688,18 +833,26 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
   };
 
   // Calculate metrics
-  const current = currentPeriod[0] || {
-    revenue: 0,
-    orders: 0,
-    tax: 0,
-    discount: 0,
-  };
-  const previous = comparisonPeriod[0] || {
+  const emptyPeriod = {
     revenue: 0,
     orders: 0,
     tax: 0,
     discount: 0,
+    netSales: 0,
+    refunds: 0,
+    cogs: 0,
   };
+  const current = currentPeriod[0] || emptyPeriod;
+  const previous = comparisonPeriod[0] || emptyPeriod;
+
+  const currentGrossProfit = current.netSales - current.refunds - current.cogs;
+  const previousGrossProfit =
+    previous.netSales - previous.refunds - previous.cogs;
+
+  // Purchases are already reflected in cost of goods sold
+  const operatingExpenses = Object.entries(expenses)
+    .filter(([key]) => key !== "purchases")
+    .reduce((sum, [, amount]) => sum + amount, 0);
 
   const metrics = {
     revenue: {
@@ -728,61 +881,667 @@ const getFinancialSummary = asyncHandler(async (req, res, next) => {
       current: current.orders > 0 ? current.revenue / current.orders : 0,
       previous: previous.orders > 0 ? previous.revenue / previous.orders : 0,
     },
+    costOfGoodsSold: {
+      current: current.cogs,
+      previous: previous.cogs,
+    },
+    grossProfit: {
+      current: currentGrossProfit,
+      previous: previousGrossProfit,
+      margin:
+        current.netSales - current.refunds > 0
+          ? (
+              (currentGrossProfit / (current.netSales - current.refunds)) *
+              100
+            ).toFixed(2)
+          : 0,
+      change:
+        previousGrossProfit !== 0
+          ? (
+              ((currentGrossProfit - previousGrossProfit) /
+                Math.abs(previousGrossProfit)) *
+              100
+            ).toFixed(2)
+          : 0,
+    },
     profit: {
-      current:
-        current.revenue - Object.values(expenses).reduce((a, b) => a + b, 0),
+      current: currentGrossProfit - operatingExpenses,
       margin:
-        current.revenue > 0
+        current.netSales - current.refunds > 0
           ? (
-              ((current.revenue -
-                Object.values(expenses).reduce((a, b) => a + b, 0)) /
-                current.revenue) *
+              ((currentGrossProfit - operatingExpenses) /
+                (current.netSales - current.refunds)) *
               100
             ).toFixed(2)
           : 0,
     },
   };
 
+  return {
+    period: { start, end },
+    comparisonPeriod: compareStart
+      ? { start: compareStart, end: compareEnd }
+      : null,
+    metrics,
+    expenses,
+    tax: {
+      collected: current.tax,
+      rate: 16,
+    },
+    discounts: {
+      total: current.discount,
+      average: current.orders > 0 ? current.discount / current.orders : 0,
+    },
+    refunds: {
+      total: current.refunds,
+    },
+  };
+};
+
+// @desc    Get financial summary report
+// @route   GET /api/reports/financial-summary
+// @access  Private (Owner only)
+const getFinancialSummary = asyncHandler(async (req, res, next) => {
+  if (req.query.format) {
+    return exportService.respond(req, res, "financial-summary", req.query);
+  }
+
   res.json({
     success: true,
-    data: {
-      period: { start, end },
-      comparisonPeriod: compareStart
-        ? { start: compareStart, end: compareEnd }
-        : null,
-      metrics,
-      expenses,
-      tax: {
-        collected: current.tax,
-        rate: 16,
-      },
-      discounts: {
-        total: current.discount,
-        average: current.orders > 0 ? current.discount / current.orders : 0,
-      },
+    data: await buildFinancialSummary(req.query),
+  });
+});
+
+// @desc    Get accounts receivable aging report
+// @route   GET /api/reports/receivables
+// @access  Private (Owner/Manager)
+const getReceivablesReport = asyncHandler(async (req, res, next) => {
+  if (req.query.format) {
+    return exportService.respond(req, res, "receivables", req.query);
+  }
+
+  res.json({
+    success: true,
+    data: await receivablesService.getAgingReport(req.query),
+  });
+});
+
+// @desc    Send payment reminders to overdue customers now
+// @route   POST /api/reports/receivables/reminders
+// @access  Private (Owner/Manager)
+const sendPaymentReminders = asyncHandler(async (req, res, next) => {
+  const result = await receivablesService.sendPaymentReminders();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "customer.payment_reminders_sent",
+    entity: {
+      type: "report",
+      name: "Payment Reminders",
     },
+    details: {
+      notes: `${result.reminded} reminded, ${result.failed} failed, ${result.skipped} skipped`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Payment reminders processed",
+    data: result,
   });
 });
 
-// @desc    Export report to Excel
-// @route   POST /api/reports/export/excel
+// Describe the period and branch a report covers
+const describeFilters = (period, filters) =>
+  [
+    `${period.start.toISOString().split("T")[0]} to ${
+      period.end.toISOString().split("T")[0]
+    }`,
+    filters.location && `Location: ${filters.location}`,
+  ]
+    .filter(Boolean)
+    .join(" | ");
+
+const metricColumns = [
+  { header: "Metric", key: "metric", width: 30 },
+  { header: "Value", key: "value", width: 18 },
+];
+
+// File layouts for each exportable report
+exportService.register("sales", {
+  title: "Sales Report",
+  build: buildSalesReport,
+  subtitle: (data, filters) => describeFilters(data.period, filters),
+  sheets: (data) => [
+    {
+      name: "Summary",
+      columns: metricColumns,
+      rows: [
+        { metric: "Total Sales", value: data.summary.totalSales },
+        { metric: "Total Revenue", value: data.summary.totalRevenue },
+        { metric: "Total Discount", value: data.summary.totalDiscount },
+        { metric: "Total Tax", value: data.summary.totalTax },
+        { metric: "Average Sale", value: data.summary.averageSale },
+        { metric: "Unique Customers", value: data.summary.uniqueCustomers },
+      ],
+    },
+    {
+      name: "Payment Methods",
+      columns: [
+        { header: "Method", key: "_id", width: 20 },
+        { header: "Sales", key: "count", width: 12, type: "number" },
+        { header: "Total", key: "total", width: 18, type: "currency" },
+      ],
+      rows: data.paymentMethods,
+    },
+    {
+      name: "Top Products",
+      columns: [
+        { header: "Product", key: "productName", width: 35 },
+        { header: "Quantity Sold", key: "quantitySold", type: "number" },
+        { header: "Revenue", key: "revenue", width: 18, type: "currency" },
+      ],
+      rows: data.topProducts,
+    },
+    {
+      name: "Trend",
+      columns: [
+        { header: "Period", key: "_id", width: 15 },
+        { header: "Sales", key: "sales", width: 12, type: "number" },
+        { header: "Revenue", key: "revenue", width: 18, type: "currency" },
+      ],
+      rows: data.trend,
+    },
+    {
+      name: "Hourly Distribution",
+      columns: [
+        { header: "Hour", key: "_id", width: 10 },
+        { header: "Sales", key: "count", width: 12, type: "number" },
+        { header: "Revenue", key: "revenue", width: 18, type: "currency" },
+      ],
+      rows: data.hourlyDistribution,
+    },
+  ],
+});
+
+exportService.register("inventory", {
+  title: "Inventory Report",
+  build: buildInventoryReport,
+  subtitle: (data, filters) =>
+    describeFilters(data.profitability.period, filters),
+  sheets: (data) => [
+    {
+      name: "Summary",
+      columns: metricColumns,
+      rows: [
+        { metric: "Valuation Method", value: data.summary.method },
+        { metric: "Total Items", value: data.summary.totalItems },
+        { metric: "Stock Value", value: data.summary.totalValue },
+        { metric: "Retail Value", value: data.summary.totalRetailValue },
+        { metric: "Out of Stock", value: data.alerts.outOfStock },
+        { metric: "Low Stock", value: data.alerts.lowStock },
+        { metric: "Needs Reorder", value: data.alerts.needsReorder },
+        { metric: "Slow Moving", value: data.alerts.slowMoving },
+        { metric: "Net Sales", value: data.profitability.netSales },
+        { metric: "Cost of Goods Sold", value: data.profitability.cogs },
+        { metric: "Gross Profit", value: data.profitability.grossProfit },
+        {
+          metric: "Gross Margin (%)",
+          value: Number(data.profitability.grossMargin),
+        },
+      ],
+    },
+    {
+      name: "By Category",
+      columns: [
+        { header: "Category", key: "categoryName", width: 30 },
+        { header: "Products", key: "count", width: 12, type: "number" },
+        { header: "Stock", key: "totalStock", width: 12, type: "number" },
+        { header: "Value", key: "stockValue", width: 18, type: "currency" },
+      ],
+      rows: data.byCategory,
+    },
+    {
+      name: "Profitability",
+      columns: [
+        { header: "Product", key: "productName", width: 35 },
+        { header: "Quantity Sold", key: "quantitySold", type: "number" },
+        { header: "Net Sales", key: "netSales", width: 18, type: "currency" },
+        { header: "COGS", key: "cogs", width: 18, type: "currency" },
+        {
+          header: "Gross Profit",
+          key: "grossProfit",
+          width: 18,
+          type: "currency",
+        },
+      ],
+      rows: data.profitability.topProducts,
+    },
+    {
+      name: "Slow Moving",
+      columns: [
+        { header: "Product", key: "name", width: 35 },
+        { header: "SKU", key: "sku", width: 15 },
+        { header: "Stock", key: "inventory.currentStock", type: "number" },
+        {
+          header: "Last Sold",
+          key: "performance.lastSoldDate",
+          width: 18,
+          type: "date",
+        },
+      ],
+      rows: data.slowMovingProducts,
+    },
+    {
+      name: "Reorder List",
+      columns: [
+        { header: "Product", key: "name", width: 35 },
+        { header: "SKU", key: "sku", width: 15 },
+        { header: "Category", key: "category.name", width: 20 },
+        { header: "Stock", key: "inventory.currentStock", type: "number" },
+        { header: "Min Stock", key: "inventory.minStock", type: "number" },
+        {
+          header: "Reorder Qty",
+          key: "inventory.reorderQuantity",
+          type: "number",
+        },
+      ],
+      rows: data.reorderList,
+    },
+  ],
+});
+
+exportService.register("staff-performance", {
+  title: "Staff Performance Report",
+  roles: ["owner", "manager"],
+  build: buildStaffPerformance,
+  subtitle: (data, filters) => describeFilters(data.period, filters),
+  sheets: (data) => [
+    {
+      name: "Sales",
+      columns: [
+        { header: "Staff", key: "userName", width: 25 },
+        { header: "Role", key: "userRole", width: 12 },
+        { header: "Sales", key: "totalSales", width: 12, type: "number" },
+        {
+          header: "Revenue",
+          key: "totalRevenue",
+          width: 18,
+          type: "currency",
+        },
+        {
+          header: "Average Sale",
+          key: "averageSale",
+          width: 18,
+          type: "currency",
+        },
+        { header: "Voided", key: "voidedSales", width: 12, type: "number" },
+      ],
+      rows: data.salesPerformance,
+    },
+    {
+      name: "Orders",
+      columns: [
+        { header: "Staff", key: "userName", width: 25 },
+        { header: "Orders", key: "totalOrders", width: 12, type: "number" },
+        {
+          header: "Delivered",
+          key: "deliveredOrders",
+          width: 12,
+          type: "number",
+        },
+        {
+          header: "Cancelled",
+          key: "cancelledOrders",
+          width: 12,
+          type: "number",
+        },
+        {
+          header: "Delivery Rate (%)",
+          key: "deliveryRate",
+          type: "percent",
+        },
+        {
+          header: "Avg Delivery (hrs)",
+          key: "averageDeliveryTime",
+          type: "decimal",
+          value: (row) =>
+            row.averageDeliveryTime
+              ? row.averageDeliveryTime / (60 * 60 * 1000)
+              : null,
+        },
+      ],
+      rows: data.orderPerformance,
+    },
+    {
+      name: "Activity",
+      columns: [
+        { header: "Staff", key: "userName", width: 25 },
+        { header: "Actions", key: "totalActions", type: "number" },
+        { header: "Unique Actions", key: "uniqueActions", type: "number" },
+        { header: "Last Active", key: "lastActive", width: 18, type: "date" },
+      ],
+      rows: data.activitySummary,
+    },
+  ],
+});
+
+exportService.register("customer-analytics", {
+  title: "Customer Analytics Report",
+  build: buildCustomerAnalytics,
+  subtitle: (data, filters) => describeFilters(data.period, filters),
+  sheets: (data) => [
+    {
+      name: "Acquisition",
+      columns: [
+        { header: "Month", key: "_id", width: 15 },
+        {
+          header: "New Customers",
+          key: "newCustomers",
+          width: 15,
+          type: "number",
+        },
+      ],
+      rows: data.acquisition,
+    },
+    {
+      name: "Segments",
+      columns: [
+        { header: "Tier", key: "_id", width: 15 },
+        { header: "Customers", key: "count", width: 12, type: "number" },
+        {
+          header: "Revenue",
+          key: "totalRevenue",
+          width: 18,
+          type: "currency",
+        },
+        {
+          header: "Avg Order Value",
+          key: "avgOrderValue",
+          width: 18,
+          type: "currency",
+        },
+      ],
+      rows: data.segments,
+    },
+    {
+      name: "Lifetime Value",
+      columns: [
+        { header: "Spent From", key: "_id", width: 15 },
+        { header: "Customers", key: "count", width: 12, type: "number" },
+        {
+          header: "Avg Order Value",
+          key: "avgOrderValue",
+          width: 18,
+          type: "currency",
+        },
+        { header: "Avg Orders", key: "avgOrders", type: "decimal" },
+      ],
+      rows: data.lifetimeValue,
+    },
+    {
+      name: "Retention",
+      columns: metricColumns,
+      rows: [
+        { metric: "Customers", value: data.retention.totalCustomers },
+        { metric: "Active", value: data.retention.activeCustomers },
+        { metric: "Churned", value: data.retention.churnedCustomers },
+        {
+          metric: "Retention Rate (%)",
+          value: Number(data.retention.retentionRate),
+        },
+      ],
+    },
+    {
+      name: "Top Customers",
+      columns: [
+        { header: "Customer", key: "name", width: 30 },
+        { header: "Phone", key: "phone", width: 15 },
+        { header: "Tier", key: "loyalty.tier", width: 12 },
+        {
+          header: "Orders",
+          key: "statistics.totalOrders",
+          width: 12,
+          type: "number",
+        },
+        {
+          header: "Total Spent",
+          key: "statistics.totalSpent",
+          width: 18,
+          type: "currency",
+        },
+      ],
+      rows: data.topCustomers,
+    },
+  ],
+});
+
+exportService.register("financial-summary", {
+  title: "Financial Summary",
+  roles: ["owner"],
+  build: buildFinancialSummary,
+  subtitle: (data, filters) => describeFilters(data.period, filters),
+  sheets: (data) => [
+    {
+      name: "Metrics",
+      columns: [
+        { header: "Metric", key: "metric", width: 30 },
+        { header: "Current", key: "current", width: 18 },
+        { header: "Previous", key: "previous", width: 18 },
+        { header: "Change (%)", key: "change", width: 15, type: "percent" },
+      ],
+      rows: [
+        { metric: "Revenue", ...data.metrics.revenue },
+        { metric: "Orders", ...data.metrics.orders },
+        {
+          metric: "Average Order Value",
+          ...data.metrics.averageOrderValue,
+        },
+        { metric: "Cost of Goods Sold", ...data.metrics.costOfGoodsSold },
+        { metric: "Gross Profit", ...data.metrics.grossProfit },
+        { metric: "Net Profit", current: data.metrics.profit.current },
+      ].map((row) => ({
+        ...row,
+        change: row.change === undefined ? null : Number(row.change),
+      })),
+    },
+    {
+      name: "Expenses",
+      columns: [
+        { header: "Category", key: "category", width: 30 },
+        { header: "Amount", key: "amount", width: 18, type: "currency" },
+      ],
+      rows: Object.entries(data.expenses).map(([category, amount]) => ({
+        category,
+        amount,
+      })),
+    },
+    {
+      name: "Tax, Discounts and Refunds",
+      columns: metricColumns,
+      rows: [
+        { metric: "Tax Collected", value: data.tax.collected },
+        { metric: "Discounts", value: data.discounts.total },
+        { metric: "Average Discount", value: data.discounts.average },
+        { metric: "Refunds", value: data.refunds.total },
+      ],
+    },
+  ],
+});
+
+const agingColumns = [
+  { header: "0-30 Days", key: "current", width: 14, type: "currency" },
+  { header: "31-60 Days", key: "days31To60", width: 14, type: "currency" },
+  { header: "61-90 Days", key: "days61To90", width: 14, type: "currency" },
+  { header: "90+ Days", key: "over90", width: 14, type: "currency" },
+  { header: "Total", key: "total", width: 14, type: "currency" },
+];
+
+exportService.register("receivables", {
+  title: "Accounts Receivable Aging",
+  roles: ["owner", "manager"],
+  build: (filters) => receivablesService.getAgingReport(filters),
+  subtitle: (data) => `As of ${data.asOf.toISOString().split("T")[0]}`,
+  sheets: (data) => [
+    {
+      name: "Summary",
+      columns: [
+        { header: "Source", key: "source", width: 20 },
+        ...agingColumns,
+      ],
+      rows: [
+        { source: "Sales", ...data.bySource.sale },
+        { source: "Orders", ...data.bySource.order },
+        { source: "Customer Credit", ...data.bySource.credit },
+        { source: "All", ...data.summary },
+      ],
+    },
+    {
+      name: "Customers",
+      columns: [
+        { header: "Customer", key: "name", width: 25 },
+        { header: "Phone", key: "phone", width: 15 },
+        ...agingColumns,
+        { header: "Overdue", key: "overdue", width: 14, type: "currency" },
+        { header: "Oldest (days)", key: "oldestDays", width: 14 },
+      ],
+      rows: data.customers,
+    },
+    {
+      name: "Open Items",
+      columns: [
+        { header: "Source", key: "source", width: 10 },
+        { header: "Reference", key: "reference", width: 20 },
+        { header: "Customer", key: "customerName", width: 25 },
+        { header: "Date", key: "date", width: 18, type: "date" },
+        { header: "Due Date", key: "dueDate", width: 18, type: "date" },
+        { header: "Age (days)", key: "age", width: 12 },
+        {
+          header: "Outstanding",
+          key: "outstanding",
+          width: 14,
+          type: "currency",
+        },
+      ],
+      rows: data.items,
+    },
+  ],
+});
+
+// @desc    Export report as an XLSX, CSV or PDF file
+// @route   POST /api/reports/export
 // @access  Private (Owner/Manager)
-const exportToExcel = asyncHandler(async (req, res, next) => {
-  const { reportType, filters } = req.body;
+const exportReport = asyncHandler(async (req, res, next) => {
+  const { reportType, format = "xlsx", filters = {}, background } = req.body;
+
+  if (!exportService.getReport(reportType)) {
+    return next(new AppError(`Unknown report type ${reportType}`, 400));
+  }
+
+  await exportService.respond(req, res, reportType, {
+    ...filters,
+    format,
+    background,
+  });
+});
+
+// @desc    Get export jobs of the current user
+// @route   GET /api/reports/exports
+// @access  Private
+const getExportJobs = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = {
+    ...(req.user.role !== "owner" && { requestedBy: req.user._id }),
+    ...(status && { status }),
+  };
+
+  const jobs = await ExportJob.find(query)
+    .select("-file.fileId")
+    .populate("requestedBy", "name")
+    .sort("-createdAt")
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ExportJob.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: jobs,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// Load an export job the current user is allowed to see
+const findExportJob = async (req) => {
+  const job = await ExportJob.findById(req.params.id);
+
+  if (
+    !job ||
+    (req.user.role !== "owner" &&
+      job.requestedBy.toString() !== req.user._id.toString())
+  ) {
+    throw new AppError("Export not found", 404);
+  }
+
+  return job;
+};
+
+// @desc    Get export job status
+// @route   GET /api/reports/exports/:id
+// @access  Private
+const getExportJob = asyncHandler(async (req, res, next) => {
+  const job = await findExportJob(req);
 
-  // For now, return a simple response
-  // In production, you would implement actual Excel export using exceljs
   res.json({
     success: true,
-    message: `${reportType} report export initiated`,
     data: {
-      reportType,
-      filters,
-      format: "excel",
+      ...job.toObject({ virtuals: true }),
+      file: job.file?.name
+        ? { name: job.file.name, size: job.file.size }
+        : undefined,
     },
   });
 });
 
+// @desc    Download the file of a completed export job
+// @route   GET /api/reports/exports/:id/download
+// @access  Private
+const downloadExport = asyncHandler(async (req, res, next) => {
+  const job = await findExportJob(req);
+
+  if (job.status !== "completed") {
+    return next(new AppError(`Export is ${job.status}`, 409));
+  }
+
+  if (!job.isDownloadable || !job.file?.fileId) {
+    return next(new AppError("Export has expired", 410));
+  }
+
+  res.set({
+    "Content-Type": job.file.mimeType,
+    "Content-Disposition": `attachment; filename="${job.file.name}"`,
+    "Content-Length": job.file.size,
+  });
+  job
+    .openFile()
+    .once("error", () => {
+      if (res.headersSent) return res.destroy();
+      next(new AppError("Export has expired", 410));
+    })
+    .pipe(res);
+});
+
 // @desc    Get dashboard summary
 // @route   GET /api/reports/dashboard
 // @access  Private
@@ -856,6 +1615,11 @@ module.exports = {
   getStaffPerformance,
   getCustomerAnalytics,
   getFinancialSummary,
-  exportToExcel,
+  getReceivablesReport,
+  sendPaymentReminders,
+  exportReport,
+  getExportJobs,
+  getExportJob,
+  downloadExport,
   getDashboardSummary,
 };
@@ -2,11 +2,14 @@
 const Sale = require("../models/Sale");
 const Product = require("../models/Product");
 const Customer = require("../models/Customer");
+const Settings = require("../models/Settings");
 const ActivityLog = require("../models/ActivityLog");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { activityLogger } = require("../middleware/logger");
 const mpesaService = require("../services/mpesaService");
+const receiptService = require("../services/receiptService");
 const MpesaTransaction = require("../models/MpesaTransaction");
+const { runInTransaction } = require("../utils/transaction");
 
 // @desc    Initiate M-Pesa STK Push
 // @route   POST /api/v1/sales/mpesa/initiate
@@ -277,96 +280,259 @@ const mpesaCallback = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Create a new sale
-// @route   POST /api/sales
-// @access  Private
-const createSale = asyncHandler(async (req, res, next) => {
-  const { items, customer, customerInfo, payment } = req.body;
+// Find items the selling branch cannot cover
+const findShortages = async (session, items, { location, defaultLocation }) => {
+  const shortages = [];
 
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session);
+    if (
+      !product ||
+      !product.inventory.trackInventory ||
+      product.inventory.allowBackorder
+    ) {
+      continue;
+    }
+
+    const available = product.getAvailableStock(location, defaultLocation);
+    if (available < item.quantity) {
+      shortages.push({
+        product: product._id,
+        productName: product.name,
+        requested: item.quantity,
+        available,
+      });
+    }
+  }
+
+  return shortages;
+};
+
+// Amount of a sale left on the customer's account: credit tenders, or
+// whatever was not paid up front
+const getCreditAmount = (sale) => {
+  const { method, details, totalPaid } = sale.payment;
+  const total = sale.totals.total;
+  const sumOf = (predicate) =>
+    details
+      .filter(predicate)
+      .reduce((sum, detail) => sum + (detail.amount || 0), 0);
+
+  let amount = total - totalPaid;
+  if (method === "credit") {
+    amount = total - sumOf((detail) => detail.method !== "credit");
+  } else if (method === "mixed") {
+    amount = Math.max(
+      amount,
+      sumOf((detail) => detail.method === "credit")
+    );
+  }
+
+  // Ignore rounding differences under one shilling
+  return amount >= 1 ? Math.round(amount * 100) / 100 : 0;
+};
+
+// Record a sale with its stock deduction, M-Pesa link and customer
+// statistics. Must be called inside a transaction.
+const recordSale = async (
+  session,
+  { items, customer, customerInfo, payment, metadata = {}, createdAt },
+  {
+    seller,
+    location,
+    defaultLocation,
+    valuationMethod,
+    taxEnabled,
+    loyalty,
+    creditTerms,
+  }
+) => {
   // Validate stock availability
+  const saleItems = [];
   for (const item of items) {
-    const product = await Product.findById(item.product);
+    const product = await Product.findById(item.product).session(session);
 
     if (!product) {
-      return next(new AppError(`Product ${item.product} not found`, 404));
+      throw new AppError(`Product ${item.product} not found`, 404);
     }
 
     if (!product.status.isActive) {
-      return next(
-        new AppError(`Product ${product.name} is not available`, 400)
-      );
+      throw new AppError(`Product ${product.name} is not available`, 400);
     }
 
+    const available = product.getAvailableStock(location, defaultLocation);
+
     if (
       product.inventory.trackInventory &&
-      product.inventory.currentStock < item.quantity &&
+      available < item.quantity &&
       !product.inventory.allowBackorder
     ) {
-      return next(
-        new AppError(
-          `Insufficient stock for ${product.name}. Available: ${product.inventory.currentStock}`,
-          400
-        )
+      throw new AppError(
+        `Insufficient stock for ${product.name}. Available: ${available}`,
+        400
       );
     }
 
-    // Add product name and current price to item
-    item.productName = product.name;
-    item.unitPrice = item.unitPrice || product.effectivePrice;
+    // Add product name, current price and cost to item
+    saleItems.push({
+      ...item,
+      productName: product.name,
+      unitPrice: item.unitPrice || product.effectivePrice,
+      unitCost: product.getIssueCost(item.quantity, valuationMethod),
+      tax: {
+        rate: taxEnabled ? product.pricing.tax : 0,
+      },
+    });
   }
 
-  // Add this check before creating the sale
+  // Verify M-Pesa transaction exists, is successful and unused
+  let mpesaTransaction = null;
   if (payment.method === "mpesa" && payment.details?.[0]?.transactionId) {
-    // Verify M-Pesa transaction exists and is successful
-    const mpesaTransaction = await MpesaTransaction.findOne({
+    mpesaTransaction = await MpesaTransaction.findOne({
       mpesaReceiptNumber: payment.details[0].transactionId,
       status: "success",
-    });
+    }).session(session);
 
     if (!mpesaTransaction) {
-      return next(new AppError("Invalid M-Pesa transaction", 400));
+      throw new AppError("Invalid M-Pesa transaction", 400);
     }
 
-    // Link sale to M-Pesa transaction
-    mpesaTransaction.sale = sale._id;
-    await mpesaTransaction.save();
+    if (mpesaTransaction.sale) {
+      throw new AppError("M-Pesa transaction already used", 400);
+    }
+  }
+
+  // Points redeemed as a tender are taken off the sale before tax
+  const redeemPoints = payment.redeemPoints || 0;
+  if (redeemPoints > 0) {
+    if (!loyalty?.enabled) {
+      throw new AppError("Loyalty program is not enabled", 400);
+    }
+    if (!customer) {
+      throw new AppError("A customer is required to redeem points", 400);
+    }
   }
 
   // Create sale
   const sale = new Sale({
-    items,
+    items: saleItems,
     customer,
     customerInfo,
     payment,
-    seller: req.user._id,
+    seller,
     metadata: {
       source: "pos",
-      device: req.get("user-agent"),
+      ...metadata,
+      location,
     },
+    ...(redeemPoints > 0 && {
+      loyalty: {
+        pointsRedeemed: redeemPoints,
+        redemptionValue: redeemPoints * loyalty.redemptionRate,
+      },
+    }),
+    ...(createdAt && { createdAt }),
   });
 
-  await sale.save();
+  await sale.save({ session });
+
+  if (redeemPoints > 0) {
+    if (sale.totals.loyaltyDiscount < sale.loyalty.redemptionValue) {
+      throw new AppError("Redeemed points exceed the sale amount", 400);
+    }
+
+    const customerDoc = await Customer.findById(customer).session(session);
+    if (!customerDoc) {
+      throw new AppError("Customer not found", 404);
+    }
+
+    await customerDoc.redeemLoyaltyPoints(redeemPoints, loyalty, {
+      reference: sale.receiptNumber,
+      sale: sale._id,
+      userId: seller,
+    });
+  }
+
+  // Charge whatever is not paid now to the customer's account
+  const creditAmount = getCreditAmount(sale);
+  if (creditAmount > 0) {
+    const customerDoc =
+      customer && (await Customer.findById(customer).session(session));
+    if (!customerDoc) {
+      throw new AppError("A customer is required for credit sales", 400);
+    }
+
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + (creditTerms?.defaultDays ?? 30));
+
+    await customerDoc.addCreditTransaction(
+      "credit",
+      creditAmount,
+      sale.receiptNumber,
+      seller,
+      { sale: sale._id, dueDate }
+    );
+
+    sale.payment.credit = { amount: creditAmount, dueDate };
+    sale.payment.totalPaid = Math.min(
+      sale.payment.totalPaid,
+      sale.totals.total - creditAmount
+    );
+    sale.payment.status =
+      creditAmount >= sale.totals.total ? "pending" : "partial";
+    await sale.save({ session });
+  }
 
   // Update product stock and sales data
   for (const item of sale.items) {
-    const product = await Product.findById(item.product);
+    const product = await Product.findById(item.product).session(session);
 
     if (product.inventory.trackInventory) {
       await product.updateStock(
         item.quantity,
         "sale",
         sale.receiptNumber,
-        req.user._id
+        seller,
+        null,
+        { location, defaultLocation }
       );
+
+      // Record which batches were picked (FEFO)
+      const movement =
+        product.stockMovements[product.stockMovements.length - 1];
+      item.lots = movement.lots;
     }
   }
 
+  if (sale.items.some((item) => item.lots.length > 0)) {
+    await sale.save({ session });
+  }
+
+  // Link sale to M-Pesa transaction
+  if (mpesaTransaction) {
+    mpesaTransaction.sale = sale._id;
+    await mpesaTransaction.save();
+  }
+
   // Update customer statistics if customer exists
   if (customer) {
-    const customerDoc = await Customer.findById(customer);
+    const customerDoc = await Customer.findById(customer).session(session);
     if (customerDoc) {
       await customerDoc.updateOrderStatistics(sale.totals.total);
 
+      sale.loyalty.pointsEarned = await customerDoc.earnLoyaltyPoints(
+        sale.totals.total,
+        loyalty,
+        {
+          reference: sale.receiptNumber,
+          sale: sale._id,
+          userId: seller,
+        }
+      );
+      if (sale.loyalty.pointsEarned > 0) {
+        await sale.save({ session });
+      }
+
       // Add to favorite products
       for (const item of sale.items) {
         const favoriteIndex = customerDoc.statistics.favoriteProducts.findIndex(
@@ -388,6 +554,112 @@ const createSale = asyncHandler(async (req, res, next) => {
     }
   }
 
+  return sale;
+};
+
+// Return points redeemed on a sale and take back points earned on it,
+// for the share of the sale being voided or refunded
+const reverseSaleLoyalty = async (sale, customer, share, userId, reason) => {
+  const { pointsRedeemed, pointsRestored, pointsEarned, pointsReversed } =
+    sale.loyalty;
+  const portion = (points, done) =>
+    share >= 1
+      ? points - done
+      : Math.min(points - done, Math.round(points * share));
+
+  const details = {
+    reason,
+    reference: sale.receiptNumber,
+    sale: sale._id,
+    userId,
+  };
+
+  const restore = portion(pointsRedeemed, pointsRestored);
+  if (restore > 0) {
+    await customer.addLoyaltyTransaction("reversed", restore, details);
+    sale.loyalty.pointsRestored += restore;
+  }
+
+  // Points the customer has already spent cannot be taken back
+  const reverse = Math.min(
+    portion(pointsEarned, pointsReversed),
+    customer.loyalty.points
+  );
+  if (reverse > 0) {
+    await customer.addLoyaltyTransaction("reversed", -reverse, details);
+    sale.loyalty.pointsReversed += reverse;
+  }
+
+  if (restore > 0 || reverse > 0) {
+    await sale.save();
+  }
+};
+
+// Take the unpaid part of a voided or refunded credit sale off the
+// customer's account
+const reverseSaleCredit = async (sale, customer, amount, userId, reason) => {
+  const outstanding = sale.payment.credit.amount - sale.payment.credit.paid;
+  const credit = Math.round(Math.min(amount, outstanding) * 100) / 100;
+  if (credit <= 0) return;
+
+  await customer.addCreditTransaction(
+    "adjustment",
+    -credit,
+    sale.receiptNumber,
+    userId,
+    { sale: sale._id, notes: reason }
+  );
+  sale.payment.credit.paid += credit;
+  await sale.save();
+};
+
+// @desc    Create a new sale
+// @route   POST /api/sales
+// @access  Private
+const createSale = asyncHandler(async (req, res, next) => {
+  const { items, customer, customerInfo, payment } = req.body;
+  const settings = await Settings.getSettings();
+
+  // Sell from the requested branch, or the seller's own
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  const defaultLocation = settings.getDefaultLocation();
+
+  // Sale, stock, M-Pesa link and customer statistics commit together
+  let sale;
+  try {
+    sale = await runInTransaction((session) =>
+      recordSale(
+        session,
+        {
+          items,
+          customer,
+          customerInfo,
+          payment,
+          metadata: { device: req.get("user-agent") },
+        },
+        {
+          seller: req.user._id,
+          location,
+          defaultLocation,
+          valuationMethod: settings.inventory.valuationMethod,
+          taxEnabled: settings.sales.tax.enabled,
+          loyalty: settings.features.loyalty,
+          creditTerms: settings.sales.payment.creditTerms,
+        }
+      )
+    );
+  } catch (error) {
+    // Stock errors from the models are rejected requests, not crashes
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
   // Populate product details for response
   await sale.populate("items.product", "name sku category");
 
@@ -437,6 +709,7 @@ const getSales = asyncHandler(async (req, res, next) => {
     maxAmount,
     customer,
     receiptNumber,
+    location,
   } = req.query;
 
   // Build query
@@ -458,6 +731,7 @@ const getSales = asyncHandler(async (req, res, next) => {
   if (paymentMethod) query["payment.method"] = paymentMethod;
   if (status) query.status = status;
   if (customer) query.customer = customer;
+  if (location) query["metadata.location"] = location;
   if (receiptNumber) query.receiptNumber = new RegExp(receiptNumber, "i");
 
   // Amount range filter
@@ -530,14 +804,45 @@ const getSale = asyncHandler(async (req, res, next) => {
 // @access  Private (Owner/Operator with permission)
 const voidSale = asyncHandler(async (req, res, next) => {
   const { reason } = req.body;
-  const sale = await Sale.findById(req.params.id);
-
-  if (!sale) {
-    return next(new AppError("Sale not found", 404));
-  }
+  const settings = await Settings.getSettings();
 
   try {
-    await sale.void(req.user._id, reason);
+    // Restore stock in the same transaction as the status change
+    const sale = await runInTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
+
+      if (!sale) {
+        throw new AppError("Sale not found", 404);
+      }
+
+      await sale.void(req.user._id, reason, {
+        defaultLocation: settings.getDefaultLocation(),
+      });
+
+      // Undo the loyalty points and account charge of the sale
+      if (sale.customer) {
+        const customer = await Customer.findById(sale.customer).session(
+          session
+        );
+        if (customer) {
+          await reverseSaleLoyalty(
+            sale,
+            customer,
+            1,
+            req.user._id,
+            `Voided sale: ${reason}`
+          );
+          await reverseSaleCredit(
+            sale,
+            customer,
+            sale.totals.total,
+            req.user._id,
+            `Voided sale: ${reason}`
+          );
+        }
+      }
+      return sale;
+    });
 
     // Log activity
     await ActivityLog.log({
@@ -565,7 +870,9 @@ const voidSale = asyncHandler(async (req, res, next) => {
       data: sale,
     });
   } catch (error) {
-    return next(new AppError(error.message, 400));
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
   }
 });
 
@@ -574,26 +881,58 @@ const voidSale = asyncHandler(async (req, res, next) => {
 // @access  Private (Owner/Operator with permission)
 const refundSale = asyncHandler(async (req, res, next) => {
   const { items, reason } = req.body;
-  const sale = await Sale.findById(req.params.id);
-
-  if (!sale) {
-    return next(new AppError("Sale not found", 404));
-  }
+  const settings = await Settings.getSettings();
 
   try {
-    await sale.refund(req.user._id, items, reason);
-
-    // Update customer statistics if applicable
-    if (sale.customer) {
-      const customer = await Customer.findById(sale.customer);
-      if (customer) {
-        const refundAmount = sale.refundInfo.totalRefunded;
-        customer.statistics.totalSpent -= refundAmount;
-        customer.statistics.averageOrderValue =
-          customer.statistics.totalSpent / customer.statistics.totalOrders;
-        await customer.save();
+    // Restore stock and customer statistics in one transaction
+    let refundAmount;
+    const sale = await runInTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
+
+      if (!sale) {
+        throw new AppError("Sale not found", 404);
       }
-    }
+
+      // Refund totals add up across refunds; this one is the difference
+      const refundedBefore = sale.refundInfo.totalRefunded || 0;
+      await sale.refund(req.user._id, items, reason, {
+        defaultLocation: settings.getDefaultLocation(),
+      });
+      refundAmount = sale.refundInfo.totalRefunded - refundedBefore;
+
+      // Update customer statistics if applicable
+      if (sale.customer) {
+        const customer = await Customer.findById(sale.customer).session(
+          session
+        );
+        if (customer) {
+          customer.statistics.totalSpent -= refundAmount;
+          customer.statistics.averageOrderValue =
+            customer.statistics.totalSpent / customer.statistics.totalOrders;
+          await customer.save();
+
+          // Undo loyalty points in proportion to the amount refunded
+          await reverseSaleLoyalty(
+            sale,
+            customer,
+            sale.status === "refunded" ? 1 : refundAmount / sale.totals.total,
+            req.user._id,
+            `Refund: ${reason}`
+          );
+
+          // Refunds on a credit sale reduce what the customer owes first
+          await reverseSaleCredit(
+            sale,
+            customer,
+            refundAmount,
+            req.user._id,
+            `Refund: ${reason}`
+          );
+        }
+      }
+
+      return sale;
+    });
 
     // Log activity
     await ActivityLog.log({
@@ -607,7 +946,7 @@ const refundSale = asyncHandler(async (req, res, next) => {
       severity: "warning",
       details: {
         reason,
-        refundAmount: sale.refundInfo.totalRefunded,
+        refundAmount,
         items: items.length,
       },
       metadata: {
@@ -622,7 +961,9 @@ const refundSale = asyncHandler(async (req, res, next) => {
       data: sale,
     });
   } catch (error) {
-    return next(new AppError(error.message, 400));
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
   }
 });
 
@@ -630,9 +971,9 @@ const refundSale = asyncHandler(async (req, res, next) => {
 // @route   GET /api/sales/daily-summary
 // @access  Private
 const getDailySummary = asyncHandler(async (req, res, next) => {
-  const { date = new Date() } = req.query;
+  const { date = new Date(), location } = req.query;
 
-  const summary = await Sale.getDailySales(new Date(date));
+  const summary = await Sale.getDailySales(new Date(date), location);
 
   // Get sales by payment method
   const salesByPayment = await Sale.aggregate([
@@ -643,6 +984,7 @@ const getDailySummary = asyncHandler(async (req, res, next) => {
           $lte: new Date(new Date(date).setHours(23, 59, 59, 999)),
         },
         status: { $in: ["completed", "partial_refund"] },
+        ...(location && { "metadata.location": location }),
       },
     },
     {
@@ -678,6 +1020,7 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
     startDate = new Date(new Date().setDate(new Date().getDate() - 30)),
     endDate = new Date(),
     groupBy = "day", // day, week, month
+    location,
   } = req.query;
 
   const dateFormat = {
@@ -694,6 +1037,7 @@ const getSalesReport = asyncHandler(async (req, res, next) => {
           $lte: new Date(endDate),
         },
         status: { $in: ["completed", "partial_refund"] },
+        ...(location && { "metadata.location": location }),
       },
     },
     {
@@ -788,12 +1132,42 @@ const printReceipt = asyncHandler(async (req, res, next) => {
     },
   });
 
-  // In production, this would generate a PDF or format for thermal printer
+  const settings = await Settings.getSettings();
+  const receipt = receiptService.buildReceipt(sale, settings);
+
+  // Thermal rolls print ESC/POS, A4 prints a PDF, unless a format is asked for
+  const format =
+    req.query.format || (receipt.paperSize === "A4" ? "pdf" : "escpos");
+
+  if (format === "escpos") {
+    if (receipt.paperSize === "A4") {
+      return next(
+        new AppError("ESC/POS receipts need a 58mm or 80mm paper size", 400)
+      );
+    }
+
+    res.set({
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": `attachment; filename="${sale.receiptNumber}.bin"`,
+    });
+    return res.send(receiptService.renderEscPos(receipt));
+  }
+
+  if (format === "pdf") {
+    const pdf = await receiptService.renderPdf(receipt);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${sale.receiptNumber}.pdf"`,
+    });
+    return res.send(pdf);
+  }
+
   res.json({
     success: true,
     data: {
-      receipt: sale,
-      printFormat: "thermal", // or 'pdf'
+      receipt,
+      sale,
     },
   });
 });
@@ -803,80 +1177,115 @@ const printReceipt = asyncHandler(async (req, res, next) => {
 // @access  Private
 const quickSale = asyncHandler(async (req, res, next) => {
   const { items, paymentAmount } = req.body;
+  const settings = await Settings.getSettings();
 
-  // Validate and prepare items
-  const saleItems = [];
-  let total = 0;
+  let location;
+  try {
+    location = settings.resolveLocation(req.body.location || req.user.location);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  const defaultLocation = settings.getDefaultLocation();
 
-  for (const item of items) {
-    const product = await Product.findById(item.product);
+  let sale;
+  try {
+    sale = await runInTransaction(async (session) => {
+      // Validate and prepare items
+      const saleItems = [];
+      let total = 0;
 
-    if (!product) {
-      return next(new AppError(`Product not found`, 404));
-    }
+      for (const item of items) {
+        const product = await Product.findById(item.product).session(session);
 
-    if (
-      product.inventory.trackInventory &&
-      product.inventory.currentStock < item.quantity
-    ) {
-      return next(new AppError(`Insufficient stock for ${product.name}`, 400));
-    }
+        if (!product) {
+          throw new AppError(`Product not found`, 404);
+        }
 
-    const saleItem = {
-      product: item.product,
-      productName: product.name,
-      quantity: item.quantity,
-      unitPrice: product.effectivePrice,
-      discount: {
-        amount: 0,
-        percentage: 0,
-      },
-      tax: {
-        rate: 16,
-        amount: 0,
-      },
-      subtotal: 0,
-    };
+        if (
+          product.inventory.trackInventory &&
+          product.getAvailableStock(location, defaultLocation) < item.quantity
+        ) {
+          throw new AppError(`Insufficient stock for ${product.name}`, 400);
+        }
 
-    saleItems.push(saleItem);
-    total += saleItem.unitPrice * saleItem.quantity;
-  }
+        const saleItem = {
+          product: item.product,
+          productName: product.name,
+          quantity: item.quantity,
+          unitPrice: product.effectivePrice,
+          unitCost: product.getIssueCost(
+            item.quantity,
+            settings.inventory.valuationMethod
+          ),
+          discount: {
+            amount: 0,
+            percentage: 0,
+          },
+          tax: {
+            rate: settings.sales.tax.enabled ? product.pricing.tax : 0,
+            amount: 0,
+          },
+          subtotal: 0,
+        };
 
-  // Create sale with cash payment
-  const sale = new Sale({
-    items: saleItems,
-    payment: {
-      method: "cash",
-      status: "paid",
-      totalPaid: paymentAmount,
-      change: paymentAmount - total,
-      details: [
-        {
+        saleItems.push(saleItem);
+        total += saleItem.unitPrice * saleItem.quantity;
+      }
+
+      // Create sale with cash payment
+      const newSale = new Sale({
+        items: saleItems,
+        payment: {
           method: "cash",
-          amount: paymentAmount,
+          status: "paid",
+          totalPaid: paymentAmount,
+          change: paymentAmount - total,
+          details: [
+            {
+              method: "cash",
+              amount: paymentAmount,
+            },
+          ],
         },
-      ],
-    },
-    seller: req.user._id,
-    metadata: {
-      source: "pos",
-      device: "quick-sale",
-    },
-  });
+        seller: req.user._id,
+        metadata: {
+          source: "pos",
+          device: "quick-sale",
+          location,
+        },
+      });
+
+      await newSale.save({ session });
+
+      // Update stock
+      for (const item of newSale.items) {
+        const product = await Product.findById(item.product).session(session);
+        if (product.inventory.trackInventory) {
+          await product.updateStock(
+            item.quantity,
+            "sale",
+            newSale.receiptNumber,
+            req.user._id,
+            null,
+            { location, defaultLocation }
+          );
+
+          const movement =
+            product.stockMovements[product.stockMovements.length - 1];
+          item.lots = movement.lots;
+        }
+      }
 
-  await sale.save();
+      if (newSale.items.some((item) => item.lots.length > 0)) {
+        await newSale.save({ session });
+      }
 
-  // Update stock
-  for (const item of sale.items) {
-    const product = await Product.findById(item.product);
-    if (product.inventory.trackInventory) {
-      await product.updateStock(
-        item.quantity,
-        "sale",
-        sale.receiptNumber,
-        req.user._id
-      );
-    }
+      return newSale;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
   }
 
   res.status(201).json({
@@ -891,6 +1300,166 @@ const quickSale = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Sync sales captured while the till was offline
+// @route   POST /api/sales/sync
+// @access  Private
+const syncSales = asyncHandler(async (req, res, next) => {
+  const { sales, device } = req.body;
+  const settings = await Settings.getSettings();
+  const defaultLocation = settings.getDefaultLocation();
+
+  // Replay in capture order so stock is consumed as it was at the till
+  const queue = [...sales].sort(
+    (a, b) => new Date(a.capturedAt) - new Date(b.capturedAt)
+  );
+  const results = [];
+
+  for (const offlineSale of queue) {
+    const { offlineId, capturedAt } = offlineSale;
+
+    // A sale that was already synced returns its original receipt
+    const existing = await Sale.findOne({
+      "metadata.offlineId": offlineId,
+    }).select("receiptNumber");
+
+    if (existing) {
+      results.push({
+        offlineId,
+        status: "duplicate",
+        saleId: existing._id,
+        receiptNumber: existing.receiptNumber,
+      });
+      continue;
+    }
+
+    let location;
+    try {
+      location = settings.resolveLocation(
+        offlineSale.location || req.user.location
+      );
+    } catch (error) {
+      results.push({ offlineId, status: "failed", message: error.message });
+      continue;
+    }
+
+    try {
+      const result = await runInTransaction(async (session) => {
+        const shortages = await findShortages(session, offlineSale.items, {
+          location,
+          defaultLocation,
+        });
+
+        if (shortages.length > 0) {
+          return { shortages };
+        }
+
+        const sale = await recordSale(
+          session,
+          {
+            items: offlineSale.items,
+            customer: offlineSale.customer,
+            customerInfo: offlineSale.customerInfo,
+            payment: offlineSale.payment,
+            metadata: {
+              device: device || req.get("user-agent"),
+              offlineId,
+              capturedAt,
+              syncedAt: new Date(),
+            },
+            createdAt: capturedAt,
+          },
+          {
+            seller: req.user._id,
+            location,
+            defaultLocation,
+            valuationMethod: settings.inventory.valuationMethod,
+            taxEnabled: settings.sales.tax.enabled,
+            loyalty: settings.features.loyalty,
+            creditTerms: settings.sales.payment.creditTerms,
+          }
+        );
+
+        return { sale };
+      });
+
+      if (result.shortages) {
+        results.push({
+          offlineId,
+          status: "conflict",
+          message: "Insufficient stock to record sale",
+          shortages: result.shortages,
+        });
+        continue;
+      }
+
+      const { sale } = result;
+      results.push({
+        offlineId,
+        status: "created",
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        total: sale.totals.total,
+      });
+
+      // Log activity
+      await ActivityLog.log({
+        user: req.user._id,
+        action: "sale.created",
+        entity: {
+          type: "sale",
+          id: sale._id,
+          name: sale.receiptNumber,
+        },
+        details: {
+          notes: `Synced offline sale ${offlineId}`,
+        },
+        metadata: {
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+      });
+
+      activityLogger.logSale(sale, req.user);
+    } catch (error) {
+      // Another upload of the same batch won the race
+      if (error.code === 11000) {
+        const duplicate = await Sale.findOne({
+          "metadata.offlineId": offlineId,
+        }).select("receiptNumber");
+
+        if (duplicate) {
+          results.push({
+            offlineId,
+            status: "duplicate",
+            saleId: duplicate._id,
+            receiptNumber: duplicate.receiptNumber,
+          });
+          continue;
+        }
+      }
+
+      results.push({ offlineId, status: "failed", message: error.message });
+    }
+  }
+
+  const summary = ["created", "duplicate", "conflict", "failed"].reduce(
+    (counts, status) => ({
+      ...counts,
+      [status]: results.filter((result) => result.status === status).length,
+    }),
+    { total: results.length }
+  );
+
+  res.json({
+    success: true,
+    message: `${summary.created} of ${summary.total} offline sales synced`,
+    data: {
+      results,
+      summary,
+    },
+  });
+});
+
 // @desc    Get sales by product
 // @route   GET /api/sales/by-product/:productId
 // @access  Private
@@ -979,48 +1548,66 @@ const getPendingPayments = asyncHandler(async (req, res, next) => {
 // @access  Private
 const recordPayment = asyncHandler(async (req, res, next) => {
   const { amount, method, reference } = req.body;
-  const sale = await Sale.findById(req.params.id);
 
-  if (!sale) {
-    return next(new AppError("Sale not found", 404));
-  }
+  let sale;
+  try {
+    // Sale payment and the customer's account commit together
+    sale = await runInTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
 
-  if (sale.payment.status === "paid") {
-    return next(new AppError("Sale is already fully paid", 400));
-  }
+      if (!sale) {
+        throw new AppError("Sale not found", 404);
+      }
 
-  // Add payment detail
-  sale.payment.details.push({
-    method,
-    amount,
-    reference,
-    transactionId: reference,
-  });
+      if (sale.payment.status === "paid") {
+        throw new AppError("Sale is already fully paid", 400);
+      }
 
-  // Update total paid
-  sale.payment.totalPaid += amount;
+      // Add payment detail
+      sale.payment.details.push({
+        method,
+        amount,
+        reference,
+        transactionId: reference,
+      });
 
-  // Update payment status
-  if (sale.payment.totalPaid >= sale.totals.total) {
-    sale.payment.status = "paid";
-    sale.payment.change = sale.payment.totalPaid - sale.totals.total;
-  } else {
-    sale.payment.status = "partial";
-  }
+      // Update total paid
+      sale.payment.totalPaid += amount;
 
-  await sale.save();
+      // Update payment status
+      if (sale.payment.totalPaid >= sale.totals.total) {
+        sale.payment.status = "paid";
+        sale.payment.change = sale.payment.totalPaid - sale.totals.total;
+      } else {
+        sale.payment.status = "partial";
+      }
 
-  // Update customer credit if applicable
-  if (sale.customer && method === "credit") {
-    const customer = await Customer.findById(sale.customer);
-    if (customer) {
-      await customer.addCreditTransaction(
-        "payment",
-        amount,
-        sale.receiptNumber,
-        req.user._id
-      );
-    }
+      // Payments on a credit sale settle the customer's account
+      const outstanding = sale.payment.credit.amount - sale.payment.credit.paid;
+      if (sale.customer && outstanding > 0 && method !== "credit") {
+        const settled = Math.min(amount, outstanding);
+        const customer = await Customer.findById(sale.customer).session(
+          session
+        );
+        if (customer) {
+          await customer.addCreditTransaction(
+            "payment",
+            settled,
+            sale.receiptNumber,
+            req.user._id,
+            { sale: sale._id, notes: reference }
+          );
+          sale.payment.credit.paid += settled;
+        }
+      }
+
+      await sale.save();
+      return sale;
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
   }
 
   res.json({
@@ -1045,6 +1632,7 @@ module.exports = {
   getSalesReport,
   printReceipt,
   quickSale,
+  syncSales,
   getSalesByProduct,
   getPendingPayments,
   recordPayment,
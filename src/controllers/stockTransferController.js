@@ -0,0 +1,354 @@
+// backend/src/controllers/stockTransferController.js
+const StockTransfer = require("../models/StockTransfer");
+const Product = require("../models/Product");
+const Settings = require("../models/Settings");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const { runInTransaction } = require("../utils/transaction");
+
+// @desc    Get all stock transfers
+// @route   GET /api/stock-transfers
+// @access  Private
+const getStockTransfers = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-createdAt",
+    status,
+    location,
+    fromLocation,
+    toLocation,
+    product,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (status) {
+    query.status = Array.isArray(status) ? { $in: status } : status;
+  }
+
+  // Transfers in or out of a branch
+  if (location) {
+    query.$or = [{ fromLocation: location }, { toLocation: location }];
+  }
+
+  if (fromLocation) {
+    query.fromLocation = fromLocation;
+  }
+
+  if (toLocation) {
+    query.toLocation = toLocation;
+  }
+
+  if (product) {
+    query["items.product"] = product;
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  if (search) {
+    query.transferNumber = new RegExp(search, "i");
+  }
+
+  // Execute query
+  const transfers = await StockTransfer.find(query)
+    .populate("requestedBy", "name")
+    .populate("dispatchedBy", "name")
+    .populate("receivedBy", "name")
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await StockTransfer.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: transfers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single stock transfer
+// @route   GET /api/stock-transfers/:id
+// @access  Private
+const getStockTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await StockTransfer.findById(req.params.id)
+    .populate("items.product", "name sku barcode stockByLocation")
+    .populate("requestedBy", "name")
+    .populate("dispatchedBy", "name")
+    .populate("receivedBy", "name")
+    .populate("statusHistory.updatedBy", "name");
+
+  if (!transfer) {
+    return next(new AppError("Stock transfer not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: transfer,
+  });
+});
+
+// @desc    Request stock transfer between branches
+// @route   POST /api/stock-transfers
+// @access  Private
+const createStockTransfer = asyncHandler(async (req, res, next) => {
+  const { fromLocation, toLocation, items, notes } = req.body;
+
+  const settings = await Settings.getSettings();
+  const locations = settings.getLocations();
+
+  if (locations.length === 0) {
+    return next(new AppError("Multi-location is not enabled", 400));
+  }
+
+  for (const code of [fromLocation, toLocation]) {
+    if (!locations.some((location) => location.code === code)) {
+      return next(new AppError(`Unknown location ${code}`, 400));
+    }
+  }
+
+  if (fromLocation === toLocation) {
+    return next(
+      new AppError("Source and destination locations must differ", 400)
+    );
+  }
+
+  // Validate items
+  const validatedItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      return next(new AppError(`Product not found`, 404));
+    }
+
+    if (!product.inventory.trackInventory) {
+      return next(
+        new AppError(`Stock is not tracked for ${product.name}`, 400)
+      );
+    }
+
+    validatedItems.push({
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      quantityRequested: item.quantity,
+    });
+  }
+
+  const transfer = await StockTransfer.create({
+    fromLocation,
+    toLocation,
+    items: validatedItems,
+    notes,
+    requestedBy: req.user._id,
+    statusHistory: [
+      {
+        status: "requested",
+        updatedBy: req.user._id,
+      },
+    ],
+  });
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "stock_transfer.requested",
+    entity: {
+      type: "stock_transfer",
+      id: transfer._id,
+      name: transfer.transferNumber,
+    },
+    details: {
+      notes: `${transfer.items.length} items from ${fromLocation} to ${toLocation}`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Stock transfer requested successfully",
+    data: transfer,
+  });
+});
+
+// @desc    Dispatch stock transfer from source branch
+// @route   POST /api/stock-transfers/:id/dispatch
+// @access  Private
+const dispatchStockTransfer = asyncHandler(async (req, res, next) => {
+  const { notes } = req.body;
+  const settings = await Settings.getSettings();
+
+  let transfer;
+  try {
+    // Stock leaves every product and the transfer updates together
+    transfer = await runInTransaction(async (session) => {
+      const transfer = await StockTransfer.findById(req.params.id).session(
+        session
+      );
+      if (!transfer) {
+        throw new AppError("Stock transfer not found", 404);
+      }
+
+      return transfer.dispatch(req.user._id, {
+        defaultLocation: settings.getDefaultLocation(),
+        notes,
+      });
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "stock_transfer.dispatched",
+    entity: {
+      type: "stock_transfer",
+      id: transfer._id,
+      name: transfer.transferNumber,
+    },
+    details: {
+      notes: `Dispatched from ${transfer.fromLocation}`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Stock transfer dispatched successfully",
+    data: transfer,
+  });
+});
+
+// @desc    Receive stock transfer at destination branch
+// @route   POST /api/stock-transfers/:id/receive
+// @access  Private
+const receiveStockTransfer = asyncHandler(async (req, res, next) => {
+  const { items, notes } = req.body;
+  const settings = await Settings.getSettings();
+
+  let transfer;
+  try {
+    // Stock arrives on every product and the transfer updates together
+    transfer = await runInTransaction(async (session) => {
+      const transfer = await StockTransfer.findById(req.params.id).session(
+        session
+      );
+      if (!transfer) {
+        throw new AppError("Stock transfer not found", 404);
+      }
+
+      return transfer.receive(items, req.user._id, {
+        defaultLocation: settings.getDefaultLocation(),
+        notes,
+      });
+    });
+  } catch (error) {
+    return next(
+      error instanceof AppError ? error : new AppError(error.message, 400)
+    );
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "stock_transfer.received",
+    entity: {
+      type: "stock_transfer",
+      id: transfer._id,
+      name: transfer.transferNumber,
+    },
+    details: {
+      notes: `Received at ${transfer.toLocation}`,
+    },
+    severity: transfer.shortageQuantity > 0 ? "warning" : "info",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message:
+      transfer.shortageQuantity > 0
+        ? `Stock transfer received with ${transfer.shortageQuantity} units short`
+        : "Stock transfer received successfully",
+    data: transfer,
+  });
+});
+
+// @desc    Cancel stock transfer
+// @route   POST /api/stock-transfers/:id/cancel
+// @access  Private
+const cancelStockTransfer = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  const transfer = await StockTransfer.findById(req.params.id);
+
+  if (!transfer) {
+    return next(new AppError("Stock transfer not found", 404));
+  }
+
+  try {
+    await transfer.cancel(req.user._id, reason);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "stock_transfer.cancelled",
+    entity: {
+      type: "stock_transfer",
+      id: transfer._id,
+      name: transfer.transferNumber,
+    },
+    details: {
+      reason,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Stock transfer cancelled successfully",
+    data: transfer,
+  });
+});
+
+module.exports = {
+  getStockTransfers,
+  getStockTransfer,
+  createStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+};
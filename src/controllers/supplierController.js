@@ -0,0 +1,239 @@
+// backend/src/controllers/supplierController.js
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Product = require("../models/Product");
+const ActivityLog = require("../models/ActivityLog");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+// @desc    Get all suppliers
+// @route   GET /api/suppliers
+// @access  Private
+const getSuppliers = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, sort = "name", search, status } = req.query;
+
+  // Build query
+  const query = {};
+
+  // Search by name, contact person, or phone
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { contactPerson: { $regex: search, $options: "i" } },
+      { phone: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  // Filter by status
+  if (status !== undefined) {
+    query.isActive = status === "active";
+  }
+
+  // Execute query
+  const suppliers = await Supplier.find(query)
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Supplier.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: suppliers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Get single supplier
+// @route   GET /api/suppliers/:id
+// @access  Private
+const getSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id).populate(
+    "metadata.createdBy",
+    "name"
+  );
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  // Get recent purchase orders
+  const recentPurchaseOrders = await PurchaseOrder.find({
+    supplier: supplier._id,
+  })
+    .select("poNumber status totals.total expectedDate createdAt")
+    .sort("-createdAt")
+    .limit(5);
+
+  // Get products last supplied by this supplier
+  const products = await Product.find({ "supplier.supplierId": supplier._id })
+    .select("name sku supplier.lastPurchasePrice supplier.lastPurchaseDate")
+    .sort("name");
+
+  res.json({
+    success: true,
+    data: {
+      supplier,
+      recentPurchaseOrders,
+      products,
+    },
+  });
+});
+
+// @desc    Create supplier
+// @route   POST /api/suppliers
+// @access  Private
+const createSupplier = asyncHandler(async (req, res, next) => {
+  // Check if supplier with name already exists
+  const existingSupplier = await Supplier.findOne({ name: req.body.name });
+
+  if (existingSupplier) {
+    return next(new AppError("Supplier with this name already exists", 400));
+  }
+
+  // Add metadata
+  req.body.metadata = {
+    createdBy: req.user._id,
+  };
+
+  // Don't allow statistics to be set directly
+  delete req.body.statistics;
+
+  const supplier = await Supplier.create(req.body);
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "supplier.created",
+    entity: {
+      type: "supplier",
+      id: supplier._id,
+      name: supplier.name,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Supplier created successfully",
+    data: supplier,
+  });
+});
+
+// @desc    Update supplier
+// @route   PUT /api/suppliers/:id
+// @access  Private
+const updateSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  // Check if name is being changed to an existing one
+  if (req.body.name && req.body.name !== supplier.name) {
+    const nameExists = await Supplier.findOne({
+      name: req.body.name,
+      _id: { $ne: supplier._id },
+    });
+
+    if (nameExists) {
+      return next(new AppError("Supplier name already in use", 400));
+    }
+  }
+
+  // Track changes for activity log
+  const previousData = supplier.toObject();
+
+  // Don't allow direct updates to statistics
+  delete req.body.statistics;
+  delete req.body.metadata;
+
+  // Update supplier
+  Object.assign(supplier, req.body);
+  supplier.metadata.updatedBy = req.user._id;
+  await supplier.save();
+
+  // Log activity with changes
+  await ActivityLog.logChange(
+    req.user._id,
+    "supplier.updated",
+    {
+      type: "supplier",
+      id: supplier._id,
+      name: supplier.name,
+    },
+    previousData,
+    supplier.toObject()
+  );
+
+  res.json({
+    success: true,
+    message: "Supplier updated successfully",
+    data: supplier,
+  });
+});
+
+// @desc    Delete supplier (soft delete)
+// @route   DELETE /api/suppliers/:id
+// @access  Private (Owner only)
+const deleteSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(new AppError("Supplier not found", 404));
+  }
+
+  // Check if supplier has open purchase orders
+  const openPurchaseOrders = await PurchaseOrder.countDocuments({
+    supplier: supplier._id,
+    status: { $in: ["draft", "sent", "partially_received"] },
+  });
+
+  if (openPurchaseOrders > 0) {
+    return next(
+      new AppError("Cannot delete supplier with open purchase orders", 400)
+    );
+  }
+
+  // Soft delete
+  supplier.isActive = false;
+  supplier.metadata.updatedBy = req.user._id;
+  await supplier.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "supplier.deleted",
+    entity: {
+      type: "supplier",
+      id: supplier._id,
+      name: supplier.name,
+    },
+    severity: "warning",
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: "Supplier deleted successfully",
+  });
+});
+
+module.exports = {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+};
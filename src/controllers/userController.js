@@ -4,7 +4,9 @@ const User = require("../models/User");
 const ActivityLog = require("../models/ActivityLog");
 const Sale = require("../models/Sale");
 const Order = require("../models/Order");
+const Settings = require("../models/Settings");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
+const sessionService = require("../services/sessionService");
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -125,12 +127,22 @@ const updateUser = asyncHandler(async (req, res, next) => {
   // FIXED: Prevent deactivating own account
   if (
     req.user._id.toString() === user._id.toString() &&
-    req.body.hasOwnProperty("isActive") &&
+    Object.prototype.hasOwnProperty.call(req.body, "isActive") &&
     req.body.isActive === false
   ) {
     return next(new AppError("You cannot deactivate your own account", 400));
   }
 
+  // Check the assigned branch exists
+  if (req.body.location) {
+    const settings = await Settings.getSettings();
+    try {
+      settings.resolveLocation(req.body.location);
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+  }
+
   // Track changes for activity log
   const previousData = user.toObject();
 
@@ -143,6 +155,7 @@ const updateUser = asyncHandler(async (req, res, next) => {
     "permissions",
     "isActive",
     "settings",
+    "location",
   ];
 
   Object.keys(req.body).forEach((key) => {
@@ -276,14 +289,21 @@ const updatePermissions = asyncHandler(async (req, res, next) => {
 // @access  Private (Owner/Manager)
 const resetUserPassword = asyncHandler(async (req, res, next) => {
   const { newPassword } = req.body;
-  const user = await User.findById(req.params.id);
+  const user = await User.findById(req.params.id).select(
+    "+password +passwordHistory"
+  );
 
   if (!user) {
     return next(new AppError("User not found", 404));
   }
 
-  // Update password
-  user.password = newPassword;
+  // Update password (policy and reuse checks)
+  const settings = await Settings.getSettings();
+  try {
+    await user.setPassword(newPassword, settings);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
   await user.save();
 
   // Clear all refresh tokens
@@ -312,6 +332,66 @@ const resetUserPassword = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private (Owner only)
+const getUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  const settings = await Settings.getSettings();
+
+  res.json({
+    success: true,
+    data: sessionService.list(user, settings, req.sessionId),
+  });
+});
+
+// @desc    End one or all of a user's sessions
+// @route   DELETE /api/users/:id/sessions/:sessionId?
+// @access  Private (Owner only)
+const revokeUserSessions = asyncHandler(async (req, res, next) => {
+  const { sessionId } = req.params;
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  const count = sessionService.revoke(user, { sessionId });
+  if (sessionId && !count) {
+    return next(new AppError("Session not found", 404));
+  }
+  await user.save();
+
+  // Log activity
+  await ActivityLog.log({
+    user: req.user._id,
+    action: "user.session_revoked",
+    entity: {
+      type: "user",
+      id: user._id,
+      name: user.name,
+    },
+    severity: "warning",
+    details: {
+      notes: sessionId ? "Session ended" : `${count} session(s) ended`,
+    },
+    metadata: {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+  });
+
+  res.json({
+    success: true,
+    message: sessionId ? "Session ended" : `${count} session(s) ended`,
+  });
+});
+
 // @desc    Get user activity log
 // @route   GET /api/users/:id/activity
 // @access  Private (Owner/Manager or Self)
@@ -623,6 +703,8 @@ module.exports = {
   deleteUser,
   updatePermissions,
   resetUserPassword,
+  getUserSessions,
+  revokeUserSessions,
   getUserActivity,
   getUserPerformance,
   bulkUpdateUsers,
@@ -1,7 +1,21 @@
 // backend/src/middleware/auth.js
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const config = require("../config/app");
 const User = require("../models/User");
 const ActivityLog = require("../models/ActivityLog");
+const ApiKey = require("../models/ApiKey");
+const Settings = require("../models/Settings");
+const sessionService = require("../services/sessionService");
+const ipAccessService = require("../services/ipAccessService");
+const { apiKeyLimiter } = require("./rateLimiter");
+
+// Routes still open to a user whose password has expired
+const PASSWORD_EXPIRED_ROUTES = [
+  "/auth/change-password",
+  "/auth/logout",
+  "/auth/me",
+];
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -16,6 +30,12 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens issued for another purpose (e.g. a login awaiting its second
+    // step) are not access tokens
+    if (decoded.purpose) {
+      throw new Error();
+    }
+
     // Find user
     const user = await User.findOne({
       _id: decoded._id,
@@ -31,6 +51,36 @@ const authenticate = async (req, res, next) => {
       throw new Error("Password recently changed. Please login again.");
     }
 
+    // Tokens bound to a session stop working once it is revoked or idle
+    if (decoded.sid) {
+      const session = sessionService.findSession(user, decoded.sid);
+      if (!session) {
+        throw new Error("Session has ended. Please login again.");
+      }
+
+      const settings = await Settings.getSettings();
+      if (sessionService.isIdle(session, settings)) {
+        sessionService.revoke(user, { sessionId: decoded.sid });
+        await user.save({ validateBeforeSave: false });
+        throw new Error("Session timed out. Please login again.");
+      }
+
+      session.lastUsedAt = new Date();
+    }
+
+    // An expired password must be changed before anything else
+    const path = req.originalUrl.split("?")[0];
+    if (
+      decoded.passwordExpired &&
+      !PASSWORD_EXPIRED_ROUTES.some((route) => path.endsWith(route))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Your password has expired. Please change it to continue",
+        passwordExpired: true,
+      });
+    }
+
     // Update last active
     user.lastActive = new Date();
     await user.save({ validateBeforeSave: false });
@@ -38,6 +88,7 @@ const authenticate = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
 
     next();
   } catch (error) {
@@ -59,6 +110,14 @@ const authorize = (...allowedRoles) => {
       });
     }
 
+    // API keys only reach routes guarded by their scopes
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        message: "This endpoint is not available to API keys",
+      });
+    }
+
     if (allowedRoles.length && !allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
@@ -80,6 +139,18 @@ const checkPermission = (resource, action) => {
       });
     }
 
+    // API keys are limited to their scopes
+    if (req.apiKey) {
+      if (req.apiKey.hasScope(resource, action)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: `API key is not allowed to ${action} ${resource}`,
+      });
+    }
+
     // Owner has all permissions
     if (req.user.role === "owner") {
       return next();
@@ -130,16 +201,32 @@ const verifyRefreshToken = async (req, res, next) => {
     }
 
     // Check if refresh token exists in user's tokens
-    const tokenExists = user.refreshTokens.some(
-      (rt) => rt.token === refreshToken && rt.expiresAt > new Date()
-    );
+    const entry = user.refreshTokens.find((rt) => rt.token === refreshToken);
+
+    if (!entry) {
+      // A rotated-out token from an open session means it was replayed
+      if (await sessionService.handleReuse(user, refreshToken, req)) {
+        await user.save({ validateBeforeSave: false });
+        throw new Error("Refresh token reuse detected. Please login again.");
+      }
+      throw new Error("Invalid refresh token");
+    }
 
-    if (!tokenExists) {
+    if (entry.expiresAt <= new Date()) {
       throw new Error("Invalid refresh token");
     }
 
+    // End sessions left unused for longer than the session timeout
+    const settings = await Settings.getSettings();
+    if (sessionService.isIdle(entry, settings)) {
+      sessionService.revoke(user, { sessionId: entry.family });
+      await user.save({ validateBeforeSave: false });
+      throw new Error("Session timed out. Please login again.");
+    }
+
     req.user = user;
     req.refreshToken = refreshToken;
+    req.refreshTokenEntry = entry;
 
     next();
   } catch (error) {
@@ -151,6 +238,70 @@ const verifyRefreshToken = async (req, res, next) => {
   }
 };
 
+// Accept an access token or, from integrations, an API key
+const authenticateOrApiKey = (req, res, next) => {
+  if (req.header("X-API-Key") && !req.header("Authorization")) {
+    return validateApiKey(req, res, next);
+  }
+
+  return authenticate(req, res, next);
+};
+
+// Enforce the staff IP allow-list. Runs ahead of the route modules, so it
+// only identifies the caller from the access token; requests without one
+// are left to the routes (logins check the allow-list themselves).
+const enforceIpWhitelist = async (req, res, next) => {
+  try {
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+    if (!token) return next();
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(); // authenticate rejects it
+    }
+
+    const settings = await Settings.getSettings();
+    if (!settings.security.ipWhitelist.enabled) return next();
+
+    const user = await User.findById(decoded._id).select("name role");
+    if (!user || (await ipAccessService.check(req, user, settings))) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      message: "Access from this network is not allowed",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify a scheduled job call from the platform scheduler, which sends
+// Authorization: Bearer <CRON_SECRET>
+const verifyCronSecret = (req, res, next) => {
+  const secret = config.jobs.cronSecret;
+  const provided = req.header("Authorization")?.replace("Bearer ", "");
+
+  const valid =
+    Boolean(secret && provided) &&
+    crypto.timingSafeEqual(
+      crypto.createHash("sha256").update(secret).digest(),
+      crypto.createHash("sha256").update(provided).digest()
+    );
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid job credentials",
+    });
+  }
+
+  next();
+};
+
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -163,7 +314,7 @@ const optionalAuth = async (req, res, next) => {
         isActive: true,
       });
 
-      if (user && !user.changedPasswordAfter(decoded.iat)) {
+      if (user && !decoded.purpose && !user.changedPasswordAfter(decoded.iat)) {
         req.user = user;
         req.token = token;
       }
@@ -260,22 +411,43 @@ const checkResourceOwnership = (model, paramName = "id") => {
   };
 };
 
-// Validate API key for external integrations
+// Validate API key for external integrations. Requests act as the owner who
+// created the key, limited to the key's scopes and rate limit.
 const validateApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.header("X-API-Key");
+    const key = req.header("X-API-Key");
 
-    if (!apiKey) {
+    if (!key) {
       throw new Error("API key required");
     }
 
-    // In production, store API keys in database
-    // For now, check against environment variable
-    if (apiKey !== process.env.API_KEY) {
+    const apiKey = await ApiKey.findByKey(key);
+
+    if (!apiKey) {
       throw new Error("Invalid API key");
     }
 
-    next();
+    if (apiKey.status !== "active") {
+      throw new Error(`API key ${apiKey.status}`);
+    }
+
+    const user = await User.findOne({
+      _id: apiKey.createdBy,
+      isActive: true,
+    });
+
+    if (!user) {
+      throw new Error("API key owner is inactive");
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+
+    // Only requests within the key's rate limit count as use
+    apiKeyLimiter(req, res, (error) => {
+      if (error) return next(error);
+      apiKey.recordUse(req.ip).then(() => next(), next);
+    });
   } catch (error) {
     res.status(401).json({
       success: false,
@@ -287,9 +459,12 @@ const validateApiKey = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateOrApiKey,
   authorize,
   checkPermission,
   verifyRefreshToken,
+  enforceIpWhitelist,
+  verifyCronSecret,
   optionalAuth,
   sensitiveOperationLimit,
   checkResourceOwnership,
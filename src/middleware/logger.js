@@ -244,6 +244,22 @@ const taskLogger = {
   },
 };
 
+// Logger writing only to one file, with no console output
+const createFileLogger = (filename) =>
+  winston.createLogger({
+    level: "info",
+    levels,
+    format,
+    transports: [
+      new winston.transports.File({
+        filename,
+        maxsize: 5242880, // 5MB
+        maxFiles: 5,
+      }),
+    ],
+    exitOnError: false,
+  });
+
 // Export everything
 module.exports = {
   logger,
@@ -253,4 +269,5 @@ module.exports = {
   performanceLogger,
   queryLogger,
   taskLogger,
+  createFileLogger,
 };
@@ -106,6 +106,14 @@ const transactionLimiter = createLimiter({
   message: "Transaction limit reached, please slow down.",
 });
 
+// Rate limiter for API keys, using each key's own requests per minute
+const apiKeyLimiter = createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey?.rateLimit || 60,
+  keyGenerator: (req) => `api_key:${req.apiKey?._id || req.ip}`,
+  message: "API key rate limit reached, please slow down.",
+});
+
 // Dynamic rate limiter based on user role
 const createDynamicLimiter = (getLimit) => {
   return (req, res, next) => {
@@ -265,6 +273,7 @@ module.exports = {
   reportLimiter,
   uploadLimiter,
   transactionLimiter,
+  apiKeyLimiter,
   roleLimiter,
   endpointLimiter,
   burstLimiter,
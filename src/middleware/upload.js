@@ -0,0 +1,84 @@
+// backend/src/middleware/upload.js
+const path = require("path");
+const multer = require("multer");
+const config = require("../config/app");
+
+const SPREADSHEET_TYPES = {
+  ".csv": ["text/csv", "application/csv", "application/vnd.ms-excel"],
+  ".xlsx": [
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ],
+};
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Wrap a multer handler so upload errors are returned as 400 responses
+const handleUpload = (upload) => {
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      const message =
+        error.code === "LIMIT_FILE_SIZE"
+          ? "File is too large"
+          : error.message || "File upload failed";
+
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    });
+  };
+};
+
+// Single CSV or XLSX file kept in memory for parsing
+const spreadsheetUpload = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB
+      files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const mimeTypes = SPREADSHEET_TYPES[extension];
+
+      // Browsers report CSV files with a variety of types
+      if (
+        mimeTypes &&
+        (extension === ".csv" || mimeTypes.includes(file.mimetype))
+      ) {
+        return cb(null, true);
+      }
+
+      cb(new Error("Only CSV and XLSX files are allowed"));
+    },
+  }).single("file")
+);
+
+// Delivery photo and signature images kept in memory for processing
+const proofOfDeliveryUpload = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.upload.maxSize,
+      files: 2,
+    },
+    fileFilter: (req, file, cb) => {
+      if (IMAGE_TYPES.includes(file.mimetype)) {
+        return cb(null, true);
+      }
+
+      cb(new Error("Only JPEG, PNG and WebP images are allowed"));
+    },
+  }).fields([
+    { name: "photo", maxCount: 1 },
+    { name: "signature", maxCount: 1 },
+  ])
+);
+
+module.exports = {
+  handleUpload,
+  spreadsheetUpload,
+  proofOfDeliveryUpload,
+};
@@ -1,5 +1,12 @@
 // backend/src/middleware/validation.js
 const { body, param, query, validationResult } = require("express-validator");
+const ApiKey = require("../models/ApiKey");
+const ipAccessService = require("../services/ipAccessService");
+const {
+  TEMPLATE_LANGUAGES,
+  templates,
+  validateTemplates,
+} = require("../services/notificationTemplates");
 
 // Validation result handler
 const handleValidationErrors = (req, res, next) => {
@@ -116,6 +123,66 @@ const userValidations = {
       .withMessage("Password must be at least 6 characters"),
     handleValidationErrors,
   ],
+
+  resetPassword: [
+    body("password")
+      .notEmpty()
+      .withMessage("Password is required")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+    handleValidationErrors,
+  ],
+
+  setPassword: [
+    body("newPassword")
+      .notEmpty()
+      .withMessage("New password is required")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+    handleValidationErrors,
+  ],
+
+  twoFactorVerify: [
+    body("pendingToken")
+      .notEmpty()
+      .withMessage("Verification session is required"),
+    body("code")
+      .trim()
+      .notEmpty()
+      .withMessage("Verification code is required")
+      .isLength({ max: 20 })
+      .withMessage("Invalid verification code"),
+    body("rememberDevice")
+      .optional()
+      .isBoolean()
+      .withMessage("Remember device must be true or false"),
+    handleValidationErrors,
+  ],
+
+  twoFactorResend: [
+    body("pendingToken")
+      .notEmpty()
+      .withMessage("Verification session is required"),
+    handleValidationErrors,
+  ],
+
+  twoFactorSetup: [
+    body("method")
+      .isIn(["app", "sms", "email"])
+      .withMessage("Method must be app, sms or email"),
+    body("password").notEmpty().withMessage("Password is required"),
+    handleValidationErrors,
+  ],
+
+  twoFactorCode: [
+    body("code").trim().notEmpty().withMessage("Verification code is required"),
+    handleValidationErrors,
+  ],
+
+  confirmPassword: [
+    body("password").notEmpty().withMessage("Password is required"),
+    handleValidationErrors,
+  ],
 };
 
 // Product validations
@@ -149,6 +216,10 @@ const productValidations = {
         "can",
       ])
       .withMessage("Invalid unit"),
+    body("pricing.cost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Cost must be a positive number"),
     body("pricing.sellingPrice")
       .notEmpty()
       .withMessage("Selling price is required")
@@ -196,6 +267,19 @@ const productValidations = {
       .withMessage("Type is required")
       .isIn(["purchase", "sale", "return", "adjustment", "damage", "transfer"])
       .withMessage("Invalid stock movement type"),
+    body("unitCost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a positive number"),
+    body("batchNumber")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Batch number cannot exceed 50 characters"),
+    body("expiryDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid expiry date format"),
     body("reason")
       .optional()
       .trim()
@@ -203,6 +287,19 @@ const productValidations = {
       .withMessage("Reason cannot exceed 200 characters"),
     handleValidationErrors,
   ],
+
+  import: [
+    body("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("Dry run must be true or false"),
+    body("location")
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage("Location code cannot exceed 20 characters"),
+    handleValidationErrors,
+  ],
 };
 
 // Sale validations
@@ -236,6 +333,11 @@ const saleValidations = {
       .withMessage("Total paid is required")
       .isFloat({ min: 0 })
       .withMessage("Total paid must be non-negative"),
+    body("payment.redeemPoints")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Points to redeem must be a positive whole number")
+      .toInt(),
     handleValidationErrors,
   ],
 
@@ -273,8 +375,81 @@ const saleValidations = {
       .withMessage("Reason must be 5-200 characters"),
     handleValidationErrors,
   ],
+
+  receipt: [
+    query("format")
+      .optional()
+      .isIn(["escpos", "pdf", "json"])
+      .withMessage("Format must be escpos, pdf or json"),
+    handleValidationErrors,
+  ],
+
+  sync: [
+    body("sales")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Between 1 and 100 sales can be synced at a time"),
+    body("sales.*.offlineId")
+      .trim()
+      .notEmpty()
+      .withMessage("Offline ID is required")
+      .bail()
+      .isUUID()
+      .withMessage("Offline ID must be a UUID generated by the till")
+      .toLowerCase(),
+    body("sales.*.capturedAt")
+      .notEmpty()
+      .withMessage("Capture time is required")
+      .isISO8601()
+      .withMessage("Invalid capture time"),
+    body("sales.*.items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("sales.*.items.*.product")
+      .notEmpty()
+      .withMessage("Product ID is required")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("sales.*.items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("sales.*.payment.method")
+      .notEmpty()
+      .withMessage("Payment method is required")
+      .isIn(["cash", "mpesa", "card", "bank_transfer", "credit", "mixed"])
+      .withMessage("Invalid payment method"),
+    handleValidationErrors,
+  ],
 };
 
+// Proof of delivery fields sent with a multipart upload
+const proofOfDeliveryFields = [
+  body("recipientName")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Recipient name cannot exceed 100 characters"),
+  body("latitude")
+    .if(body("longitude").exists())
+    .notEmpty()
+    .withMessage("Latitude is required with longitude")
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .toFloat(),
+  body("longitude")
+    .if(body("latitude").exists())
+    .notEmpty()
+    .withMessage("Longitude is required with latitude")
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .toFloat(),
+  body("signature")
+    .optional()
+    .isString()
+    .withMessage("Signature must be a base64 image"),
+];
+
 // Order validations
 const orderValidations = {
   create: [
@@ -315,6 +490,15 @@ const orderValidations = {
       .if(body("delivery.type").equals("delivery"))
       .notEmpty()
       .withMessage("Delivery address is required for delivery orders"),
+    body("delivery.address.location.coordinates")
+      .optional()
+      .custom((value) => isLngLat(value))
+      .withMessage("Coordinates must be [longitude, latitude]"),
+    body("payment.redeemPoints")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Points to redeem must be a positive whole number")
+      .toInt(),
     handleValidationErrors,
   ],
 
@@ -341,6 +525,25 @@ const orderValidations = {
       .withMessage("Notes cannot exceed 500 characters"),
     handleValidationErrors,
   ],
+
+  deliver: [
+    param("id").isMongoId().withMessage("Invalid order ID"),
+    ...proofOfDeliveryFields,
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+
+  proof: [
+    param("id").isMongoId().withMessage("Invalid order ID"),
+    param("type")
+      .isIn(["photo", "photoThumbnail", "signature"])
+      .withMessage("Proof type must be photo, photoThumbnail or signature"),
+    handleValidationErrors,
+  ],
 };
 
 // Customer validations
@@ -387,6 +590,511 @@ const customerValidations = {
       .normalizeEmail(),
     handleValidationErrors,
   ],
+
+  loyaltyAdjust: [
+    param("id").isMongoId().withMessage("Invalid customer ID"),
+    body("points")
+      .notEmpty()
+      .withMessage("Points are required")
+      .isInt()
+      .withMessage("Points must be a whole number")
+      .custom((value) => parseInt(value) !== 0)
+      .withMessage("Points cannot be zero")
+      .toInt(),
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Reason is required")
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+};
+
+// Supplier validations
+const supplierValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Supplier name is required")
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+    body("phone")
+      .trim()
+      .notEmpty()
+      .withMessage("Phone is required")
+      .matches(/^(\+254|0)[17]\d{8}$/)
+      .withMessage("Invalid Kenyan phone number"),
+    body("email")
+      .optional()
+      .trim()
+      .isEmail()
+      .withMessage("Invalid email format")
+      .normalizeEmail(),
+    body("paymentTerms")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Payment terms must be a positive number of days"),
+    handleValidationErrors,
+  ],
+
+  update: [
+    param("id").isMongoId().withMessage("Invalid supplier ID"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+    body("phone")
+      .optional()
+      .trim()
+      .matches(/^(\+254|0)[17]\d{8}$/)
+      .withMessage("Invalid Kenyan phone number"),
+    body("email")
+      .optional()
+      .trim()
+      .isEmail()
+      .withMessage("Invalid email format")
+      .normalizeEmail(),
+    body("paymentTerms")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Payment terms must be a positive number of days"),
+    handleValidationErrors,
+  ],
+};
+
+// Purchase order validations
+const purchaseOrderValidations = {
+  create: [
+    body("supplier")
+      .notEmpty()
+      .withMessage("Supplier is required")
+      .isMongoId()
+      .withMessage("Invalid supplier ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.product")
+      .notEmpty()
+      .withMessage("Product ID is required")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.unitCost")
+      .notEmpty()
+      .withMessage("Unit cost is required")
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a positive number"),
+    body("taxRate")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Tax rate must be between 0 and 100"),
+    body("expectedDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid date format"),
+    handleValidationErrors,
+  ],
+
+  receive: [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.itemId")
+      .if(body("items.*.product").not().exists())
+      .notEmpty()
+      .withMessage("Item ID or product ID is required")
+      .isMongoId()
+      .withMessage("Invalid item ID"),
+    body("items.*.product")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 0 })
+      .withMessage("Quantity cannot be negative"),
+    body("items.*.unitCost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a positive number"),
+    body("items.*.batchNumber")
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Batch number cannot exceed 50 characters"),
+    body("items.*.expiryDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid expiry date format"),
+    body("reference")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Reference cannot exceed 100 characters"),
+    handleValidationErrors,
+  ],
+};
+
+// Stock transfer validations
+const stockTransferValidations = {
+  create: [
+    body("fromLocation")
+      .trim()
+      .notEmpty()
+      .withMessage("Source location is required"),
+    body("toLocation")
+      .trim()
+      .notEmpty()
+      .withMessage("Destination location is required"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.product")
+      .notEmpty()
+      .withMessage("Product ID is required")
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    handleValidationErrors,
+  ],
+
+  receive: [
+    param("id").isMongoId().withMessage("Invalid stock transfer ID"),
+    body("items").optional().isArray().withMessage("Items must be an array"),
+    body("items.*.itemId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid item ID"),
+    body("items.*.product")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 0 })
+      .withMessage("Quantity cannot be negative"),
+    handleValidationErrors,
+  ],
+};
+
+// Report export validations
+const EXPORT_FORMATS = ["xlsx", "csv", "pdf"];
+
+const reportValidations = {
+  format: [
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage("Format must be xlsx, csv or pdf"),
+    query("background")
+      .optional()
+      .isBoolean()
+      .withMessage("Background must be true or false"),
+    handleValidationErrors,
+  ],
+
+  receivables: [
+    query("asOf").optional().isISO8601().withMessage("Invalid date format"),
+    query("customer").optional().isMongoId().withMessage("Invalid customer ID"),
+    handleValidationErrors,
+  ],
+
+  export: [
+    body("reportType").trim().notEmpty().withMessage("Report type is required"),
+    body("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage("Format must be xlsx, csv or pdf"),
+    body("filters")
+      .optional()
+      .isObject()
+      .withMessage("Filters must be an object"),
+    body("filters.startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid start date format"),
+    body("filters.endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid end date format"),
+    body("background")
+      .optional()
+      .isBoolean()
+      .withMessage("Background must be true or false"),
+    handleValidationErrors,
+  ],
+
+  activities: [
+    body("startDate")
+      .notEmpty()
+      .withMessage("Start date is required")
+      .isISO8601()
+      .withMessage("Invalid start date format"),
+    body("endDate")
+      .notEmpty()
+      .withMessage("End date is required")
+      .isISO8601()
+      .withMessage("Invalid end date format"),
+    body("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage("Format must be xlsx, csv or pdf"),
+    body("background")
+      .optional()
+      .isBoolean()
+      .withMessage("Background must be true or false"),
+    handleValidationErrors,
+  ],
+};
+
+// Delivery zone validations
+const isLngLat = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every((number) => typeof number === "number") &&
+  Math.abs(value[0]) <= 180 &&
+  Math.abs(value[1]) <= 90;
+
+// A polygon needs a ring of points, a radius a center and distance
+const checkBoundary = (boundary) => {
+  if (boundary.type === "polygon") {
+    if (
+      !Array.isArray(boundary.coordinates) ||
+      boundary.coordinates.length < 3 ||
+      !boundary.coordinates.every(isLngLat)
+    ) {
+      throw new Error("Polygon needs at least 3 [longitude, latitude] points");
+    }
+  }
+  if (boundary.type === "radius") {
+    if (!isLngLat(boundary.center) || !(boundary.radiusKm > 0)) {
+      throw new Error("Radius needs a [longitude, latitude] center and km");
+    }
+  }
+  return true;
+};
+
+const deliveryZoneFields = [
+  body("areas").optional().isArray().withMessage("Areas must be an array"),
+  body("areas.*").trim().notEmpty().withMessage("Area names cannot be empty"),
+  body("boundary.type")
+    .optional()
+    .isIn(["areas", "polygon", "radius"])
+    .withMessage("Boundary must be areas, polygon or radius"),
+  body("boundary").optional().custom(checkBoundary),
+  body("estimatedTime")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Estimated time cannot exceed 50 characters"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false"),
+];
+
+const deliveryZoneValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Zone name is required")
+      .isLength({ max: 100 })
+      .withMessage("Zone name cannot exceed 100 characters"),
+    body("fee")
+      .notEmpty()
+      .withMessage("Delivery fee is required")
+      .isFloat({ min: 0 })
+      .withMessage("Delivery fee cannot be negative")
+      .toFloat(),
+    ...deliveryZoneFields,
+    handleValidationErrors,
+  ],
+
+  update: [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Zone name cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Zone name cannot exceed 100 characters"),
+    body("fee")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Delivery fee cannot be negative")
+      .toFloat(),
+    ...deliveryZoneFields,
+    handleValidationErrors,
+  ],
+
+  quote: [
+    body("address")
+      .optional()
+      .isObject()
+      .withMessage("Address must be an object"),
+    body("address.location.coordinates")
+      .optional()
+      .custom(isLngLat)
+      .withMessage("Coordinates must be [longitude, latitude]"),
+    body("customer").optional().isMongoId().withMessage("Invalid customer ID"),
+    body("amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Amount cannot be negative")
+      .toFloat(),
+    handleValidationErrors,
+  ],
+};
+
+// Delivery run validations
+const deliveryRunValidations = {
+  create: [
+    body("rider")
+      .notEmpty()
+      .withMessage("Rider is required")
+      .isMongoId()
+      .withMessage("Invalid rider ID"),
+    body("orders")
+      .isArray({ min: 1, max: 50 })
+      .withMessage("A run needs between 1 and 50 orders"),
+    body("orders.*").isMongoId().withMessage("Invalid order ID"),
+    body("date").optional().isISO8601().withMessage("Invalid run date"),
+    body("location")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Location cannot be empty"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+
+  outcome: [
+    param("id").isMongoId().withMessage("Invalid delivery run ID"),
+    param("stopId").isMongoId().withMessage("Invalid stop ID"),
+    body("status")
+      .isIn(["delivered", "failed", "rescheduled"])
+      .withMessage("Outcome must be delivered, failed or rescheduled"),
+    body("amountCollected")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Amount collected cannot be negative")
+      .toFloat(),
+    body("method")
+      .optional()
+      .isIn(["cash", "mpesa", "card", "bank_transfer"])
+      .withMessage("Invalid payment method"),
+    body("reference").optional().trim(),
+    ...proofOfDeliveryFields,
+    body("rescheduledTo")
+      .if(body("status").equals("rescheduled"))
+      .notEmpty()
+      .withMessage("New delivery date is required")
+      .isISO8601()
+      .withMessage("Invalid delivery date"),
+    body("notes")
+      .if(body("status").equals("failed"))
+      .trim()
+      .notEmpty()
+      .withMessage("Please give a reason for the failed delivery"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+
+  reconcile: [
+    param("id").isMongoId().withMessage("Invalid delivery run ID"),
+    body("cashReturned")
+      .notEmpty()
+      .withMessage("Cash returned is required")
+      .isFloat({ min: 0 })
+      .withMessage("Cash returned cannot be negative")
+      .toFloat(),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+};
+
+// Notification validations
+const NOTIFICATION_CHANNELS = ["sms", "email", "whatsapp"];
+
+const notificationValidations = {
+  list: [
+    query("status")
+      .optional()
+      .isIn(["queued", "sending", "sent", "delivered", "failed"])
+      .withMessage("Invalid notification status"),
+    query("channel")
+      .optional()
+      .isIn(NOTIFICATION_CHANNELS)
+      .withMessage("Channel must be sms, email or whatsapp"),
+    query("relatedId").optional().isMongoId().withMessage("Invalid related ID"),
+    handleValidationErrors,
+  ],
+
+  test: [
+    body("channel")
+      .isIn(NOTIFICATION_CHANNELS)
+      .withMessage("Channel must be sms, email or whatsapp"),
+    body("to").trim().notEmpty().withMessage("Recipient is required"),
+    body("message")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Message cannot exceed 1000 characters"),
+    handleValidationErrors,
+  ],
+
+  preview: [
+    body("template")
+      .isIn(Object.keys(templates))
+      .withMessage("Unknown notification template"),
+    body("channel")
+      .optional()
+      .isIn(NOTIFICATION_CHANNELS)
+      .withMessage("Channel must be sms, email or whatsapp"),
+    body("language")
+      .optional()
+      .isIn(TEMPLATE_LANGUAGES)
+      .withMessage("Language must be en or sw"),
+    body("text").optional().isString().withMessage("Text must be a string"),
+    body("order").optional().isMongoId().withMessage("Invalid order ID"),
+    handleValidationErrors,
+  ],
+};
+
+// Reject saved templates with unknown names, languages or variables
+const checkTemplates = (channel) => (value) => {
+  const errors = validateTemplates(channel, value);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return true;
 };
 
 // Common validations
@@ -454,6 +1162,78 @@ const categoryValidations = {
   ],
 };
 
+// API key scopes: known resources and actions, at least one granted
+const checkScopes = (scopes) => {
+  const allowed = ApiKey.getScopes();
+
+  const granted = Object.entries(scopes).flatMap(([resource, actions]) => {
+    if (!allowed[resource] || typeof actions !== "object") {
+      throw new Error(`Unknown scope ${resource}`);
+    }
+
+    return Object.entries(actions).map(([action, value]) => {
+      if (!allowed[resource].includes(action)) {
+        throw new Error(`Unknown scope ${resource}.${action}`);
+      }
+      if (typeof value !== "boolean") {
+        throw new Error(`Scope ${resource}.${action} must be true or false`);
+      }
+      return value;
+    });
+  });
+
+  if (!granted.includes(true)) {
+    throw new Error("Grant the key at least one scope");
+  }
+  return true;
+};
+
+// API key validations
+const apiKeyValidations = {
+  create: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Key name is required")
+      .isLength({ max: 100 })
+      .withMessage("Key name cannot exceed 100 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    body("scopes")
+      .isObject()
+      .withMessage("Scopes are required")
+      .bail()
+      .custom(checkScopes),
+    body("rateLimit")
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage(
+        "Rate limit must be between 1 and 10000 requests per minute"
+      ),
+    body("expiresAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid expiry date")
+      .bail()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Expiry date must be in the future"),
+    handleValidationErrors,
+  ],
+
+  revoke: [
+    param("id").isMongoId().withMessage("Invalid API key ID"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+};
+
 // Settings validations
 const settingsValidations = {
   update: [
@@ -475,6 +1255,83 @@ const settingsValidations = {
       .optional()
       .isLength({ min: 3, max: 3 })
       .withMessage("Currency code must be 3 characters"),
+    body("inventory.valuationMethod")
+      .optional()
+      .isIn(["fifo", "weighted_average"])
+      .withMessage("Valuation method must be fifo or weighted_average"),
+    body(["business.operatingHours.*.open", "business.operatingHours.*.close"])
+      .optional({ checkFalsy: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage("Operating hours must be in HH:MM format"),
+    body("orders.delivery.proofRequired")
+      .optional()
+      .isIn(["none", "signature", "photo", "any", "both"])
+      .withMessage(
+        "Proof required must be none, signature, photo, any or both"
+      ),
+    body("security.passwordPolicy.minLength")
+      .optional()
+      .isInt({ min: 6, max: 128 })
+      .withMessage("Minimum password length must be between 6 and 128"),
+    body([
+      "security.passwordPolicy.requireUppercase",
+      "security.passwordPolicy.requireNumbers",
+      "security.passwordPolicy.requireSpecialChars",
+    ])
+      .optional()
+      .isBoolean()
+      .withMessage("Password requirements must be true or false"),
+    body("security.passwordPolicy.expiryDays")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Password expiry days must be 0 or more"),
+    body("security.passwordPolicy.historyCount")
+      .optional()
+      .isInt({ min: 0, max: 24 })
+      .withMessage("Password history must be between 0 and 24"),
+    body("security.twoFactorAuth.requiredRoles")
+      .optional()
+      .isArray()
+      .withMessage("Required roles must be a list"),
+    body("security.twoFactorAuth.requiredRoles.*")
+      .isIn(["owner", "operator", "viewer"])
+      .withMessage("Required roles must be owner, operator or viewer"),
+    body("security.twoFactorAuth.enrollOnLogin")
+      .optional()
+      .isBoolean()
+      .withMessage("Enrol on login must be true or false"),
+    body("security.twoFactorAuth.trustedDeviceDays")
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage("Trusted device days must be between 0 and 365"),
+    body("security.ipWhitelist.addresses")
+      .optional()
+      .isArray()
+      .withMessage("Allowed addresses must be a list"),
+    body("security.ipWhitelist.addresses.*")
+      .custom((value) => ipAccessService.isValidEntry(value))
+      .withMessage("Allowed addresses must be IP addresses or CIDR ranges"),
+    body("security.ipWhitelist.exemptRoles")
+      .optional()
+      .isArray()
+      .withMessage("Exempt roles must be a list"),
+    body("security.ipWhitelist.exemptRoles.*")
+      .isIn(["owner", "operator", "viewer"])
+      .withMessage("Exempt roles must be owner, operator or viewer"),
+    body("business.address.location.coordinates")
+      .optional()
+      .custom(isLngLat)
+      .withMessage("Coordinates must be [longitude, latitude]"),
+    body("orders.statusNotifications.statuses.*")
+      .optional()
+      .isBoolean()
+      .withMessage("Status notifications must be true or false"),
+    body("notifications.sms.templates")
+      .optional()
+      .custom(checkTemplates("sms")),
+    body("notifications.email.templates")
+      .optional()
+      .custom(checkTemplates("email")),
     handleValidationErrors,
   ],
 };
@@ -486,6 +1343,14 @@ module.exports = {
   saleValidations,
   orderValidations,
   customerValidations,
+  supplierValidations,
+  purchaseOrderValidations,
+  stockTransferValidations,
+  reportValidations,
+  deliveryZoneValidations,
+  deliveryRunValidations,
+  notificationValidations,
+  apiKeyValidations,
   commonValidations,
   categoryValidations,
   settingsValidations,
@@ -19,6 +19,11 @@ const activityLogSchema = new mongoose.Schema(
         "user.failed_login",
         "user.password_changed",
         "user.profile_updated",
+        "user.two_factor_enabled",
+        "user.two_factor_disabled",
+        "user.recovery_codes_regenerated",
+        "user.session_revoked",
+        "user.token_reused",
 
         // Product actions
         "product.created",
@@ -26,6 +31,7 @@ const activityLogSchema = new mongoose.Schema(
         "product.deleted",
         "product.stock_adjusted",
         "product.imported",
+        "product.import_rolled_back",
 
         // Sale actions
         "sale.created",
@@ -45,8 +51,39 @@ const activityLogSchema = new mongoose.Schema(
         "customer.created",
         "customer.updated",
         "customer.credit_transaction",
+        "customer.loyalty_adjusted",
+        "customer.payment_reminders_sent",
         "customer.note_added",
 
+        // Purchasing actions
+        "supplier.created",
+        "supplier.updated",
+        "supplier.deleted",
+        "purchase_order.created",
+        "purchase_order.updated",
+        "purchase_order.sent",
+        "purchase_order.received",
+        "purchase_order.closed",
+        "purchase_order.cancelled",
+
+        // Stock transfer actions
+        "stock_transfer.requested",
+        "stock_transfer.dispatched",
+        "stock_transfer.received",
+        "stock_transfer.cancelled",
+
+        // Delivery zone actions
+        "delivery_zone.created",
+        "delivery_zone.updated",
+        "delivery_zone.deleted",
+
+        // Delivery run actions
+        "delivery_run.created",
+        "delivery_run.started",
+        "delivery_run.stop_updated",
+        "delivery_run.reconciled",
+        "delivery_run.cancelled",
+
         // Report actions
         "report.generated",
         "report.exported",
@@ -58,6 +95,12 @@ const activityLogSchema = new mongoose.Schema(
         "settings.updated",
         "data.imported",
         "data.exported",
+
+        // Security actions
+        "security.ip_blocked",
+        "security.access_override",
+        "api_key.created",
+        "api_key.revoked",
       ],
     },
     entity: {
@@ -69,7 +112,13 @@ const activityLogSchema = new mongoose.Schema(
           "sale",
           "order",
           "customer",
+          "supplier",
+          "purchase_order",
+          "stock_transfer",
           "category",
+          "delivery_zone",
+          "delivery_run",
+          "api_key",
           "report",
           "system",
         ],
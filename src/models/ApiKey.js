@@ -0,0 +1,151 @@
+// backend/src/models/ApiKey.js
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const KEY_PREFIX = "jsf_";
+
+// Scopes use the same resources and actions as User.permissions
+const SCOPES = {
+  products: ["create", "read", "update", "delete"],
+  sales: ["create", "read", "void"],
+  orders: ["create", "read", "update", "delete"],
+  reports: ["view", "export"],
+};
+
+const scope = (actions) =>
+  Object.fromEntries(
+    actions.map((action) => [action, { type: Boolean, default: false }])
+  );
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "Key name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    }, // First characters of the key, to tell keys apart
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    }, // SHA-256 of the key; the key itself is only shown once
+    scopes: Object.fromEntries(
+      Object.entries(SCOPES).map(([resource, actions]) => [
+        resource,
+        scope(actions),
+      ])
+    ),
+    rateLimit: {
+      type: Number,
+      default: 60,
+      min: [1, "Rate limit must be at least 1 request per minute"],
+    }, // Requests per minute
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Requests made with the key act as this user
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+// Virtual for key status
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+// Method to check whether the key may act on a resource
+apiKeySchema.methods.hasScope = function (resource, action) {
+  return Boolean(this.scopes?.[resource]?.[action]);
+};
+
+// Method to record a request made with the key
+apiKeySchema.methods.recordUse = async function (ip) {
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  this.usageCount += 1;
+
+  // Update in place so concurrent requests do not overwrite each other
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip },
+      $inc: { usageCount: 1 },
+    }
+  );
+};
+
+// Method to revoke the key
+apiKeySchema.methods.revoke = async function (userId) {
+  if (this.revokedAt) {
+    throw new Error("API key is already revoked");
+  }
+
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+
+  await this.save();
+  return this;
+};
+
+// Static method to list the resources and actions a key can be granted
+apiKeySchema.statics.getScopes = function () {
+  return SCOPES;
+};
+
+// Static method to create a key; returns the document and the plain key
+apiKeySchema.statics.generate = async function (data) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+
+  const apiKey = await this.create({
+    ...data,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find a key from the X-API-Key header
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
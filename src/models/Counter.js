@@ -34,21 +34,20 @@ const counterSchema = new mongoose.Schema(
   }
 );
 
-// Method to get next sequence number
+// Method to get next sequence number.
+// Uses an atomic increment so concurrent callers never share a number.
 counterSchema.statics.getNextSequence = async function (
   counterId,
   options = {}
 ) {
-  const counter = await this.findById(counterId);
-
-  if (!counter) {
-    // Create new counter if doesn't exist
-    const newCounter = await this.create({
-      _id: counterId,
-      ...options,
-    });
-    return newCounter.seq;
-  }
+  const counter = await this.findOneAndUpdate(
+    { _id: counterId },
+    {
+      $inc: { seq: 1 },
+      ...(Object.keys(options).length > 0 && { $setOnInsert: options }),
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
 
   // Check if reset is needed
   const now = new Date();
@@ -68,15 +67,22 @@ counterSchema.statics.getNextSequence = async function (
       break;
   }
 
-  if (shouldReset) {
-    counter.seq = 1;
-    counter.lastReset = now;
-  } else {
-    counter.seq += 1;
+  if (!shouldReset) {
+    return counter.seq;
+  }
+
+  // Only the first caller of the new period restarts the sequence
+  const reset = await this.findOneAndUpdate(
+    { _id: counterId, lastReset: counter.lastReset },
+    { $set: { seq: 1, lastReset: now } },
+    { new: true }
+  );
+
+  if (reset) {
+    return reset.seq;
   }
 
-  await counter.save();
-  return counter.seq;
+  return this.getNextSequence(counterId, options);
 };
 
 const Counter = mongoose.model("Counter", counterSchema);
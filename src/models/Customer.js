@@ -1,5 +1,6 @@
 // backend/src/models/Customer.js
 const mongoose = require("mongoose");
+const LoyaltyTransaction = require("./LoyaltyTransaction");
 
 const customerSchema = new mongoose.Schema(
   {
@@ -131,15 +132,22 @@ const customerSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
-      dueDate: Date,
+      dueDate: Date, // Earliest due date of the unpaid balance
+      interestChargedAt: Date, // Interest is charged up to this date
       transactions: [
         {
           type: {
             type: String,
-            enum: ["credit", "payment"],
+            enum: ["credit", "payment", "interest", "adjustment"],
           },
-          amount: Number,
+          amount: Number, // Adjustments may be negative
           reference: String,
+          sale: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Sale",
+          },
+          dueDate: Date, // For credit sales and interest charges
+          notes: String,
           balance: Number,
           date: {
             type: Date,
@@ -152,6 +160,31 @@ const customerSchema = new mongoose.Schema(
         },
       ],
     },
+    paymentReminders: [
+      {
+        channel: {
+          type: String,
+          enum: ["sms", "email"],
+        },
+        threshold: Number, // Days overdue that triggered the reminder
+        daysOverdue: Number,
+        amount: Number, // Overdue balance at the time
+        message: String,
+        notification: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Notification",
+        }, // Outbox entry tracking delivery
+        status: {
+          type: String,
+          enum: ["sent", "failed"],
+        },
+        error: String,
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     statistics: {
       totalOrders: {
         type: Number,
@@ -291,10 +324,6 @@ customerSchema.methods.updateOrderStatistics = async function (orderAmount) {
     this.statistics.totalSpent / this.statistics.totalOrders;
   this.status.lastActivity = new Date();
 
-  // Update loyalty points (1 point per 100 KES)
-  const pointsEarned = Math.floor(orderAmount / 100);
-  this.loyalty.points += pointsEarned;
-
   // Check for tier upgrade
   await this.updateLoyaltyTier();
 
@@ -321,26 +350,133 @@ customerSchema.methods.updateLoyaltyTier = async function () {
   }
 };
 
+// Method to record a loyalty points entry and update the balance
+customerSchema.methods.addLoyaltyTransaction = async function (
+  type,
+  points,
+  { value = 0, reason, reference, sale, order, userId } = {}
+) {
+  const balance = this.loyalty.points + points;
+  if (balance < 0) {
+    throw new Error(
+      `Insufficient loyalty points. Available: ${this.loyalty.points}`
+    );
+  }
+
+  this.loyalty.points = balance;
+
+  // Write the ledger entry in the same transaction as the customer, if any
+  const [entry] = await LoyaltyTransaction.create(
+    [
+      {
+        customer: this._id,
+        type,
+        points,
+        balance,
+        value,
+        reason,
+        reference,
+        sale,
+        order,
+        performedBy: userId,
+      },
+    ],
+    { session: this.$session() }
+  );
+
+  await this.save();
+  return entry;
+};
+
+// Method to expire the points balance once its expiry date has passed
+customerSchema.methods.expireLoyaltyPoints = async function (userId) {
+  const { points, expiryDate } = this.loyalty;
+  if (!expiryDate || expiryDate > new Date() || points <= 0) return null;
+
+  this.loyalty.expiryDate = undefined;
+  return this.addLoyaltyTransaction("expired", -points, {
+    reason: "Points expired",
+    userId,
+  });
+};
+
+// Method to earn points on a purchase, scaled by the customer's tier
+customerSchema.methods.earnLoyaltyPoints = async function (
+  amount,
+  loyaltySettings,
+  details = {}
+) {
+  if (!loyaltySettings?.enabled) return 0;
+
+  await this.expireLoyaltyPoints(details.userId);
+
+  const multiplier = loyaltySettings.tierMultipliers?.[this.loyalty.tier] || 1;
+  const points = Math.floor(
+    (amount / 100) * loyaltySettings.pointsPerCurrency * multiplier
+  );
+  if (points <= 0) return 0;
+
+  // Each purchase pushes the expiry of the whole balance forward
+  if (loyaltySettings.pointsExpiryMonths > 0) {
+    const expiryDate = new Date();
+    expiryDate.setMonth(
+      expiryDate.getMonth() + loyaltySettings.pointsExpiryMonths
+    );
+    this.loyalty.expiryDate = expiryDate;
+  }
+
+  await this.addLoyaltyTransaction("earned", points, {
+    reason: details.reason || "Purchase",
+    ...details,
+  });
+  return points;
+};
+
+// Method to spend points, returning their value as a discount
+customerSchema.methods.redeemLoyaltyPoints = async function (
+  points,
+  loyaltySettings,
+  details = {}
+) {
+  if (!loyaltySettings?.enabled) {
+    throw new Error("Loyalty program is not enabled");
+  }
+
+  await this.expireLoyaltyPoints(details.userId);
+
+  const value = points * loyaltySettings.redemptionRate;
+  await this.addLoyaltyTransaction("redeemed", -points, {
+    value,
+    reason: details.reason || "Redeemed at checkout",
+    ...details,
+  });
+  return value;
+};
+
 // Method to add credit transaction
 customerSchema.methods.addCreditTransaction = async function (
   type,
   amount,
   reference,
-  userId
+  userId,
+  { sale, dueDate, notes } = {}
 ) {
-  if (!this.credit.isEnabled) {
-    throw new Error("Credit not enabled for this customer");
-  }
-
   let newBalance = this.credit.used;
 
   if (type === "credit") {
+    if (!this.credit.isEnabled) {
+      throw new Error("Credit not enabled for this customer");
+    }
     if (this.credit.used + amount > this.credit.limit) {
       throw new Error("Credit limit exceeded");
     }
     newBalance += amount;
+  } else if (type === "interest") {
+    newBalance += amount;
   } else if (type === "payment") {
     newBalance = Math.max(0, newBalance - amount);
+  } else if (type === "adjustment") {
+    newBalance = Math.max(0, newBalance + amount);
   }
 
   this.credit.used = newBalance;
@@ -348,19 +484,134 @@ customerSchema.methods.addCreditTransaction = async function (
     type,
     amount,
     reference,
+    sale,
+    dueDate,
+    notes,
     balance: newBalance,
     recordedBy: userId,
   });
 
-  // Keep only last 50 transactions
-  if (this.credit.transactions.length > 50) {
-    this.credit.transactions = this.credit.transactions.slice(-50);
-  }
+  // The balance is next due when its oldest unpaid charge is
+  const [oldest] = this.getOpenCharges();
+  this.credit.dueDate = oldest?.dueDate;
 
   await this.save();
   return this;
 };
 
+// Method to match payments to charges, oldest first, and return the
+// charges that are still unpaid
+customerSchema.methods.getOpenCharges = function () {
+  const charges = [];
+  let unallocated = 0;
+
+  const transactions = [...this.credit.transactions].sort(
+    (a, b) => a.date - b.date
+  );
+
+  for (const transaction of transactions) {
+    const isCharge =
+      ["credit", "interest"].includes(transaction.type) ||
+      (transaction.type === "adjustment" && transaction.amount > 0);
+
+    if (isCharge) {
+      charges.push({
+        type: transaction.type,
+        reference: transaction.reference,
+        sale: transaction.sale,
+        date: transaction.date,
+        dueDate: transaction.dueDate || transaction.date,
+        amount: transaction.amount,
+        outstanding: transaction.amount,
+      });
+    } else {
+      unallocated += Math.abs(transaction.amount);
+    }
+
+    // Settle the oldest charges with any payments received so far
+    for (const charge of charges) {
+      if (unallocated <= 0) break;
+      const settled = Math.min(charge.outstanding, unallocated);
+      charge.outstanding -= settled;
+      unallocated -= settled;
+    }
+  }
+
+  return charges.filter((charge) => charge.outstanding > 0.005);
+};
+
+// Method to bucket the unpaid balance by the age of each charge
+customerSchema.methods.getCreditAging = function (asOf = new Date()) {
+  const aging = {
+    current: 0, // 0-30 days
+    days31To60: 0,
+    days61To90: 0,
+    over90: 0,
+    overdue: 0,
+    total: 0,
+  };
+
+  for (const charge of this.getOpenCharges()) {
+    const age = Math.floor((asOf - charge.date) / (24 * 60 * 60 * 1000));
+
+    if (age <= 30) aging.current += charge.outstanding;
+    else if (age <= 60) aging.days31To60 += charge.outstanding;
+    else if (age <= 90) aging.days61To90 += charge.outstanding;
+    else aging.over90 += charge.outstanding;
+
+    if (charge.dueDate < asOf) aging.overdue += charge.outstanding;
+    aging.total += charge.outstanding;
+  }
+
+  return aging;
+};
+
+// Method to charge interest on overdue credit since it was last charged.
+// interestRate is a monthly percentage, accrued daily.
+customerSchema.methods.applyCreditInterest = async function (
+  creditTerms,
+  userId
+) {
+  const now = new Date();
+  if (!creditTerms?.interestRate) return 0;
+
+  let interest = 0;
+  for (const charge of this.getOpenCharges()) {
+    // Interest is not charged on interest
+    if (charge.type === "interest") continue;
+
+    const from = Math.max(
+      charge.dueDate,
+      this.credit.interestChargedAt || charge.dueDate
+    );
+    const days = (now - from) / (24 * 60 * 60 * 1000);
+    if (days <= 0) continue;
+
+    interest +=
+      charge.outstanding * (creditTerms.interestRate / 100) * (days / 30);
+  }
+
+  this.credit.interestChargedAt = now;
+  interest = Math.round(interest * 100) / 100;
+
+  if (interest <= 0) {
+    await this.save();
+    return 0;
+  }
+
+  await this.addCreditTransaction(
+    "interest",
+    interest,
+    `INT-${now.toISOString().split("T")[0]}`,
+    userId,
+    {
+      dueDate: now,
+      notes: `${creditTerms.interestRate}% monthly interest on overdue balance`,
+    }
+  );
+  return interest;
+};
+
 // Method to add note
 customerSchema.methods.addNote = async function (
   content,
@@ -382,6 +633,13 @@ customerSchema.methods.addNote = async function (
   return this;
 };
 
+// Method to get the address used when none is given
+customerSchema.methods.getDefaultAddress = function () {
+  return (
+    this.addresses.find((address) => address.isDefault) || this.addresses[0]
+  );
+};
+
 // Static method to find customers by location
 customerSchema.statics.findByLocation = function (
   coordinates,
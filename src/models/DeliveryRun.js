@@ -0,0 +1,302 @@
+// backend/src/models/DeliveryRun.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+const { calculateDistance } = require("../utils/helpers");
+
+const hasCoordinates = (coordinates) =>
+  Array.isArray(coordinates) && coordinates.length === 2;
+
+// Distance in km between two [longitude, latitude] points
+const distanceBetween = ([lng1, lat1], [lng2, lat2]) =>
+  Math.round(calculateDistance(lat1, lng1, lat2, lng2) * 100) / 100;
+
+const deliveryRunSchema = new mongoose.Schema(
+  {
+    runNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Generated before first save
+      },
+      unique: true,
+    },
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Rider is required"],
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    location: String, // Branch the run leaves from
+    origin: [Number], // [longitude, latitude] of the shop
+    stops: [
+      {
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        orderNumber: String,
+        sequence: Number,
+        customerName: String,
+        phone: String,
+        address: String,
+        instructions: String,
+        coordinates: [Number], // [longitude, latitude]
+        distanceKm: Number, // From the previous stop, or the shop
+        amountToCollect: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        paymentMethod: String,
+        status: {
+          type: String,
+          enum: ["pending", "delivered", "failed", "rescheduled"],
+          default: "pending",
+        },
+        collected: {
+          amount: {
+            type: Number,
+            default: 0,
+            min: 0,
+          },
+          method: String,
+          reference: String,
+        },
+        rescheduledTo: Date,
+        notes: String,
+        completedAt: Date,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["planned", "in_progress", "completed", "cancelled"],
+      default: "planned",
+    },
+    reconciliation: {
+      status: {
+        type: String,
+        enum: ["pending", "balanced", "short", "over"],
+        default: "pending",
+      },
+      expectedCash: {
+        type: Number,
+        default: 0,
+      }, // Cash the rider collected at the door
+      cashReturned: Number,
+      variance: Number, // Returned minus expected
+      reconciledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reconciledAt: Date,
+      notes: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    startedAt: Date,
+    completedAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+deliveryRunSchema.index({ runNumber: 1 });
+deliveryRunSchema.index({ rider: 1, date: -1 });
+deliveryRunSchema.index({ status: 1 });
+deliveryRunSchema.index({ "stops.order": 1 });
+
+// Virtual for stop counts and amounts
+deliveryRunSchema.virtual("summary").get(function () {
+  const stops = this.stops || [];
+  const count = (status) =>
+    stops.filter((stop) => stop.status === status).length;
+
+  return {
+    stops: stops.length,
+    pending: count("pending"),
+    delivered: count("delivered"),
+    failed: count("failed"),
+    rescheduled: count("rescheduled"),
+    distanceKm:
+      Math.round(
+        stops.reduce((sum, stop) => sum + (stop.distanceKm || 0), 0) * 100
+      ) / 100,
+    amountToCollect: stops.reduce((sum, stop) => sum + stop.amountToCollect, 0),
+    collected: stops.reduce((sum, stop) => sum + stop.collected.amount, 0),
+  };
+});
+
+// Generate run number before saving
+deliveryRunSchema.pre("save", async function (next) {
+  if (this.isNew && !this.runNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("delivery_run");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.runNumber = `RUN${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Instance methods
+deliveryRunSchema.methods.start = async function () {
+  if (this.status !== "planned") {
+    throw new Error(`Cannot start a run that is ${this.status}`);
+  }
+
+  this.status = "in_progress";
+  this.startedAt = new Date();
+
+  await this.save();
+  return this;
+};
+
+deliveryRunSchema.methods.cancel = async function (reason) {
+  if (this.status !== "planned") {
+    throw new Error(`Cannot cancel a run that is ${this.status}`);
+  }
+
+  this.status = "cancelled";
+  this.notes = reason || this.notes;
+
+  await this.save();
+  return this;
+};
+
+deliveryRunSchema.methods.recordStopOutcome = async function (
+  stopId,
+  { status, collected, rescheduledTo, notes }
+) {
+  if (this.status !== "in_progress") {
+    throw new Error(`Cannot update stops on a run that is ${this.status}`);
+  }
+
+  const stop = this.stops.id(stopId);
+  if (!stop) {
+    throw new Error("Stop not found on this run");
+  }
+  if (stop.status !== "pending") {
+    throw new Error(`Stop is already ${stop.status}`);
+  }
+
+  stop.status = status;
+  stop.notes = notes;
+  stop.completedAt = new Date();
+  if (collected) {
+    stop.collected = collected;
+  }
+  if (status === "rescheduled") {
+    stop.rescheduledTo = rescheduledTo;
+  }
+
+  // Cash comes back to the shop; other methods are paid to the business
+  this.reconciliation.expectedCash = this.stops
+    .filter((item) => item.collected.method === "cash")
+    .reduce((sum, item) => sum + item.collected.amount, 0);
+
+  // The run ends once every stop has an outcome
+  if (this.stops.every((item) => item.status !== "pending")) {
+    this.status = "completed";
+    this.completedAt = new Date();
+  }
+
+  await this.save();
+  return stop;
+};
+
+deliveryRunSchema.methods.reconcile = async function (
+  cashReturned,
+  userId,
+  notes
+) {
+  if (this.status !== "completed") {
+    throw new Error("Only completed runs can be reconciled");
+  }
+  if (this.reconciliation.status !== "pending") {
+    throw new Error("This run has already been reconciled");
+  }
+
+  const variance =
+    Math.round((cashReturned - this.reconciliation.expectedCash) * 100) / 100;
+
+  this.reconciliation.cashReturned = cashReturned;
+  this.reconciliation.variance = variance;
+  this.reconciliation.status =
+    variance === 0 ? "balanced" : variance < 0 ? "short" : "over";
+  this.reconciliation.reconciledBy = userId;
+  this.reconciliation.reconciledAt = new Date();
+  this.reconciliation.notes = notes;
+
+  await this.save();
+  return this;
+};
+
+/**
+ * Put stops in driving order from the shop: each next stop is the nearest
+ * one not yet visited. Stops without coordinates go last, in given order.
+ * @param {Array} origin - Shop [longitude, latitude], if known
+ * @param {Array} stops - Stops with optional coordinates
+ * @returns {Array} Stops with sequence and distanceKm set
+ */
+deliveryRunSchema.statics.orderStops = function (origin, stops) {
+  const remaining = stops.filter((stop) => hasCoordinates(stop.coordinates));
+  const unlocated = stops.filter((stop) => !hasCoordinates(stop.coordinates));
+  const ordered = [];
+
+  let current = hasCoordinates(origin) ? origin : null;
+  while (remaining.length > 0) {
+    let nearest = 0;
+    let nearestDistance = null;
+
+    if (current) {
+      remaining.forEach((stop, index) => {
+        const distance = distanceBetween(current, stop.coordinates);
+        if (nearestDistance === null || distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+    }
+
+    const [stop] = remaining.splice(nearest, 1);
+    ordered.push({ ...stop, distanceKm: nearestDistance });
+    current = stop.coordinates;
+  }
+
+  return [
+    ...ordered,
+    ...unlocated.map((stop) => ({ ...stop, distanceKm: null })),
+  ].map((stop, index) => ({ ...stop, sequence: index + 1 }));
+};
+
+// Static method to find planned or active runs still holding orders
+deliveryRunSchema.statics.findActiveForOrders = function (orderIds) {
+  return this.find({
+    status: { $in: ["planned", "in_progress"] },
+    stops: {
+      $elemMatch: { order: { $in: orderIds }, status: "pending" },
+    },
+  });
+};
+
+const DeliveryRun = mongoose.model("DeliveryRun", deliveryRunSchema);
+
+module.exports = DeliveryRun;
@@ -0,0 +1,143 @@
+// backend/src/models/ExportJob.js
+const mongoose = require("mongoose");
+
+// Files are kept in GridFS so any server instance can serve the download
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: "exports",
+  });
+
+const exportJobSchema = new mongoose.Schema(
+  {
+    reportType: {
+      type: String,
+      required: [true, "Report type is required"],
+    },
+    format: {
+      type: String,
+      enum: ["xlsx", "csv", "pdf"],
+      required: true,
+    },
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+    },
+    file: {
+      name: String,
+      fileId: mongoose.Schema.Types.ObjectId, // GridFS file
+      size: Number,
+      mimeType: String,
+    },
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+// Virtual for download availability
+exportJobSchema.virtual("isDownloadable").get(function () {
+  return this.status === "completed" && this.expiresAt > new Date();
+});
+
+// Method to store the generated file
+exportJobSchema.methods.storeFile = async function (file) {
+  const upload = getBucket().openUploadStream(file.name, {
+    metadata: { jobId: this._id, mimeType: file.mimeType },
+  });
+
+  await new Promise((resolve, reject) => {
+    upload.once("finish", resolve);
+    upload.once("error", reject);
+    upload.end(file.buffer);
+  });
+
+  this.file = {
+    name: file.name,
+    fileId: upload.id,
+    size: file.buffer.length,
+    mimeType: file.mimeType,
+  };
+};
+
+// Method to stream the stored file
+exportJobSchema.methods.openFile = function () {
+  return getBucket().openDownloadStream(this.file.fileId);
+};
+
+// Static method to claim a queued job (the given one, or the oldest) so
+// only one worker generates it
+exportJobSchema.statics.claim = function (jobId) {
+  return this.findOneAndUpdate(
+    { ...(jobId && { _id: jobId }), status: "queued" },
+    { status: "processing", startedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Static method to recover jobs left processing for too long, e.g. when
+// the process was stopped mid-export. They are queued again until they
+// have used up their attempts, then marked failed.
+exportJobSchema.statics.recoverStale = async function (timeoutMs, maxAttempts) {
+  const stale = {
+    status: "processing",
+    startedAt: { $lte: new Date(Date.now() - timeoutMs) },
+  };
+
+  const failed = await this.updateMany(
+    { ...stale, attempts: { $gte: maxAttempts } },
+    { status: "failed", error: "Export timed out", completedAt: new Date() }
+  );
+  const requeued = await this.updateMany(stale, { status: "queued" });
+
+  return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+};
+
+// Static method to remove expired jobs together with their files
+exportJobSchema.statics.purgeExpired = async function () {
+  const expired = await this.find({ expiresAt: { $lte: new Date() } });
+
+  for (const job of expired) {
+    if (job.file?.fileId) {
+      await getBucket()
+        .delete(job.file.fileId)
+        .catch(() => {});
+    }
+  }
+
+  await this.deleteMany({ _id: { $in: expired.map((job) => job._id) } });
+  return expired.length;
+};
+
+const ExportJob = mongoose.model("ExportJob", exportJobSchema);
+
+module.exports = ExportJob;
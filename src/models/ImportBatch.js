@@ -0,0 +1,179 @@
+// backend/src/models/ImportBatch.js
+const mongoose = require("mongoose");
+
+const importBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    }, // Matches metadata.importBatch on the products it created
+    fileName: String,
+    location: String,
+    status: {
+      type: String,
+      enum: ["completed", "rolled_back"],
+      default: "completed",
+    },
+    summary: {
+      total: {
+        type: Number,
+        default: 0,
+      },
+      created: {
+        type: Number,
+        default: 0,
+      },
+      updated: {
+        type: Number,
+        default: 0,
+      },
+      unchanged: {
+        type: Number,
+        default: 0,
+      },
+      failed: {
+        type: Number,
+        default: 0,
+      },
+    },
+    items: [
+      {
+        row: Number,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        sku: String,
+        action: {
+          type: String,
+          enum: ["created", "updated"],
+        },
+        openingStock: {
+          type: Number,
+          default: 0,
+        },
+        changes: [
+          {
+            field: String,
+            previous: mongoose.Schema.Types.Mixed,
+            current: mongoose.Schema.Types.Mixed,
+          },
+        ], // Values overwritten on existing products
+      },
+    ],
+    failures: [
+      {
+        row: Number,
+        sku: String,
+        messages: [String],
+      },
+    ],
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rollbackInfo: {
+      rolledBackBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rolledBackAt: Date,
+      reason: String,
+      deleted: Number,
+      deactivated: Number,
+      restored: Number,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+importBatchSchema.index({ batchNumber: 1 });
+importBatchSchema.index({ importedBy: 1, createdAt: -1 });
+importBatchSchema.index({ status: 1 });
+
+// Instance methods
+importBatchSchema.methods.rollback = async function (userId, reason) {
+  if (this.status === "rolled_back") {
+    throw new Error("Import has already been rolled back");
+  }
+
+  const Product = mongoose.model("Product");
+  const result = { deleted: 0, deactivated: 0, restored: 0, categories: [] };
+
+  // Remove the products this import created. Products that have moved
+  // stock since then are kept for their history but deactivated.
+  const created = await Product.find({
+    "metadata.importBatch": this.batchNumber,
+  });
+
+  for (const product of created) {
+    result.categories.push(product.category);
+
+    const usedSinceImport = product.stockMovements.some(
+      (movement) => movement.reference !== this.batchNumber
+    );
+
+    if (usedSinceImport) {
+      product.status.isActive = false;
+      product.status.reason = `Import ${this.batchNumber} rolled back`;
+      product.metadata.updatedBy = userId;
+      await product.save();
+      result.deactivated += 1;
+    } else {
+      await product.deleteOne();
+      result.deleted += 1;
+    }
+  }
+
+  // Put back the values the import overwrote on existing products
+  for (const item of this.items) {
+    if (item.action !== "updated" || item.changes.length === 0) continue;
+
+    const product = await Product.findById(item.product);
+    if (!product) continue;
+
+    // Count the category both before and after restoring
+    result.categories.push(product.category);
+
+    item.changes.forEach((change) => {
+      if (change.field === "pricing.cost") {
+        product.updateCost(
+          change.previous || 0,
+          "import",
+          `${this.batchNumber} rollback`,
+          userId
+        );
+      } else {
+        product.set(change.field, change.previous);
+      }
+    });
+
+    result.categories.push(product.category);
+
+    product.metadata.updatedBy = userId;
+    await product.save();
+    result.restored += 1;
+  }
+
+  this.status = "rolled_back";
+  this.rollbackInfo = {
+    rolledBackBy: userId,
+    rolledBackAt: new Date(),
+    reason,
+    deleted: result.deleted,
+    deactivated: result.deactivated,
+    restored: result.restored,
+  };
+
+  await this.save();
+  return result;
+};
+
+const ImportBatch = mongoose.model("ImportBatch", importBatchSchema);
+
+module.exports = ImportBatch;
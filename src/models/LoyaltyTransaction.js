@@ -0,0 +1,75 @@
+// backend/src/models/LoyaltyTransaction.js
+const mongoose = require("mongoose");
+
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["earned", "redeemed", "expired", "adjusted", "reversed"],
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    }, // Positive when points are added, negative when taken
+    balance: {
+      type: Number,
+      required: true,
+      min: 0,
+    }, // Customer's points after this entry
+    value: {
+      type: Number,
+      default: 0,
+    }, // Currency value of redeemed points
+    reason: String,
+    reference: String, // Receipt or order number
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ type: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ sale: 1 });
+loyaltyTransactionSchema.index({ order: 1 });
+
+// Static method to total points by entry type for a customer
+loyaltyTransactionSchema.statics.getSummary = function (customerId) {
+  return this.aggregate([
+    { $match: { customer: new mongoose.Types.ObjectId(customerId) } },
+    {
+      $group: {
+        _id: "$type",
+        points: { $sum: "$points" },
+        value: { $sum: "$value" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+const LoyaltyTransaction = mongoose.model(
+  "LoyaltyTransaction",
+  loyaltyTransactionSchema
+);
+
+module.exports = LoyaltyTransaction;
@@ -0,0 +1,139 @@
+// backend/src/models/Notification.js
+const mongoose = require("mongoose");
+
+// Minutes to wait before each retry of a failed send
+const RETRY_DELAYS = [1, 5, 15, 60];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["sms", "email", "whatsapp"],
+      required: true,
+    },
+    provider: String, // Provider used for the last attempt
+    to: {
+      type: String,
+      required: true,
+    },
+    subject: String, // Email only
+    message: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "delivered", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: RETRY_DELAYS.length + 1,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+    providerMessageId: String,
+    sentAt: Date,
+    deliveredAt: Date,
+    statusHistory: [
+      {
+        status: String,
+        details: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    relatedTo: {
+      type: {
+        type: String,
+        enum: ["order", "sale", "customer", "user", "system"],
+      },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ providerMessageId: 1 });
+notificationSchema.index({ "relatedTo.type": 1, "relatedTo.id": 1 });
+notificationSchema.index({ createdAt: -1 });
+
+// Virtual for whether another attempt will be made
+notificationSchema.virtual("willRetry").get(function () {
+  return this.status === "queued" && this.attempts > 0;
+});
+
+// Instance methods
+notificationSchema.methods.markSent = function (provider, providerMessageId) {
+  this.status = "sent";
+  this.provider = provider;
+  this.providerMessageId = providerMessageId;
+  this.sentAt = new Date();
+  this.lastError = undefined;
+  this.statusHistory.push({ status: "sent", details: provider });
+};
+
+// Record a failed attempt and schedule the next one, if any are left
+notificationSchema.methods.markFailed = function (provider, error) {
+  this.provider = provider;
+  this.lastError = error;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = "failed";
+  } else {
+    const delay =
+      RETRY_DELAYS[this.attempts - 1] || RETRY_DELAYS[RETRY_DELAYS.length - 1];
+    this.status = "queued";
+    this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+  }
+
+  this.statusHistory.push({ status: this.status, details: error });
+};
+
+// Static method to claim notifications that are due for an attempt.
+// Sends interrupted for over 10 minutes (e.g. by a restart) are retried.
+notificationSchema.statics.claimDue = async function (limit = 20) {
+  const claimed = [];
+
+  while (claimed.length < limit) {
+    const now = new Date();
+    const notification = await this.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", nextAttemptAt: { $lte: now } },
+          {
+            status: "sending",
+            updatedAt: { $lte: new Date(now.getTime() - 10 * 60 * 1000) },
+          },
+        ],
+      },
+      { status: "sending", $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!notification) break;
+    claimed.push(notification);
+  }
+
+  return claimed;
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
@@ -1,6 +1,19 @@
 // backend/src/models/Order.js
 const mongoose = require("mongoose");
 const Counter = require("./Counter");
+const Customer = require("./Customer");
+const Settings = require("./Settings");
+const config = require("../config/app");
+const notificationService = require("../services/notificationService");
+const { label } = require("../services/notificationTemplates");
+
+// Notification template sent when an order reaches a status
+const STATUS_TEMPLATES = {
+  pending: "orderConfirmation",
+  ready: "orderReady",
+  delivered: "orderDelivered",
+  cancelled: "orderCancelled",
+};
 
 const orderSchema = new mongoose.Schema(
   {
@@ -100,7 +113,18 @@ const orderSchema = new mongoose.Schema(
           default: "Nairobi",
         },
         instructions: String,
+        location: {
+          type: {
+            type: String,
+            enum: ["Point"],
+          },
+          coordinates: [Number], // [longitude, latitude]
+        },
       },
+      zone: {
+        id: mongoose.Schema.Types.ObjectId,
+        name: String,
+      }, // Delivery zone the fee was taken from
       scheduledDate: {
         type: Date,
         required: [true, "Delivery/pickup date is required"],
@@ -121,8 +145,20 @@ const orderSchema = new mongoose.Schema(
         min: 0,
       },
       distance: Number, // in kilometers
-      signature: String, // Base64 encoded signature
-      photo: String, // Delivery proof photo URL
+      // Proof images in GridFS, served by GET /orders/:id/proof/:type
+      signature: mongoose.Schema.Types.ObjectId,
+      photo: mongoose.Schema.Types.ObjectId,
+      photoThumbnail: mongoose.Schema.Types.ObjectId,
+      recipientName: String, // Who received the order
+      proofLocation: {
+        latitude: Number,
+        longitude: Number,
+      }, // Where the rider captured the proof
+      proofCapturedAt: Date,
+      proofCapturedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
     },
     payment: {
       method: {
@@ -198,6 +234,11 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
         min: 0,
+      }, // Includes the loyalty discount
+      loyaltyDiscount: {
+        type: Number,
+        default: 0,
+        min: 0,
       },
       deliveryFee: {
         type: Number,
@@ -215,6 +256,28 @@ const orderSchema = new mongoose.Schema(
         min: 0,
       },
     },
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      redemptionValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // Points value applied as a discount before tax
+      pointsEarned: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      pointsRestored: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // Redeemed points given back on cancellation
+    },
     priority: {
       type: String,
       enum: ["low", "normal", "high", "urgent"],
@@ -251,11 +314,29 @@ const orderSchema = new mongoose.Schema(
           timestamp: Date,
           status: String,
           message: String,
+          notification: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Notification",
+          },
         },
       ],
       feedbackScore: Number,
       feedbackComment: String,
       tags: [String],
+      location: String, // Branch the order is fulfilled from
+    },
+    reservation: {
+      status: {
+        type: String,
+        enum: ["none", "reserved", "released", "fulfilled"],
+        default: "none",
+      },
+      reservedAt: Date,
+      releasedAt: Date,
+    }, // Stock held for the order from confirmation
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale", // Sale recorded when the order was fulfilled
     },
     cancellation: {
       cancelledBy: {
@@ -335,7 +416,11 @@ orderSchema.pre("save", async function (next) {
 
 // Calculate totals before saving
 orderSchema.pre("save", function (next) {
-  if (this.isModified("items") || this.isModified("delivery.deliveryFee")) {
+  if (
+    this.isModified("items") ||
+    this.isModified("delivery.deliveryFee") ||
+    this.isModified("loyalty.redemptionValue")
+  ) {
     let subtotal = 0;
     let totalDiscount = 0;
 
@@ -354,11 +439,19 @@ orderSchema.pre("save", function (next) {
       totalDiscount += discount;
     });
 
+    // Redeemed points are taken off before tax, never below zero
+    const loyaltyDiscount = Math.min(
+      this.loyalty?.redemptionValue || 0,
+      subtotal - totalDiscount
+    );
+    totalDiscount += loyaltyDiscount;
+
     const netAmount = subtotal - totalDiscount;
     const tax = netAmount * 0.16; // Kenya VAT
 
     this.totals.subtotal = subtotal;
     this.totals.discount = totalDiscount;
+    this.totals.loyaltyDiscount = loyaltyDiscount;
     this.totals.deliveryFee = this.delivery.deliveryFee || 0;
     this.totals.tax = tax;
     this.totals.total = netAmount + tax + this.totals.deliveryFee;
@@ -457,20 +550,141 @@ orderSchema.methods.recordPayment = async function (
   return this;
 };
 
-orderSchema.methods.sendNotification = async function (type, message) {
-  // This would integrate with SMS/WhatsApp service
+// Describe the proof of delivery still missing under a requirement, or
+// return null when the order has enough
+orderSchema.methods.getMissingProof = function (requirement = "none") {
+  const { signature, photo } = this.delivery;
+
+  switch (requirement) {
+    case "signature":
+      return signature ? null : "a signature";
+    case "photo":
+      return photo ? null : "a photo";
+    case "any":
+      return signature || photo ? null : "a signature or photo";
+    case "both":
+      if (signature && photo) return null;
+      return [!signature && "a signature", !photo && "a photo"]
+        .filter(Boolean)
+        .join(" and ");
+    default:
+      return null;
+  }
+};
+
+orderSchema.methods.sendNotification = async function (
+  type,
+  message,
+  { subject, sendAt } = {}
+) {
+  // Calls are made by staff, so only record them
+  let status = "sent";
+  let notification;
+
+  if (type !== "call") {
+    notification = await notificationService.send({
+      channel: type,
+      to: type === "email" ? this.customerInfo.email : this.customerInfo.phone,
+      subject: subject || `Order ${this.orderNumber}`,
+      message,
+      relatedTo: { type: "order", id: this._id },
+      sendAt,
+    });
+    status = notification.status;
+  }
+
   this.metadata.notificationsSent.push({
     type,
     timestamp: new Date(),
-    status: "sent",
+    status,
     message,
+    notification: notification?._id,
   });
 
-  this.metadata.customerNotified = true;
+  this.metadata.customerNotified =
+    this.metadata.customerNotified || status !== "failed";
   await this.save();
   return this;
 };
 
+// Placeholder values for the order's notification templates
+orderSchema.methods.getTemplateValues = function (settings, language) {
+  const { scheduledDate, scheduledTime } = this.delivery;
+  const date = new Date(scheduledDate).toLocaleDateString(
+    language === "sw" ? "sw-KE" : "en-KE",
+    {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+      timeZone: config.app.timezone,
+    }
+  );
+
+  return {
+    name: this.customerInfo.name,
+    business: settings.business.name,
+    orderNumber: this.orderNumber,
+    total: this.totals.total.toLocaleString("en-KE", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }),
+    deliverySlot: `${date}, ${label(scheduledTime, language)}`,
+    payLink: notificationService.getPayLink(this.orderNumber),
+    status: label(this.status, language),
+  };
+};
+
+// Send a template to the customer in their preferred language, on each
+// channel the business requires and the customer accepts
+orderSchema.methods.notify = async function (templateKey, extra = {}) {
+  const settings = await Settings.getSettings();
+  const customer =
+    this.customer &&
+    (await Customer.findById(this.customer).select("preferences"));
+  const { communication = {}, language } = customer?.preferences || {};
+  const { requireSMS, requireEmail } = settings.orders.confirmation;
+
+  const channels = [
+    requireSMS &&
+      communication.sms !== false &&
+      notificationService.isChannelEnabled("sms", settings) &&
+      "sms",
+    requireEmail &&
+      communication.email !== false &&
+      this.customerInfo.email &&
+      notificationService.isChannelEnabled("email", settings) &&
+      "email",
+  ].filter(Boolean);
+
+  // Outside operating hours, messages wait in the outbox until opening
+  const sendAt = settings.orders.statusNotifications.respectQuietHours
+    ? settings.getQuietHoursEnd()
+    : null;
+
+  const values = { ...this.getTemplateValues(settings, language), ...extra };
+  for (const channel of channels) {
+    const { subject, message } = notificationService.renderTemplate(
+      templateKey,
+      { channel, language, settings, values }
+    );
+    await this.sendNotification(channel, message, { subject, sendAt });
+  }
+
+  return this;
+};
+
+// Notify the customer of the order's current status, if enabled
+orderSchema.methods.notifyStatusChange = async function (extra = {}) {
+  const settings = await Settings.getSettings();
+  const { enabled, statuses } = settings.orders.statusNotifications;
+  if (!enabled || !statuses[this.status]) return this;
+
+  return this.notify(
+    STATUS_TEMPLATES[this.status] || "orderStatusUpdate",
+    extra
+  );
+};
+
 // Static methods
 orderSchema.statics.getPendingOrders = function () {
   return this.find({
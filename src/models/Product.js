@@ -59,6 +59,11 @@ const productSchema = new mongoose.Schema(
       default: "piece",
     },
     pricing: {
+      cost: {
+        type: Number,
+        min: [0, "Cost price cannot be negative"],
+        default: 0,
+      },
       sellingPrice: {
         type: Number,
         required: [true, "Selling price is required"],
@@ -114,7 +119,72 @@ const productSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      averageCost: {
+        type: Number,
+        min: [0, "Average cost cannot be negative"],
+        default: 0, // Weighted-average cost of stock on hand
+      },
+      reservedStock: {
+        type: Number,
+        min: [0, "Reserved stock cannot be negative"],
+        default: 0, // Held for confirmed orders, still on hand
+      },
     },
+    stockByLocation: [
+      {
+        location: {
+          type: String,
+          required: true, // Branch code from features.multiLocation
+        },
+        quantity: {
+          type: Number,
+          default: 0,
+        },
+        reserved: {
+          type: Number,
+          default: 0,
+        },
+        minStock: Number, // Overrides inventory.minStock for this branch
+      },
+    ],
+    costLayers: [
+      {
+        quantity: {
+          type: Number,
+          required: true,
+          min: 0, // Remaining quantity in this layer
+        },
+        unitCost: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        reference: String,
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    lots: [
+      {
+        batchNumber: {
+          type: String,
+          trim: true,
+        },
+        expiryDate: Date,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 0, // Remaining quantity in this lot
+        },
+        reference: String, // Purchase order or delivery note
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     stockMovements: [
       {
         type: {
@@ -126,6 +196,7 @@ const productSchema = new mongoose.Schema(
             "adjustment",
             "damage",
             "transfer",
+            "transfer_in",
           ],
           required: true,
         },
@@ -145,6 +216,15 @@ const productSchema = new mongoose.Schema(
           type: String, // Reference to sale, purchase order, etc.
         },
         reason: String,
+        location: String,
+        unitCost: Number, // Cost per unit received or issued
+        lots: [
+          {
+            batchNumber: String,
+            expiryDate: Date,
+            quantity: Number,
+          },
+        ],
         performedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
@@ -156,7 +236,34 @@ const productSchema = new mongoose.Schema(
         },
       },
     ],
+    costHistory: [
+      {
+        cost: {
+          type: Number,
+          required: true,
+        },
+        previousCost: Number,
+        source: {
+          type: String,
+          enum: ["manual", "purchase", "import"],
+          default: "manual",
+        },
+        reference: String, // Purchase order number, import batch, etc.
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     supplier: {
+      supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Supplier",
+      },
       name: String,
       contact: String,
       lastPurchaseDate: Date,
@@ -239,6 +346,8 @@ productSchema.index({ "status.isActive": 1 });
 productSchema.index({ "inventory.currentStock": 1 });
 productSchema.index({ "pricing.sellingPrice": 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ "lots.expiryDate": 1 });
+productSchema.index({ "stockByLocation.location": 1 });
 
 // Virtual for profit margin
 productSchema.virtual("profitMargin").get(function () {
@@ -271,9 +380,22 @@ productSchema.methods.updateStock = async function (
   type,
   reference,
   userId,
-  reason = null
+  reason = null,
+  options = {}
 ) {
-  const previousStock = this.inventory.currentStock;
+  if (options.session) {
+    this.$session(options.session);
+  }
+
+  // Branch quantities, lots and cost layers are worked out here and saved
+  // with the product, so concurrent changes are only safe inside a
+  // transaction, where MongoDB turns them into retried write conflicts.
+  // New products are not visible to anyone else yet.
+  if (!this.$session() && !this.isNew) {
+    throw new Error("Stock changes must run inside a transaction");
+  }
+
+  let previousStock = this.inventory.currentStock;
   let newStock = previousStock;
 
   switch (type) {
@@ -285,6 +407,7 @@ productSchema.methods.updateStock = async function (
     case "purchase":
     case "return":
     case "adjustment":
+    case "transfer_in":
       newStock = previousStock + quantity;
       break;
   }
@@ -293,6 +416,78 @@ productSchema.methods.updateStock = async function (
     throw new Error("Insufficient stock");
   }
 
+  // Apply the change to the branch holding the stock
+  if (options.location) {
+    this.ensureLocationStock(options.defaultLocation || options.location);
+
+    const entry = this.getLocationEntry(options.location);
+    const locationStock = entry.quantity + (newStock - previousStock);
+
+    if (locationStock < 0 && !this.inventory.allowBackorder) {
+      throw new Error(`Insufficient stock at ${options.location}`);
+    }
+
+    entry.quantity = locationStock;
+  }
+
+  // Value the movement against the cost layers
+  this.ensureCostLayers();
+
+  const change = newStock - previousStock;
+  let unitCost;
+
+  if (change > 0) {
+    // Units that only clear a backorder never reach the shelf
+    unitCost = this.receiveCostLayer(
+      Math.min(change, Math.max(newStock, 0)),
+      options.unitCost ?? this.getFallbackCost(type),
+      reference
+    );
+  } else if (change < 0) {
+    unitCost = this.consumeCostLayers(-change);
+  }
+
+  // Track batches for perishable stock
+  let lots = [];
+  if (change > 0 && (options.batchNumber || options.expiryDate)) {
+    lots = this.receiveLot(
+      Math.min(change, Math.max(newStock, 0)),
+      options.batchNumber,
+      options.expiryDate,
+      reference
+    );
+  } else if (change < 0 && this.lots.length > 0) {
+    lots = this.consumeLots(-change, options.batchNumber);
+  }
+
+  // Claim outbound stock with a conditional atomic decrement so two
+  // tills cannot both sell the last unit
+  if (
+    newStock < previousStock &&
+    this.inventory.trackInventory &&
+    !this.inventory.allowBackorder &&
+    !this.isNew
+  ) {
+    const outbound = previousStock - newStock;
+    const claimed = await this.constructor.findOneAndUpdate(
+      { _id: this._id, "inventory.currentStock": { $gte: outbound } },
+      { $inc: { "inventory.currentStock": -outbound } },
+      {
+        new: true,
+        projection: { "inventory.currentStock": 1 },
+        session: this.$session(),
+        lean: true,
+      }
+    );
+
+    if (!claimed) {
+      throw new Error("Insufficient stock");
+    }
+
+    newStock = claimed.inventory.currentStock;
+    previousStock = newStock + outbound;
+  }
+
   this.inventory.currentStock = newStock;
 
   // Record stock movement
@@ -303,6 +498,9 @@ productSchema.methods.updateStock = async function (
     newStock,
     reference,
     reason,
+    location: options.location,
+    unitCost,
+    lots,
     performedBy: userId,
   });
 
@@ -322,6 +520,376 @@ productSchema.methods.updateStock = async function (
   return this;
 };
 
+// Method to get (or create) the stock entry for a branch
+productSchema.methods.getLocationEntry = function (location) {
+  let entry = this.stockByLocation.find((item) => item.location === location);
+
+  if (!entry) {
+    this.stockByLocation.push({ location, quantity: 0 });
+    entry = this.stockByLocation[this.stockByLocation.length - 1];
+  }
+
+  return entry;
+};
+
+// Method to get stock on hand at a branch
+productSchema.methods.getLocationStock = function (location, defaultLocation) {
+  if (!location) return this.inventory.currentStock;
+
+  const entry = this.stockByLocation.find((item) => item.location === location);
+  const untracked = location === defaultLocation ? this.getUntrackedStock() : 0;
+
+  return (entry ? entry.quantity : 0) + untracked;
+};
+
+// Method to get stock on hand that is not reserved for orders
+productSchema.methods.getAvailableStock = function (location, defaultLocation) {
+  const reserved = location
+    ? this.stockByLocation.find((item) => item.location === location)
+        ?.reserved || 0
+    : this.inventory.reservedStock || 0;
+
+  return this.getLocationStock(location, defaultLocation) - reserved;
+};
+
+// Method to hold stock for an order. The stock stays on hand (and in
+// currentStock) until the order is fulfilled or the hold is released.
+productSchema.methods.reserveStock = async function (quantity, options = {}) {
+  if (options.session) {
+    this.$session(options.session);
+  }
+
+  const { location, defaultLocation } = options;
+
+  if (!this.inventory.allowBackorder) {
+    const available = this.getAvailableStock(location, defaultLocation);
+    if (available < quantity) {
+      throw new Error(
+        `Insufficient stock for ${this.name}. Available: ${available}`
+      );
+    }
+  }
+
+  if (location) {
+    this.ensureLocationStock(defaultLocation || location);
+    this.getLocationEntry(location).reserved += quantity;
+  }
+
+  // Claim the units atomically so two orders cannot hold the same stock
+  if (!this.inventory.allowBackorder && !this.isNew) {
+    const claimed = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        $expr: {
+          $gte: [
+            {
+              $subtract: [
+                "$inventory.currentStock",
+                { $ifNull: ["$inventory.reservedStock", 0] },
+              ],
+            },
+            quantity,
+          ],
+        },
+      },
+      { $inc: { "inventory.reservedStock": quantity } },
+      {
+        new: true,
+        projection: { "inventory.reservedStock": 1 },
+        session: this.$session(),
+        lean: true,
+      }
+    );
+
+    if (!claimed) {
+      throw new Error(`Insufficient stock for ${this.name}`);
+    }
+
+    this.inventory.reservedStock = claimed.inventory.reservedStock;
+  } else {
+    this.inventory.reservedStock += quantity;
+  }
+
+  await this.save();
+  return this;
+};
+
+// Method to release stock held for an order
+productSchema.methods.releaseStock = async function (quantity, options = {}) {
+  if (options.session) {
+    this.$session(options.session);
+  }
+
+  this.inventory.reservedStock = Math.max(
+    (this.inventory.reservedStock || 0) - quantity,
+    0
+  );
+
+  const entry =
+    options.location &&
+    this.stockByLocation.find((item) => item.location === options.location);
+  if (entry) {
+    entry.reserved = Math.max((entry.reserved || 0) - quantity, 0);
+  }
+
+  await this.save();
+  return this;
+};
+
+// Stock not yet assigned to any branch
+productSchema.methods.getUntrackedStock = function () {
+  const tracked = this.stockByLocation.reduce(
+    (sum, item) => sum + item.quantity,
+    0
+  );
+  return Math.max(this.inventory.currentStock - tracked, 0);
+};
+
+// Method to assign stock that predates branch tracking to the default branch
+productSchema.methods.ensureLocationStock = function (defaultLocation) {
+  const untracked = this.getUntrackedStock();
+
+  if (untracked > 0 && defaultLocation) {
+    this.getLocationEntry(defaultLocation).quantity += untracked;
+  }
+
+  return this;
+};
+
+// Cost used for stock that arrives without an explicit unit cost
+productSchema.methods.getFallbackCost = function (type) {
+  if (type === "purchase") return this.pricing.cost;
+  return this.inventory.averageCost || this.pricing.cost;
+};
+
+// Method to open a cost layer for stock that predates layer tracking
+productSchema.methods.ensureCostLayers = function () {
+  const layered = this.costLayers.reduce(
+    (sum, layer) => sum + layer.quantity,
+    0
+  );
+  const untracked = Math.max(this.inventory.currentStock, 0) - layered;
+
+  if (!this.inventory.averageCost && this.pricing.cost) {
+    this.inventory.averageCost = this.pricing.cost;
+  }
+
+  if (untracked > 0) {
+    this.costLayers.unshift({
+      quantity: untracked,
+      unitCost: this.inventory.averageCost || this.pricing.cost,
+      reference: "OPENING",
+      receivedAt: this.createdAt || new Date(),
+    });
+  }
+
+  return this;
+};
+
+// Method to add received stock to the cost layers and running average
+productSchema.methods.receiveCostLayer = function (
+  quantity,
+  unitCost,
+  reference
+) {
+  if (quantity <= 0) return unitCost;
+
+  const onHand = Math.max(this.inventory.currentStock, 0);
+
+  this.inventory.averageCost =
+    (onHand * this.inventory.averageCost + quantity * unitCost) /
+    (onHand + quantity);
+
+  this.costLayers.push({
+    quantity,
+    unitCost,
+    reference,
+  });
+
+  return unitCost;
+};
+
+// Method to consume cost layers oldest first, returning the cost per unit
+productSchema.methods.consumeCostLayers = function (quantity) {
+  let remaining = quantity;
+  let totalCost = 0;
+
+  for (const layer of this.costLayers) {
+    if (remaining <= 0) break;
+
+    const taken = Math.min(layer.quantity, remaining);
+    layer.quantity -= taken;
+    totalCost += taken * layer.unitCost;
+    remaining -= taken;
+  }
+
+  // Backordered units have no layer yet, cost them at the average
+  totalCost += remaining * (this.inventory.averageCost || this.pricing.cost);
+
+  this.costLayers = this.costLayers.filter((layer) => layer.quantity > 0);
+
+  return totalCost / quantity;
+};
+
+// Method to add received stock to a lot, merging with an existing batch
+productSchema.methods.receiveLot = function (
+  quantity,
+  batchNumber,
+  expiryDate,
+  reference
+) {
+  if (quantity <= 0) return [];
+
+  const existing = this.lots.find(
+    (lot) => batchNumber && lot.batchNumber === batchNumber
+  );
+
+  if (existing) {
+    existing.quantity += quantity;
+    if (expiryDate) existing.expiryDate = expiryDate;
+  } else {
+    this.lots.push({
+      batchNumber,
+      expiryDate,
+      quantity,
+      reference,
+    });
+  }
+
+  const lot = existing || this.lots[this.lots.length - 1];
+  return [
+    { batchNumber: lot.batchNumber, expiryDate: lot.expiryDate, quantity },
+  ];
+};
+
+// Method to deplete lots, earliest expiry first (FEFO), or a named batch
+productSchema.methods.consumeLots = function (quantity, batchNumber = null) {
+  const candidates = batchNumber
+    ? this.lots.filter((lot) => lot.batchNumber === batchNumber)
+    : [...this.lots].sort((a, b) => {
+        // Lots without an expiry date are used last
+        if (!a.expiryDate) return 1;
+        if (!b.expiryDate) return -1;
+        return a.expiryDate - b.expiryDate;
+      });
+
+  if (batchNumber && candidates.length === 0) {
+    throw new Error(`Batch ${batchNumber} not found`);
+  }
+
+  let remaining = quantity;
+  const allocations = [];
+
+  for (const lot of candidates) {
+    if (remaining <= 0) break;
+
+    const taken = Math.min(lot.quantity, remaining);
+    if (taken <= 0) continue;
+
+    lot.quantity -= taken;
+    remaining -= taken;
+    allocations.push({
+      batchNumber: lot.batchNumber,
+      expiryDate: lot.expiryDate,
+      quantity: taken,
+    });
+  }
+
+  if (batchNumber && remaining > 0) {
+    throw new Error(`Insufficient stock in batch ${batchNumber}`);
+  }
+
+  this.lots = this.lots.filter((lot) => lot.quantity > 0);
+
+  return allocations;
+};
+
+// Method to get lots expiring within the given number of days
+productSchema.methods.getExpiringLots = function (days) {
+  const cutoff = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  return this.lots.filter(
+    (lot) => lot.expiryDate && lot.expiryDate <= cutoff && lot.quantity > 0
+  );
+};
+
+// Method to write off expired lots as damaged stock
+productSchema.methods.writeOffExpiredLots = async function (
+  userId,
+  options = {}
+) {
+  const now = new Date();
+  const expired = this.lots
+    .filter((lot) => lot.expiryDate && lot.expiryDate < now && lot.quantity > 0)
+    .map((lot) => ({
+      batchNumber: lot.batchNumber,
+      expiryDate: lot.expiryDate,
+      quantity: lot.quantity,
+    }));
+
+  for (const lot of expired) {
+    await this.updateStock(
+      lot.quantity,
+      "damage",
+      lot.batchNumber || "EXPIRED",
+      userId,
+      `Expired on ${lot.expiryDate.toISOString().split("T")[0]}`,
+      { ...options, batchNumber: lot.batchNumber }
+    );
+  }
+
+  return expired;
+};
+
+// Method to get the cost per unit of issuing stock without consuming it
+productSchema.methods.getIssueCost = function (
+  quantity,
+  method = "weighted_average"
+) {
+  const averageCost = this.inventory.averageCost || this.pricing.cost;
+
+  if (method !== "fifo" || quantity <= 0) return averageCost;
+
+  this.ensureCostLayers();
+
+  let remaining = quantity;
+  let totalCost = 0;
+
+  for (const layer of this.costLayers) {
+    if (remaining <= 0) break;
+
+    const taken = Math.min(layer.quantity, remaining);
+    totalCost += taken * layer.unitCost;
+    remaining -= taken;
+  }
+
+  totalCost += remaining * averageCost;
+
+  return totalCost / quantity;
+};
+
+// Method to record a new cost price (saved with the next save)
+productSchema.methods.updateCost = function (cost, source, reference, userId) {
+  const previousCost = this.pricing.cost;
+
+  if (cost === previousCost) return this;
+
+  this.pricing.cost = cost;
+  this.costHistory.push({
+    cost,
+    previousCost,
+    source,
+    reference,
+    changedBy: userId,
+  });
+
+  // Keep only last 50 cost changes
+  if (this.costHistory.length > 50) {
+    this.costHistory = this.costHistory.slice(-50);
+  }
+
+  return this;
+};
+
 // Method to check if product needs reorder
 productSchema.methods.needsReorder = function () {
   const { currentStock, reorderPoint, minStock } = this.inventory;
@@ -330,8 +898,17 @@ productSchema.methods.needsReorder = function () {
 };
 
 // Method to calculate stock value
-productSchema.methods.getStockValue = function () {
-  return this.inventory.currentStock * this.pricing.cost;
+productSchema.methods.getStockValue = function (method = "weighted_average") {
+  if (method === "fifo") {
+    this.ensureCostLayers();
+    return this.costLayers.reduce(
+      (sum, layer) => sum + layer.quantity * layer.unitCost,
+      0
+    );
+  }
+
+  const averageCost = this.inventory.averageCost || this.pricing.cost;
+  return Math.max(this.inventory.currentStock, 0) * averageCost;
 };
 
 // Method to calculate days of stock remaining
@@ -342,12 +919,75 @@ productSchema.methods.getDaysOfStock = function () {
   );
 };
 
-// Static method to find low stock products
-productSchema.statics.findLowStock = function () {
+// Aggregation expression for a product's stock entry at a branch
+const locationEntryExpression = (location) => ({
+  $arrayElemAt: [
+    {
+      $filter: {
+        input: { $ifNull: ["$stockByLocation", []] },
+        cond: { $eq: ["$$this.location", location] },
+      },
+    },
+    0,
+  ],
+});
+
+// Static method to build the expression for stock held at a branch.
+// Untracked stock counts towards the default branch.
+productSchema.statics.getLocationStockExpression = function (
+  location,
+  defaultLocation
+) {
+  const entry = locationEntryExpression(location);
+  const quantity = {
+    $let: { vars: { entry }, in: { $ifNull: ["$$entry.quantity", 0] } },
+  };
+
+  if (location !== defaultLocation) return quantity;
+
+  return {
+    $add: [
+      quantity,
+      {
+        $max: [
+          {
+            $subtract: [
+              "$inventory.currentStock",
+              { $sum: "$stockByLocation.quantity" },
+            ],
+          },
+          0,
+        ],
+      },
+    ],
+  };
+};
+
+// Static method to build the minimum stock expression for a branch
+productSchema.statics.getLocationMinStockExpression = function (location) {
+  const entry = locationEntryExpression(location);
+
+  return {
+    $let: {
+      vars: { entry },
+      in: { $ifNull: ["$$entry.minStock", "$inventory.minStock"] },
+    },
+  };
+};
+
+// Static method to find low stock products, optionally at one branch
+productSchema.statics.findLowStock = function (location, defaultLocation) {
+  const stock = location
+    ? this.getLocationStockExpression(location, defaultLocation)
+    : "$inventory.currentStock";
+  const minStock = location
+    ? this.getLocationMinStockExpression(location)
+    : "$inventory.minStock";
+
   return this.find({
     "status.isActive": true,
     $expr: {
-      $lte: ["$inventory.currentStock", "$inventory.minStock"],
+      $lte: [stock, minStock],
     },
   }).populate("category");
 };
@@ -360,29 +1000,145 @@ productSchema.statics.findOutOfStock = function () {
   }).populate("category");
 };
 
+// Static method to find lots expiring within the given number of days
+productSchema.statics.findExpiringLots = function (days, match = {}) {
+  const cutoff = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return this.aggregate([
+    { $match: { "status.isActive": true, ...match } },
+    { $unwind: "$lots" },
+    {
+      $match: {
+        "lots.quantity": { $gt: 0 },
+        "lots.expiryDate": { $ne: null, $lte: cutoff },
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        sku: 1,
+        category: 1,
+        batchNumber: "$lots.batchNumber",
+        expiryDate: "$lots.expiryDate",
+        quantity: "$lots.quantity",
+        isExpired: { $lt: ["$lots.expiryDate", new Date()] },
+        daysToExpiry: {
+          $ceil: {
+            $divide: [
+              { $subtract: ["$lots.expiryDate", new Date()] },
+              24 * 60 * 60 * 1000,
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { expiryDate: 1 } },
+  ]);
+};
+
+// Static method to build the stock value expression for aggregations.
+// Products without cost layers yet are valued at average (or latest) cost.
+productSchema.statics.getStockValueExpression = function (
+  method = "weighted_average",
+  location = null,
+  defaultLocation = null
+) {
+  const onHand = { $max: ["$inventory.currentStock", 0] };
+  const averageCost = {
+    $cond: [
+      { $gt: [{ $ifNull: ["$inventory.averageCost", 0] }, 0] },
+      "$inventory.averageCost",
+      { $ifNull: ["$pricing.cost", 0] },
+    ],
+  };
+
+  let value = { $multiply: [onHand, averageCost] };
+
+  if (method === "fifo") {
+    const layers = { $ifNull: ["$costLayers", []] };
+    const layeredQuantity = { $sum: "$costLayers.quantity" };
+
+    value = {
+      $add: [
+        {
+          $reduce: {
+            input: layers,
+            initialValue: 0,
+            in: {
+              $add: [
+                "$$value",
+                { $multiply: ["$$this.quantity", "$$this.unitCost"] },
+              ],
+            },
+          },
+        },
+        {
+          $multiply: [
+            { $max: [{ $subtract: [onHand, layeredQuantity] }, 0] },
+            averageCost,
+          ],
+        },
+      ],
+    };
+  }
+
+  if (!location) return value;
+
+  // A branch's share is valued at the product's cost per unit on hand
+  return {
+    $cond: [
+      { $gt: [onHand, 0] },
+      {
+        $multiply: [
+          { $divide: [value, onHand] },
+          {
+            $max: [
+              this.getLocationStockExpression(location, defaultLocation),
+              0,
+            ],
+          },
+        ],
+      },
+      0,
+    ],
+  };
+};
+
 // Static method to calculate inventory value
-productSchema.statics.calculateInventoryValue = async function () {
+productSchema.statics.calculateInventoryValue = async function (
+  method = "weighted_average",
+  match = { "status.isActive": true },
+  location = null,
+  defaultLocation = null
+) {
+  const stock = location
+    ? this.getLocationStockExpression(location, defaultLocation)
+    : "$inventory.currentStock";
+
   const result = await this.aggregate([
     {
-      $match: { "status.isActive": true },
+      $match: match,
     },
     {
       $group: {
         _id: null,
         totalValue: {
-          $sum: { $multiply: ["$inventory.currentStock", "$pricing.cost"] },
+          $sum: this.getStockValueExpression(method, location, defaultLocation),
         },
         totalRetailValue: {
           $sum: {
-            $multiply: ["$inventory.currentStock", "$pricing.sellingPrice"],
+            $multiply: [stock, "$pricing.sellingPrice"],
           },
         },
-        totalItems: { $sum: "$inventory.currentStock" },
+        totalItems: { $sum: stock },
       },
     },
   ]);
 
-  return result[0] || { totalValue: 0, totalRetailValue: 0, totalItems: 0 };
+  return {
+    method,
+    ...(result[0] || { totalValue: 0, totalRetailValue: 0, totalItems: 0 }),
+  };
 };
 
 // Pre-save middleware to update SKU if not provided
@@ -0,0 +1,410 @@
+// backend/src/models/PurchaseOrder.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Generated before first save
+      },
+      unique: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    supplierInfo: {
+      name: String, // Store supplier details at time of order
+      contact: String,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: {
+          type: String,
+          required: true,
+        },
+        sku: String,
+        quantityOrdered: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        quantityReceived: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        unitCost: {
+          type: Number,
+          required: true,
+          min: [0, "Cost cannot be negative"],
+        },
+        subtotal: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: [
+        "draft",
+        "sent",
+        "partially_received",
+        "received",
+        "closed",
+        "cancelled",
+      ],
+      default: "draft",
+    },
+    statusHistory: [
+      {
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        notes: String,
+      },
+    ],
+    receipts: [
+      {
+        reference: String, // Supplier delivery note / invoice number
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        receivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        items: [
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            quantity: Number,
+            unitCost: Number,
+            batchNumber: String,
+            expiryDate: Date,
+          },
+        ],
+        notes: String,
+      },
+    ],
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Tax cannot be negative"],
+      max: [100, "Tax cannot exceed 100%"],
+    },
+    totals: {
+      subtotal: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      tax: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      total: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      received: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    location: String, // Branch receiving the goods
+    expectedDate: Date,
+    sentAt: Date,
+    receivedAt: Date,
+    closedAt: Date,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ poNumber: 1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ "items.product": 1 });
+purchaseOrderSchema.index({ createdAt: -1 });
+
+// Virtual for outstanding quantity across all lines
+purchaseOrderSchema.virtual("outstandingQuantity").get(function () {
+  return this.items.reduce(
+    (sum, item) => sum + (item.quantityOrdered - item.quantityReceived),
+    0
+  );
+});
+
+// Generate PO number before saving
+purchaseOrderSchema.pre("save", async function (next) {
+  if (this.isNew && !this.poNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("purchase_order");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.poNumber = `PO${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Calculate totals before saving
+purchaseOrderSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("items") || this.isModified("taxRate")) {
+    let subtotal = 0;
+    let received = 0;
+
+    this.items.forEach((item) => {
+      item.subtotal = item.unitCost * item.quantityOrdered;
+      subtotal += item.subtotal;
+      received += item.unitCost * item.quantityReceived;
+    });
+
+    const tax = subtotal * (this.taxRate / 100);
+
+    this.totals.subtotal = subtotal;
+    this.totals.tax = tax;
+    this.totals.total = subtotal + tax;
+    this.totals.received = received;
+  }
+  next();
+});
+
+// Instance methods
+purchaseOrderSchema.methods.updateStatus = function (newStatus, userId, notes) {
+  this.status = newStatus;
+  this.updatedBy = userId;
+  this.statusHistory.push({
+    status: newStatus,
+    updatedBy: userId,
+    notes,
+  });
+
+  switch (newStatus) {
+    case "sent":
+      this.sentAt = new Date();
+      break;
+    case "received":
+      this.receivedAt = new Date();
+      break;
+    case "closed":
+      this.closedAt = new Date();
+      break;
+  }
+};
+
+purchaseOrderSchema.methods.send = async function (userId, notes) {
+  if (this.status !== "draft") {
+    throw new Error(`Cannot send a purchase order that is ${this.status}`);
+  }
+
+  this.updateStatus("sent", userId, notes);
+
+  await this.save();
+  return this;
+};
+
+purchaseOrderSchema.methods.receive = async function (
+  receivedItems,
+  userId,
+  { reference, notes, defaultLocation } = {}
+) {
+  if (!["sent", "partially_received"].includes(this.status)) {
+    throw new Error(`Cannot receive against a ${this.status} purchase order`);
+  }
+
+  const Product = mongoose.model("Product");
+  const Supplier = mongoose.model("Supplier");
+  const supplier = await Supplier.findById(this.supplier).session(
+    this.$session()
+  );
+
+  // Validate every line before touching stock
+  const lines = receivedItems.map((receivedItem) => {
+    const line = this.items.find(
+      (item) =>
+        item._id.toString() === receivedItem.itemId ||
+        item.product.toString() === receivedItem.product
+    );
+
+    if (!line) {
+      throw new Error(
+        `Item ${receivedItem.itemId || receivedItem.product} not found on ${
+          this.poNumber
+        }`
+      );
+    }
+
+    const outstanding = line.quantityOrdered - line.quantityReceived;
+    if (receivedItem.quantity > outstanding) {
+      throw new Error(
+        `Cannot receive ${receivedItem.quantity} of ${line.productName}. Outstanding: ${outstanding}`
+      );
+    }
+
+    return {
+      line,
+      quantity: receivedItem.quantity,
+      unitCost:
+        receivedItem.unitCost !== undefined
+          ? receivedItem.unitCost
+          : line.unitCost,
+      batchNumber: receivedItem.batchNumber,
+      expiryDate: receivedItem.expiryDate,
+    };
+  });
+
+  const receipt = {
+    reference,
+    receivedBy: userId,
+    items: [],
+    notes,
+  };
+  let receivedValue = 0;
+
+  for (const { line, quantity, unitCost, batchNumber, expiryDate } of lines) {
+    if (quantity <= 0) continue;
+
+    const product = await Product.findById(line.product).session(
+      this.$session()
+    );
+    if (!product) {
+      throw new Error(`Product ${line.productName} no longer exists`);
+    }
+
+    // Record where this stock came from
+    product.supplier = {
+      ...(product.supplier?.toObject ? product.supplier.toObject() : {}),
+      supplierId: this.supplier,
+      name: supplier?.name || this.supplierInfo.name,
+      contact: supplier?.contact || this.supplierInfo.contact,
+      lastPurchaseDate: new Date(),
+      lastPurchasePrice: unitCost,
+    };
+    product.updateCost(unitCost, "purchase", this.poNumber, userId);
+
+    await product.updateStock(
+      quantity,
+      "purchase",
+      this.poNumber,
+      userId,
+      `Received against ${this.poNumber}${reference ? ` (${reference})` : ""}`,
+      {
+        unitCost,
+        batchNumber,
+        expiryDate,
+        location: this.location,
+        defaultLocation,
+      }
+    );
+
+    line.quantityReceived += quantity;
+    receipt.items.push({
+      product: line.product,
+      quantity,
+      unitCost,
+      batchNumber,
+      expiryDate,
+    });
+    receivedValue += quantity * unitCost;
+  }
+
+  if (receipt.items.length === 0) {
+    throw new Error("No quantities to receive");
+  }
+
+  this.receipts.push(receipt);
+
+  const fullyReceived = this.items.every(
+    (item) => item.quantityReceived >= item.quantityOrdered
+  );
+  this.updateStatus(
+    fullyReceived ? "received" : "partially_received",
+    userId,
+    reference ? `Delivery ${reference}` : notes
+  );
+
+  await this.save();
+
+  if (supplier) {
+    await supplier.recordDelivery(receivedValue);
+  }
+
+  return this;
+};
+
+purchaseOrderSchema.methods.close = async function (userId, notes) {
+  if (!["partially_received", "received"].includes(this.status)) {
+    throw new Error(`Cannot close a ${this.status} purchase order`);
+  }
+
+  this.updateStatus("closed", userId, notes);
+
+  await this.save();
+  return this;
+};
+
+purchaseOrderSchema.methods.cancel = async function (userId, reason) {
+  if (!["draft", "sent"].includes(this.status)) {
+    throw new Error(`Cannot cancel a ${this.status} purchase order`);
+  }
+
+  this.updateStatus("cancelled", userId, reason);
+
+  await this.save();
+  return this;
+};
+
+// Static method to find open orders for a product
+purchaseOrderSchema.statics.findOpenForProduct = function (productId) {
+  return this.find({
+    "items.product": productId,
+    status: { $in: ["sent", "partially_received"] },
+  }).sort({ expectedDate: 1 });
+};
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -31,6 +31,18 @@ const saleSchema = new mongoose.Schema(
           required: true,
           min: [0, "Price cannot be negative"],
         },
+        unitCost: {
+          type: Number,
+          default: 0,
+          min: [0, "Cost cannot be negative"],
+        }, // Cost price at time of sale
+        lots: [
+          {
+            batchNumber: String,
+            expiryDate: Date,
+            quantity: Number,
+          },
+        ], // Batches the item was picked from
         discount: {
           amount: {
             type: Number,
@@ -42,8 +54,18 @@ const saleSchema = new mongoose.Schema(
             min: [0, "Discount cannot be negative"],
             max: [100, "Discount cannot exceed 100%"],
           },
+          loyalty: {
+            type: Number,
+            default: 0,
+          }, // Share of the loyalty points redemption
         },
         tax: {
+          rate: {
+            type: Number,
+            default: 0,
+            min: [0, "Tax cannot be negative"],
+            max: [100, "Tax cannot exceed 100%"],
+          }, // VAT rate at time of sale
           amount: {
             type: Number,
             default: 0,
@@ -53,6 +75,11 @@ const saleSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        }, // Units refunded so far, across all refunds
       },
     ],
     customer: {
@@ -64,6 +91,10 @@ const saleSchema = new mongoose.Schema(
       phone: String,
       email: String,
     },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order", // Order this sale fulfilled
+    },
     payment: {
       method: {
         type: String,
@@ -98,6 +129,19 @@ const saleSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      credit: {
+        amount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        }, // Charged to the customer's account
+        paid: {
+          type: Number,
+          default: 0,
+          min: 0,
+        }, // Settled or written off since
+        dueDate: Date,
+      },
     },
     totals: {
       subtotal: {
@@ -110,12 +154,27 @@ const saleSchema = new mongoose.Schema(
         type: Number,
         default: 0,
         min: 0,
+      }, // Includes the loyalty discount
+      loyaltyDiscount: {
+        type: Number,
+        default: 0,
+        min: 0,
       },
       tax: {
         type: Number,
         default: 0,
         min: 0,
       },
+      deliveryFee: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // Carried over from a delivered order, untaxed
+      cost: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       total: {
         type: Number,
         required: true,
@@ -123,6 +182,33 @@ const saleSchema = new mongoose.Schema(
         default: 0,
       },
     },
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      redemptionValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // Points value applied as a discount before tax
+      pointsEarned: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      pointsReversed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // Earned points taken back on void/refund
+      pointsRestored: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // Redeemed points given back on void/refund
+    },
     seller: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -145,7 +231,7 @@ const saleSchema = new mongoose.Schema(
       refundedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
-      },
+      }, // Latest refund
       refundedAt: Date,
       refundedItems: [
         {
@@ -155,15 +241,18 @@ const saleSchema = new mongoose.Schema(
           },
           quantity: Number,
           amount: Number,
+          cost: Number,
+          refundedAt: Date,
         },
-      ],
-      totalRefunded: Number,
+      ], // Every refund line, oldest first
+      totalRefunded: Number, // Across all refunds
+      totalCost: Number, // Cost of goods returned to stock, across all refunds
       reason: String,
     },
     metadata: {
       source: {
         type: String,
-        enum: ["pos", "online", "phone", "walkin"],
+        enum: ["pos", "online", "phone", "walkin", "whatsapp"],
         default: "pos",
       },
       device: String,
@@ -174,7 +263,9 @@ const saleSchema = new mongoose.Schema(
         enum: ["synced", "pending", "failed"],
         default: "synced",
       },
-      offlineId: String, // For offline sales
+      offlineId: String, // UUID the till gives an offline sale
+      capturedAt: Date, // When the till recorded an offline sale
+      syncedAt: Date,
     },
   },
   {
@@ -187,6 +278,7 @@ const saleSchema = new mongoose.Schema(
 // Indexes for better query performance
 saleSchema.index({ receiptNumber: 1 });
 saleSchema.index({ customer: 1 });
+saleSchema.index({ order: 1 });
 saleSchema.index({ seller: 1 });
 saleSchema.index({ "payment.method": 1 });
 saleSchema.index({ "payment.status": 1 });
@@ -195,6 +287,15 @@ saleSchema.index({ createdAt: -1 });
 saleSchema.index({ "totals.total": 1 });
 saleSchema.index({ "metadata.source": 1 });
 saleSchema.index({ "metadata.syncStatus": 1 });
+saleSchema.index({ "metadata.location": 1, createdAt: -1 });
+// Offline IDs are UUIDs, so they are unique across every till
+saleSchema.index(
+  { "metadata.offlineId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "metadata.offlineId": { $type: "string" } },
+  }
+);
 
 // Compound indexes for common queries
 saleSchema.index({ seller: 1, createdAt: -1 });
@@ -205,11 +306,8 @@ saleSchema.index({ "payment.status": 1, createdAt: -1 });
 saleSchema.virtual("profit").get(function () {
   let totalProfit = 0;
   this.items.forEach((item) => {
-    if (item.product && item.product.pricing) {
-      const itemProfit =
-        (item.unitPrice - item.product.pricing.cost) * item.quantity;
-      totalProfit += itemProfit;
-    }
+    const netRevenue = item.subtotal - (item.tax?.amount || 0);
+    totalProfit += netRevenue - (item.unitCost || 0) * item.quantity;
   });
   return totalProfit;
 });
@@ -238,16 +336,20 @@ saleSchema.pre("save", async function (next) {
 // Calculate totals before saving
 saleSchema.pre("save", function (next) {
   // Always calculate totals for new documents or when items are modified
-  if (this.isNew || this.isModified("items")) {
+  if (
+    this.isNew ||
+    this.isModified("items") ||
+    this.isModified("loyalty.redemptionValue")
+  ) {
     let subtotal = 0;
     let totalDiscount = 0;
     let totalTax = 0;
+    let totalCost = 0;
 
-    this.items.forEach((item) => {
-      // Calculate item subtotal
+    // Calculate item discounts first so points can be spread over them
+    const taxableAmounts = this.items.map((item) => {
       const itemSubtotal = item.unitPrice * item.quantity;
 
-      // Calculate discount
       let discount = 0;
       if (item.discount.percentage > 0) {
         discount = itemSubtotal * (item.discount.percentage / 100);
@@ -255,17 +357,36 @@ saleSchema.pre("save", function (next) {
         discount = item.discount.amount;
       }
 
+      subtotal += itemSubtotal;
+      totalDiscount += discount;
+      return itemSubtotal - discount;
+    });
+
+    // Redeemed points reduce each item's taxable amount pro rata
+    const netAmount = taxableAmounts.reduce((sum, amount) => sum + amount, 0);
+    const loyaltyDiscount = Math.min(
+      this.loyalty?.redemptionValue || 0,
+      netAmount
+    );
+
+    this.items.forEach((item, index) => {
+      const loyaltyShare =
+        netAmount > 0
+          ? loyaltyDiscount * (taxableAmounts[index] / netAmount)
+          : 0;
+      item.discount.loyalty = loyaltyShare;
+
       // Calculate tax on discounted amount
-      const taxableAmount = itemSubtotal - discount;
+      const taxableAmount = taxableAmounts[index] - loyaltyShare;
       const tax = taxableAmount * (item.tax.rate / 100);
 
       item.tax.amount = tax;
       item.subtotal = taxableAmount + tax;
 
-      subtotal += itemSubtotal;
-      totalDiscount += discount;
       totalTax += tax;
+      totalCost += (item.unitCost || 0) * item.quantity;
     });
+    totalDiscount += loyaltyDiscount;
 
     // Ensure totals object exists
     if (!this.totals) {
@@ -274,14 +395,17 @@ saleSchema.pre("save", function (next) {
 
     this.totals.subtotal = subtotal;
     this.totals.discount = totalDiscount;
+    this.totals.loyaltyDiscount = loyaltyDiscount;
     this.totals.tax = totalTax;
-    this.totals.total = subtotal - totalDiscount + totalTax;
+    this.totals.cost = totalCost;
+    this.totals.total =
+      subtotal - totalDiscount + totalTax + (this.totals.deliveryFee || 0);
   }
   next();
 });
 
 // Instance methods
-saleSchema.methods.void = async function (userId, reason) {
+saleSchema.methods.void = async function (userId, reason, options = {}) {
   if (this.status === "voided") {
     throw new Error("Sale is already voided");
   }
@@ -296,14 +420,23 @@ saleSchema.methods.void = async function (userId, reason) {
   // Restore stock for each item
   for (const item of this.items) {
     const Product = mongoose.model("Product");
-    const product = await Product.findById(item.product);
+    const product = await Product.findById(item.product).session(
+      this.$session()
+    );
     if (product) {
       await product.updateStock(
         item.quantity,
         "return",
         this.receiptNumber,
         userId,
-        `Voided sale: ${reason}`
+        `Voided sale: ${reason}`,
+        {
+          unitCost: item.unitCost,
+          batchNumber: item.lots?.[0]?.batchNumber,
+          expiryDate: item.lots?.[0]?.expiryDate,
+          location: this.metadata.location,
+          defaultLocation: options.defaultLocation,
+        }
       );
     }
   }
@@ -312,13 +445,23 @@ saleSchema.methods.void = async function (userId, reason) {
   return this;
 };
 
-saleSchema.methods.refund = async function (userId, items, reason) {
+saleSchema.methods.refund = async function (
+  userId,
+  items,
+  reason,
+  options = {}
+) {
   if (this.status === "voided") {
     throw new Error("Cannot refund a voided sale");
   }
+  if (this.status === "refunded") {
+    throw new Error("Sale is already fully refunded");
+  }
 
+  const refundedAt = new Date();
   const refundedItems = [];
   let totalRefunded = 0;
+  let totalCost = 0;
 
   for (const refundItem of items) {
     const saleItem = this.items.find(
@@ -329,56 +472,76 @@ saleSchema.methods.refund = async function (userId, items, reason) {
       throw new Error(`Product ${refundItem.productId} not found in sale`);
     }
 
-    if (refundItem.quantity > saleItem.quantity) {
-      throw new Error(`Cannot refund more than sold quantity`);
+    // Units refunded earlier cannot be refunded again
+    const refundable = saleItem.quantity - (saleItem.refundedQuantity || 0);
+    if (refundItem.quantity > refundable) {
+      throw new Error(
+        `Cannot refund more than sold quantity. Refundable: ${refundable}`
+      );
     }
+    saleItem.refundedQuantity =
+      (saleItem.refundedQuantity || 0) + refundItem.quantity;
 
     const refundAmount =
       (saleItem.subtotal / saleItem.quantity) * refundItem.quantity;
 
+    const refundCost = (saleItem.unitCost || 0) * refundItem.quantity;
+
     refundedItems.push({
       product: refundItem.productId,
       quantity: refundItem.quantity,
       amount: refundAmount,
+      cost: refundCost,
+      refundedAt,
     });
 
     totalRefunded += refundAmount;
+    totalCost += refundCost;
 
     // Restore stock
     const Product = mongoose.model("Product");
-    const product = await Product.findById(refundItem.productId);
+    const product = await Product.findById(refundItem.productId).session(
+      this.$session()
+    );
     if (product) {
       await product.updateStock(
         refundItem.quantity,
         "return",
         this.receiptNumber,
         userId,
-        `Refund: ${reason}`
+        `Refund: ${reason}`,
+        {
+          unitCost: saleItem.unitCost,
+          batchNumber: saleItem.lots?.[0]?.batchNumber,
+          expiryDate: saleItem.lots?.[0]?.expiryDate,
+          location: this.metadata.location,
+          defaultLocation: options.defaultLocation,
+        }
       );
     }
   }
 
-  this.refundInfo = {
-    refundedBy: userId,
-    refundedAt: new Date(),
-    refundedItems,
-    totalRefunded,
-    reason,
-  };
+  // Totals add up across refunds so reports count every one
+  this.refundInfo.refundedBy = userId;
+  this.refundInfo.refundedAt = refundedAt;
+  this.refundInfo.reason = reason;
+  this.refundInfo.refundedItems.push(...refundedItems);
+  this.refundInfo.totalRefunded =
+    (this.refundInfo.totalRefunded || 0) + totalRefunded;
+  this.refundInfo.totalCost = (this.refundInfo.totalCost || 0) + totalCost;
 
   // Update status
-  if (totalRefunded >= this.totals.total) {
-    this.status = "refunded";
-  } else {
-    this.status = "partial_refund";
-  }
+  const fullyRefunded = this.items.every(
+    (item) => item.refundedQuantity >= item.quantity
+  );
+  this.status = fullyRefunded ? "refunded" : "partial_refund";
 
   await this.save();
   return this;
 };
 
 // Static methods
-saleSchema.statics.getDailySales = async function (date) {
+saleSchema.statics.getDailySales = async function (date, location) {
   const startOfDay = new Date(date);
   startOfDay.setHours(0, 0, 0, 0);
 
@@ -390,6 +553,7 @@ saleSchema.statics.getDailySales = async function (date) {
       $match: {
         createdAt: { $gte: startOfDay, $lte: endOfDay },
         status: { $in: ["completed", "partial_refund"] },
+        ...(location && { "metadata.location": location }),
       },
     },
     {
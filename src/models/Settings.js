@@ -1,5 +1,13 @@
 // backend/src/models/Settings.js
 const mongoose = require("mongoose");
+const config = require("../config/app");
+const { calculateDistance, isPointInPolygon } = require("../utils/helpers");
+
+// Notification template text per customer language
+const localizedTemplate = {
+  en: String,
+  sw: String,
+};
 
 const settingsSchema = new mongoose.Schema(
   {
@@ -34,6 +42,13 @@ const settingsSchema = new mongoose.Schema(
           default: "Kenya",
         },
         postalCode: String,
+        location: {
+          type: {
+            type: String,
+            enum: ["Point"],
+          },
+          coordinates: [Number], // [longitude, latitude], where runs start
+        },
       },
       contact: {
         phone: {
@@ -127,6 +142,21 @@ const settingsSchema = new mongoose.Schema(
             type: Number,
             default: 0,
           },
+          reminders: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+            thresholds: {
+              type: [Number],
+              default: [7, 30, 60, 90],
+            }, // Days overdue at which a reminder is sent
+            channels: {
+              type: [String],
+              enum: ["sms", "email"],
+              default: ["sms"],
+            },
+          },
         },
       },
       discounts: {
@@ -172,6 +202,11 @@ const settingsSchema = new mongoose.Schema(
         enum: ["EAN13", "CODE128", "QR"],
         default: "CODE128",
       },
+      valuationMethod: {
+        type: String,
+        enum: ["fifo", "weighted_average"],
+        default: "weighted_average",
+      },
       trackExpiry: {
         enabled: {
           type: Boolean,
@@ -195,16 +230,47 @@ const settingsSchema = new mongoose.Schema(
         },
         zones: [
           {
-            name: String,
-            areas: [String],
-            fee: Number,
+            name: {
+              type: String,
+              required: true,
+            },
+            areas: [String], // Area names matched against addresses
+            boundary: {
+              type: {
+                type: String,
+                enum: ["areas", "polygon", "radius"],
+                default: "areas",
+              },
+              coordinates: [[Number]], // Polygon ring of [lng, lat]
+              center: [Number], // [lng, lat]
+              radiusKm: Number,
+            },
+            fee: {
+              type: Number,
+              default: 0,
+              min: 0,
+            },
             estimatedTime: String,
+            isActive: {
+              type: Boolean,
+              default: true,
+            },
           },
         ],
         defaultFee: {
           type: Number,
           default: 200,
         },
+        restrictToZones: {
+          type: Boolean,
+          default: false, // Refuse addresses outside every zone
+        },
+        // Proof a rider must capture before a delivery is marked delivered
+        proofRequired: {
+          type: String,
+          enum: ["none", "signature", "photo", "any", "both"],
+          default: "none",
+        },
       },
       confirmation: {
         requireEmail: {
@@ -220,6 +286,27 @@ const settingsSchema = new mongoose.Schema(
           default: false,
         },
       },
+      // Customer messages sent when an order reaches each status
+      statusNotifications: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        respectQuietHours: {
+          type: Boolean,
+          default: true, // Hold messages until business.operatingHours
+        },
+        statuses: {
+          pending: { type: Boolean, default: true }, // Order received
+          confirmed: { type: Boolean, default: true },
+          processing: { type: Boolean, default: false },
+          ready: { type: Boolean, default: true },
+          out_for_delivery: { type: Boolean, default: true },
+          delivered: { type: Boolean, default: true },
+          cancelled: { type: Boolean, default: true },
+          failed: { type: Boolean, default: true },
+        },
+      },
       cancellation: {
         allowCustomer: {
           type: Boolean,
@@ -240,7 +327,7 @@ const settingsSchema = new mongoose.Schema(
         },
         provider: {
           type: String,
-          enum: ["sendgrid", "mailgun", "smtp"],
+          enum: ["sendgrid", "mailgun", "smtp", "local"],
           default: "smtp",
         },
         settings: {
@@ -255,10 +342,10 @@ const settingsSchema = new mongoose.Schema(
           },
         },
         templates: {
-          orderConfirmation: String,
-          orderDelivered: String,
-          lowStock: String,
-          dailyReport: String,
+          orderConfirmation: localizedTemplate,
+          orderDelivered: localizedTemplate,
+          lowStock: localizedTemplate,
+          dailyReport: localizedTemplate,
         },
       },
       sms: {
@@ -268,7 +355,7 @@ const settingsSchema = new mongoose.Schema(
         },
         provider: {
           type: String,
-          enum: ["africastalking", "twilio", "advanta"],
+          enum: ["africastalking", "twilio", "advanta", "local"],
           default: "africastalking",
         },
         settings: {
@@ -279,10 +366,12 @@ const settingsSchema = new mongoose.Schema(
           authToken: String,
         },
         templates: {
-          orderConfirmation: String,
-          orderReady: String,
-          orderDelivered: String,
-          paymentReminder: String,
+          orderConfirmation: localizedTemplate,
+          orderReady: localizedTemplate,
+          orderStatusUpdate: localizedTemplate,
+          orderDelivered: localizedTemplate,
+          orderCancelled: localizedTemplate,
+          paymentReminder: localizedTemplate,
         },
       },
       whatsapp: {
@@ -292,7 +381,7 @@ const settingsSchema = new mongoose.Schema(
         },
         provider: {
           type: String,
-          enum: ["twilio", "whatsapp_business"],
+          enum: ["twilio", "whatsapp_business", "local"],
           default: "twilio",
         },
         settings: {
@@ -329,6 +418,11 @@ const settingsSchema = new mongoose.Schema(
           type: Number,
           default: 0, // 0 means no expiry
         },
+        historyCount: {
+          type: Number,
+          default: 5,
+          min: 0, // 0 allows reusing earlier passwords
+        }, // Recent passwords, the current one included, that cannot be reused
       },
       twoFactorAuth: {
         enabled: {
@@ -340,13 +434,32 @@ const settingsSchema = new mongoose.Schema(
           email: Boolean,
           app: Boolean,
         },
+        requiredRoles: {
+          type: [String],
+          enum: ["owner", "operator", "viewer"],
+          default: [],
+        }, // Roles that must pass a second step to log in
+        enrollOnLogin: {
+          type: Boolean,
+          default: false, // Let users who cannot get a code set up an app while logging in
+        },
+        trustedDeviceDays: {
+          type: Number,
+          default: 30,
+          min: 0, // 0 turns off trusted devices
+        },
       },
       ipWhitelist: {
         enabled: {
           type: Boolean,
           default: false,
         },
-        addresses: [String],
+        addresses: [String], // IP addresses and CIDR ranges
+        exemptRoles: {
+          type: [String],
+          enum: ["owner", "operator", "viewer"],
+          default: ["owner"],
+        }, // Roles allowed from any address
       },
       backups: {
         automatic: {
@@ -423,6 +536,29 @@ const settingsSchema = new mongoose.Schema(
           type: Number,
           default: 0.5, // 1 point = 0.5 KES
         },
+        tierMultipliers: {
+          bronze: {
+            type: Number,
+            default: 1,
+          },
+          silver: {
+            type: Number,
+            default: 1.25,
+          },
+          gold: {
+            type: Number,
+            default: 1.5,
+          },
+          platinum: {
+            type: Number,
+            default: 2,
+          },
+        }, // Points earned are multiplied by the customer's tier
+        pointsExpiryMonths: {
+          type: Number,
+          default: 0, // 0 = points never expire
+          min: 0,
+        },
       },
       multiLocation: {
         enabled: {
@@ -562,6 +698,52 @@ settingsSchema.methods.formatCurrency = function (amount) {
     : `${formatted}${symbol}`;
 };
 
+// Method to get the password policy shown to users
+settingsSchema.methods.getPasswordPolicy = function () {
+  const {
+    minLength,
+    requireUppercase,
+    requireNumbers,
+    requireSpecialChars,
+    expiryDays,
+    historyCount,
+  } = this.security.passwordPolicy;
+
+  return {
+    minLength,
+    requireUppercase,
+    requireNumbers,
+    requireSpecialChars,
+    expiryDays,
+    historyCount,
+  };
+};
+
+// Method to check a password against the policy.
+// Returns a message listing what is missing, or null when it passes.
+settingsSchema.methods.getPasswordPolicyError = function (password = "") {
+  const policy = this.security.passwordPolicy;
+
+  const rules = [
+    [
+      password.length >= policy.minLength,
+      `be at least ${policy.minLength} characters`,
+    ],
+    [
+      !policy.requireUppercase || /[A-Z]/.test(password),
+      "contain an uppercase letter",
+    ],
+    [!policy.requireNumbers || /\d/.test(password), "contain a number"],
+    [
+      !policy.requireSpecialChars || /[^A-Za-z0-9]/.test(password),
+      "contain a special character",
+    ],
+  ];
+
+  const missing = rules.filter(([passes]) => !passes).map(([, rule]) => rule);
+  return missing.length ? `Password must ${missing.join(", ")}` : null;
+};
+
 // Method to check feature availability
 settingsSchema.methods.isFeatureEnabled = function (feature) {
   const parts = feature.split(".");
@@ -586,15 +768,160 @@ settingsSchema.methods.getNotificationSettings = function (channel) {
   };
 };
 
-// Method to calculate delivery fee
-settingsSchema.methods.calculateDeliveryFee = function (area) {
-  if (!this.orders.delivery.enabled) return 0;
+// Method to get when quiet hours end, from business.operatingHours.
+// Returns null while the business is open or when no hours are set.
+settingsSchema.methods.getQuietHoursEnd = function (date = new Date()) {
+  const days = [
+    "sunday",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+  ];
+  const hours = this.business.operatingHours || {};
+  if (!days.some((day) => hours[day]?.open || hours[day]?.isClosed)) {
+    return null;
+  }
 
-  const zone = this.orders.delivery.zones.find((z) =>
-    z.areas.some((a) => a.toLowerCase() === area.toLowerCase())
+  // Local day and time in the business timezone
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: config.app.timezone,
+      weekday: "long",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
   );
+  const today = days.indexOf(parts.weekday.toLowerCase());
+  const now = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+
+  const toMinutes = (time, fallback) => {
+    if (!time) return fallback;
+    const [hour, minute] = time.split(":").map(Number);
+    return hour * 60 + minute;
+  };
+
+  for (let offset = 0; offset < 7; offset++) {
+    const day = hours[days[(today + offset) % 7]] || {};
+    if (day.isClosed) continue;
+
+    const open = toMinutes(day.open, 0);
+    const close = toMinutes(day.close, 24 * 60);
+
+    if (offset === 0) {
+      if (now >= open && now < close) return null;
+      if (now >= close) continue;
+    }
+
+    const wait = offset * 24 * 60 + open - now;
+    return new Date(date.getTime() + wait * 60 * 1000);
+  }
+
+  return null;
+};
+
+// Method to get the active branch locations (empty when single-location)
+settingsSchema.methods.getLocations = function () {
+  if (!this.features.multiLocation.enabled) return [];
+  return this.features.multiLocation.locations;
+};
+
+// Method to get the default location, where untracked stock is held
+settingsSchema.methods.getDefaultLocation = function () {
+  const locations = this.getLocations();
+  return locations.length > 0 ? locations[0].code : null;
+};
 
-  return zone ? zone.fee : this.orders.delivery.defaultFee;
+// Method to resolve a requested location code, falling back to the default
+settingsSchema.methods.resolveLocation = function (code) {
+  const locations = this.getLocations();
+  if (locations.length === 0) return null;
+
+  if (!code) return this.getDefaultLocation();
+
+  if (!locations.some((location) => location.code === code)) {
+    throw new Error(`Unknown location ${code}`);
+  }
+
+  return code;
+};
+
+// Method to find the delivery zone covering an address. Active zones are
+// checked in order: boundaries against the address coordinates first,
+// then area lists against the area name.
+settingsSchema.methods.findDeliveryZone = function (address = {}) {
+  const zones = this.orders.delivery.zones.filter((zone) => zone.isActive);
+  const coordinates = address.location?.coordinates;
+
+  if (coordinates?.length === 2) {
+    const [lng, lat] = coordinates;
+    const zone = zones.find((zone) => {
+      const { type, coordinates: ring, center, radiusKm } = zone.boundary || {};
+
+      if (type === "polygon") {
+        return ring?.length >= 3 && isPointInPolygon([lng, lat], ring);
+      }
+      if (type === "radius") {
+        return (
+          center?.length === 2 &&
+          calculateDistance(lat, lng, center[1], center[0]) <= radiusKm
+        );
+      }
+      return false;
+    });
+
+    if (zone) return { zone, matchedBy: "coordinates" };
+  }
+
+  if (address.area) {
+    const area = address.area.trim().toLowerCase();
+    const zone = zones.find((zone) =>
+      zone.areas.some((name) => name.toLowerCase() === area)
+    );
+
+    if (zone) return { zone, matchedBy: "area" };
+  }
+
+  return { zone: null, matchedBy: null };
+};
+
+// Method to quote delivery to an address for an order amount (goods value)
+settingsSchema.methods.quoteDelivery = function (address = {}, amount = 0) {
+  const { enabled, freeDeliveryThreshold, defaultFee, restrictToZones } =
+    this.orders.delivery;
+  const { zone, matchedBy } = enabled
+    ? this.findDeliveryZone(address)
+    : { zone: null, matchedBy: null };
+
+  const deliverable = enabled && (Boolean(zone) || !restrictToZones);
+  const baseFee = zone ? zone.fee : defaultFee;
+  const freeDelivery =
+    freeDeliveryThreshold > 0 && amount >= freeDeliveryThreshold;
+
+  return {
+    deliverable,
+    zone,
+    matchedBy,
+    baseFee,
+    fee: deliverable && !freeDelivery ? baseFee : 0,
+    freeDelivery,
+    freeDeliveryThreshold,
+    amountToFreeDelivery:
+      freeDeliveryThreshold > 0
+        ? Math.max(freeDeliveryThreshold - amount, 0)
+        : null,
+    estimatedTime: zone?.estimatedTime,
+  };
+};
+
+// Method to calculate delivery fee
+settingsSchema.methods.calculateDeliveryFee = function (area, amount = 0) {
+  return this.quoteDelivery({ area }, amount).fee;
 };
 
 const Settings = mongoose.model("Settings", settingsSchema);
@@ -0,0 +1,318 @@
+// backend/src/models/StockTransfer.js
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: function () {
+        return !this.isNew; // Generated before first save
+      },
+      unique: true,
+    },
+    fromLocation: {
+      type: String,
+      required: [true, "Source location is required"],
+    },
+    toLocation: {
+      type: String,
+      required: [true, "Destination location is required"],
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        productName: {
+          type: String,
+          required: true,
+        },
+        sku: String,
+        quantityRequested: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        quantityDispatched: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        quantityReceived: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        unitCost: {
+          type: Number,
+          default: 0,
+          min: [0, "Cost cannot be negative"],
+        }, // Cost of the units that left the source branch
+        lots: [
+          {
+            batchNumber: String,
+            expiryDate: Date,
+            quantity: Number,
+          },
+        ], // Batches picked at dispatch
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["requested", "dispatched", "received", "cancelled"],
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        notes: String,
+      },
+    ],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dispatchedAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receivedAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+stockTransferSchema.index({ transferNumber: 1 });
+stockTransferSchema.index({ fromLocation: 1, createdAt: -1 });
+stockTransferSchema.index({ toLocation: 1, createdAt: -1 });
+stockTransferSchema.index({ status: 1 });
+stockTransferSchema.index({ "items.product": 1 });
+
+// Virtual for units dispatched but not received
+stockTransferSchema.virtual("shortageQuantity").get(function () {
+  if (this.status !== "received") return 0;
+  return this.items.reduce(
+    (sum, item) => sum + (item.quantityDispatched - item.quantityReceived),
+    0
+  );
+});
+
+// Generate transfer number before saving
+stockTransferSchema.pre("save", async function (next) {
+  if (this.isNew && !this.transferNumber) {
+    try {
+      const sequence = await Counter.getNextSequence("stock_transfer");
+
+      const date = new Date();
+      const year = date.getFullYear().toString().substr(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const sequenceStr = sequence.toString().padStart(5, "0");
+
+      this.transferNumber = `TRF${year}${month}${sequenceStr}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Instance methods
+stockTransferSchema.methods.updateStatus = function (newStatus, userId, notes) {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    updatedBy: userId,
+    notes,
+  });
+
+  switch (newStatus) {
+    case "dispatched":
+      this.dispatchedBy = userId;
+      this.dispatchedAt = new Date();
+      break;
+    case "received":
+      this.receivedBy = userId;
+      this.receivedAt = new Date();
+      break;
+  }
+};
+
+stockTransferSchema.methods.dispatch = async function (
+  userId,
+  { defaultLocation, notes } = {}
+) {
+  if (this.status !== "requested") {
+    throw new Error(`Cannot dispatch a transfer that is ${this.status}`);
+  }
+
+  const Product = mongoose.model("Product");
+
+  // Check every line before touching stock
+  const lines = [];
+  for (const item of this.items) {
+    const product = await Product.findById(item.product).session(
+      this.$session()
+    );
+    if (!product) {
+      throw new Error(`Product ${item.productName} no longer exists`);
+    }
+
+    const available = product.getAvailableStock(
+      this.fromLocation,
+      defaultLocation
+    );
+    if (available < item.quantityRequested) {
+      throw new Error(
+        `Insufficient stock for ${item.productName} at ${this.fromLocation}. Available: ${available}`
+      );
+    }
+
+    lines.push({ item, product });
+  }
+
+  for (const { item, product } of lines) {
+    await product.updateStock(
+      item.quantityRequested,
+      "transfer",
+      this.transferNumber,
+      userId,
+      `Dispatched to ${this.toLocation}`,
+      { location: this.fromLocation, defaultLocation }
+    );
+
+    const movement = product.stockMovements[product.stockMovements.length - 1];
+    item.quantityDispatched = item.quantityRequested;
+    item.unitCost = movement.unitCost || 0;
+    item.lots = movement.lots;
+  }
+
+  this.updateStatus("dispatched", userId, notes);
+
+  await this.save();
+  return this;
+};
+
+stockTransferSchema.methods.receive = async function (
+  receivedItems,
+  userId,
+  { defaultLocation, notes } = {}
+) {
+  if (this.status !== "dispatched") {
+    throw new Error(`Cannot receive a transfer that is ${this.status}`);
+  }
+
+  const Product = mongoose.model("Product");
+
+  // Receive everything dispatched unless quantities are given
+  const lines = this.items.map((item) => {
+    const receivedItem = (receivedItems || []).find(
+      (received) =>
+        received.itemId === item._id.toString() ||
+        received.product === item.product.toString()
+    );
+    const quantity = receivedItem
+      ? receivedItem.quantity
+      : item.quantityDispatched;
+
+    if (quantity > item.quantityDispatched) {
+      throw new Error(
+        `Cannot receive ${quantity} of ${item.productName}. Dispatched: ${item.quantityDispatched}`
+      );
+    }
+
+    return { item, quantity };
+  });
+
+  for (const { item, quantity } of lines) {
+    item.quantityReceived = quantity;
+    if (quantity <= 0) continue;
+
+    const product = await Product.findById(item.product).session(
+      this.$session()
+    );
+    if (!product) {
+      throw new Error(`Product ${item.productName} no longer exists`);
+    }
+
+    // Return the dispatched batches to stock at the destination
+    const batches = [];
+    let remaining = quantity;
+    for (const lot of item.lots) {
+      if (remaining <= 0) break;
+
+      const taken = Math.min(lot.quantity, remaining);
+      batches.push({ ...lot.toObject(), quantity: taken });
+      remaining -= taken;
+    }
+    if (remaining > 0) {
+      batches.push({ quantity: remaining });
+    }
+
+    for (const batch of batches) {
+      await product.updateStock(
+        batch.quantity,
+        "transfer_in",
+        this.transferNumber,
+        userId,
+        `Received from ${this.fromLocation}`,
+        {
+          unitCost: item.unitCost,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+          location: this.toLocation,
+          defaultLocation,
+        }
+      );
+    }
+  }
+
+  this.updateStatus("received", userId, notes);
+
+  await this.save();
+  return this;
+};
+
+stockTransferSchema.methods.cancel = async function (userId, reason) {
+  if (this.status !== "requested") {
+    throw new Error(`Cannot cancel a transfer that is ${this.status}`);
+  }
+
+  this.updateStatus("cancelled", userId, reason);
+
+  await this.save();
+  return this;
+};
+
+// Static method to find transfers in transit to a branch
+stockTransferSchema.statics.findInTransit = function (location) {
+  return this.find({
+    status: "dispatched",
+    ...(location && { toLocation: location }),
+  }).sort({ dispatchedAt: 1 });
+};
+
+const StockTransfer = mongoose.model("StockTransfer", stockTransferSchema);
+
+module.exports = StockTransfer;
@@ -0,0 +1,118 @@
+// backend/src/models/Supplier.js
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      unique: true,
+      trim: true,
+      minlength: [2, "Supplier name must be at least 2 characters"],
+      maxlength: [100, "Supplier name cannot exceed 100 characters"],
+    },
+    contactPerson: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      required: [true, "Phone number is required"],
+      validate: {
+        validator: function (phone) {
+          return /^(\+254|0)[17]\d{8}$/.test(phone);
+        },
+        message: "Please provide a valid Kenyan phone number",
+      },
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: function (email) {
+          return !email || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+        },
+        message: "Please provide a valid email",
+      },
+    },
+    address: {
+      street: String,
+      area: String,
+      city: {
+        type: String,
+        default: "Nairobi",
+      },
+    },
+    taxId: String, // KRA PIN
+    paymentTerms: {
+      type: Number,
+      default: 30, // days
+      min: [0, "Payment terms cannot be negative"],
+    },
+    statistics: {
+      totalOrders: {
+        type: Number,
+        default: 0,
+      },
+      totalSpent: {
+        type: Number,
+        default: 0,
+      },
+      lastOrderDate: Date,
+      lastDeliveryDate: Date,
+    },
+    notes: String,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    metadata: {
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+supplierSchema.index({ name: "text" });
+supplierSchema.index({ phone: 1 });
+supplierSchema.index({ isActive: 1 });
+
+// Virtual for contact string stored on products
+supplierSchema.virtual("contact").get(function () {
+  return [this.contactPerson, this.phone].filter(Boolean).join(" - ");
+});
+
+// Method to record a purchase order sent to this supplier
+supplierSchema.methods.recordOrder = async function () {
+  this.statistics.totalOrders += 1;
+  this.statistics.lastOrderDate = new Date();
+
+  await this.save();
+  return this;
+};
+
+// Method to record goods received from this supplier
+supplierSchema.methods.recordDelivery = async function (amount) {
+  this.statistics.totalSpent += amount;
+  this.statistics.lastDeliveryDate = new Date();
+
+  await this.save();
+  return this;
+};
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+module.exports = Supplier;
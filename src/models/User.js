@@ -81,6 +81,10 @@ const userSchema = new mongoose.Schema(
         manage: { type: Boolean, default: false },
       },
     },
+    location: {
+      type: String, // Branch code from features.multiLocation
+      trim: true,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -102,6 +106,19 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
     passwordChangedAt: Date,
+    passwordHistory: {
+      type: [
+        {
+          hash: String,
+          changedAt: Date,
+        },
+      ],
+      select: false,
+    }, // Earlier password hashes, newest first
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    }, // Set when the password has expired
     passwordResetToken: String,
     passwordResetExpires: Date,
     refreshTokens: [
@@ -112,9 +129,59 @@ const userSchema = new mongoose.Schema(
           default: Date.now,
         },
         expiresAt: Date,
-        deviceInfo: String,
+        family: String, // Session id, kept when the token is rotated
+        deviceInfo: String, // e.g. "Chrome on Android (Mobile)"
+        userAgent: String,
+        ip: String,
+        location: String, // Branch code the session was opened at
+        lastUsedAt: Date,
+        deviceTokenHash: String, // Hash of the device token of a trusted device
+        trustedUntil: Date, // Device skips two-factor checks until then
       },
     ],
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      method: {
+        type: String,
+        enum: ["app", "sms", "email"],
+      },
+      secret: {
+        type: String,
+        select: false,
+      }, // Base32 TOTP secret for authenticator apps
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      }, // Stops an app code being used twice
+      recoveryCodes: {
+        type: [
+          {
+            code: String, // SHA-256 hash
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+      pending: {
+        type: {
+          method: String,
+          secret: String,
+        },
+        select: false,
+      }, // Enrolment awaiting its first code
+      otp: {
+        type: {
+          code: String, // SHA-256 hash
+          expiresAt: Date,
+          attempts: Number,
+        },
+        select: false,
+      }, // One-time code sent by SMS or email
+      enabledAt: Date,
+    },
     settings: {
       notifications: {
         email: { type: Boolean, default: true },
@@ -217,13 +284,15 @@ userSchema.methods.comparePIN = async function (candidatePIN) {
   return await bcrypt.compare(candidatePIN, this.pin);
 };
 
-userSchema.methods.generateAuthToken = function () {
+userSchema.methods.generateAuthToken = function (sessionId) {
   const token = jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       email: this.email,
       role: this.role,
       permissions: this.fullPermissions,
+      ...(this.mustChangePassword && { passwordExpired: true }),
     },
     process.env.JWT_SECRET,
     {
@@ -233,15 +302,25 @@ userSchema.methods.generateAuthToken = function () {
   return token;
 };
 
-userSchema.methods.generateRefreshToken = function () {
-  const token = jwt.sign({ _id: this._id }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: "7d",
-  });
+// Session details (family, device, ip, location, trust) are stored with
+// the token; see sessionService
+userSchema.methods.generateRefreshToken = function (session = {}) {
+  const family = session.family || crypto.randomBytes(16).toString("hex");
+
+  // jti keeps tokens unique when one is rotated within the same second
+  const token = jwt.sign(
+    { _id: this._id, family, jti: crypto.randomBytes(8).toString("hex") },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: "7d" }
+  );
 
   // Store refresh token
   this.refreshTokens.push({
+    ...session,
     token,
+    family,
     expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    lastUsedAt: new Date(),
   });
 
   // Keep only last 5 refresh tokens
@@ -252,6 +331,61 @@ userSchema.methods.generateRefreshToken = function () {
   return token;
 };
 
+// Set a new password that meets the policy and was not used recently.
+// Load the user with +password +passwordHistory to keep the history.
+userSchema.methods.setPassword = async function (newPassword, settings) {
+  const policyError = settings.getPasswordPolicyError(newPassword);
+  if (policyError) {
+    throw new Error(policyError);
+  }
+
+  const { historyCount } = settings.security.passwordPolicy;
+  if (await this.isPasswordReused(newPassword, historyCount)) {
+    throw new Error(
+      `Password cannot be the same as any of your last ${historyCount} passwords`
+    );
+  }
+
+  // Remember the current hash before it is replaced
+  if (this.password && historyCount > 1) {
+    this.passwordHistory = [
+      { hash: this.password, changedAt: this.passwordChangedAt },
+      ...(this.passwordHistory || []),
+    ].slice(0, historyCount - 1);
+  }
+
+  this.password = newPassword;
+  this.mustChangePassword = false;
+};
+
+userSchema.methods.isPasswordReused = async function (
+  candidatePassword,
+  historyCount
+) {
+  if (!historyCount) return false;
+
+  const hashes = [
+    this.password,
+    ...(this.passwordHistory || [])
+      .slice(0, historyCount - 1)
+      .map((entry) => entry.hash),
+  ].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+userSchema.methods.isPasswordExpired = function (expiryDays) {
+  if (!expiryDays || !this.passwordChangedAt) return false;
+
+  const expiresAt = new Date(
+    this.passwordChangedAt.getTime() + expiryDays * 24 * 60 * 60 * 1000
+  );
+  return expiresAt <= new Date();
+};
+
 userSchema.methods.createPasswordResetToken = function () {
   const resetToken = crypto.randomBytes(32).toString("hex");
 
@@ -374,7 +508,15 @@ userSchema.methods.toJSON = function () {
   delete user.pin;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.passwordHistory;
   delete user.refreshTokens;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.lastUsedStep;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.pending;
+    delete user.twoFactor.otp;
+  }
   delete user.__v;
   return user;
 };
@@ -0,0 +1,21 @@
+// backend/src/routes/apiKeyRoutes.js
+const router = require("express").Router();
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+
+const { authenticate, authorize } = require("../middleware/auth");
+
+const { apiKeyValidations } = require("../middleware/validation");
+
+// All routes require an owner
+router.use(authenticate);
+router.use(authorize("owner"));
+
+router.get("/", getApiKeys);
+router.post("/", apiKeyValidations.create, createApiKey);
+router.delete("/:id", apiKeyValidations.revoke, revokeApiKey);
+
+module.exports = router;
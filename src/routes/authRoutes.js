@@ -7,12 +7,22 @@ const {
   refreshAccessToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   getMe,
   updateProfile,
   changePassword,
   setPin,
   forgotPassword,
   resetPassword,
+  getPasswordPolicy,
+  verifyTwoFactor,
+  resendTwoFactorCode,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  forgetTrustedDevices,
 } = require("../controllers/authController");
 
 const {
@@ -32,14 +42,27 @@ const {
 // Public routes
 router.post("/login", authLimiter, userValidations.login, login);
 router.post("/pin-login", authLimiter, userValidations.pinLogin, pinLogin);
+router.post(
+  "/2fa/verify",
+  authLimiter,
+  userValidations.twoFactorVerify,
+  verifyTwoFactor
+);
+router.post(
+  "/2fa/resend",
+  authLimiter,
+  userValidations.twoFactorResend,
+  resendTwoFactorCode
+);
 router.post("/refresh", verifyRefreshToken, refreshAccessToken);
 router.post("/forgot-password", passwordResetLimiter, forgotPassword);
 router.put(
   "/reset-password/:token",
   passwordResetLimiter,
-  userValidations.changePassword,
+  userValidations.resetPassword,
   resetPassword
 );
+router.get("/password-policy", getPasswordPolicy);
 
 // Protected routes
 router.use(authenticate); // All routes below require authentication
@@ -52,6 +75,8 @@ router.post(
 );
 router.post("/logout", logout);
 router.post("/logout-all", logoutAll);
+router.get("/sessions", getSessions);
+router.delete("/sessions/:sessionId", revokeSession);
 router.get("/me", getMe);
 router.put("/profile", userValidations.updateProfile, updateProfile);
 router.put(
@@ -62,4 +87,31 @@ router.put(
 );
 router.put("/set-pin", sensitiveOperationLimit(), setPin);
 
+// Two-factor authentication
+router.post(
+  "/2fa/setup",
+  sensitiveOperationLimit(),
+  userValidations.twoFactorSetup,
+  setupTwoFactor
+);
+router.post(
+  "/2fa/enable",
+  sensitiveOperationLimit(),
+  userValidations.twoFactorCode,
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  sensitiveOperationLimit(),
+  userValidations.confirmPassword,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  sensitiveOperationLimit(),
+  userValidations.confirmPassword,
+  regenerateRecoveryCodes
+);
+router.delete("/2fa/trusted-devices", forgetTrustedDevices);
+
 module.exports = router;
@@ -9,6 +9,9 @@ const {
   addNote,
   updateCredit,
   addCreditTransaction,
+  getCustomerStatement,
+  getLoyaltyHistory,
+  adjustLoyaltyPoints,
   getPurchaseHistory,
   getSegments,
   getNearbyCustomers,
@@ -24,6 +27,7 @@ const {
 
 const {
   customerValidations,
+  reportValidations,
   commonValidations,
 } = require("../middleware/validation");
 
@@ -44,7 +48,12 @@ router.get(
   checkPermission("orders", "read"),
   getCustomersWithBirthdays
 );
-router.get("/export", checkPermission("reports", "export"), exportCustomers);
+router.get(
+  "/export",
+  checkPermission("reports", "export"),
+  reportValidations.format,
+  exportCustomers
+);
 
 // Individual customer routes
 router.get(
@@ -101,5 +110,28 @@ router.post(
   commonValidations.mongoId("id"),
   addCreditTransaction
 );
+router.get(
+  "/:id/statement",
+  checkPermission("orders", "read"),
+  commonValidations.mongoId("id"),
+  commonValidations.dateRange,
+  reportValidations.format,
+  getCustomerStatement
+);
+
+// Loyalty points routes
+router.get(
+  "/:id/loyalty",
+  checkPermission("orders", "read"),
+  commonValidations.mongoId("id"),
+  commonValidations.pagination,
+  getLoyaltyHistory
+);
+router.post(
+  "/:id/loyalty/adjust",
+  authorize("owner", "manager"),
+  customerValidations.loyaltyAdjust,
+  adjustLoyaltyPoints
+);
 
 module.exports = router;
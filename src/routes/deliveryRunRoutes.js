@@ -0,0 +1,83 @@
+// backend/src/routes/deliveryRunRoutes.js
+const router = require("express").Router();
+const {
+  getDeliveryRuns,
+  getDeliveryRun,
+  getDeliveryManifest,
+  createDeliveryRun,
+  startDeliveryRun,
+  recordStopOutcome,
+  reconcileDeliveryRun,
+  cancelDeliveryRun,
+} = require("../controllers/deliveryRunController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+
+const {
+  deliveryRunValidations,
+  reportValidations,
+  commonValidations,
+} = require("../middleware/validation");
+const { proofOfDeliveryUpload } = require("../middleware/upload");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Delivery run listing routes
+router.get(
+  "/",
+  checkPermission("orders", "read"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getDeliveryRuns
+);
+router.post(
+  "/",
+  checkPermission("users", "manage"),
+  deliveryRunValidations.create,
+  createDeliveryRun
+);
+
+// Individual delivery run routes
+router.get(
+  "/:id",
+  checkPermission("orders", "read"),
+  commonValidations.mongoId("id"),
+  getDeliveryRun
+);
+router.get(
+  "/:id/manifest",
+  checkPermission("orders", "read"),
+  commonValidations.mongoId("id"),
+  reportValidations.format,
+  getDeliveryManifest
+);
+
+// Delivery run lifecycle routes
+router.post(
+  "/:id/start",
+  checkPermission("orders", "update"),
+  commonValidations.mongoId("id"),
+  startDeliveryRun
+);
+router.post(
+  "/:id/stops/:stopId/outcome",
+  checkPermission("orders", "update"),
+  proofOfDeliveryUpload,
+  deliveryRunValidations.outcome,
+  recordStopOutcome
+);
+router.post(
+  "/:id/reconcile",
+  checkPermission("users", "manage"),
+  deliveryRunValidations.reconcile,
+  reconcileDeliveryRun
+);
+router.post(
+  "/:id/cancel",
+  checkPermission("users", "manage"),
+  commonValidations.mongoId("id"),
+  cancelDeliveryRun
+);
+
+module.exports = router;
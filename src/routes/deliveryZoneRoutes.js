@@ -0,0 +1,48 @@
+// backend/src/routes/deliveryZoneRoutes.js
+const router = require("express").Router();
+const {
+  getDeliveryZones,
+  getDeliveryZone,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  quoteDelivery,
+} = require("../controllers/deliveryZoneController");
+
+const { authenticate, authorize } = require("../middleware/auth");
+
+const {
+  deliveryZoneValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Fee quote for the order form
+router.post("/quote", deliveryZoneValidations.quote, quoteDelivery);
+
+// Zone routes
+router.get("/", getDeliveryZones);
+router.get("/:id", commonValidations.mongoId("id"), getDeliveryZone);
+router.post(
+  "/",
+  authorize("owner", "manager"),
+  deliveryZoneValidations.create,
+  createDeliveryZone
+);
+router.put(
+  "/:id",
+  authorize("owner", "manager"),
+  commonValidations.mongoId("id"),
+  deliveryZoneValidations.update,
+  updateDeliveryZone
+);
+router.delete(
+  "/:id",
+  authorize("owner", "manager"),
+  commonValidations.mongoId("id"),
+  deleteDeliveryZone
+);
+
+module.exports = router;
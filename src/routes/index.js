@@ -9,10 +9,26 @@ const saleRoutes = require("./saleRoutes");
 const orderRoutes = require("./orderRoutes");
 const customerRoutes = require("./customerRoutes");
 const reportRoutes = require("./reportRoutes");
+const supplierRoutes = require("./supplierRoutes");
+const purchaseOrderRoutes = require("./purchaseOrderRoutes");
+const stockTransferRoutes = require("./stockTransferRoutes");
+const notificationRoutes = require("./notificationRoutes");
+const deliveryZoneRoutes = require("./deliveryZoneRoutes");
+const deliveryRunRoutes = require("./deliveryRunRoutes");
+const apiKeyRoutes = require("./apiKeyRoutes");
+const jobRoutes = require("./jobRoutes");
 
 // Dashboard routes (created inline as they're simple)
 const dashboardController = require("../controllers/dashboardController");
-const { authenticate, checkPermission } = require("../middleware/auth");
+const {
+  authenticate,
+  checkPermission,
+  enforceIpWhitelist,
+} = require("../middleware/auth");
+const {
+  reportValidations,
+  settingsValidations,
+} = require("../middleware/validation");
 
 // Health check route (public)
 router.get("/health", (req, res) => {
@@ -33,6 +49,12 @@ router.get("/version", (req, res) => {
   });
 });
 
+// Scheduled jobs (called by the platform scheduler with the cron secret)
+router.use("/jobs", jobRoutes);
+
+// Staff IP allow-list (Settings.security.ipWhitelist)
+router.use(enforceIpWhitelist);
+
 // Mount route modules
 router.use("/auth", authRoutes);
 router.use("/users", userRoutes);
@@ -41,6 +63,13 @@ router.use("/sales", saleRoutes);
 router.use("/orders", orderRoutes);
 router.use("/customers", customerRoutes);
 router.use("/reports", reportRoutes);
+router.use("/suppliers", supplierRoutes);
+router.use("/purchase-orders", purchaseOrderRoutes);
+router.use("/stock-transfers", stockTransferRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/delivery-zones", deliveryZoneRoutes);
+router.use("/delivery-runs", deliveryRunRoutes);
+router.use("/api-keys", apiKeyRoutes);
 
 // Dashboard routes (protected)
 router.use("/dashboard", authenticate);
@@ -86,6 +115,7 @@ router.get(
 router.post(
   "/activities/export",
   checkPermission("reports", "export"),
+  reportValidations.activities,
   activityController.exportActivities
 );
 
@@ -191,6 +221,7 @@ router.get(
 router.put(
   "/settings",
   checkPermission("users", "manage"),
+  settingsValidations.update,
   asyncHandler(async (req, res) => {
     const settings = await Settings.updateSettings(req.body, req.user._id);
 
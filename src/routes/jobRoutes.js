@@ -0,0 +1,13 @@
+// backend/src/routes/jobRoutes.js
+const router = require("express").Router();
+const { runJob } = require("../controllers/jobController");
+
+const { verifyCronSecret } = require("../middleware/auth");
+
+// All routes require the cron secret
+router.use(verifyCronSecret);
+
+// Vercel cron calls are GET requests
+router.get("/:name", runJob);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// backend/src/routes/notificationRoutes.js
+const router = require("express").Router();
+const {
+  getNotifications,
+  getNotification,
+  retryNotification,
+  processOutbox,
+  sendTestNotification,
+  getTemplates,
+  previewTemplate,
+  handleProviderCallback,
+  verifyWhatsappWebhook,
+} = require("../controllers/notificationController");
+
+const { authenticate, authorize } = require("../middleware/auth");
+
+const {
+  notificationValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// Provider delivery reports (must be BEFORE authentication)
+router.get("/callbacks/whatsapp_business", verifyWhatsappWebhook);
+router.post("/callbacks/:provider", handleProviderCallback);
+
+// All other routes require authentication
+router.use(authenticate);
+router.use(authorize("owner", "manager"));
+
+// Outbox routes
+router.get(
+  "/",
+  commonValidations.pagination,
+  notificationValidations.list,
+  getNotifications
+);
+router.post("/process", processOutbox);
+router.post(
+  "/test",
+  authorize("owner"),
+  notificationValidations.test,
+  sendTestNotification
+);
+
+// Template routes
+router.get("/templates", getTemplates);
+router.post(
+  "/templates/preview",
+  notificationValidations.preview,
+  previewTemplate
+);
+
+router.get("/:id", commonValidations.mongoId("id"), getNotification);
+router.post("/:id/retry", commonValidations.mongoId("id"), retryNotification);
+
+module.exports = router;
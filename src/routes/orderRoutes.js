@@ -11,11 +11,13 @@ const {
   getDeliveryQueue,
   getOrderMetrics,
   recordOrderPayment,
+  completeDelivery,
+  getDeliveryProof,
   cancelOrder,
 } = require("../controllers/orderController");
 
 const {
-  authenticate,
+  authenticateOrApiKey,
   authorize,
   checkPermission,
 } = require("../middleware/auth");
@@ -26,9 +28,10 @@ const {
 } = require("../middleware/validation");
 
 const { transactionLimiter } = require("../middleware/rateLimiter");
+const { proofOfDeliveryUpload } = require("../middleware/upload");
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (staff token or integration API key)
+router.use(authenticateOrApiKey);
 
 // Order creation and listing routes
 router.post(
@@ -93,6 +96,20 @@ router.post(
   commonValidations.mongoId("id"),
   recordOrderPayment
 );
+router.post(
+  "/:id/deliver",
+  checkPermission("orders", "update"),
+  transactionLimiter,
+  proofOfDeliveryUpload,
+  orderValidations.deliver,
+  completeDelivery
+);
+router.get(
+  "/:id/proof/:type",
+  checkPermission("orders", "read"),
+  orderValidations.proof,
+  getDeliveryProof
+);
 router.post(
   "/:id/cancel",
   checkPermission("orders", "update"),
@@ -9,14 +9,19 @@ const {
   deleteProduct,
   getLowStockProducts,
   getOutOfStockProducts,
+  getExpiringProducts,
+  writeOffExpiredLots,
   getInventoryValue,
   bulkUpdateProducts,
   importProducts,
+  getImportBatches,
+  getImportBatch,
+  rollbackImport,
   getProductPerformance,
 } = require("../controllers/productController");
 
 const {
-  authenticate,
+  authenticateOrApiKey,
   authorize,
   checkPermission,
 } = require("../middleware/auth");
@@ -27,9 +32,10 @@ const {
 } = require("../middleware/validation");
 
 const { uploadLimiter } = require("../middleware/rateLimiter");
+const { spreadsheetUpload } = require("../middleware/upload");
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (staff token or integration API key)
+router.use(authenticateOrApiKey);
 
 // Product listing routes
 router.get(
@@ -48,6 +54,16 @@ router.get(
   checkPermission("products", "read"),
   getOutOfStockProducts
 );
+router.get(
+  "/expiring",
+  checkPermission("products", "read"),
+  getExpiringProducts
+);
+router.post(
+  "/expiring/write-off",
+  authorize("owner", "manager"),
+  writeOffExpiredLots
+);
 router.get(
   "/inventory-value",
   checkPermission("reports", "view"),
@@ -60,8 +76,28 @@ router.post(
   "/import",
   checkPermission("products", "create"),
   uploadLimiter,
+  spreadsheetUpload,
+  productValidations.import,
   importProducts
 );
+router.get(
+  "/imports",
+  checkPermission("products", "create"),
+  commonValidations.pagination,
+  getImportBatches
+);
+router.get(
+  "/imports/:id",
+  checkPermission("products", "create"),
+  commonValidations.mongoId("id"),
+  getImportBatch
+);
+router.post(
+  "/imports/:id/rollback",
+  authorize("owner", "manager"),
+  commonValidations.mongoId("id"),
+  rollbackImport
+);
 
 // Individual product routes
 router.get(
@@ -0,0 +1,83 @@
+// backend/src/routes/purchaseOrderRoutes.js
+const router = require("express").Router();
+const {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+} = require("../controllers/purchaseOrderController");
+
+const {
+  authenticate,
+  authorize,
+  checkPermission,
+} = require("../middleware/auth");
+
+const {
+  purchaseOrderValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Purchase order listing routes
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getPurchaseOrders
+);
+
+// Individual purchase order routes
+router.get(
+  "/:id",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getPurchaseOrder
+);
+router.post(
+  "/",
+  checkPermission("products", "create"),
+  purchaseOrderValidations.create,
+  createPurchaseOrder
+);
+router.put(
+  "/:id",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  updatePurchaseOrder
+);
+
+// Purchase order lifecycle routes
+router.post(
+  "/:id/send",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  sendPurchaseOrder
+);
+router.post(
+  "/:id/receive",
+  checkPermission("products", "update"),
+  purchaseOrderValidations.receive,
+  receivePurchaseOrder
+);
+router.post(
+  "/:id/close",
+  authorize("owner", "manager"),
+  commonValidations.mongoId("id"),
+  closePurchaseOrder
+);
+router.post(
+  "/:id/cancel",
+  authorize("owner", "manager"),
+  commonValidations.mongoId("id"),
+  cancelPurchaseOrder
+);
+
+module.exports = router;
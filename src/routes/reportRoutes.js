@@ -6,27 +6,42 @@ const {
   getStaffPerformance,
   getCustomerAnalytics,
   getFinancialSummary,
-  exportToExcel,
+  getReceivablesReport,
+  sendPaymentReminders,
+  exportReport,
+  getExportJobs,
+  getExportJob,
+  downloadExport,
   getDashboardSummary,
 } = require("../controllers/reportController");
 
 const {
-  authenticate,
+  authenticateOrApiKey,
   authorize,
   checkPermission,
 } = require("../middleware/auth");
 
-const { commonValidations } = require("../middleware/validation");
+const {
+  reportValidations,
+  commonValidations,
+} = require("../middleware/validation");
 
 const {
   reportLimiter,
   expensiveReportLimiter,
 } = require("../middleware/rateLimiter");
 
-// All routes require authentication and report viewing permission
-router.use(authenticate);
+// All routes require authentication (staff token or integration API key)
+// and report viewing permission
+router.use(authenticateOrApiKey);
 router.use(checkPermission("reports", "view"));
 
+// Downloading a report as a file also requires export permission
+const exportPermission = (req, res, next) =>
+  req.query.format
+    ? checkPermission("reports", "export")(req, res, next)
+    : next();
+
 // Dashboard summary (available to all with report permission)
 router.get("/dashboard", getDashboardSummary);
 
@@ -35,13 +50,23 @@ router.get(
   "/sales",
   reportLimiter,
   commonValidations.dateRange,
+  reportValidations.format,
+  exportPermission,
   getSalesReport
 );
-router.get("/inventory", reportLimiter, getInventoryReport);
+router.get(
+  "/inventory",
+  reportLimiter,
+  reportValidations.format,
+  exportPermission,
+  getInventoryReport
+);
 router.get(
   "/customer-analytics",
   reportLimiter,
   commonValidations.dateRange,
+  reportValidations.format,
+  exportPermission,
   getCustomerAnalytics
 );
 
@@ -51,6 +76,8 @@ router.get(
   authorize("owner", "manager"),
   reportLimiter,
   commonValidations.dateRange,
+  reportValidations.format,
+  exportPermission,
   getStaffPerformance
 );
 router.get(
@@ -58,15 +85,62 @@ router.get(
   authorize("owner"),
   expensiveReportLimiter,
   commonValidations.dateRange,
+  reportValidations.format,
+  exportPermission,
   getFinancialSummary
 );
 
+// Accounts receivable (Owner/Manager only)
+router.get(
+  "/receivables",
+  authorize("owner", "manager"),
+  reportLimiter,
+  reportValidations.receivables,
+  reportValidations.format,
+  exportPermission,
+  getReceivablesReport
+);
+router.post(
+  "/receivables/reminders",
+  authorize("owner", "manager"),
+  reportLimiter,
+  sendPaymentReminders
+);
+
 // Export functionality (requires export permission)
+router.post(
+  "/export",
+  checkPermission("reports", "export"),
+  reportLimiter,
+  reportValidations.export,
+  exportReport
+);
 router.post(
   "/export/excel",
   checkPermission("reports", "export"),
   reportLimiter,
-  exportToExcel
+  reportValidations.export,
+  exportReport
+);
+
+// Background export jobs
+router.get(
+  "/exports",
+  checkPermission("reports", "export"),
+  commonValidations.pagination,
+  getExportJobs
+);
+router.get(
+  "/exports/:id",
+  checkPermission("reports", "export"),
+  commonValidations.mongoId("id"),
+  getExportJob
+);
+router.get(
+  "/exports/:id/download",
+  checkPermission("reports", "export"),
+  commonValidations.mongoId("id"),
+  downloadExport
 );
 
 module.exports = router;
@@ -10,6 +10,7 @@ const {
   getSalesReport,
   printReceipt,
   quickSale,
+  syncSales,
   getSalesByProduct,
   getPendingPayments,
   recordPayment,
@@ -18,11 +19,7 @@ const {
   mpesaCallback,
 } = require("../controllers/saleController");
 
-const {
-  authenticate,
-  authorize,
-  checkPermission,
-} = require("../middleware/auth");
+const { authenticateOrApiKey, checkPermission } = require("../middleware/auth");
 
 const {
   saleValidations,
@@ -34,8 +31,8 @@ const { transactionLimiter } = require("../middleware/rateLimiter");
 // M-Pesa callback route (must be BEFORE authentication)
 router.post("/mpesa/callback", mpesaCallback);
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (staff token or integration API key)
+router.use(authenticateOrApiKey);
 
 // Sale creation routes
 router.post(
@@ -51,6 +48,13 @@ router.post(
   transactionLimiter,
   quickSale
 );
+router.post(
+  "/sync",
+  checkPermission("sales", "create"),
+  transactionLimiter,
+  saleValidations.sync,
+  syncSales
+);
 
 // Sale listing and reporting routes
 router.get(
@@ -90,6 +94,7 @@ router.get(
   "/:id/receipt",
   checkPermission("sales", "read"),
   commonValidations.mongoId("id"),
+  saleValidations.receipt,
   printReceipt
 );
 
@@ -116,7 +121,15 @@ router.post(
 );
 
 // M-Pesa payment routes (these need authentication)
-router.post("/mpesa/initiate", initiateMpesaPayment);
-router.get("/mpesa/status/:checkoutRequestId", checkMpesaPaymentStatus);
+router.post(
+  "/mpesa/initiate",
+  checkPermission("sales", "create"),
+  initiateMpesaPayment
+);
+router.get(
+  "/mpesa/status/:checkoutRequestId",
+  checkPermission("sales", "read"),
+  checkMpesaPaymentStatus
+);
 
 module.exports = router;
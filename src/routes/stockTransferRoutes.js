@@ -0,0 +1,65 @@
+// backend/src/routes/stockTransferRoutes.js
+const router = require("express").Router();
+const {
+  getStockTransfers,
+  getStockTransfer,
+  createStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+} = require("../controllers/stockTransferController");
+
+const { authenticate, checkPermission } = require("../middleware/auth");
+
+const {
+  stockTransferValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Stock transfer listing routes
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  getStockTransfers
+);
+
+// Individual stock transfer routes
+router.get(
+  "/:id",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getStockTransfer
+);
+router.post(
+  "/",
+  checkPermission("products", "update"),
+  stockTransferValidations.create,
+  createStockTransfer
+);
+
+// Stock transfer lifecycle routes
+router.post(
+  "/:id/dispatch",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  dispatchStockTransfer
+);
+router.post(
+  "/:id/receive",
+  checkPermission("products", "update"),
+  stockTransferValidations.receive,
+  receiveStockTransfer
+);
+router.post(
+  "/:id/cancel",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  cancelStockTransfer
+);
+
+module.exports = router;
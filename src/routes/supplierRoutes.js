@@ -0,0 +1,60 @@
+// backend/src/routes/supplierRoutes.js
+const router = require("express").Router();
+const {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+} = require("../controllers/supplierController");
+
+const {
+  authenticate,
+  authorize,
+  checkPermission,
+} = require("../middleware/auth");
+
+const {
+  supplierValidations,
+  commonValidations,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Supplier listing routes
+router.get(
+  "/",
+  checkPermission("products", "read"),
+  commonValidations.pagination,
+  getSuppliers
+);
+
+// Individual supplier routes
+router.get(
+  "/:id",
+  checkPermission("products", "read"),
+  commonValidations.mongoId("id"),
+  getSupplier
+);
+router.post(
+  "/",
+  checkPermission("products", "create"),
+  supplierValidations.create,
+  createSupplier
+);
+router.put(
+  "/:id",
+  checkPermission("products", "update"),
+  commonValidations.mongoId("id"),
+  supplierValidations.update,
+  updateSupplier
+);
+router.delete(
+  "/:id",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  deleteSupplier
+);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const {
   deleteUser,
   updatePermissions,
   resetUserPassword,
+  getUserSessions,
+  revokeUserSessions,
   getUserActivity,
   getUserPerformance,
   bulkUpdateUsers,
@@ -62,8 +64,21 @@ router.post(
   "/:id/reset-password",
   checkPermission("users", "manage"),
   commonValidations.mongoId("id"),
+  userValidations.setPassword,
   resetUserPassword
 );
+router.get(
+  "/:id/sessions",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  getUserSessions
+);
+router.delete(
+  "/:id/sessions/:sessionId?",
+  authorize("owner"),
+  commonValidations.mongoId("id"),
+  revokeUserSessions
+);
 
 // User activity and performance routes
 router.get(
@@ -241,6 +241,11 @@ try {
 // Static files handling (with error protection)
 try {
   const uploadsPath = path.join(__dirname, "../uploads");
+
+  // Delivery proof is private; it is served by GET /api/v1/orders/:id/proof/:type
+  app.use("/uploads/deliveries", (req, res) => {
+    res.status(404).json({ success: false, message: "Route not found" });
+  });
   app.use("/uploads", express.static(uploadsPath));
   log.info("Static files middleware configured");
 } catch (error) {
@@ -384,13 +389,14 @@ if (process.env.NODE_ENV !== "production") {
   });
 }
 
-// Local development server (only runs when not in production)
-if (process.env.NODE_ENV !== "production" && require.main === module) {
+// Long-running server (node src/server.js, pm2). Vercel imports the app
+// instead and runs scheduled jobs through the crons in vercel.json.
+if (require.main === module) {
   const PORT = process.env.PORT || 5000;
 
   const startLocalServer = async () => {
     try {
-      log.info("Starting local development server...");
+      log.info("Starting server...");
 
       // Connect to database
       await connectDB();
@@ -398,9 +404,12 @@ if (process.env.NODE_ENV !== "production" && require.main === module) {
       // Initialize default data
       await initializeDefaultData();
 
+      // Start scheduled jobs (payment reminders)
+      require("./services/schedulerService").start();
+
       // Start listening
       const server = app.listen(PORT, () => {
-        log.info(`🚀 Server running locally on port ${PORT}`);
+        log.info(`🚀 Server running on port ${PORT}`);
         log.info(`📍 Environment: ${process.env.NODE_ENV}`);
         log.info(`🌐 API URL: http://localhost:${PORT}/api/v1`);
         log.info(`✅ Routes loaded: ${routesLoaded}`);
@@ -413,7 +422,7 @@ if (process.env.NODE_ENV !== "production" && require.main === module) {
         process.exit(1);
       });
     } catch (error) {
-      log.error("Failed to start local server: " + error.message);
+      log.error("Failed to start server: " + error.message);
       process.exit(1);
     }
   };
@@ -0,0 +1,166 @@
+// backend/src/services/deliveryProofService.js
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const { AppError } = require("../middleware/errorHandler");
+const { logger } = require("../middleware/logger");
+
+// Proof is kept in GridFS, like export files, so any server instance can
+// serve it. It is only served through GET /orders/:id/proof/:type, which
+// checks the caller's permissions.
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: "deliveryProof",
+  });
+
+const PHOTO_SIZE = 1600; // Longest side kept for the full photo
+const THUMBNAIL_SIZE = 320;
+
+// Write an image to GridFS and return its file id
+const upload = async (orderNumber, { name, mimeType, buffer }) => {
+  const stream = getBucket().openUploadStream(`${orderNumber}/${name}`, {
+    metadata: { orderNumber, mimeType },
+  });
+
+  await new Promise((resolve, reject) => {
+    stream.once("finish", resolve);
+    stream.once("error", reject);
+    stream.end(buffer);
+  });
+
+  return stream.id;
+};
+
+class DeliveryProofService {
+  /**
+   * Read the proof images from a proof-of-delivery upload. The signature
+   * may be a file or a base64 data URL from a signature pad.
+   * @param {Object} req - Request after proofOfDeliveryUpload
+   * @returns {Object} { photo, signature } image buffers
+   */
+  readUpload(req) {
+    const photo = req.files?.photo?.[0]?.buffer;
+    let signature = req.files?.signature?.[0]?.buffer;
+
+    if (!signature && req.body.signature) {
+      const match =
+        /^(?:data:image\/(?:png|jpeg|webp);base64,)?([A-Za-z0-9+/=\s]+)$/.exec(
+          req.body.signature
+        );
+      if (!match) {
+        throw new AppError("Signature must be a base64 image", 400);
+      }
+      signature = Buffer.from(match[1], "base64");
+    }
+
+    return { photo, signature };
+  }
+
+  /**
+   * Save proof images for an order: the photo, resized with a thumbnail,
+   * and the signature as a PNG
+   * @param {String} orderNumber - Order being delivered
+   * @param {Object} images - { photo, signature } buffers
+   * @returns {Promise<Object>} File ids of the saved photo, thumbnail and
+   *   signature
+   */
+  async store(orderNumber, { photo, signature }) {
+    if (!photo && !signature) return {};
+
+    const images = {};
+    try {
+      if (photo) {
+        // Phone photos carry their orientation in EXIF, so apply it first
+        const image = sharp(photo).rotate();
+
+        images.photo = {
+          name: "photo.jpg",
+          mimeType: "image/jpeg",
+          buffer: await image
+            .clone()
+            .resize(PHOTO_SIZE, PHOTO_SIZE, {
+              fit: "inside",
+              withoutEnlargement: true,
+            })
+            .jpeg({ quality: 80 })
+            .toBuffer(),
+        };
+        images.photoThumbnail = {
+          name: "photo-thumb.jpg",
+          mimeType: "image/jpeg",
+          buffer: await image
+            .clone()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside" })
+            .jpeg({ quality: 70 })
+            .toBuffer(),
+        };
+      }
+
+      if (signature) {
+        images.signature = {
+          name: "signature.png",
+          mimeType: "image/png",
+          buffer: await sharp(signature).png().toBuffer(),
+        };
+      }
+    } catch (error) {
+      throw new AppError(
+        `Proof image could not be processed: ${error.message}`,
+        400
+      );
+    }
+
+    const stored = {};
+    try {
+      for (const [type, image] of Object.entries(images)) {
+        stored[type] = await upload(orderNumber, image);
+      }
+    } catch (error) {
+      await this.discard(stored);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Record stored proof on an order. The caller saves the order.
+   * @param {Order} order - Order being delivered
+   * @param {Object} stored - File ids returned by store()
+   * @param {Object} details - { recipientName, latitude, longitude, userId }
+   */
+  attach(order, stored, { recipientName, latitude, longitude, userId }) {
+    Object.assign(order.delivery, stored);
+
+    if (recipientName) {
+      order.delivery.recipientName = recipientName;
+    }
+    if (latitude !== undefined && longitude !== undefined) {
+      order.delivery.proofLocation = { latitude, longitude };
+    }
+
+    order.delivery.proofCapturedAt = new Date();
+    order.delivery.proofCapturedBy = userId;
+  }
+
+  // Stream a stored proof image; the stream emits "file" with its
+  // GridFS entry before the data
+  open(fileId) {
+    return getBucket().openDownloadStream(fileId);
+  }
+
+  // Remove stored proof images, e.g. when the delivery could not be saved
+  async discard(stored = {}) {
+    for (const fileId of Object.values(stored)) {
+      await getBucket()
+        .delete(fileId)
+        .catch((error) => {
+          logger.warn("Proof image could not be removed", {
+            fileId: fileId.toString(),
+            error: error.message,
+          });
+        });
+    }
+  }
+}
+
+module.exports = new DeliveryProofService();
@@ -0,0 +1,444 @@
+// backend/src/services/exportService.js
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const ExportJob = require("../models/ExportJob");
+const ActivityLog = require("../models/ActivityLog");
+const { AppError } = require("../middleware/errorHandler");
+const { taskLogger } = require("../middleware/logger");
+
+const FORMATS = {
+  xlsx: {
+    extension: "xlsx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  csv: {
+    extension: "csv",
+    mimeType: "text/csv; charset=utf-8",
+  },
+  pdf: {
+    extension: "pdf",
+    mimeType: "application/pdf",
+  },
+};
+
+// Excel number formats per column type
+const NUMBER_FORMATS = {
+  currency: "#,##0.00",
+  number: "#,##0",
+  decimal: "#,##0.00",
+  percent: "0.00",
+  date: "yyyy-mm-dd hh:mm",
+};
+
+// Exports spanning more days or rows than this run in the background
+const BACKGROUND_DAYS = 92;
+const BACKGROUND_ROWS = 5000;
+
+// Background jobs still processing after this long are treated as stopped
+// and retried, up to MAX_ATTEMPTS runs in all
+const PROCESSING_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const MAX_ATTEMPTS = 2;
+
+// Read a dotted path such as "statistics.totalSpent" from a row
+const getValue = (row, column) => {
+  if (column.value) return column.value(row);
+  return column.key
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), row);
+};
+
+// Plain text version of a cell for CSV and PDF output
+const formatCell = (value, type) => {
+  if (value === null || value === undefined || value === "") return "";
+
+  if (value instanceof Date) {
+    return value.toISOString().replace("T", " ").substring(0, 16);
+  }
+
+  if (typeof value === "number") {
+    if (type === "currency" || type === "decimal" || type === "percent") {
+      return value.toFixed(2);
+    }
+    return String(Math.round(value * 100) / 100);
+  }
+
+  if (Array.isArray(value)) return value.join(", ");
+
+  return String(value);
+};
+
+const escapeCsv = (value) =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+class ExportService {
+  constructor() {
+    this.reports = new Map();
+  }
+
+  /**
+   * Register a report that can be exported
+   * @param {String} type - Report identifier used by export requests
+   * @param {Object} definition - { title, build(filters), sheets(data) }
+   */
+  register(type, definition) {
+    this.reports.set(type, definition);
+  }
+
+  getReport(type) {
+    return this.reports.get(type);
+  }
+
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  // Decide whether an export is too large to produce within the request
+  shouldRunInBackground(filters = {}, rowCount = 0) {
+    if (filters.startDate) {
+      const start = new Date(filters.startDate);
+      const end = filters.endDate ? new Date(filters.endDate) : new Date();
+      const days = (end - start) / (24 * 60 * 60 * 1000);
+      if (days > BACKGROUND_DAYS) return true;
+    }
+
+    return rowCount > BACKGROUND_ROWS;
+  }
+
+  // Build a report and render it to a file buffer
+  async generate(type, format, filters = {}) {
+    const report = this.getReport(type);
+    if (!report) {
+      throw new Error(`Unknown report type ${type}`);
+    }
+    if (!this.isSupportedFormat(format)) {
+      throw new Error(`Unsupported export format ${format}`);
+    }
+
+    const data = await report.build(filters);
+    const sheets = report.sheets(data, filters);
+    const document = {
+      title: report.title,
+      subtitle: report.subtitle ? report.subtitle(data, filters) : null,
+      sheets,
+    };
+
+    const buffer = await this.render(format, document);
+    const date = new Date().toISOString().split("T")[0];
+
+    return {
+      name: `${type}-${date}.${FORMATS[format].extension}`,
+      mimeType: FORMATS[format].mimeType,
+      buffer,
+      rowCount: sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0),
+    };
+  }
+
+  async render(format, document) {
+    switch (format) {
+      case "xlsx":
+        return this.renderXlsx(document);
+      case "csv":
+        return this.renderCsv(document);
+      case "pdf":
+        return this.renderPdf(document);
+      default:
+        throw new Error(`Unsupported export format ${format}`);
+    }
+  }
+
+  async renderXlsx({ title, sheets }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = "JennySaleFlow";
+    workbook.title = title;
+    workbook.created = new Date();
+
+    sheets.forEach((sheet) => {
+      // Excel limits sheet names to 31 characters without []:*?/\
+      const worksheet = workbook.addWorksheet(
+        sheet.name.replace(/[[\]:*?/\\]/g, " ").substring(0, 31)
+      );
+
+      worksheet.columns = sheet.columns.map((column) => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || 15,
+        style: NUMBER_FORMATS[column.type]
+          ? { numFmt: NUMBER_FORMATS[column.type] }
+          : {},
+      }));
+
+      sheet.rows.forEach((row) => {
+        worksheet.addRow(
+          sheet.columns.map((column) => {
+            const value = getValue(row, column);
+            if (value === null || value === undefined) return null;
+            if (Array.isArray(value)) return value.join(", ");
+            if (typeof value === "object" && !(value instanceof Date)) {
+              return value.toString();
+            }
+            return value;
+          })
+        );
+      });
+
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.views = [{ state: "frozen", ySplit: 1 }];
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  renderCsv({ sheets }) {
+    // Multi-sheet reports are written as consecutive titled sections
+    const sections = sheets.map((sheet) => {
+      const lines = [
+        sheet.columns.map((column) => escapeCsv(column.header)).join(","),
+        ...sheet.rows.map((row) =>
+          sheet.columns
+            .map((column) =>
+              escapeCsv(formatCell(getValue(row, column), column.type))
+            )
+            .join(",")
+        ),
+      ];
+
+      return sheets.length > 1
+        ? [escapeCsv(sheet.name), ...lines].join("\r\n")
+        : lines.join("\r\n");
+    });
+
+    // Byte order mark so Excel opens the file as UTF-8
+    return Buffer.from(`\uFEFF${sections.join("\r\n\r\n")}\r\n`, "utf8");
+  }
+
+  renderPdf({ title, subtitle, sheets }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        layout: "landscape",
+        margin: 36,
+      });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const left = doc.page.margins.left;
+      const usableWidth = doc.page.width - left - doc.page.margins.right;
+      const bottom = doc.page.height - doc.page.margins.bottom;
+
+      doc.font("Helvetica-Bold").fontSize(16).text(title);
+      if (subtitle) {
+        doc.font("Helvetica").fontSize(9).fillColor("#555555").text(subtitle);
+      }
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .fillColor("#555555")
+        .text(`Generated ${new Date().toLocaleString("en-KE")}`)
+        .fillColor("black");
+
+      sheets.forEach((sheet) => {
+        // Column widths are proportional to the spreadsheet widths
+        const totalWidth = sheet.columns.reduce(
+          (sum, column) => sum + (column.width || 15),
+          0
+        );
+        const widths = sheet.columns.map(
+          (column) => ((column.width || 15) / totalWidth) * usableWidth
+        );
+
+        const headers = sheet.columns.map((column) => column.header);
+
+        const drawRow = (cells, bold) => {
+          doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+          const height =
+            Math.max(
+              ...cells.map((cell, index) =>
+                doc.heightOfString(cell, { width: widths[index] - 4 })
+              )
+            ) + 4;
+
+          if (doc.y + height > bottom) {
+            doc.addPage();
+            if (!bold) drawRow(headers, true);
+          }
+
+          const top = doc.y;
+          let x = left;
+          cells.forEach((cell, index) => {
+            doc.text(cell, x + 2, top + 2, { width: widths[index] - 4 });
+            x += widths[index];
+          });
+          doc
+            .moveTo(left, top + height)
+            .lineTo(left + usableWidth, top + height)
+            .lineWidth(bold ? 0.8 : 0.3)
+            .strokeColor(bold ? "#000000" : "#cccccc")
+            .stroke();
+          doc.x = left;
+          doc.y = top + height;
+        };
+
+        doc.moveDown(1.2);
+        if (doc.y + 60 > bottom) doc.addPage();
+        doc.x = left;
+        doc.font("Helvetica-Bold").fontSize(11).text(sheet.name);
+        doc.moveDown(0.3);
+
+        drawRow(headers, true);
+        if (sheet.rows.length === 0) {
+          doc.font("Helvetica-Oblique").fontSize(8).text("No data", left);
+        }
+        sheet.rows.forEach((row) =>
+          drawRow(
+            sheet.columns.map((column) =>
+              formatCell(getValue(row, column), column.type)
+            ),
+            false
+          )
+        );
+      });
+
+      doc.end();
+    });
+  }
+
+  // Queue an export. It starts after the response is sent; the export-jobs
+  // scheduled job picks up anything left queued or stuck, e.g. when a
+  // serverless function is frozen after responding.
+  async queue(type, format, filters, userId) {
+    await ExportJob.purgeExpired();
+
+    const job = await ExportJob.create({
+      reportType: type,
+      format,
+      filters,
+      requestedBy: userId,
+    });
+
+    setImmediate(() => {
+      this.runJob(job._id).catch((error) =>
+        taskLogger.error(`export:${job.reportType}`, error)
+      );
+    });
+
+    return job;
+  }
+
+  // Generate a queued job, unless another worker has claimed it
+  async runJob(jobId) {
+    const job = await ExportJob.claim(jobId);
+    if (!job) return null;
+
+    return this.processJob(job);
+  }
+
+  // Recover stuck jobs, then generate queued ones. Run by the scheduler.
+  async processQueue(limit = 2) {
+    const result = await ExportJob.recoverStale(
+      PROCESSING_TIMEOUT,
+      MAX_ATTEMPTS
+    );
+    result.processed = 0;
+
+    while (result.processed < limit) {
+      const job = await ExportJob.claim();
+      if (!job) break;
+
+      await this.processJob(job);
+      result.processed += 1;
+    }
+
+    return result;
+  }
+
+  async processJob(job) {
+    try {
+      const file = await this.generate(job.reportType, job.format, job.filters);
+      await job.storeFile(file);
+
+      job.status = "completed";
+      job.rowCount = file.rowCount;
+    } catch (error) {
+      job.status = "failed";
+      job.error = error.message;
+      taskLogger.error(`export:${job.reportType}`, error);
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Reply to an export request with the file, or with a queued job when
+   * the export is too large to produce within the request
+   * @param {Object} req - Express request of the authenticated user
+   * @param {Object} res - Express response
+   * @param {String} type - Registered report type
+   * @param {Object} options - Report filters plus format and background flag
+   * @param {Number} rowCount - Expected number of rows, when known
+   */
+  async respond(req, res, type, options, rowCount = 0) {
+    const { format, background, ...filters } = options;
+    const report = this.getReport(type);
+
+    if (report.roles && !report.roles.includes(req.user.role)) {
+      throw new AppError(
+        "You do not have permission to export this report",
+        403
+      );
+    }
+
+    const logExport = (notes) =>
+      ActivityLog.log({
+        user: req.user._id,
+        action: "report.exported",
+        entity: {
+          type: "report",
+          name: report.title,
+        },
+        details: {
+          notes,
+        },
+        metadata: {
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+      });
+
+    if (
+      background === true ||
+      background === "true" ||
+      this.shouldRunInBackground(filters, rowCount)
+    ) {
+      const job = await this.queue(type, format, filters, req.user._id);
+      await logExport(`${format.toUpperCase()} export queued`);
+
+      return res.status(202).json({
+        success: true,
+        message: "Export queued. Download the file once the job completes",
+        data: job,
+      });
+    }
+
+    const file = await this.generate(type, format, filters);
+    await logExport(`${format.toUpperCase()} export, ${file.rowCount} rows`);
+
+    this.send(res, file);
+  }
+
+  // Send a generated file as an attachment
+  send(res, file) {
+    res.set({
+      "Content-Type": file.mimeType,
+      "Content-Disposition": `attachment; filename="${file.name}"`,
+      "Content-Length": file.buffer.length,
+    });
+    res.send(file.buffer);
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,116 @@
+// backend/src/services/ipAccessService.js
+const crypto = require("crypto");
+const net = require("net");
+const config = require("../config/app");
+const ActivityLog = require("../models/ActivityLog");
+
+// Header carrying the break-glass key that bypasses the allow-list
+const OVERRIDE_HEADER = "x-access-override";
+
+// IPv4 clients on a dual-stack server show up as ::ffff:a.b.c.d
+const normalizeIp = (ip = "") =>
+  ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+
+// Parse "10.0.0.5" or "10.0.0.0/24" (IPv4 or IPv6); null when invalid
+const parseEntry = (entry) => {
+  const [address, prefix] = String(entry).trim().split("/");
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const type = version === 4 ? "ipv4" : "ipv6";
+  if (prefix === undefined) return { address, type };
+
+  const bits = Number(prefix);
+  const maxBits = version === 4 ? 32 : 128;
+  if (!/^\d+$/.test(prefix) || bits > maxBits) return null;
+
+  return { address, prefix: bits, type };
+};
+
+class IpAccessService {
+  isValidEntry(entry) {
+    return parseEntry(entry) !== null;
+  }
+
+  /**
+   * Whether an IP is on the allow-list
+   * @param {String} ip - Client IP
+   * @param {Array<String>} addresses - Addresses and CIDR ranges
+   * @returns {Boolean}
+   */
+  isAllowed(ip, addresses = []) {
+    const client = normalizeIp(ip);
+    const version = net.isIP(client);
+    if (!version) return false;
+
+    const list = new net.BlockList();
+    for (const entry of addresses) {
+      const parsed = parseEntry(entry);
+      if (!parsed) continue;
+
+      if (parsed.prefix === undefined) {
+        list.addAddress(parsed.address, parsed.type);
+      } else {
+        list.addSubnet(parsed.address, parsed.prefix, parsed.type);
+      }
+    }
+
+    return list.check(client, version === 4 ? "ipv4" : "ipv6");
+  }
+
+  // Whether the request carries the break-glass key set in the environment
+  hasOverride(req) {
+    const key = config.security.ipWhitelistOverrideKey;
+    const provided = req.get(OVERRIDE_HEADER);
+    if (!key || !provided) return false;
+
+    const expected = crypto.createHash("sha256").update(key).digest();
+    const actual = crypto.createHash("sha256").update(provided).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check a staff request against Settings.security.ipWhitelist. Blocked
+   * attempts and break-glass overrides are recorded as security events.
+   * @param {Object} req - Express request
+   * @param {User} user - User making the request
+   * @param {Object} settings - Settings document
+   * @returns {Promise<Boolean>} Whether access is allowed
+   */
+  async check(req, user, settings) {
+    const policy = settings.security.ipWhitelist;
+    if (!policy.enabled) return true;
+
+    // Exempt roles (e.g. owners) may connect from anywhere
+    if (policy.exemptRoles.includes(user.role)) return true;
+
+    if (this.isAllowed(req.ip, policy.addresses)) return true;
+
+    const override = this.hasOverride(req);
+
+    await ActivityLog.log({
+      user: user._id,
+      action: override ? "security.access_override" : "security.ip_blocked",
+      severity: override ? "critical" : "warning",
+      entity: {
+        type: "user",
+        id: user._id,
+        name: user.name,
+      },
+      details: {
+        reason: override
+          ? `Break-glass override used from ${normalizeIp(req.ip)}`
+          : `${normalizeIp(req.ip)} is not on the IP allow-list`,
+        notes: `${req.method} ${req.originalUrl}`,
+      },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return override;
+  }
+}
+
+module.exports = new IpAccessService();
@@ -1,5 +1,4 @@
 const axios = require("axios");
-const crypto = require("crypto");
 
 class MpesaService {
   constructor() {
@@ -0,0 +1,241 @@
+// backend/src/services/notificationProviders.js
+const crypto = require("crypto");
+const axios = require("axios");
+const AfricasTalking = require("africastalking");
+const nodemailer = require("nodemailer");
+const config = require("../config/app");
+const { formatPhoneNumber } = require("../utils/helpers");
+const { createFileLogger } = require("../middleware/logger");
+
+/*
+ * Provider adapters. Each adapter sends a notification over one or more
+ * channels and, where the gateway reports delivery, turns its callback
+ * payload into status updates:
+ *
+ *   send(notification, settings) -> { messageId, delivered? }
+ *   parseStatus(body) -> [{ messageId, status: "delivered"|"failed", error }]
+ *
+ * `settings` is the channel's block of Settings.notifications.
+ */
+
+// URL a gateway posts delivery reports to, carrying the shared token the
+// callback route checks. Without both there is nowhere to report to.
+const getCallbackUrl = (providerName) => {
+  const { callbackUrl, callbackToken } = config.notifications;
+  if (!callbackUrl || !callbackToken) return null;
+
+  return `${callbackUrl}/${providerName}?token=${encodeURIComponent(
+    callbackToken
+  )}`;
+};
+
+// Map gateway statuses to outbox statuses, ignoring interim ones
+const toStatus = (status, delivered, failed) => {
+  if (delivered.includes(status)) return "delivered";
+  if (failed.includes(status)) return "failed";
+  return null;
+};
+
+const smtp = {
+  name: "smtp",
+  channels: ["email"],
+
+  async send(notification, settings) {
+    const custom = settings.settings?.smtp;
+    const transport = custom?.host
+      ? {
+          host: custom.host,
+          port: custom.port,
+          secure: custom.secure,
+          auth: { user: custom.user, pass: custom.pass },
+        }
+      : config.email.smtp;
+
+    const info = await nodemailer.createTransport(transport).sendMail({
+      from: settings.settings?.from || config.email.from,
+      replyTo: settings.settings?.replyTo,
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.message,
+    });
+
+    // SMTP has no delivery reports; acceptance by the server is final
+    return { messageId: info.messageId, delivered: true };
+  },
+};
+
+const africastalking = {
+  name: "africastalking",
+  channels: ["sms"],
+
+  async send(notification, settings) {
+    const env = config.sms.africastalking;
+    const client = AfricasTalking({
+      apiKey: settings.settings?.apiKey || env.apiKey,
+      username: settings.settings?.username || env.username,
+    });
+
+    const senderId = settings.settings?.senderId || env.from;
+    const result = await client.SMS.send({
+      to: [formatPhoneNumber(notification.to)],
+      message: notification.message,
+      ...(senderId && { senderId }),
+    });
+
+    const recipient = result.SMSMessageData?.Recipients?.[0];
+    if (!recipient || !["Success", "Sent"].includes(recipient.status)) {
+      throw new Error(
+        recipient?.status || result.SMSMessageData?.Message || "SMS not sent"
+      );
+    }
+
+    return { messageId: recipient.messageId };
+  },
+
+  // Delivery report: form post with id, status and failureReason
+  parseStatus(body) {
+    const status = toStatus(
+      body.status,
+      ["Success"],
+      ["Failed", "Rejected", "AbsentSubscriber", "Expired"]
+    );
+    return status
+      ? [{ messageId: body.id, status, error: body.failureReason }]
+      : [];
+  },
+};
+
+const twilio = {
+  name: "twilio",
+  channels: ["sms", "whatsapp"],
+
+  async send(notification, settings) {
+    const env = config.twilio;
+    const accountSid = settings.settings?.accountSid || env.accountSid;
+    const authToken = settings.settings?.authToken || env.authToken;
+
+    // WhatsApp goes through the same API with prefixed numbers
+    const isWhatsapp = notification.channel === "whatsapp";
+    const from = isWhatsapp
+      ? settings.settings?.phoneNumber || env.whatsappFrom
+      : settings.settings?.senderId || env.from;
+    const prefix = isWhatsapp ? "whatsapp:" : "";
+    const statusCallback = getCallbackUrl("twilio");
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({
+        From: `${prefix}${from}`,
+        To: `${prefix}${formatPhoneNumber(notification.to)}`,
+        Body: notification.message,
+        ...(statusCallback && { StatusCallback: statusCallback }),
+      }),
+      { auth: { username: accountSid, password: authToken } }
+    );
+
+    return { messageId: response.data.sid };
+  },
+
+  // Status callback: form post with MessageSid and MessageStatus
+  parseStatus(body) {
+    const status = toStatus(
+      body.MessageStatus,
+      ["delivered", "read"],
+      ["failed", "undelivered"]
+    );
+    return status
+      ? [
+          {
+            messageId: body.MessageSid,
+            status,
+            error: body.ErrorMessage || body.ErrorCode,
+          },
+        ]
+      : [];
+  },
+};
+
+const whatsappBusiness = {
+  name: "whatsapp_business",
+  channels: ["whatsapp"],
+
+  async send(notification, settings) {
+    const env = config.whatsapp;
+    const phoneNumberId = settings.settings?.phoneNumber || env.phoneNumberId;
+
+    const response = await axios.post(
+      `https://graph.facebook.com/${env.apiVersion}/${phoneNumberId}/messages`,
+      {
+        messaging_product: "whatsapp",
+        to: formatPhoneNumber(notification.to).replace("+", ""),
+        type: "text",
+        text: { body: notification.message },
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${settings.settings?.apiKey || env.token}`,
+        },
+      }
+    );
+
+    return { messageId: response.data.messages?.[0]?.id };
+  },
+
+  // Webhook: statuses nested in entry[].changes[].value
+  parseStatus(body) {
+    const statuses = (body.entry || []).flatMap((entry) =>
+      (entry.changes || []).flatMap((change) => change.value?.statuses || [])
+    );
+
+    return statuses
+      .map((update) => ({
+        messageId: update.id,
+        status: toStatus(update.status, ["delivered", "read"], ["failed"]),
+        error: update.errors?.[0]?.title,
+      }))
+      .filter((update) => update.status);
+  },
+};
+
+// Writes messages to a file instead of a gateway, for development and
+// testing. Messages can hold reset links and login codes, so they are never
+// printed, and the provider is refused in production.
+let localLog;
+
+const local = {
+  name: "local",
+  channels: ["sms", "email", "whatsapp"],
+
+  async send(notification) {
+    if (config.app.environment === "production") {
+      throw new Error("The local provider cannot be used in production");
+    }
+
+    const messageId = `local-${crypto.randomUUID()}`;
+    localLog = localLog || createFileLogger(config.notifications.localFile);
+    localLog.info(notification.message, {
+      messageId,
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+    });
+
+    return { messageId, delivered: true };
+  },
+};
+
+const providers = {
+  smtp,
+  africastalking,
+  twilio,
+  whatsapp_business: whatsappBusiness,
+  local,
+};
+
+// Get a provider adapter by name
+const getProvider = (name) => providers[name];
+
+module.exports = {
+  getProvider,
+  providers,
+};
@@ -0,0 +1,244 @@
+// backend/src/services/notificationService.js
+const Notification = require("../models/Notification");
+const Settings = require("../models/Settings");
+const config = require("../config/app");
+const { getProvider } = require("./notificationProviders");
+const { getTemplate } = require("./notificationTemplates");
+const { logger } = require("../middleware/logger");
+
+class NotificationService {
+  // Fill {placeholders} in a message template
+  render(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      values[key] !== undefined && values[key] !== null ? values[key] : match
+    );
+  }
+
+  /**
+   * Render a named template in the recipient's language
+   * @param {String} key - Template name, e.g. "orderReady"
+   * @param {Object} options
+   * @param {String} options.channel - sms, email or whatsapp
+   * @param {String} options.language - Customer language (en or sw)
+   * @param {Object} options.values - Placeholder values
+   * @param {Object} options.settings - Settings document
+   * @returns {Object} { subject, message }
+   */
+  renderTemplate(key, { channel = "sms", language, values = {}, settings }) {
+    const { subject, message } = getTemplate(settings, channel, key, language);
+
+    return {
+      subject: subject && this.render(subject, values),
+      message: this.render(message, values),
+    };
+  }
+
+  // Link where a customer can pay for an order
+  getPayLink(reference) {
+    return `${config.notifications.payLinkUrl}/${reference}`;
+  }
+
+  // Whether NOTIFICATION_PROVIDER=local overrides every channel. Never in
+  // production, where the local provider is refused.
+  get localOverride() {
+    return (
+      config.notifications.provider === "local" &&
+      config.app.environment !== "production"
+    );
+  }
+
+  // Whether messages can go out on a channel
+  isChannelEnabled(channel, settings) {
+    return (
+      this.localOverride || Boolean(settings.notifications[channel]?.enabled)
+    );
+  }
+
+  // Pick the provider for a channel from settings, unless overridden
+  resolveProvider(channel, settings) {
+    const channelSettings = settings.notifications[channel] || {};
+    const name = config.notifications.provider || channelSettings.provider;
+
+    if (!this.localOverride && !channelSettings.enabled) {
+      throw new Error(`${channel} notifications are not enabled`);
+    }
+
+    const provider = getProvider(name);
+    if (!provider || !provider.channels.includes(channel)) {
+      throw new Error(`Provider ${name} does not support ${channel}`);
+    }
+
+    return { provider, channelSettings };
+  }
+
+  /**
+   * Queue a notification in the outbox and make the first attempt
+   * @param {Object} options
+   * @param {String} options.channel - sms, email or whatsapp
+   * @param {String} options.to - Phone number or email address
+   * @param {String} options.subject - Email subject
+   * @param {String} options.message - Message text
+   * @param {Object} options.relatedTo - { type, id } of the related record
+   * @param {String} options.createdBy - User who triggered it
+   * @param {Date} options.sendAt - Hold the message in the outbox until then
+   * @returns {Promise<Notification>} The outbox entry after the attempt
+   */
+  async send({ channel, to, subject, message, relatedTo, createdBy, sendAt }) {
+    const deferred = sendAt && sendAt > new Date();
+
+    const notification = await Notification.create({
+      channel,
+      to,
+      subject,
+      message,
+      relatedTo,
+      createdBy,
+      ...(deferred
+        ? {
+            nextAttemptAt: sendAt,
+            statusHistory: [
+              {
+                status: "queued",
+                details: `Scheduled for ${sendAt.toISOString()}`,
+              },
+            ],
+          }
+        : {
+            status: "sending",
+            attempts: 1,
+            statusHistory: [{ status: "queued" }],
+          }),
+    });
+
+    // Deferred messages are sent by the outbox job
+    if (deferred) return notification;
+
+    return this.deliver(notification);
+  }
+
+  sendSms(to, message, options = {}) {
+    return this.send({ ...options, channel: "sms", to, message });
+  }
+
+  sendEmail(to, subject, message, options = {}) {
+    return this.send({ ...options, channel: "email", to, subject, message });
+  }
+
+  sendWhatsapp(to, message, options = {}) {
+    return this.send({ ...options, channel: "whatsapp", to, message });
+  }
+
+  // Attempt delivery of a claimed notification and record the outcome
+  async deliver(notification) {
+    let providerName;
+
+    try {
+      const settings = await Settings.getSettings();
+      const { provider, channelSettings } = this.resolveProvider(
+        notification.channel,
+        settings
+      );
+      providerName = provider.name;
+
+      const result = await provider.send(notification, channelSettings);
+      notification.markSent(provider.name, result.messageId);
+
+      if (result.delivered) {
+        notification.status = "delivered";
+        notification.deliveredAt = new Date();
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+
+      // A channel that is disabled or misconfigured will not recover by
+      // retrying, so fail it straight away
+      if (!providerName) {
+        notification.maxAttempts = notification.attempts;
+      }
+      notification.markFailed(providerName, message);
+
+      logger.warn("Notification send failed", {
+        notification: notification._id.toString(),
+        channel: notification.channel,
+        attempt: notification.attempts,
+        error: message,
+      });
+    }
+
+    await notification.save();
+    return notification;
+  }
+
+  // Retry queued notifications that are due. Run by the scheduler.
+  async processOutbox(limit = 20) {
+    const due = await Notification.claimDue(limit);
+    const result = { processed: due.length, sent: 0, failed: 0 };
+
+    for (const notification of due) {
+      await this.deliver(notification);
+      if (["sent", "delivered"].includes(notification.status)) {
+        result.sent += 1;
+      } else {
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  }
+
+  // Send a failed notification again, with one more attempt allowed
+  async retry(notification) {
+    if (!["failed", "queued"].includes(notification.status)) {
+      throw new Error(`Cannot retry a ${notification.status} notification`);
+    }
+
+    notification.status = "sending";
+    notification.attempts += 1;
+    notification.maxAttempts = Math.max(
+      notification.maxAttempts,
+      notification.attempts
+    );
+
+    return this.deliver(notification);
+  }
+
+  /**
+   * Apply a provider's delivery report to the matching outbox entries
+   * @param {String} providerName - Provider adapter name
+   * @param {Object} body - Callback payload
+   * @returns {Promise<Number>} Number of notifications updated
+   */
+  async handleCallback(providerName, body) {
+    const provider = getProvider(providerName);
+    if (!provider?.parseStatus) {
+      throw new Error(`Provider ${providerName} does not report delivery`);
+    }
+
+    let updated = 0;
+    for (const update of provider.parseStatus(body)) {
+      const notification = await Notification.findOne({
+        provider: provider.name,
+        providerMessageId: update.messageId,
+      });
+      if (!notification || notification.status === update.status) continue;
+
+      notification.status = update.status;
+      if (update.status === "delivered") {
+        notification.deliveredAt = new Date();
+      } else {
+        notification.lastError = update.error;
+      }
+      notification.statusHistory.push({
+        status: update.status,
+        details: update.error,
+      });
+
+      await notification.save();
+      updated += 1;
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new NotificationService();
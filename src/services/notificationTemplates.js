@@ -0,0 +1,254 @@
+// backend/src/services/notificationTemplates.js
+
+/*
+ * Notification templates. Each template lists the channels it is sent on,
+ * the {placeholders} it may use and its default text per language.
+ * Businesses override the text in Settings.notifications.<channel>.templates
+ * as { en, sw }; WhatsApp messages use the SMS templates.
+ */
+
+const TEMPLATE_LANGUAGES = ["en", "sw"];
+
+const templates = {
+  orderConfirmation: {
+    channels: ["sms", "email"],
+    variables: [
+      "name",
+      "business",
+      "orderNumber",
+      "total",
+      "deliverySlot",
+      "payLink",
+    ],
+    subject: {
+      en: "Order {orderNumber} confirmed",
+      sw: "Oda {orderNumber} imethibitishwa",
+    },
+    defaults: {
+      en: "Dear {name}, thank you for your order {orderNumber} with {business}. Total: KES {total}. Delivery: {deliverySlot}. Pay here: {payLink}",
+      sw: "Habari {name}, asante kwa oda yako {orderNumber} kutoka {business}. Jumla: KES {total}. Uwasilishaji: {deliverySlot}. Lipa hapa: {payLink}",
+    },
+  },
+  orderReady: {
+    channels: ["sms"],
+    variables: ["name", "business", "orderNumber", "total", "payLink"],
+    defaults: {
+      en: "Dear {name}, your order {orderNumber} is ready. Total: KES {total}. Pay here: {payLink}",
+      sw: "Habari {name}, oda yako {orderNumber} iko tayari. Jumla: KES {total}. Lipa hapa: {payLink}",
+    },
+  },
+  orderStatusUpdate: {
+    channels: ["sms"],
+    variables: ["name", "business", "orderNumber", "status", "deliverySlot"],
+    defaults: {
+      en: "Your order {orderNumber} is now {status}",
+      sw: "Oda yako {orderNumber} sasa {status}",
+    },
+  },
+  orderDelivered: {
+    channels: ["sms", "email"],
+    variables: ["name", "business", "orderNumber", "total"],
+    subject: {
+      en: "Order {orderNumber} delivered",
+      sw: "Oda {orderNumber} imewasilishwa",
+    },
+    defaults: {
+      en: "Dear {name}, your order {orderNumber} has been delivered. Thank you for shopping with {business}.",
+      sw: "Habari {name}, oda yako {orderNumber} imewasilishwa. Asante kwa kununua kutoka {business}.",
+    },
+  },
+  orderCancelled: {
+    channels: ["sms"],
+    variables: ["name", "business", "orderNumber", "reason"],
+    defaults: {
+      en: "Your order {orderNumber} has been cancelled. Reason: {reason}",
+      sw: "Oda yako {orderNumber} imeghairiwa. Sababu: {reason}",
+    },
+  },
+  paymentReminder: {
+    channels: ["sms"],
+    variables: ["name", "business", "amount", "days"],
+    subject: {
+      en: "Payment reminder from {business}",
+      sw: "Kikumbusho cha malipo kutoka {business}",
+    },
+    defaults: {
+      en: "Dear {name}, your account with {business} has an overdue balance of KES {amount}, {days} days past due. Kindly arrange payment. Thank you.",
+      sw: "Habari {name}, akaunti yako na {business} ina deni la KES {amount}, siku {days} baada ya tarehe ya malipo. Tafadhali lipa. Asante.",
+    },
+  },
+  lowStock: {
+    channels: ["email"],
+    variables: ["business", "product", "stock", "reorderLevel"],
+    subject: {
+      en: "Low stock: {product}",
+      sw: "Bidhaa inakaribia kuisha: {product}",
+    },
+    defaults: {
+      en: "{product} is running low at {business}: {stock} left (reorder level {reorderLevel}).",
+      sw: "{product} inakaribia kuisha {business}: zimebaki {stock} (kiwango cha kuagiza {reorderLevel}).",
+    },
+  },
+  dailyReport: {
+    channels: ["email"],
+    variables: ["business", "date", "total", "count"],
+    subject: {
+      en: "Daily report for {date}",
+      sw: "Ripoti ya siku {date}",
+    },
+    defaults: {
+      en: "{business} made {count} sales worth KES {total} on {date}.",
+      sw: "{business} ilifanya mauzo {count} ya KES {total} tarehe {date}.",
+    },
+  },
+};
+
+// Values used when previewing a template
+const SAMPLE_VALUES = {
+  name: "Jane Wanjiku",
+  business: "JennySaleFlow",
+  orderNumber: "ORD-0001",
+  total: "2,450.00",
+  deliverySlot: "Mon, 20 Oct, morning",
+  payLink: "https://example.com/pay/ORD-0001",
+  status: "ready",
+  reason: "Out of stock",
+  amount: "1,200.00",
+  days: 14,
+  product: "Maize Flour 2kg",
+  stock: 4,
+  reorderLevel: 10,
+  date: "20/10/2025",
+  count: 37,
+};
+
+// Words for order statuses and delivery times inside messages
+const LABELS = {
+  en: {
+    pending: "pending",
+    confirmed: "confirmed",
+    processing: "being prepared",
+    ready: "ready",
+    out_for_delivery: "out for delivery",
+    delivered: "delivered",
+    cancelled: "cancelled",
+    failed: "not delivered",
+    morning: "morning",
+    afternoon: "afternoon",
+    evening: "evening",
+    anytime: "any time",
+  },
+  sw: {
+    pending: "inasubiri",
+    confirmed: "imethibitishwa",
+    processing: "inaandaliwa",
+    ready: "iko tayari",
+    out_for_delivery: "iko njiani",
+    delivered: "imewasilishwa",
+    cancelled: "imeghairiwa",
+    failed: "haikuwasilishwa",
+    morning: "asubuhi",
+    afternoon: "mchana",
+    evening: "jioni",
+    anytime: "wakati wowote",
+  },
+};
+
+const resolveLanguage = (language) =>
+  TEMPLATE_LANGUAGES.includes(language) ? language : "en";
+
+// Templates in settings are stored per channel; WhatsApp shares SMS text
+const settingsChannel = (channel) => (channel === "email" ? "email" : "sms");
+
+const label = (key, language) => LABELS[resolveLanguage(language)][key] || key;
+
+// Placeholder names used in a template
+const getVariables = (text) => [
+  ...new Set([...text.matchAll(/\{(\w+)\}/g)].map((match) => match[1])),
+];
+
+/**
+ * Get the text of a template for a channel and language
+ * @param {Object} settings - Settings document
+ * @param {String} channel - sms, email or whatsapp
+ * @param {String} key - Template name
+ * @param {String} language - en or sw
+ * @returns {Object} { subject, message }
+ */
+const getTemplate = (settings, channel, key, language) => {
+  const template = templates[key];
+  if (!template) {
+    throw new Error(`Unknown notification template ${key}`);
+  }
+
+  const lang = resolveLanguage(language);
+  const custom =
+    settings?.notifications?.[settingsChannel(channel)]?.templates?.[key];
+
+  // Templates saved before languages were added are plain English strings
+  const text = typeof custom === "string" ? { en: custom } : custom || {};
+
+  return {
+    subject: channel === "email" ? template.subject?.[lang] : undefined,
+    message: text[lang] || template.defaults[lang],
+  };
+};
+
+/**
+ * Check templates submitted for a channel's settings
+ * @param {String} channel - sms or email
+ * @param {Object} values - { templateName: { en, sw } }
+ * @returns {Array<String>} Problems found; empty when valid
+ */
+const validateTemplates = (channel, values) => {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    return ["Templates must be an object"];
+  }
+
+  const errors = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const template = templates[key];
+    if (!template || !template.channels.includes(channel)) {
+      errors.push(`Unknown ${channel} template ${key}`);
+      return;
+    }
+
+    const text = typeof value === "string" ? { en: value } : value;
+    if (!text || typeof text !== "object") {
+      errors.push(`Template ${key} must have text per language`);
+      return;
+    }
+
+    Object.entries(text).forEach(([language, message]) => {
+      if (!TEMPLATE_LANGUAGES.includes(language)) {
+        errors.push(`Template ${key} has unsupported language ${language}`);
+      } else if (message !== null && typeof message !== "string") {
+        errors.push(`Template ${key}.${language} must be text`);
+      } else if (message) {
+        const unknown = getVariables(message).filter(
+          (variable) => !template.variables.includes(variable)
+        );
+        if (unknown.length > 0) {
+          errors.push(
+            `Template ${key}.${language} uses unknown variables: ${unknown.join(
+              ", "
+            )}`
+          );
+        }
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  TEMPLATE_LANGUAGES,
+  SAMPLE_VALUES,
+  templates,
+  label,
+  getVariables,
+  getTemplate,
+  validateTemplates,
+};
@@ -0,0 +1,319 @@
+// backend/src/services/orderService.js
+const Sale = require("../models/Sale");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const { AppError } = require("../middleware/errorHandler");
+
+// Statuses an order may move to from each status
+const VALID_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["ready", "cancelled"],
+  ready: ["out_for_delivery", "delivered", "cancelled"],
+  out_for_delivery: ["delivered", "failed"],
+  delivered: [],
+  cancelled: [],
+  failed: ["out_for_delivery", "cancelled"],
+};
+
+// Orders are priced with a flat VAT rate (see the Order totals hook)
+const ORDER_TAX_RATE = 16;
+
+const SALE_PAYMENT_METHODS = [
+  "cash",
+  "mpesa",
+  "card",
+  "bank_transfer",
+  "credit",
+];
+
+// Sale payment from the payments recorded on the order, with any balance
+// collected on fulfilment by the order's payment method
+const getOrderSalePayment = (order) => {
+  const total = order.totals.total;
+  const sumOf = (details) =>
+    details.reduce((sum, detail) => sum + detail.amount, 0);
+
+  const details = order.payment.transactions
+    .filter((transaction) => transaction.amount > 0)
+    .map((transaction) => ({
+      method: SALE_PAYMENT_METHODS.includes(transaction.method)
+        ? transaction.method
+        : "cash",
+      amount: transaction.amount,
+      reference: transaction.reference,
+    }));
+
+  // Ignore rounding differences under one shilling
+  const balance = Math.round((total - sumOf(details)) * 100) / 100;
+  if (balance >= 1) {
+    details.push({
+      method: order.payment.method,
+      amount: balance,
+      reference: order.orderNumber,
+    });
+  }
+
+  const methods = [...new Set(details.map((detail) => detail.method))];
+  const credit = sumOf(details.filter((detail) => detail.method === "credit"));
+
+  return {
+    method: methods.length > 1 ? "mixed" : methods[0] || order.payment.method,
+    status: credit <= 0 ? "paid" : credit >= total ? "pending" : "partial",
+    details,
+    totalPaid: sumOf(details.filter((detail) => detail.method !== "credit")),
+  };
+};
+
+class OrderService {
+  canTransition(from, to) {
+    return (VALID_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move an order to a new status and apply its stock, points and sale
+   * effects. Call inside a transaction with the order loaded in `session`.
+   * @param {Order} order - Order document
+   * @param {String} status - New status
+   * @param {Object} options
+   * @param {String} options.userId - User making the change
+   * @param {String} options.notes - Status history notes
+   * @param {Object} options.location - Where the change was made
+   * @param {Object} options.settings - Settings document
+   * @param {ClientSession} options.session - Transaction session
+   * @returns {Promise<Order>}
+   */
+  async changeStatus(
+    order,
+    status,
+    { userId, notes, location, settings, session }
+  ) {
+    if (!this.canTransition(order.status, status)) {
+      throw new AppError(
+        `Cannot change status from ${order.status} to ${status}`,
+        400
+      );
+    }
+
+    // Riders must capture the proof the business asks for
+    if (status === "delivered" && order.delivery.type === "delivery") {
+      const missing = order.getMissingProof(
+        settings.orders.delivery.proofRequired
+      );
+      if (missing) {
+        throw new AppError(`Proof of delivery required: ${missing}`, 400);
+      }
+    }
+
+    // Update status
+    await order.updateStatus(status, userId, notes, location);
+
+    // Hold stock once the order is confirmed
+    if (status === "confirmed") {
+      await this.reserveStock(order, settings, session);
+      await order.save();
+    }
+
+    // Release held stock and points when the order is cancelled
+    if (status === "cancelled") {
+      await this.releaseStock(order, session);
+      await this.restoreRedeemedPoints(
+        order,
+        userId,
+        notes ? `Order cancelled: ${notes}` : "Order cancelled",
+        session
+      );
+      await order.save();
+    }
+
+    // A delivered or collected order becomes a sale
+    if (status === "delivered") {
+      await this.convertToSale(order, settings, userId, session);
+      await order.save();
+    }
+
+    return order;
+  }
+
+  // Give back points redeemed on an order that will not be fulfilled
+  async restoreRedeemedPoints(order, userId, reason, session) {
+    const points = order.loyalty.pointsRedeemed - order.loyalty.pointsRestored;
+    if (!order.customer || points <= 0) return;
+
+    const customer = await Customer.findById(order.customer).session(session);
+    if (!customer) return;
+
+    await customer.addLoyaltyTransaction("reversed", points, {
+      reason,
+      reference: order.orderNumber,
+      order: order._id,
+      userId,
+    });
+    order.loyalty.pointsRestored += points;
+  }
+
+  // Hold stock for a confirmed order at the branch fulfilling it
+  async reserveStock(order, settings, session) {
+    for (const item of order.items) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product) {
+        throw new AppError(`Product ${item.productName} not found`, 404);
+      }
+      if (!product.inventory.trackInventory) continue;
+
+      await product.reserveStock(item.quantity, {
+        location: order.metadata?.location,
+        defaultLocation: settings.getDefaultLocation(),
+        session,
+      });
+    }
+
+    order.reservation = { status: "reserved", reservedAt: new Date() };
+  }
+
+  // Release stock held for an order, when cancelled or about to be sold
+  async releaseStock(order, session, status = "released") {
+    if (order.reservation?.status !== "reserved") return;
+
+    for (const item of order.items) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product || !product.inventory.trackInventory) continue;
+
+      await product.releaseStock(item.quantity, {
+        location: order.metadata?.location,
+        session,
+      });
+    }
+
+    order.reservation.status = status;
+    order.reservation.releasedAt = new Date();
+  }
+
+  // Record a delivered or collected order as a sale: receipt number, stock
+  // deduction, credit charge and customer statistics. Points redeemed on the
+  // order were taken when it was placed, so they are only carried over.
+  async convertToSale(order, settings, userId, session) {
+    const location = order.metadata?.location;
+    const defaultLocation = settings.getDefaultLocation();
+
+    // Reserved units are sold below rather than held
+    await this.releaseStock(order, session, "fulfilled");
+
+    const items = [];
+    for (const item of order.items) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product) {
+        throw new AppError(`Product ${item.productName} not found`, 404);
+      }
+
+      items.push({
+        product: item.product,
+        productName: item.productName,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        unitCost: product.getIssueCost(
+          item.quantity,
+          settings.inventory.valuationMethod
+        ),
+        discount: {
+          amount: item.discount.amount,
+          percentage: item.discount.percentage,
+        },
+        tax: { rate: ORDER_TAX_RATE },
+      });
+    }
+
+    const { name, phone, email } = order.customerInfo;
+    const sale = new Sale({
+      items,
+      customer: order.customer,
+      customerInfo: { name, phone, email },
+      order: order._id,
+      payment: getOrderSalePayment(order),
+      seller: userId,
+      totals: { deliveryFee: order.totals.deliveryFee },
+      loyalty: {
+        pointsRedeemed: order.loyalty.pointsRedeemed,
+        redemptionValue: order.loyalty.redemptionValue,
+      },
+      metadata: {
+        source: order.source,
+        location,
+        notes: `Order ${order.orderNumber}`,
+      },
+    });
+    await sale.save({ session });
+
+    // Update product stock and sales data
+    for (const item of sale.items) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product.inventory.trackInventory) continue;
+
+      await product.updateStock(
+        item.quantity,
+        "sale",
+        sale.receiptNumber,
+        userId,
+        `Order ${order.orderNumber} fulfilled`,
+        { location, defaultLocation }
+      );
+
+      // Record which batches were picked (FEFO)
+      const movement =
+        product.stockMovements[product.stockMovements.length - 1];
+      item.lots = movement.lots;
+    }
+
+    const customer =
+      order.customer &&
+      (await Customer.findById(order.customer).session(session));
+
+    // Charge an order placed on credit to the customer's account
+    const creditAmount = sale.totals.total - sale.payment.totalPaid;
+    if (sale.payment.status !== "paid") {
+      if (!customer) {
+        throw new AppError("A customer is required for credit orders", 400);
+      }
+
+      const dueDate = new Date();
+      dueDate.setDate(
+        dueDate.getDate() +
+          (settings.sales.payment.creditTerms?.defaultDays ?? 30)
+      );
+
+      await customer.addCreditTransaction(
+        "credit",
+        creditAmount,
+        sale.receiptNumber,
+        userId,
+        { sale: sale._id, dueDate }
+      );
+      sale.payment.credit = { amount: creditAmount, dueDate };
+    }
+
+    // Update customer statistics
+    if (customer) {
+      await customer.updateOrderStatistics(sale.totals.total);
+
+      sale.loyalty.pointsEarned = await customer.earnLoyaltyPoints(
+        sale.totals.total,
+        settings.features.loyalty,
+        {
+          reference: sale.receiptNumber,
+          sale: sale._id,
+          order: order._id,
+          userId,
+        }
+      );
+      order.loyalty.pointsEarned = sale.loyalty.pointsEarned;
+    }
+
+    await sale.save({ session });
+
+    order.sale = sale._id;
+    order.payment.status = sale.payment.status;
+    return sale;
+  }
+}
+
+module.exports = new OrderService();
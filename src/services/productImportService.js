@@ -0,0 +1,572 @@
+// backend/src/services/productImportService.js
+const path = require("path");
+const { Readable } = require("stream");
+const mongoose = require("mongoose");
+const ExcelJS = require("exceljs");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const ImportBatch = require("../models/ImportBatch");
+
+const MAX_ROWS = 5000;
+
+// Importable fields with the column headers recognised for each
+const IMPORT_FIELDS = {
+  name: { type: "string", aliases: ["name", "product", "productname"] },
+  sku: { type: "string", aliases: ["sku", "code", "itemcode", "productcode"] },
+  barcode: { type: "string", aliases: ["barcode", "ean", "upc"] },
+  category: { type: "string", aliases: ["category", "categoryname"] },
+  subcategory: { type: "string", aliases: ["subcategory"] },
+  description: { type: "string", aliases: ["description"] },
+  brand: { type: "string", aliases: ["brand"] },
+  unit: { type: "string", aliases: ["unit", "uom"] },
+  "pricing.cost": {
+    type: "number",
+    aliases: ["cost", "costprice", "buyingprice", "unitcost"],
+  },
+  "pricing.sellingPrice": {
+    type: "number",
+    aliases: ["price", "sellingprice", "retailprice"],
+  },
+  "pricing.wholesalePrice": {
+    type: "number",
+    aliases: ["wholesale", "wholesaleprice"],
+  },
+  "pricing.tax": { type: "number", aliases: ["tax", "vat", "taxrate"] },
+  "pricing.discount": { type: "number", aliases: ["discount"] },
+  "inventory.minStock": {
+    type: "number",
+    aliases: ["minstock", "minimumstock", "reorderlevel"],
+  },
+  "inventory.maxStock": {
+    type: "number",
+    aliases: ["maxstock", "maximumstock"],
+  },
+  "inventory.reorderPoint": { type: "number", aliases: ["reorderpoint"] },
+  "inventory.reorderQuantity": {
+    type: "number",
+    aliases: ["reorderquantity", "reorderqty"],
+  },
+  openingStock: {
+    type: "number",
+    aliases: ["openingstock", "stock", "quantity", "qty", "currentstock"],
+  },
+  batchNumber: {
+    type: "string",
+    aliases: ["batch", "batchnumber", "lot", "lotnumber"],
+  },
+  expiryDate: {
+    type: "date",
+    aliases: ["expiry", "expirydate", "bestbefore"],
+  },
+};
+
+// Fields that set up opening stock rather than product details
+const STOCK_FIELDS = ["openingStock", "batchNumber", "expiryDate"];
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// Unwrap formula, hyperlink and rich text cells to their plain value
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date || typeof value !== "object") return value;
+  if (value.result !== undefined) return value.result;
+  if (value.text !== undefined) return value.text;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  return undefined;
+};
+
+const parseValue = (value, type) => {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return undefined;
+  }
+
+  switch (type) {
+    case "number": {
+      const number =
+        typeof value === "number"
+          ? value
+          : Number(String(value).replace(/[,\s]/g, ""));
+      if (Number.isNaN(number)) throw new Error("must be a number");
+      return number;
+    }
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) throw new Error("must be a date");
+      return date;
+    }
+    default:
+      return String(value).trim();
+  }
+};
+
+// Compare stored and imported values, treating ids and dates by value
+const isSameValue = (current, next) => {
+  if (current === next) return true;
+  if (current === undefined || current === null) return false;
+  return String(current) === String(next);
+};
+
+class ProductImportService {
+  // Read the first worksheet of an uploaded CSV or XLSX file
+  async readSpreadsheet(file) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      // Keep every value as text so codes keep their leading zeros
+      worksheet = await workbook.csv.read(
+        Readable.from([file.buffer.toString("utf8").replace(/^\uFEFF/, "")]),
+        { map: (value) => value }
+      );
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw new Error("The file has no product rows");
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      const header = cellValue(cell.value);
+      if (header !== undefined && String(header).trim()) {
+        headers.push({ column, header: String(header).trim() });
+      }
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, number) => {
+      if (number === 1) return;
+
+      const values = {};
+      headers.forEach(({ column, header }) => {
+        values[header] = cellValue(row.getCell(column).value);
+      });
+
+      // Skip rows left blank in the spreadsheet
+      if (Object.values(values).some((value) => parseValue(value))) {
+        rows.push({ row: number, values });
+      }
+    });
+
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_ROWS} rows per file`);
+    }
+
+    return { headers: headers.map(({ header }) => header), rows };
+  }
+
+  /**
+   * Match spreadsheet headers to product fields
+   * @param {Array} headers - Column headers from the file
+   * @param {Object} mapping - Optional { header: field } overrides, where an
+   * empty field skips the column
+   * @returns {Object} { columns: [{ header, field }], unmapped: [header] }
+   */
+  mapColumns(headers, mapping = {}) {
+    const columns = [];
+    const unmapped = [];
+
+    headers.forEach((header) => {
+      let field;
+
+      if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+        field = mapping[header] || null;
+        if (field && !IMPORT_FIELDS[field]) {
+          throw new Error(`Unknown field ${field} mapped to column ${header}`);
+        }
+      } else {
+        const normalized = normalizeHeader(header);
+        field = Object.keys(IMPORT_FIELDS).find(
+          (key) =>
+            normalizeHeader(key) === normalized ||
+            IMPORT_FIELDS[key].aliases.includes(normalized)
+        );
+      }
+
+      if (!field) {
+        unmapped.push(header);
+      } else if (columns.some((column) => column.field === field)) {
+        throw new Error(`More than one column is mapped to ${field}`);
+      } else {
+        columns.push({ header, field });
+      }
+    });
+
+    if (
+      !columns.some((column) =>
+        ["name", "sku", "barcode"].includes(column.field)
+      )
+    ) {
+      throw new Error("The file needs a name, SKU or barcode column");
+    }
+
+    return { columns, unmapped };
+  }
+
+  /**
+   * Validate every row and work out whether it creates or updates a product
+   * @param {Array} rows - Rows from readSpreadsheet
+   * @param {Array} columns - Columns from mapColumns
+   * @param {Object} options - { userId }
+   * @returns {Promise<Array>} One result per row with errors and warnings
+   */
+  async preview(rows, columns, { userId }) {
+    const parsed = rows.map(({ row, values }) => {
+      const result = {
+        row,
+        action: "create",
+        values: {},
+        stock: {},
+        errors: [],
+        warnings: [],
+      };
+
+      columns.forEach(({ header, field }) => {
+        try {
+          const value = parseValue(values[header], IMPORT_FIELDS[field].type);
+          if (value === undefined) return;
+
+          if (STOCK_FIELDS.includes(field)) {
+            result.stock[field] = value;
+          } else {
+            result.values[field] = value;
+          }
+        } catch (error) {
+          result.errors.push(`${header} ${error.message}`);
+        }
+      });
+
+      if (result.values.sku) {
+        result.values.sku = result.values.sku.toUpperCase();
+      }
+      if (result.values.unit) {
+        result.values.unit = result.values.unit.toLowerCase();
+      }
+
+      return result;
+    });
+
+    // Resolve categories by name or ID in one query
+    const categoryNames = [
+      ...new Set(
+        parsed
+          .map((result) => result.values.category)
+          .filter(Boolean)
+          .map((name) => name.toLowerCase())
+      ),
+    ];
+    const categories = categoryNames.length
+      ? await Category.find({
+          $or: [
+            {
+              _id: {
+                $in: categoryNames.filter((name) =>
+                  mongoose.Types.ObjectId.isValid(name)
+                ),
+              },
+            },
+            {
+              name: {
+                $in: categoryNames.map(
+                  (name) =>
+                    new RegExp(
+                      `^${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+                      "i"
+                    )
+                ),
+              },
+            },
+          ],
+        }).select("name")
+      : [];
+
+    // Load products the rows may update
+    const skus = parsed.map((result) => result.values.sku).filter(Boolean);
+    const barcodes = parsed
+      .map((result) => result.values.barcode)
+      .filter(Boolean);
+    const existing = await Product.find({
+      $or: [{ sku: { $in: skus } }, { barcode: { $in: barcodes } }],
+    });
+
+    const seenSkus = new Set();
+    const seenBarcodes = new Set();
+
+    for (const result of parsed) {
+      const { values, stock } = result;
+
+      if (values.category) {
+        const category = categories.find(
+          (item) =>
+            item._id.toString() === values.category ||
+            item.name.toLowerCase() === values.category.toLowerCase()
+        );
+
+        if (category) {
+          values.category = category._id;
+        } else {
+          result.errors.push(`Category ${values.category} not found`);
+          delete values.category;
+        }
+      }
+
+      // Codes must be unique within the file as well as the catalogue
+      if (values.sku) {
+        if (seenSkus.has(values.sku)) {
+          result.errors.push(`SKU ${values.sku} appears more than once`);
+        }
+        seenSkus.add(values.sku);
+      }
+      if (values.barcode) {
+        if (seenBarcodes.has(values.barcode)) {
+          result.errors.push(
+            `Barcode ${values.barcode} appears more than once`
+          );
+        }
+        seenBarcodes.add(values.barcode);
+      }
+
+      const bySku =
+        values.sku && existing.find((product) => product.sku === values.sku);
+      const byBarcode =
+        values.barcode &&
+        existing.find((product) => product.barcode === values.barcode);
+
+      if (bySku && byBarcode && !bySku._id.equals(byBarcode._id)) {
+        result.errors.push(
+          `SKU ${values.sku} and barcode ${values.barcode} belong to different products`
+        );
+      }
+
+      if (stock.openingStock !== undefined) {
+        if (!Number.isInteger(stock.openingStock) || stock.openingStock < 0) {
+          result.errors.push(
+            "Opening stock must be a whole number of 0 or more"
+          );
+        }
+      }
+
+      const product = bySku || byBarcode;
+
+      if (product) {
+        result.product = product;
+        result.changes = Object.entries(values)
+          .filter(([field, value]) => !isSameValue(product.get(field), value))
+          .map(([field, value]) => ({
+            field,
+            previous: product.get(field),
+            current: value,
+          }));
+        result.action = result.changes.length > 0 ? "update" : "unchanged";
+
+        if (Object.keys(stock).length > 0) {
+          result.warnings.push(
+            "Opening stock is only set for new products; adjust stock on existing products instead"
+          );
+        }
+      } else {
+        // New products need an SKU before validation runs
+        result.product = new Product({
+          sku: `PRD${Date.now().toString(36).toUpperCase()}${result.row}`,
+          metadata: { createdBy: userId },
+        });
+        result.changes = [];
+
+        if (stock.expiryDate && !stock.openingStock) {
+          result.warnings.push("Expiry date is ignored without opening stock");
+        }
+      }
+
+      if (result.errors.length > 0) {
+        result.action = "skip";
+        continue;
+      }
+
+      if (result.action !== "unchanged") {
+        Object.entries(values).forEach(([field, value]) =>
+          result.product.set(field, value)
+        );
+
+        const validationError = result.product.validateSync();
+        if (validationError) {
+          result.errors.push(
+            ...Object.values(validationError.errors).map((err) => err.message)
+          );
+          result.action = "skip";
+        }
+      }
+    }
+
+    return parsed;
+  }
+
+  summarize(results) {
+    return results.reduce(
+      (summary, result) => {
+        summary[result.action] += 1;
+        return summary;
+      },
+      { total: results.length, create: 0, update: 0, unchanged: 0, skip: 0 }
+    );
+  }
+
+  // Shape a preview row for the API response
+  toPreview(result) {
+    return {
+      row: result.row,
+      action: result.action,
+      product:
+        result.product && !result.product.isNew
+          ? result.product._id
+          : undefined,
+      sku: result.product?.sku || result.values.sku,
+      name: result.product?.name || result.values.name,
+      changes: result.changes,
+      openingStock:
+        result.action === "create" ? result.stock.openingStock || 0 : 0,
+      errors: result.errors,
+      warnings: result.warnings,
+    };
+  }
+
+  /**
+   * Save the previewed rows and record them as an import batch
+   * @param {Array} results - Rows from preview
+   * @param {Object} options - { batchNumber, fileName, userId, location, defaultLocation }
+   * @returns {Promise<Object>} Saved ImportBatch
+   */
+  async apply(
+    results,
+    { batchNumber, fileName, userId, location, defaultLocation }
+  ) {
+    const batch = new ImportBatch({
+      batchNumber,
+      fileName,
+      location,
+      importedBy: userId,
+      summary: { total: results.length },
+    });
+    const categories = new Set();
+
+    for (const result of results) {
+      if (result.action === "skip") {
+        batch.failures.push({
+          row: result.row,
+          sku: result.values.sku,
+          messages: result.errors,
+        });
+        continue;
+      }
+
+      if (result.action === "unchanged") {
+        batch.summary.unchanged += 1;
+        continue;
+      }
+
+      const { product } = result;
+
+      try {
+        if (result.action === "create") {
+          product.metadata.importBatch = batchNumber;
+          product.costHistory = product.pricing.cost
+            ? [
+                {
+                  cost: product.pricing.cost,
+                  source: "import",
+                  reference: batchNumber,
+                  changedBy: userId,
+                },
+              ]
+            : [];
+          // Opening stock comes in as an adjustment so it is costed and
+          // counted like any other stock movement. updateStock saves the
+          // new product, so it is inserted together with its stock.
+          const { openingStock, batchNumber: lot, expiryDate } = result.stock;
+          if (openingStock > 0) {
+            await product.updateStock(
+              openingStock,
+              "adjustment",
+              batchNumber,
+              userId,
+              "Opening stock",
+              {
+                unitCost: product.pricing.cost,
+                batchNumber: lot,
+                expiryDate,
+                location,
+                defaultLocation,
+              }
+            );
+          } else {
+            await product.save();
+          }
+
+          batch.items.push({
+            row: result.row,
+            product: product._id,
+            sku: product.sku,
+            action: "created",
+            openingStock: openingStock || 0,
+          });
+          batch.summary.created += 1;
+        } else {
+          // Cost changes were held back from the preview so they can be
+          // recorded against this batch
+          const cost = result.changes.find(
+            (change) => change.field === "pricing.cost"
+          );
+          if (cost) {
+            product.set("pricing.cost", cost.previous);
+            product.updateCost(cost.current, "import", batchNumber, userId);
+          }
+
+          product.metadata.updatedBy = userId;
+          await product.save();
+
+          batch.items.push({
+            row: result.row,
+            product: product._id,
+            sku: product.sku,
+            action: "updated",
+            changes: result.changes,
+          });
+          batch.summary.updated += 1;
+
+          const category = result.changes.find(
+            (change) => change.field === "category"
+          );
+          if (category?.previous) categories.add(category.previous.toString());
+        }
+
+        categories.add(product.category.toString());
+      } catch (error) {
+        batch.failures.push({
+          row: result.row,
+          sku: product.sku,
+          messages: [error.message],
+        });
+      }
+    }
+
+    batch.summary.failed = batch.failures.length;
+    await batch.save();
+
+    await this.updateCategoryCounts([...categories]);
+
+    return batch;
+  }
+
+  async updateCategoryCounts(categoryIds) {
+    const categories = await Category.find({ _id: { $in: categoryIds } });
+    for (const category of categories) {
+      await category.updateProductCount();
+    }
+  }
+}
+
+module.exports = new ProductImportService();
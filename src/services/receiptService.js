@@ -0,0 +1,425 @@
+// backend/src/services/receiptService.js
+const fs = require("fs");
+const axios = require("axios");
+const PDFDocument = require("pdfkit");
+
+// ESC/POS control sequences
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  feed: (lines) => [ESC, 0x64, lines],
+  cut: [GS, 0x56, 0x42, 0x00],
+};
+
+// Characters per line in font A
+const THERMAL_COLUMNS = {
+  "58mm": 32,
+  "80mm": 48,
+};
+
+// Page widths in points (1mm = 2.835pt)
+const PDF_WIDTHS = {
+  "58mm": 164,
+  "80mm": 227,
+};
+
+const PAYMENT_LABELS = {
+  cash: "Cash",
+  mpesa: "M-Pesa",
+  card: "Card",
+  bank_transfer: "Bank Transfer",
+  credit: "Credit",
+  mixed: "Mixed",
+};
+
+class ReceiptService {
+  // Build the printable content of a receipt from a sale and the settings
+  buildReceipt(sale, settings) {
+    const { business } = settings;
+    const options = settings.sales.receipt;
+    const money = (amount) => settings.formatCurrency(amount || 0);
+
+    const address = [
+      business.address?.street,
+      business.address?.area,
+      business.address?.city,
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    // Group VAT by rate so each band shows its taxable amount
+    const bands = new Map();
+    sale.items.forEach((item) => {
+      const rate = item.tax?.rate || 0;
+      const tax = item.tax?.amount || 0;
+      const band = bands.get(rate) || { rate, taxable: 0, tax: 0 };
+      band.taxable += item.subtotal - tax;
+      band.tax += tax;
+      bands.set(rate, band);
+    });
+
+    return {
+      paperSize: options.paperSize,
+      copies: options.printCopy || 1,
+      showLogo: options.showLogo,
+      logo: business.logo?.url,
+      business: {
+        name: business.name,
+        tagline: business.tagline,
+        address,
+        phone: business.contact?.phone,
+        email: business.contact?.email,
+        kraPin: business.registration?.taxId,
+        vatNumber: business.registration?.vatNumber,
+      },
+      header: options.header,
+      footer: options.footer,
+      receiptNumber: sale.receiptNumber,
+      date: new Date(sale.createdAt).toLocaleString("en-KE", {
+        timeZone: "Africa/Nairobi",
+      }),
+      seller: sale.seller?.name,
+      customer: sale.customer?.name || sale.customerInfo?.name,
+      customerPhone: sale.customer?.phone || sale.customerInfo?.phone,
+      status: sale.status,
+      items: sale.items.map((item) => ({
+        name: item.productName,
+        quantity: item.quantity,
+        unitPrice: money(item.unitPrice),
+        discount:
+          item.discount?.amount > 0 || item.discount?.percentage > 0
+            ? item.discount.percentage > 0
+              ? `${item.discount.percentage}%`
+              : money(item.discount.amount)
+            : null,
+        total: money(item.subtotal),
+      })),
+      totals: {
+        subtotal: money(sale.totals.subtotal),
+        discount: sale.totals.discount > 0 ? money(sale.totals.discount) : null,
+        tax: money(sale.totals.tax),
+        deliveryFee:
+          sale.totals.deliveryFee > 0 ? money(sale.totals.deliveryFee) : null,
+        total: money(sale.totals.total),
+      },
+      vat: [...bands.values()]
+        .filter((band) => band.rate > 0)
+        .sort((a, b) => b.rate - a.rate)
+        .map((band) => ({
+          label: `VAT ${band.rate}%`,
+          taxable: money(band.taxable),
+          tax: money(band.tax),
+        })),
+      payment: {
+        method: PAYMENT_LABELS[sale.payment.method] || sale.payment.method,
+        paid: money(sale.payment.totalPaid),
+        change: sale.payment.change > 0 ? money(sale.payment.change) : null,
+        details: (sale.payment.details || [])
+          .filter((detail) => detail.transactionId)
+          .map(
+            (detail) =>
+              `${PAYMENT_LABELS[detail.method] || detail.method} ref: ${
+                detail.transactionId
+              }`
+          ),
+      },
+    };
+  }
+
+  // Render a receipt as an ESC/POS byte stream for thermal printers
+  renderEscPos(receipt) {
+    const columns =
+      THERMAL_COLUMNS[receipt.paperSize] || THERMAL_COLUMNS["80mm"];
+    const chunks = [];
+    const command = (bytes) => chunks.push(Buffer.from(bytes));
+    const line = (text = "") =>
+      chunks.push(Buffer.from(`${toPrintable(text)}\n`, "latin1"));
+    const divider = () => line("-".repeat(columns));
+    const row = (left, right) => line(pad(left, right, columns));
+
+    for (let copy = 0; copy < receipt.copies; copy++) {
+      command(COMMANDS.init);
+
+      // Business details
+      command(COMMANDS.alignCenter);
+      command(COMMANDS.doubleSize);
+      wrap(receipt.business.name, columns / 2).forEach((text) => line(text));
+      command(COMMANDS.normalSize);
+      [
+        receipt.business.tagline,
+        receipt.business.address,
+        receipt.business.phone && `Tel: ${receipt.business.phone}`,
+        receipt.business.email,
+        receipt.business.kraPin && `KRA PIN: ${receipt.business.kraPin}`,
+        receipt.business.vatNumber && `VAT No: ${receipt.business.vatNumber}`,
+      ]
+        .filter(Boolean)
+        .forEach((text) => wrap(text, columns).forEach((part) => line(part)));
+
+      if (receipt.header) {
+        line();
+        wrap(receipt.header, columns).forEach((text) => line(text));
+      }
+
+      if (receipt.status === "voided") {
+        line();
+        command(COMMANDS.boldOn);
+        line("*** VOID ***");
+        command(COMMANDS.boldOff);
+      }
+
+      if (copy > 0) {
+        line("COPY");
+      }
+
+      // Sale details
+      command(COMMANDS.alignLeft);
+      divider();
+      row("Receipt:", receipt.receiptNumber);
+      row("Date:", receipt.date);
+      if (receipt.seller) row("Served by:", receipt.seller);
+      if (receipt.customer) row("Customer:", receipt.customer);
+      if (receipt.customerPhone) row("Phone:", receipt.customerPhone);
+      divider();
+
+      // Items
+      receipt.items.forEach((item) => {
+        wrap(item.name, columns).forEach((text) => line(text));
+        row(`  ${item.quantity} x ${item.unitPrice}`, item.total);
+        if (item.discount) row("  Discount", item.discount);
+      });
+      divider();
+
+      // Totals
+      row("Subtotal", receipt.totals.subtotal);
+      if (receipt.totals.discount) row("Discount", receipt.totals.discount);
+      row("VAT", receipt.totals.tax);
+      if (receipt.totals.deliveryFee) {
+        row("Delivery", receipt.totals.deliveryFee);
+      }
+      command(COMMANDS.boldOn);
+      row("TOTAL", receipt.totals.total);
+      command(COMMANDS.boldOff);
+
+      // VAT breakdown
+      if (receipt.vat.length > 0) {
+        divider();
+        receipt.vat.forEach((band) => {
+          row(band.label, band.tax);
+          row("  Taxable", band.taxable);
+        });
+      }
+      divider();
+
+      // Payment
+      row(receipt.payment.method, receipt.payment.paid);
+      if (receipt.payment.change) row("Change", receipt.payment.change);
+      receipt.payment.details.forEach((text) => line(text));
+
+      if (receipt.footer) {
+        line();
+        command(COMMANDS.alignCenter);
+        wrap(receipt.footer, columns).forEach((text) => line(text));
+      }
+
+      command(COMMANDS.feed(4));
+      command(COMMANDS.cut);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  // Render a receipt as a PDF, A4 or sized to the thermal roll
+  async renderPdf(receipt) {
+    const isA4 = receipt.paperSize === "A4";
+    const width = PDF_WIDTHS[receipt.paperSize];
+    const margin = isA4 ? 50 : 8;
+    const fontSize = isA4 ? 10 : 7;
+
+    // Thermal pages grow with the number of lines printed
+    const lineCount =
+      20 + receipt.items.length * 3 + receipt.vat.length * 2 + 10;
+    const size = isA4 ? "A4" : [width, lineCount * fontSize * 1.6 + 80];
+
+    const logo =
+      receipt.showLogo && receipt.logo ? await loadImage(receipt.logo) : null;
+
+    const doc = new PDFDocument({ size, margin, autoFirstPage: false });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    for (let copy = 0; copy < receipt.copies; copy++) {
+      doc.addPage();
+      const contentWidth = doc.page.width - margin * 2;
+      const row = (left, right, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize);
+        doc.text(left, margin, y, { width: contentWidth * 0.6 });
+        const bottom = doc.y;
+        doc.text(right, margin, y, { width: contentWidth, align: "right" });
+        doc.y = Math.max(bottom, doc.y);
+      };
+      const divider = () => {
+        doc
+          .moveTo(margin, doc.y + 2)
+          .lineTo(margin + contentWidth, doc.y + 2)
+          .stroke();
+        doc.moveDown(0.5);
+      };
+
+      // Business details
+      if (logo) {
+        const logoWidth = isA4 ? 80 : contentWidth / 2;
+        try {
+          doc.image(logo, margin + (contentWidth - logoWidth) / 2, doc.y, {
+            width: logoWidth,
+          });
+          doc.moveDown(0.5);
+        } catch (error) {
+          // Unsupported image formats are skipped
+        }
+      }
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(fontSize * 1.6)
+        .text(receipt.business.name, { align: "center" });
+      doc.font("Helvetica").fontSize(fontSize);
+      [
+        receipt.business.tagline,
+        receipt.business.address,
+        receipt.business.phone && `Tel: ${receipt.business.phone}`,
+        receipt.business.email,
+        receipt.business.kraPin && `KRA PIN: ${receipt.business.kraPin}`,
+        receipt.business.vatNumber && `VAT No: ${receipt.business.vatNumber}`,
+        receipt.header,
+      ]
+        .filter(Boolean)
+        .forEach((text) => doc.text(text, { align: "center" }));
+
+      if (receipt.status === "voided") {
+        doc.font("Helvetica-Bold").text("*** VOID ***", { align: "center" });
+      }
+      if (copy > 0) {
+        doc.font("Helvetica").text("COPY", { align: "center" });
+      }
+      doc.moveDown(0.5);
+      divider();
+
+      // Sale details
+      row("Receipt:", receipt.receiptNumber);
+      row("Date:", receipt.date);
+      if (receipt.seller) row("Served by:", receipt.seller);
+      if (receipt.customer) row("Customer:", receipt.customer);
+      if (receipt.customerPhone) row("Phone:", receipt.customerPhone);
+      divider();
+
+      // Items
+      receipt.items.forEach((item) => {
+        row(item.name, item.total);
+        row(`   ${item.quantity} x ${item.unitPrice}`, "");
+        if (item.discount) row("   Discount", item.discount);
+      });
+      divider();
+
+      // Totals
+      row("Subtotal", receipt.totals.subtotal);
+      if (receipt.totals.discount) row("Discount", receipt.totals.discount);
+      row("VAT", receipt.totals.tax);
+      if (receipt.totals.deliveryFee) {
+        row("Delivery", receipt.totals.deliveryFee);
+      }
+      row("TOTAL", receipt.totals.total, true);
+
+      // VAT breakdown
+      if (receipt.vat.length > 0) {
+        divider();
+        receipt.vat.forEach((band) => {
+          row(`${band.label} on ${band.taxable}`, band.tax);
+        });
+      }
+      divider();
+
+      // Payment
+      row(receipt.payment.method, receipt.payment.paid);
+      if (receipt.payment.change) row("Change", receipt.payment.change);
+      receipt.payment.details.forEach((text) => row(text, ""));
+
+      if (receipt.footer) {
+        doc.moveDown();
+        doc.font("Helvetica").text(receipt.footer, margin, doc.y, {
+          width: contentWidth,
+          align: "center",
+        });
+      }
+    }
+
+    doc.end();
+    return done;
+  }
+}
+
+// Keep only characters a thermal printer code page can print
+const toPrintable = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[^\x20-\x7e\n]/g, "");
+
+// Left and right aligned text on one line
+const pad = (left, right, columns) => {
+  const gap = columns - left.length - right.length;
+  if (gap >= 1) return `${left}${" ".repeat(gap)}${right}`;
+  return `${left}\n${" ".repeat(Math.max(columns - right.length, 0))}${right}`;
+};
+
+// Wrap text to the printer width
+const wrap = (text, columns) => {
+  const lines = [];
+  let current = "";
+
+  String(text)
+    .split(/\s+/)
+    .forEach((word) => {
+      if (!current) {
+        current = word;
+      } else if (current.length + word.length + 1 <= columns) {
+        current = `${current} ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+
+  if (current) lines.push(current);
+  return lines;
+};
+
+// Load a logo from a URL or a local path
+const loadImage = async (source) => {
+  try {
+    if (/^https?:\/\//.test(source)) {
+      const response = await axios.get(source, {
+        responseType: "arraybuffer",
+        timeout: 5000,
+      });
+      return Buffer.from(response.data);
+    }
+
+    return fs.existsSync(source) ? fs.readFileSync(source) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = new ReceiptService();
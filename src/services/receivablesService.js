@@ -0,0 +1,310 @@
+// backend/src/services/receivablesService.js
+const Sale = require("../models/Sale");
+const Order = require("../models/Order");
+const Customer = require("../models/Customer");
+const Settings = require("../models/Settings");
+const notificationService = require("./notificationService");
+const { logger } = require("../middleware/logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Empty set of aging buckets
+const emptyBuckets = () => ({
+  current: 0, // 0-30 days
+  days31To60: 0,
+  days61To90: 0,
+  over90: 0,
+  total: 0,
+});
+
+// Add an amount to the bucket for its age in days
+const addToBucket = (buckets, age, amount) => {
+  if (age <= 30) buckets.current += amount;
+  else if (age <= 60) buckets.days31To60 += amount;
+  else if (age <= 90) buckets.days61To90 += amount;
+  else buckets.over90 += amount;
+  buckets.total += amount;
+};
+
+class ReceivablesService {
+  /**
+   * Collect everything customers owe, as open items aged from their date.
+   * Credit sales are counted once, through the customer's credit ledger.
+   * @param {Object} options
+   * @param {Date} options.asOf - Date to age balances at
+   * @param {String} options.customer - Limit to a single customer
+   */
+  async getOpenItems({ asOf = new Date(), customer } = {}) {
+    const items = [];
+
+    // Unpaid balances on sales not charged to an account
+    const sales = await Sale.find({
+      "payment.status": { $in: ["pending", "partial"] },
+      status: { $in: ["completed", "partial_refund"] },
+      "payment.credit.amount": { $not: { $gt: 0 } },
+      createdAt: { $lte: asOf },
+      ...(customer && { customer }),
+    })
+      .select(
+        "receiptNumber customer customerInfo totals.total payment createdAt"
+      )
+      .lean();
+
+    sales.forEach((sale) => {
+      const outstanding = sale.totals.total - sale.payment.totalPaid;
+      if (outstanding < 0.01) return;
+
+      items.push({
+        source: "sale",
+        reference: sale.receiptNumber,
+        customer: sale.customer,
+        customerName: sale.customerInfo?.name,
+        customerPhone: sale.customerInfo?.phone,
+        date: sale.createdAt,
+        dueDate: sale.createdAt,
+        outstanding,
+      });
+    });
+
+    // Delivered orders that have not been paid in full
+    const orders = await Order.find({
+      status: "delivered",
+      "payment.status": { $in: ["pending", "partial"] },
+      createdAt: { $lte: asOf },
+      ...(customer && { customer }),
+    })
+      .select(
+        "orderNumber customer customerInfo totals.total payment delivery createdAt"
+      )
+      .lean();
+
+    orders.forEach((order) => {
+      const paid =
+        (order.payment.prepaidAmount || 0) +
+        order.payment.transactions.reduce((sum, t) => sum + t.amount, 0);
+      const outstanding = order.totals.total - paid;
+      if (outstanding < 0.01) return;
+
+      const date = order.delivery?.actualDeliveryDate || order.createdAt;
+      items.push({
+        source: "order",
+        reference: order.orderNumber,
+        customer: order.customer,
+        customerName: order.customerInfo?.name,
+        customerPhone: order.customerInfo?.phone,
+        date,
+        dueDate: date,
+        outstanding,
+      });
+    });
+
+    // Unpaid charges on customer credit accounts
+    const accounts = await Customer.find({
+      "credit.used": { $gt: 0 },
+      ...(customer && { _id: customer }),
+    });
+
+    accounts.forEach((account) => {
+      account.getOpenCharges().forEach((charge) => {
+        if (charge.date > asOf) return;
+
+        items.push({
+          source: "credit",
+          reference: charge.reference,
+          customer: account._id,
+          customerName: account.name,
+          customerPhone: account.phone,
+          date: charge.date,
+          dueDate: charge.dueDate,
+          outstanding: charge.outstanding,
+        });
+      });
+    });
+
+    return items.map((item) => ({
+      ...item,
+      age: Math.max(0, Math.floor((asOf - item.date) / DAY)),
+      daysOverdue: Math.max(0, Math.floor((asOf - item.dueDate) / DAY)),
+    }));
+  }
+
+  /**
+   * Accounts receivable aging across sales, orders and customer credit
+   * @param {Object} filters - asOf date and optional customer
+   */
+  async getAgingReport({ asOf, customer } = {}) {
+    const date = asOf ? new Date(asOf) : new Date();
+    const items = await this.getOpenItems({ asOf: date, customer });
+
+    const summary = emptyBuckets();
+    const bySource = {
+      sale: emptyBuckets(),
+      order: emptyBuckets(),
+      credit: emptyBuckets(),
+    };
+    const customers = new Map();
+
+    items.forEach((item) => {
+      addToBucket(summary, item.age, item.outstanding);
+      addToBucket(bySource[item.source], item.age, item.outstanding);
+
+      // Walk-in debts without a customer record are grouped by phone
+      const key = item.customer
+        ? item.customer.toString()
+        : `walk-in:${item.customerPhone || item.customerName || "unknown"}`;
+
+      if (!customers.has(key)) {
+        customers.set(key, {
+          customer: item.customer || null,
+          name: item.customerName || "Walk-in customer",
+          phone: item.customerPhone,
+          ...emptyBuckets(),
+          overdue: 0,
+          oldestDays: 0,
+          items: 0,
+        });
+      }
+
+      const row = customers.get(key);
+      addToBucket(row, item.age, item.outstanding);
+      if (item.daysOverdue > 0) row.overdue += item.outstanding;
+      row.oldestDays = Math.max(row.oldestDays, item.age);
+      row.items += 1;
+    });
+
+    return {
+      asOf: date,
+      summary,
+      bySource,
+      customers: [...customers.values()].sort((a, b) => b.total - a.total),
+      items: items.sort((a, b) => b.age - a.age),
+    };
+  }
+
+  /**
+   * Send reminders to customers whose overdue balance has passed one of the
+   * configured day thresholds. Each threshold is sent once per debt.
+   * @returns {Object} Counts of customers reminded, skipped and failed
+   */
+  async sendPaymentReminders() {
+    const settings = await Settings.getSettings();
+    const reminders = settings.sales.payment.creditTerms?.reminders;
+    const result = { reminded: 0, skipped: 0, failed: 0 };
+
+    if (!reminders?.enabled || reminders.thresholds.length === 0) {
+      return result;
+    }
+
+    const thresholds = [...reminders.thresholds].sort((a, b) => b - a);
+    const items = await this.getOpenItems();
+
+    // Overdue balance and oldest overdue item per customer
+    const debts = new Map();
+    items.forEach((item) => {
+      if (!item.customer || item.daysOverdue <= 0) return;
+
+      const key = item.customer.toString();
+      const debt = debts.get(key) || { amount: 0, daysOverdue: 0, since: null };
+      debt.amount += item.outstanding;
+      if (item.daysOverdue > debt.daysOverdue) {
+        debt.daysOverdue = item.daysOverdue;
+        debt.since = item.dueDate;
+      }
+      debts.set(key, debt);
+    });
+
+    for (const [customerId, debt] of debts) {
+      const threshold = thresholds.find((days) => debt.daysOverdue >= days);
+      if (threshold === undefined) continue;
+
+      const customer = await Customer.findById(customerId);
+      if (!customer || !customer.status.isActive) continue;
+
+      // Skip if this threshold was already reminded for the current debt
+      const alreadySent = customer.paymentReminders.some(
+        (reminder) =>
+          reminder.threshold === threshold &&
+          reminder.status === "sent" &&
+          reminder.sentAt >= debt.since
+      );
+      if (alreadySent) {
+        result.skipped += 1;
+        continue;
+      }
+
+      const outcome = await this.remindCustomer(customer, debt, threshold, {
+        settings,
+        channels: reminders.channels,
+      });
+      result[outcome] += 1;
+    }
+
+    return result;
+  }
+
+  // Send one customer's reminder over each channel they accept.
+  // Resolves to "reminded", "failed" or "skipped" (no usable channel).
+  async remindCustomer(customer, debt, threshold, { settings, channels }) {
+    const values = {
+      name: customer.name,
+      business: settings.business.name,
+      amount: debt.amount.toFixed(2),
+      days: debt.daysOverdue,
+    };
+
+    const { communication, language } = customer.preferences;
+    const targets = [
+      channels.includes("sms") && communication.sms && customer.phone && "sms",
+      channels.includes("email") &&
+        communication.email &&
+        customer.email &&
+        "email",
+    ].filter(Boolean);
+
+    if (targets.length === 0) return "skipped";
+
+    let sent = false;
+    for (const channel of targets) {
+      const { subject, message } = notificationService.renderTemplate(
+        "paymentReminder",
+        { channel, language, values, settings }
+      );
+
+      // Failed attempts stay in the outbox and are retried from there
+      const notification = await notificationService.send({
+        channel,
+        to: channel === "email" ? customer.email : customer.phone,
+        subject,
+        message,
+        relatedTo: { type: "customer", id: customer._id },
+      });
+      const failed = notification.status === "failed";
+
+      if (failed) {
+        logger.warn("Payment reminder failed", {
+          customer: customer._id.toString(),
+          channel,
+          error: notification.lastError,
+        });
+      } else {
+        sent = true;
+      }
+
+      customer.paymentReminders.push({
+        channel,
+        threshold,
+        daysOverdue: debt.daysOverdue,
+        amount: debt.amount,
+        message,
+        notification: notification._id,
+        status: failed ? "failed" : "sent",
+        error: notification.lastError,
+      });
+    }
+
+    await customer.save();
+    return sent ? "reminded" : "failed";
+  }
+}
+
+module.exports = new ReceivablesService();
@@ -0,0 +1,94 @@
+// backend/src/services/schedulerService.js
+const cron = require("node-cron");
+const config = require("../config/app");
+const receivablesService = require("./receivablesService");
+const notificationService = require("./notificationService");
+const exportService = require("./exportService");
+const { taskLogger } = require("../middleware/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+class SchedulerService {
+  constructor() {
+    this.tasks = new Map();
+  }
+
+  // Jobs by name. Long-running servers run them on their schedule;
+  // serverless deployments call GET /api/v1/jobs/:name from the platform
+  // scheduler (the crons in vercel.json).
+  get jobs() {
+    return {
+      "payment-reminders": {
+        schedule: config.jobs.paymentReminders,
+        task: () => receivablesService.sendPaymentReminders(),
+      },
+      "notification-outbox": {
+        schedule: config.jobs.notificationOutbox,
+        task: () => notificationService.processOutbox(),
+      },
+      "export-jobs": {
+        schedule: config.jobs.exportJobs,
+        task: () => exportService.processQueue(),
+      },
+    };
+  }
+
+  // Run a task with start/complete/error logging
+  async run(name, task) {
+    const startedAt = Date.now();
+    taskLogger.start(name);
+
+    try {
+      const result = await task();
+      taskLogger.complete(name, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      taskLogger.error(name, error);
+      return null;
+    }
+  }
+
+  // Register a cron task, replacing any task of the same name
+  schedule(name, expression, task) {
+    if (!cron.validate(expression)) {
+      throw new Error(`Invalid schedule for ${name}: ${expression}`);
+    }
+
+    this.tasks.get(name)?.stop();
+    this.tasks.set(
+      name,
+      cron.schedule(expression, () => this.run(name, task), {
+        timezone: config.app.timezone,
+      })
+    );
+  }
+
+  // Run a job now, outside its schedule
+  async trigger(name) {
+    const job = this.jobs[name];
+    if (!job) {
+      throw new AppError(`Unknown job: ${name}`, 404);
+    }
+
+    const result = await this.run(name, job.task);
+    if (result === null) {
+      throw new AppError(`Job ${name} failed`, 500);
+    }
+    return result;
+  }
+
+  // Start all scheduled jobs. Only long-running servers call this.
+  start() {
+    if (!config.jobs.enabled) return;
+
+    Object.entries(this.jobs).forEach(([name, job]) =>
+      this.schedule(name, job.schedule, job.task)
+    );
+  }
+
+  stop() {
+    this.tasks.forEach((task) => task.stop());
+    this.tasks.clear();
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,218 @@
+// backend/src/services/sessionService.js
+const jwt = require("jsonwebtoken");
+const ActivityLog = require("../models/ActivityLog");
+
+// Session details carried over when a refresh token is rotated
+const SESSION_FIELDS = [
+  "family",
+  "createdAt",
+  "deviceInfo",
+  "userAgent",
+  "ip",
+  "location",
+  "deviceTokenHash",
+  "trustedUntil",
+];
+
+// User agent fragments, checked in order
+const BROWSERS = [
+  ["edg/", "Edge"],
+  ["chrome", "Chrome"],
+  ["firefox", "Firefox"],
+  ["safari", "Safari"],
+];
+const SYSTEMS = [
+  ["android", "Android"],
+  ["iphone", "iOS"],
+  ["ipad", "iOS"],
+  ["windows", "Windows"],
+  ["mac", "macOS"],
+  ["linux", "Linux"],
+];
+
+const matchAgent = (ua, list, fallback) =>
+  list.find(([fragment]) => ua.includes(fragment))?.[1] || fallback;
+
+// Short device label from a user agent, e.g. "Chrome on Android (Mobile)"
+const describeDevice = (userAgent = "") => {
+  const ua = userAgent.toLowerCase();
+  if (!ua) return "Unknown device";
+
+  const browser = matchAgent(ua, BROWSERS, "App");
+  const os = matchAgent(ua, SYSTEMS, "Other");
+  const type = ua.includes("mobile") ? "Mobile" : "Desktop";
+
+  return `${browser} on ${os} (${type})`;
+};
+
+class SessionService {
+  /**
+   * Device, IP and branch of the client making a request
+   * @param {Object} req - Express request
+   * @param {User} user - User the session belongs to
+   * @param {Object} settings - Settings document
+   * @returns {Object} { deviceInfo, userAgent, ip, location }
+   */
+  getClientInfo(req, user, settings) {
+    const userAgent = req.get("user-agent") || "";
+    const requested = req.body?.location;
+    const location =
+      requested &&
+      settings.getLocations().some((branch) => branch.code === requested)
+        ? requested
+        : user.location;
+
+    return {
+      deviceInfo: describeDevice(userAgent),
+      userAgent,
+      ip: req.ip,
+      location,
+    };
+  }
+
+  /**
+   * Open a session: a new refresh token family and an access token bound
+   * to it. The caller saves the user.
+   * @param {User} user - User logging in
+   * @param {Object} req - Express request
+   * @param {Object} settings - Settings document
+   * @param {Object} trust - { deviceTokenHash, trustedUntil } of a trusted device
+   * @returns {Object} { token, refreshToken, sessionId }
+   */
+  start(user, req, settings, trust) {
+    const refreshToken = user.generateRefreshToken({
+      ...this.getClientInfo(req, user, settings),
+      ...trust,
+    });
+    const sessionId = user.refreshTokens[user.refreshTokens.length - 1].family;
+
+    return {
+      token: user.generateAuthToken(sessionId),
+      refreshToken,
+      sessionId,
+    };
+  }
+
+  /**
+   * Swap a refresh token for a new one in the same session. The old token
+   * stops working; presenting it again counts as reuse.
+   * @param {User} user - Token owner
+   * @param {Object} entry - Refresh token entry being used
+   * @param {Object} req - Express request
+   * @returns {Object} { token, refreshToken, sessionId }
+   */
+  rotate(user, entry, req) {
+    const session = {};
+    for (const field of SESSION_FIELDS) {
+      session[field] = entry[field];
+    }
+    session.ip = req.ip;
+
+    user.refreshTokens = user.refreshTokens.filter(
+      (rt) => rt.token !== entry.token
+    );
+    const refreshToken = user.generateRefreshToken(session);
+
+    return {
+      token: user.generateAuthToken(session.family),
+      refreshToken,
+      sessionId: session.family,
+    };
+  }
+
+  // Whether a session has been unused for longer than the session timeout
+  isIdle(entry, settings) {
+    const timeout = settings.security.sessionTimeout;
+    if (!timeout || !entry.lastUsedAt) return false;
+
+    return entry.lastUsedAt.getTime() + timeout * 60 * 1000 < Date.now();
+  }
+
+  findSession(user, sessionId) {
+    return user.refreshTokens.find((rt) => rt.family === sessionId);
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {User} user - Session owner
+   * @param {Object} settings - Settings document
+   * @param {String} currentSessionId - Session of the request, if any
+   * @returns {Array}
+   */
+  list(user, settings, currentSessionId) {
+    const now = new Date();
+
+    return user.refreshTokens
+      .filter((rt) => rt.expiresAt > now && !this.isIdle(rt, settings))
+      .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+      .map((rt) => ({
+        id: rt.family,
+        deviceInfo: rt.deviceInfo,
+        ip: rt.ip,
+        location: rt.location,
+        createdAt: rt.createdAt,
+        lastUsedAt: rt.lastUsedAt,
+        expiresAt: rt.expiresAt,
+        trusted: rt.trustedUntil > now,
+        current: Boolean(currentSessionId) && rt.family === currentSessionId,
+      }));
+  }
+
+  /**
+   * End sessions. The caller saves the user.
+   * @param {User} user - Session owner
+   * @param {Object} options
+   * @param {String} options.sessionId - Session to end; all when omitted
+   * @param {String} options.except - Session to keep when ending all
+   * @returns {Number} Sessions ended
+   */
+  revoke(user, { sessionId, except } = {}) {
+    const before = user.refreshTokens.length;
+
+    user.refreshTokens = user.refreshTokens.filter((rt) =>
+      sessionId
+        ? rt.family !== sessionId
+        : Boolean(except) && rt.family === except
+    );
+
+    return before - user.refreshTokens.length;
+  }
+
+  /**
+   * Check a refresh token that is not on the user. If its session is still
+   * open, an old token was used again (e.g. stolen and replayed), so the
+   * whole session is ended. The caller saves the user.
+   * @param {User} user - Token owner
+   * @param {String} refreshToken - Token presented
+   * @param {Object} req - Express request
+   * @returns {Promise<Boolean>} Whether reuse was detected
+   */
+  async handleReuse(user, refreshToken, req) {
+    const { family } = jwt.decode(refreshToken) || {};
+    if (!family || !this.findSession(user, family)) return false;
+
+    this.revoke(user, { sessionId: family });
+
+    await ActivityLog.log({
+      user: user._id,
+      action: "user.token_reused",
+      severity: "critical",
+      entity: {
+        type: "user",
+        id: user._id,
+        name: user.name,
+      },
+      details: {
+        reason: "Refresh token used again after rotation; session ended",
+      },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    return true;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,386 @@
+// backend/src/services/twoFactorService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const notificationService = require("./notificationService");
+const { AppError } = require("../middleware/errorHandler");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Authenticator codes (RFC 6238): 6 digits from 30-second steps, accepting
+// one step either side for clock drift
+const CODE_DIGITS = 6;
+const TIME_STEP = 30;
+const DRIFT_STEPS = 1;
+
+const OTP_MINUTES = 10; // Lifetime of SMS and email codes
+const OTP_MAX_ATTEMPTS = 5;
+const PENDING_LOGIN_MINUTES = 10;
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields holding second-step secrets, which are not selected by default
+const SECRET_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.lastUsedStep",
+  "+twoFactor.recoveryCodes",
+  "+twoFactor.pending",
+  "+twoFactor.otp",
+].join(" ");
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HMAC-based one-time password (RFC 4226) for a counter
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** CODE_DIGITS;
+
+  return code.toString().padStart(CODE_DIGITS, "0");
+};
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+const safeEqual = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Recovery codes are compared without case or dashes
+const normalizeRecoveryCode = (code) =>
+  code.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+class TwoFactorService {
+  // Load a user with the second-step secrets selected
+  loadUser(id, extraFields = "") {
+    return User.findById(id).select(`${SECRET_FIELDS} ${extraFields}`.trim());
+  }
+
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // Current authenticator code for a secret
+  generateTotp(secret, time = Date.now()) {
+    return hotp(base32Decode(secret), Math.floor(time / 1000 / TIME_STEP));
+  }
+
+  /**
+   * Check an authenticator code
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code typed by the user
+   * @param {Number} lastUsedStep - Step of the last accepted code
+   * @returns {Number|null} Time step matched, or null when invalid
+   */
+  verifyTotp(secret, code, lastUsedStep = -1) {
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const key = base32Decode(secret);
+    const current = Math.floor(Date.now() / 1000 / TIME_STEP);
+
+    for (
+      let step = current - DRIFT_STEPS;
+      step <= current + DRIFT_STEPS;
+      step++
+    ) {
+      if (step > lastUsedStep && safeEqual(hotp(key, step), code)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Details an authenticator app needs to add the account
+   * @param {User} user - User enrolling
+   * @param {String} secret - Base32 secret
+   * @param {String} issuer - Business name shown in the app
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async getProvisioning(user, secret, issuer) {
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: "SHA1",
+      digits: String(CODE_DIGITS),
+      period: String(TIME_STEP),
+    });
+    const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  // New recovery codes, shown once; only their hashes are stored
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString("hex");
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashed: codes.map((code) => ({
+        code: hashCode(normalizeRecoveryCode(code)),
+      })),
+    };
+  }
+
+  /**
+   * Second step a user must pass to log in, if any. Users in a required
+   * role who have not enrolled get codes by SMS when allowed, otherwise by
+   * email. When neither channel can deliver, they may only enrol an
+   * authenticator app as part of logging in if the policy allows it, since
+   * the password alone then decides whose app is registered.
+   * @returns {String|null} app, sms, email or enroll
+   * @throws {AppError} When a second step is required but none is available
+   */
+  getLoginMethod(user, settings) {
+    const policy = settings.security.twoFactorAuth;
+    if (!policy.enabled) return null;
+
+    if (user.twoFactor?.enabled) return user.twoFactor.method;
+
+    if (policy.requiredRoles.includes(user.role)) {
+      if (
+        policy.methods?.sms &&
+        notificationService.isChannelEnabled("sms", settings)
+      ) {
+        return "sms";
+      }
+      if (notificationService.isChannelEnabled("email", settings)) {
+        return "email";
+      }
+      if (policy.enrollOnLogin) {
+        return "enroll";
+      }
+      throw new AppError(
+        "Two-factor verification is required but no verification method is available; contact the business owner",
+        403
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Start enrolling an authenticator app. The secret is kept aside until
+   * the first code confirms the app has it.
+   * @param {User} user - User loaded with loadUser()
+   * @param {String} issuer - Business name shown in the app
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async startEnrollment(user, issuer) {
+    const secret = this.generateSecret();
+    user.twoFactor.pending = { method: "app", secret };
+    await user.save({ validateBeforeSave: false });
+
+    return this.getProvisioning(user, secret, issuer);
+  }
+
+  // Turn on two-factor authentication and return the new recovery codes,
+  // which are only shown now. The caller saves.
+  enable(user, method, secret) {
+    const { codes, hashed } = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.method = method;
+    user.twoFactor.secret = secret;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.pending = undefined;
+    user.twoFactor.enabledAt = new Date();
+
+    return codes;
+  }
+
+  // Refresh token entry of a device the user chose to trust
+  getTrustedDevice(user, deviceToken, settings) {
+    if (!deviceToken || !settings.security.twoFactorAuth.trustedDeviceDays) {
+      return undefined;
+    }
+
+    const deviceTokenHash = hashCode(deviceToken);
+    return user.refreshTokens.find(
+      (rt) =>
+        rt.deviceTokenHash === deviceTokenHash && rt.trustedUntil > new Date()
+    );
+  }
+
+  // Device token for "remember this device", or null when turned off
+  trustDevice(settings) {
+    const days = settings.security.twoFactorAuth.trustedDeviceDays;
+    if (!days) return null;
+
+    const deviceToken = crypto.randomBytes(32).toString("hex");
+    return {
+      deviceToken,
+      deviceTokenHash: hashCode(deviceToken),
+      trustedUntil: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  // Short-lived token that stands in for a login awaiting its second step
+  createPendingToken(user, { method, loginType }) {
+    return jwt.sign(
+      { _id: user._id, purpose: "two_factor", method, loginType },
+      process.env.JWT_SECRET,
+      { expiresIn: `${PENDING_LOGIN_MINUTES}m` }
+    );
+  }
+
+  verifyPendingToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose !== "two_factor") throw new Error();
+      return decoded;
+    } catch (error) {
+      throw new AppError(
+        "Verification session expired. Please log in again",
+        401
+      );
+    }
+  }
+
+  get pendingTokenSeconds() {
+    return PENDING_LOGIN_MINUTES * 60;
+  }
+
+  // Stop remembering every trusted device; returns how many were trusted
+  forgetTrustedDevices(user) {
+    let count = 0;
+    for (const rt of user.refreshTokens) {
+      if (rt.trustedUntil > new Date()) count++;
+      rt.deviceTokenHash = undefined;
+      rt.trustedUntil = undefined;
+    }
+    return count;
+  }
+
+  /**
+   * Send a one-time code by SMS or email and store its hash on the user
+   * @param {User} user - User logging in or enrolling
+   * @param {String} method - sms or email
+   * @param {Object} settings - Settings document
+   */
+  async sendCode(user, method, settings) {
+    const code = crypto
+      .randomInt(0, 10 ** CODE_DIGITS)
+      .toString()
+      .padStart(CODE_DIGITS, "0");
+
+    user.twoFactor.otp = {
+      code: hashCode(code),
+      expiresAt: new Date(Date.now() + OTP_MINUTES * 60 * 1000),
+      attempts: 0,
+    };
+    await user.save({ validateBeforeSave: false });
+
+    const message = `Your ${settings.business.name} verification code is ${code}. It expires in ${OTP_MINUTES} minutes. Do not share it with anyone.`;
+    const options = { relatedTo: { type: "user", id: user._id } };
+
+    const notification =
+      method === "sms"
+        ? await notificationService.sendSms(user.phone, message, options)
+        : await notificationService.sendEmail(
+            user.email,
+            "Your verification code",
+            message,
+            options
+          );
+
+    if (notification.status === "failed") {
+      user.twoFactor.otp = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw new AppError("Verification code could not be sent", 500);
+    }
+  }
+
+  /**
+   * Check a second-step code. Recovery codes are accepted in place of any
+   * method once two-factor authentication is enabled. The caller saves.
+   * @param {User} user - User loaded with loadUser()
+   * @param {String} method - app, sms or email
+   * @param {String} code - Code typed by the user
+   * @param {Object} options
+   * @param {String} options.secret - Secret to check app codes against,
+   *   for enrolment
+   * @param {Boolean} options.allowRecovery - Accept a recovery code
+   * @returns {Boolean}
+   */
+  verifyCode(user, method, code, { secret, allowRecovery = true } = {}) {
+    const value = String(code || "").trim();
+    const twoFactor = user.twoFactor;
+
+    if (method === "app") {
+      const step = this.verifyTotp(
+        secret || twoFactor.secret,
+        value,
+        twoFactor.lastUsedStep ?? -1
+      );
+      if (step !== null) {
+        twoFactor.lastUsedStep = step;
+        return true;
+      }
+    } else if (twoFactor.otp?.code) {
+      const { otp } = twoFactor;
+      otp.attempts = (otp.attempts || 0) + 1;
+
+      if (
+        otp.expiresAt > new Date() &&
+        otp.attempts <= OTP_MAX_ATTEMPTS &&
+        safeEqual(hashCode(value), otp.code)
+      ) {
+        twoFactor.otp = undefined;
+        return true;
+      }
+    }
+
+    if (allowRecovery && twoFactor.enabled) {
+      const hashed = hashCode(normalizeRecoveryCode(value));
+      const recovery = (twoFactor.recoveryCodes || []).find(
+        (item) => !item.usedAt && item.code === hashed
+      );
+      if (recovery) {
+        recovery.usedAt = new Date();
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -285,6 +285,27 @@ const toRadians = (degrees) => {
   return degrees * (Math.PI / 180);
 };
 
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} polygon - Ring of [longitude, latitude] points
+ * @returns {boolean} True if the point is inside
+ */
+const isPointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+
+    const crosses = (yi > y) !== (yj > y) &&
+      x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
 /**
  * Retry async function
  * @param {Function} fn - Function to retry
@@ -335,6 +356,7 @@ module.exports = {
   sanitizeInput,
   generateReceiptNumber,
   calculateDistance,
+  isPointInPolygon,
   retryAsync,
   formatFileSize
 };
\ No newline at end of file
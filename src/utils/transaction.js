@@ -0,0 +1,34 @@
+// backend/src/utils/transaction.js
+const mongoose = require("mongoose");
+
+/**
+ * Run a unit of work inside a MongoDB transaction.
+ * The callback is retried on transient errors and write conflicts,
+ * so it must read everything it changes through the given session.
+ * Transactions require MongoDB to run as a replica set.
+ * @param {Function} work - Async callback receiving the session
+ * @returns {Promise<*>} Value returned by the callback
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+
+    // Detach the returned document so later saves don't use the ended session
+    if (result instanceof mongoose.Document) {
+      result.$session(null);
+    }
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};
@@ -0,0 +1,176 @@
+// backend/tests/controllers/authController.test.js
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../../src/models/User");
+const Settings = require("../../src/models/Settings");
+const ActivityLog = require("../../src/models/ActivityLog");
+const notificationService = require("../../src/services/notificationService");
+const sessionService = require("../../src/services/sessionService");
+const {
+  login,
+  changePassword,
+  resetPassword,
+} = require("../../src/controllers/authController");
+const { query } = require("../helpers/models");
+const { run } = require("../helpers/handlers");
+
+let settings;
+
+// Owner as loaded from the database, with saves stubbed out
+const loadUser = (fields = {}) => {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Test Owner",
+    email: "owner@example.com",
+    phone: "0712345678",
+    role: "owner",
+    isActive: true,
+    twoFactor: { enabled: false },
+    refreshTokens: [],
+    ...fields,
+  });
+  jest.spyOn(user, "save").mockResolvedValue(user);
+  return user;
+};
+
+const authRequest = (fields = {}) => ({
+  params: {},
+  body: {},
+  headers: {},
+  ip: "127.0.0.1",
+  get: () => "jest",
+  ...fields,
+});
+
+beforeEach(() => {
+  // Owners must pass a second step, with codes sent by SMS
+  settings = new Settings({
+    business: { name: "Mama Njeri Shop" },
+    security: {
+      twoFactorAuth: {
+        enabled: true,
+        methods: { sms: true },
+        requiredRoles: ["owner"],
+      },
+    },
+  });
+  jest.spyOn(Settings, "getSettings").mockResolvedValue(settings);
+  jest.spyOn(notificationService, "isChannelEnabled").mockReturnValue(true);
+  jest.spyOn(ActivityLog, "log").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("login", () => {
+  test("texts a code to owners who have not enrolled", async () => {
+    const user = loadUser();
+    jest.spyOn(User, "findByCredentials").mockResolvedValue(user);
+    jest
+      .spyOn(notificationService, "sendSms")
+      .mockResolvedValue({ status: "queued" });
+    const start = jest.spyOn(sessionService, "start");
+
+    const { body } = await run(
+      login,
+      authRequest({ body: { email: user.email, password: "Secret123" } })
+    );
+
+    expect(body.data).toMatchObject({ twoFactorRequired: true, method: "sms" });
+    expect(body.data.token).toBeUndefined();
+    expect(start).not.toHaveBeenCalled();
+  });
+
+  test("fails when the code cannot be sent, without offering app setup", async () => {
+    const user = loadUser();
+    jest.spyOn(User, "findByCredentials").mockResolvedValue(user);
+    jest
+      .spyOn(notificationService, "sendSms")
+      .mockResolvedValue({ status: "failed" });
+    const start = jest.spyOn(sessionService, "start");
+
+    const { error } = await run(
+      login,
+      authRequest({ body: { email: user.email, password: "Secret123" } })
+    );
+
+    expect(error.statusCode).toBe(500);
+    expect(error.message).toBe("Verification code could not be sent");
+    expect(user.twoFactor.pending).toBeUndefined();
+    expect(start).not.toHaveBeenCalled();
+  });
+});
+
+describe("resetPassword", () => {
+  test("sets the new password and leaves logging in to the login route", async () => {
+    const user = loadUser({
+      passwordResetToken: "hashed-token",
+      passwordResetExpires: new Date(Date.now() + 60 * 1000),
+    });
+    jest.spyOn(User, "findOne").mockReturnValue(query(user));
+    jest.spyOn(user, "setPassword").mockResolvedValue();
+    const start = jest.spyOn(sessionService, "start");
+
+    const { status, body } = await run(
+      resetPassword,
+      authRequest({
+        params: { token: "reset-token" },
+        body: { password: "NewSecret123" },
+      })
+    );
+
+    expect(status).toBe(200);
+    expect(user.setPassword).toHaveBeenCalledWith("NewSecret123", settings);
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(body.data).toBeUndefined();
+    expect(start).not.toHaveBeenCalled();
+  });
+
+  test("ends every session", async () => {
+    const user = loadUser({ passwordResetToken: "hashed-token" });
+    sessionService.start(user, authRequest(), settings);
+    sessionService.start(user, authRequest(), settings);
+    jest.spyOn(User, "findOne").mockReturnValue(query(user));
+    jest.spyOn(user, "setPassword").mockResolvedValue();
+
+    await run(
+      resetPassword,
+      authRequest({
+        params: { token: "reset-token" },
+        body: { password: "NewSecret123" },
+      })
+    );
+
+    expect(user.refreshTokens).toHaveLength(0);
+  });
+});
+
+describe("changePassword", () => {
+  test("keeps only the new session", async () => {
+    const user = loadUser();
+    const { sessionId: current } = sessionService.start(
+      user,
+      authRequest(),
+      settings
+    );
+    sessionService.start(user, authRequest(), settings);
+    jest.spyOn(User, "findById").mockReturnValue(query(user));
+    jest.spyOn(user, "comparePassword").mockResolvedValue(true);
+    jest.spyOn(user, "setPassword").mockResolvedValue();
+
+    const { status, body } = await run(
+      changePassword,
+      authRequest({
+        user,
+        sessionId: current,
+        body: { currentPassword: "Secret123", newPassword: "NewSecret123" },
+      })
+    );
+
+    expect(status).toBe(200);
+    const { sid } = jwt.decode(body.data.token);
+    expect(sid).not.toBe(current);
+    expect(user.refreshTokens.map((rt) => rt.family)).toEqual([sid]);
+  });
+});
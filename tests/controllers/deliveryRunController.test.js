@@ -0,0 +1,156 @@
+// backend/tests/controllers/deliveryRunController.test.js
+const mongoose = require("mongoose");
+
+// Run transactional work straight away; there is no database in tests
+jest.mock("../../src/utils/transaction", () => ({
+  runInTransaction: (work) => work({ id: "test-session" }),
+}));
+
+const DeliveryRun = require("../../src/models/DeliveryRun");
+const Order = require("../../src/models/Order");
+const Settings = require("../../src/models/Settings");
+const ActivityLog = require("../../src/models/ActivityLog");
+const deliveryProofService = require("../../src/services/deliveryProofService");
+const {
+  recordStopOutcome,
+} = require("../../src/controllers/deliveryRunController");
+const { stubFindById } = require("../helpers/models");
+const { run: runHandler } = require("../helpers/handlers");
+
+const riderId = new mongoose.Types.ObjectId();
+
+let order;
+let run;
+
+// Order out with the rider, 1,200 to collect in cash
+const loadOrder = (fields = {}) => {
+  const order = Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-0001",
+    status: "out_for_delivery",
+    customerInfo: { name: "Jane Wanjiku", phone: "0712345678" },
+    items: [],
+    delivery: { type: "delivery", scheduledDate: new Date("2026-10-19") },
+    totals: { total: 1200 },
+    payment: { method: "cash", status: "pending", transactions: [] },
+    statusHistory: [],
+    metadata: { notificationsSent: [] },
+    ...fields,
+  });
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  jest.spyOn(order, "notifyStatusChange").mockResolvedValue();
+  return order;
+};
+
+const loadRun = () => {
+  const run = DeliveryRun.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    runNumber: "RUN26100001",
+    rider: riderId,
+    status: "in_progress",
+    stops: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        order: order._id,
+        orderNumber: order.orderNumber,
+        sequence: 1,
+        amountToCollect: 1200,
+        status: "pending",
+        collected: { amount: 0 },
+      },
+    ],
+    reconciliation: { status: "pending", expectedCash: 0 },
+    createdBy: riderId,
+  });
+  jest.spyOn(run, "save").mockResolvedValue(run);
+  return run;
+};
+
+const outcomeRequest = (body, user = { _id: riderId }) => ({
+  params: { id: run._id.toString(), stopId: run.stops[0]._id.toString() },
+  body,
+  user,
+  ip: "127.0.0.1",
+  get: () => "jest",
+});
+
+beforeEach(() => {
+  order = loadOrder();
+  run = loadRun();
+  stubFindById(Order, order);
+  stubFindById(DeliveryRun, run);
+  jest.spyOn(Settings, "getSettings").mockResolvedValue(new Settings());
+  jest.spyOn(ActivityLog, "log").mockResolvedValue();
+  jest.spyOn(deliveryProofService, "readUpload").mockReturnValue({});
+  jest
+    .spyOn(deliveryProofService, "store")
+    .mockResolvedValue({ photo: { key: "ORD-0001-photo.jpg" } });
+  jest.spyOn(deliveryProofService, "discard").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("recordStopOutcome", () => {
+  test("a failed stop fails the order and completes the run", async () => {
+    const { status, body } = await runHandler(
+      recordStopOutcome,
+      outcomeRequest({ status: "failed", notes: "Gate locked" })
+    );
+
+    expect(status).toBe(200);
+    expect(body.message).toBe("Stop marked failed");
+    expect(order.status).toBe("failed");
+    expect(order.statusHistory.at(-1).notes).toBe("Gate locked");
+    expect(run.stops[0].status).toBe("failed");
+    expect(run.status).toBe("completed");
+    expect(deliveryProofService.store).not.toHaveBeenCalled();
+    expect(order.notifyStatusChange).toHaveBeenCalled();
+  });
+
+  test("a rescheduled stop moves the order's delivery date", async () => {
+    const rescheduledTo = new Date("2026-10-21T09:00:00Z");
+
+    await runHandler(
+      recordStopOutcome,
+      outcomeRequest({ status: "rescheduled", rescheduledTo })
+    );
+
+    expect(order.status).toBe("failed");
+    expect(order.statusHistory.at(-1).notes).toBe(
+      `Rescheduled to ${rescheduledTo.toDateString()}`
+    );
+    expect(order.delivery.scheduledDate).toEqual(rescheduledTo);
+    expect(run.stops[0]).toMatchObject({ status: "rescheduled" });
+    expect(run.stops[0].rescheduledTo).toEqual(rescheduledTo);
+  });
+
+  test("refuses a part payment from a walk-in customer and drops the proof", async () => {
+    const { error } = await runHandler(
+      recordStopOutcome,
+      outcomeRequest({ status: "delivered", amountCollected: 500 })
+    );
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/ORD-0001 has no customer account/);
+    expect(deliveryProofService.discard).toHaveBeenCalledWith({
+      photo: { key: "ORD-0001-photo.jpg" },
+    });
+    expect(order.payment.transactions).toHaveLength(0);
+    expect(run.stops[0].status).toBe("pending");
+  });
+
+  test("riders cannot update another rider's run", async () => {
+    const { error } = await runHandler(
+      recordStopOutcome,
+      outcomeRequest(
+        { status: "failed" },
+        { _id: new mongoose.Types.ObjectId() }
+      )
+    );
+
+    expect(error.statusCode).toBe(404);
+    expect(order.status).toBe("out_for_delivery");
+  });
+});
@@ -0,0 +1,93 @@
+// backend/tests/controllers/notificationController.test.js
+const config = require("../../src/config/app");
+const notificationService = require("../../src/services/notificationService");
+const {
+  handleProviderCallback,
+  verifyWhatsappWebhook,
+} = require("../../src/controllers/notificationController");
+const { run } = require("../helpers/handlers");
+
+const { callbackToken } = config.notifications;
+
+const callbackRequest = (token) => ({
+  params: { provider: "twilio" },
+  query: token === undefined ? {} : { token },
+  body: { MessageSid: "SM123", MessageStatus: "delivered" },
+});
+
+beforeEach(() => {
+  jest.spyOn(notificationService, "handleCallback").mockResolvedValue(1);
+});
+
+afterEach(() => {
+  config.notifications.callbackToken = callbackToken;
+  jest.restoreAllMocks();
+});
+
+describe("handleProviderCallback", () => {
+  test("applies delivery reports that carry the shared token", async () => {
+    config.notifications.callbackToken = "callback-secret";
+
+    const { status, body } = await run(
+      handleProviderCallback,
+      callbackRequest("callback-secret")
+    );
+
+    expect(status).toBe(200);
+    expect(body.updated).toBe(1);
+    expect(notificationService.handleCallback).toHaveBeenCalledWith(
+      "twilio",
+      expect.objectContaining({ MessageSid: "SM123" })
+    );
+  });
+
+  test("rejects a wrong or missing token", async () => {
+    config.notifications.callbackToken = "callback-secret";
+
+    const wrong = await run(handleProviderCallback, callbackRequest("guess"));
+    const missing = await run(handleProviderCallback, callbackRequest());
+
+    expect(wrong.error.statusCode).toBe(401);
+    expect(missing.error.statusCode).toBe(401);
+    expect(notificationService.handleCallback).not.toHaveBeenCalled();
+  });
+
+  test("stays closed when no token is configured", async () => {
+    config.notifications.callbackToken = undefined;
+
+    const { error } = await run(handleProviderCallback, callbackRequest(""));
+
+    expect(error.statusCode).toBe(401);
+    expect(notificationService.handleCallback).not.toHaveBeenCalled();
+  });
+});
+
+describe("verifyWhatsappWebhook", () => {
+  const subscribeRequest = (token) => ({
+    query: {
+      "hub.mode": "subscribe",
+      "hub.verify_token": token,
+      "hub.challenge": "challenge-42",
+    },
+  });
+
+  test("echoes the challenge for the shared token", async () => {
+    config.notifications.callbackToken = "callback-secret";
+
+    const { status, body } = await run(
+      verifyWhatsappWebhook,
+      subscribeRequest("callback-secret")
+    );
+
+    expect(status).toBe(200);
+    expect(body).toBe("challenge-42");
+  });
+
+  test("refuses verification when no token is configured", async () => {
+    config.notifications.callbackToken = undefined;
+
+    const { status } = await run(verifyWhatsappWebhook, subscribeRequest());
+
+    expect(status).toBe(403);
+  });
+});
@@ -0,0 +1,261 @@
+// backend/tests/controllers/orderController.test.js
+const { Readable } = require("stream");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+// Run transactional work straight away; there is no database in tests
+jest.mock("../../src/utils/transaction", () => ({
+  runInTransaction: (work) => work({ id: "test-session" }),
+}));
+
+const Order = require("../../src/models/Order");
+const DeliveryRun = require("../../src/models/DeliveryRun");
+const Product = require("../../src/models/Product");
+const Settings = require("../../src/models/Settings");
+const ActivityLog = require("../../src/models/ActivityLog");
+const deliveryProofService = require("../../src/services/deliveryProofService");
+const {
+  updateOrder,
+  cancelOrder,
+  getDeliveryProof,
+} = require("../../src/controllers/orderController");
+const { errorHandler } = require("../../src/middleware/errorHandler");
+const { loadProduct, query, stubFindById } = require("../helpers/models");
+const { run } = require("../helpers/handlers");
+
+const userId = new mongoose.Types.ObjectId();
+
+let product;
+
+// Order holding three units of the product at MAIN, as loaded from the database
+const loadOrder = (status) => {
+  const order = Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-0001",
+    status,
+    customerInfo: { name: "Jane Wanjiku", phone: "0712345678" },
+    items: [
+      {
+        product: product._id,
+        productName: product.name,
+        quantity: 3,
+        unitPrice: 200,
+        subtotal: 600,
+      },
+    ],
+    delivery: {
+      type: "delivery",
+      address: { street: "Moi Avenue", area: "CBD" },
+      scheduledDate: new Date("2026-10-20"),
+      deliveryFee: 150,
+    },
+    totals: { total: 600 },
+    reservation: { status: "reserved" },
+    loyalty: { pointsRedeemed: 0, pointsRestored: 0 },
+    statusHistory: [],
+    metadata: { location: "MAIN", notificationsSent: [] },
+  });
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  jest.spyOn(order, "notifyStatusChange").mockResolvedValue();
+  stubFindById(Order, order);
+  return order;
+};
+
+const cancelRequest = (order) => ({
+  params: { id: order._id.toString() },
+  body: { reason: "Customer changed their mind" },
+  user: { _id: userId },
+  ip: "127.0.0.1",
+  get: () => "jest",
+});
+
+beforeEach(() => {
+  product = loadProduct({
+    inventory: { reservedStock: 3 },
+    stockByLocation: [{ location: "MAIN", quantity: 10, reserved: 3 }],
+  });
+  stubFindById(Product, product);
+  jest.spyOn(DeliveryRun, "findActiveForOrders").mockReturnValue(query([]));
+  jest.spyOn(Settings, "getSettings").mockResolvedValue(new Settings());
+  jest.spyOn(ActivityLog, "log").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("cancelOrder", () => {
+  test("cancels the order and releases the stock it held", async () => {
+    const order = loadOrder("confirmed");
+
+    const { status, body } = await run(cancelOrder, cancelRequest(order));
+
+    expect(status).toBe(200);
+    expect(body.data.status).toBe("cancelled");
+    expect(order.cancellation).toMatchObject({
+      cancelledBy: userId,
+      reason: "Customer changed their mind",
+    });
+    expect(order.statusHistory.at(-1).status).toBe("cancelled");
+    expect(order.reservation.status).toBe("released");
+    expect(product.inventory.reservedStock).toBe(0);
+    expect(product.getLocationEntry("MAIN").reserved).toBe(0);
+    expect(ActivityLog.log).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "order.cancelled" })
+    );
+  });
+
+  test("follows the status rules", async () => {
+    const order = loadOrder("out_for_delivery");
+
+    const { error } = await run(cancelOrder, cancelRequest(order));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe(
+      "Cannot change status from out_for_delivery to cancelled"
+    );
+    expect(order.save).not.toHaveBeenCalled();
+    expect(product.inventory.reservedStock).toBe(3);
+  });
+
+  test("refuses orders on an active delivery run", async () => {
+    const order = loadOrder("ready");
+    DeliveryRun.findActiveForOrders.mockReturnValue(
+      query([{ runNumber: "RUN-0001" }])
+    );
+
+    const { error } = await run(cancelOrder, cancelRequest(order));
+
+    expect(DeliveryRun.findActiveForOrders).toHaveBeenCalledWith([order._id]);
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/delivery run RUN-0001/);
+    expect(order.status).toBe("ready");
+    expect(product.inventory.reservedStock).toBe(3);
+  });
+});
+
+describe("updateOrder", () => {
+  const updateRequest = (order, body) => ({
+    params: { id: order._id.toString() },
+    body,
+    user: { _id: userId },
+    ip: "127.0.0.1",
+    get: () => "jest",
+  });
+
+  test("changes where and when to deliver", async () => {
+    const order = loadOrder("confirmed");
+    const scheduledDate = new Date("2026-10-22");
+
+    const { status } = await run(
+      updateOrder,
+      updateRequest(order, {
+        delivery: {
+          address: { street: "Argwings Kodhek Road", area: "Kilimani" },
+          scheduledDate,
+          scheduledTime: "evening",
+        },
+        notes: { customer: "Call on arrival" },
+      })
+    );
+
+    expect(status).toBe(200);
+    expect(order.delivery).toMatchObject({
+      type: "delivery",
+      address: { street: "Argwings Kodhek Road", area: "Kilimani" },
+      scheduledDate,
+      scheduledTime: "evening",
+      deliveryFee: 150,
+    });
+    expect(order.notes.customer).toBe("Call on arrival");
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  test("leaves the delivery type, fee and proof alone", async () => {
+    const order = loadOrder("out_for_delivery");
+    const photo = new mongoose.Types.ObjectId();
+
+    await run(
+      updateOrder,
+      updateRequest(order, {
+        delivery: {
+          type: "pickup",
+          deliveryFee: 0,
+          photo,
+          signature: photo,
+          recipientName: "Someone else",
+        },
+      })
+    );
+
+    expect(order.delivery.type).toBe("delivery");
+    expect(order.delivery.deliveryFee).toBe(150);
+    expect(order.delivery.photo).toBeUndefined();
+    expect(order.delivery.signature).toBeUndefined();
+    expect(order.delivery.recipientName).toBeUndefined();
+    expect(order.delivery.address.street).toBe("Moi Avenue");
+  });
+});
+
+describe("getDeliveryProof", () => {
+  const app = express();
+  app.get("/orders/:id/proof/:type", getDeliveryProof);
+  app.use(errorHandler);
+
+  // GridFS download stand-in, announcing the file before its data
+  const download = (buffer, mimeType) =>
+    new Readable({
+      read() {
+        this.emit("file", { length: buffer.length, metadata: { mimeType } });
+        this.push(buffer);
+        this.push(null);
+      },
+    });
+
+  test("streams the stored image privately", async () => {
+    const order = loadOrder("delivered");
+    order.delivery.signature = new mongoose.Types.ObjectId();
+    const png = Buffer.from("signature image");
+    jest
+      .spyOn(deliveryProofService, "open")
+      .mockReturnValue(download(png, "image/png"));
+
+    const res = await request(app).get(`/orders/${order._id}/proof/signature`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("image/png");
+    expect(res.headers["cache-control"]).toBe("private, max-age=3600");
+    expect(res.body).toEqual(png);
+    expect(deliveryProofService.open).toHaveBeenCalledWith(
+      order.delivery.signature
+    );
+  });
+
+  test("is not found when no proof was captured", async () => {
+    const order = loadOrder("delivered");
+    const open = jest.spyOn(deliveryProofService, "open");
+
+    const res = await request(app).get(`/orders/${order._id}/proof/photo`);
+
+    expect(res.status).toBe(404);
+    expect(open).not.toHaveBeenCalled();
+  });
+
+  test("is not found when the image is missing from storage", async () => {
+    const order = loadOrder("delivered");
+    order.delivery.photo = new mongoose.Types.ObjectId();
+    jest.spyOn(deliveryProofService, "open").mockReturnValue(
+      new Readable({
+        read() {
+          this.destroy(new Error("FileNotFound"));
+        },
+      })
+    );
+
+    const res = await request(app).get(`/orders/${order._id}/proof/photo`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe("Proof of delivery not found");
+  });
+});
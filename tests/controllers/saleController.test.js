@@ -0,0 +1,468 @@
+// backend/tests/controllers/saleController.test.js
+const mongoose = require("mongoose");
+
+// Run transactional work straight away; there is no database in tests
+jest.mock("../../src/utils/transaction", () => ({
+  runInTransaction: (work) => work({ id: "test-session" }),
+}));
+
+const Sale = require("../../src/models/Sale");
+const Product = require("../../src/models/Product");
+const Customer = require("../../src/models/Customer");
+const LoyaltyTransaction = require("../../src/models/LoyaltyTransaction");
+const Settings = require("../../src/models/Settings");
+const ActivityLog = require("../../src/models/ActivityLog");
+const { activityLogger } = require("../../src/middleware/logger");
+const { saleValidations } = require("../../src/middleware/validation");
+const {
+  refundSale,
+  syncSales,
+} = require("../../src/controllers/saleController");
+const { loadProduct, query, stubFindById } = require("../helpers/models");
+const { run } = require("../helpers/handlers");
+
+const userId = new mongoose.Types.ObjectId();
+
+let product;
+
+const refundRequest = (sale, quantity) => ({
+  params: { id: sale._id.toString() },
+  body: {
+    items: [{ productId: product._id.toString(), quantity }],
+    reason: "Damaged packaging",
+  },
+  user: { _id: userId },
+  ip: "127.0.0.1",
+  get: () => "jest",
+});
+
+// Paid sale of two units at 500 each (cost 300), as loaded from the database
+const loadSale = (fields = {}) => {
+  const sale = Sale.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    receiptNumber: "RCP-0001",
+    status: "completed",
+    items: [
+      {
+        product: product._id,
+        productName: product.name,
+        quantity: 2,
+        unitPrice: 500,
+        unitCost: 300,
+        subtotal: 1000,
+        lots: [],
+      },
+    ],
+    totals: { subtotal: 1000, total: 1000, cost: 600 },
+    payment: { method: "cash", status: "paid", totalPaid: 1000 },
+    loyalty: {
+      pointsEarned: 0,
+      pointsRedeemed: 0,
+      pointsReversed: 0,
+      pointsRestored: 0,
+    },
+    metadata: { location: "MAIN" },
+    ...fields,
+  });
+  jest.spyOn(sale, "save").mockResolvedValue(sale);
+  jest.spyOn(Sale, "findById").mockReturnValue(query(sale));
+  return sale;
+};
+
+// Customer with a loyalty balance and `owed` on account for the sale
+const loadCustomer = ({ owed = 0, points = 0 } = {}) => {
+  const customer = Customer.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Wanjiku",
+    phone: "0712345678",
+    credit: {
+      isEnabled: true,
+      limit: 5000,
+      used: owed,
+      transactions: owed
+        ? [{ type: "credit", amount: owed, reference: "RCP-0001" }]
+        : [],
+    },
+    statistics: { totalSpent: 1000, totalOrders: 1, averageOrderValue: 1000 },
+    loyalty: { points },
+  });
+  jest.spyOn(customer, "save").mockResolvedValue(customer);
+  jest.spyOn(Customer, "findById").mockReturnValue(query(customer));
+  return customer;
+};
+
+beforeEach(() => {
+  product = loadProduct({
+    name: "Cooking Oil 1L",
+    inventory: { currentStock: 8, averageCost: 300 },
+    pricing: { cost: 300, sellingPrice: 500 },
+  });
+  stubFindById(Product, product);
+  jest
+    .spyOn(Settings, "getSettings")
+    .mockResolvedValue({ getDefaultLocation: () => "MAIN" });
+  jest.spyOn(ActivityLog, "log").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("refundSale", () => {
+  test("a full refund returns the stock at the cost it was sold at", async () => {
+    const sale = loadSale();
+
+    const { status, body } = await run(refundSale, refundRequest(sale, 2));
+
+    expect(status).toBe(200);
+    expect(body.data.status).toBe("refunded");
+    expect(sale.refundInfo.totalRefunded).toBe(1000);
+    expect(sale.refundInfo.totalCost).toBe(600);
+
+    expect(product.inventory.currentStock).toBe(10);
+    expect(product.stockMovements.at(-1)).toMatchObject({
+      type: "return",
+      quantity: 2,
+      reference: "RCP-0001",
+      unitCost: 300,
+    });
+    expect(ActivityLog.log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "sale.refunded",
+        details: expect.objectContaining({ refundAmount: 1000 }),
+      })
+    );
+  });
+
+  test("repeated partial refunds add up and stop at the quantity sold", async () => {
+    const sale = loadSale();
+
+    const first = await run(refundSale, refundRequest(sale, 1));
+    expect(first.body.data.status).toBe("partial_refund");
+    expect(sale.refundInfo.totalRefunded).toBe(500);
+
+    const second = await run(refundSale, refundRequest(sale, 1));
+    expect(second.body.data.status).toBe("refunded");
+    expect(sale.items[0].refundedQuantity).toBe(2);
+    expect(sale.refundInfo.totalRefunded).toBe(1000);
+    expect(sale.refundInfo.totalCost).toBe(600);
+    expect(sale.refundInfo.refundedItems).toHaveLength(2);
+    expect(ActivityLog.log).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        details: expect.objectContaining({ refundAmount: 500 }),
+      })
+    );
+
+    const third = await run(refundSale, refundRequest(sale, 2));
+    expect(third.error.statusCode).toBe(400);
+    expect(third.error.message).toBe("Sale is already fully refunded");
+    expect(product.inventory.currentStock).toBe(10);
+  });
+
+  test("rejects refunding units that were already refunded", async () => {
+    const sale = loadSale();
+    await run(refundSale, refundRequest(sale, 1));
+
+    const { error } = await run(refundSale, refundRequest(sale, 2));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe(
+      "Cannot refund more than sold quantity. Refundable: 1"
+    );
+    expect(product.inventory.currentStock).toBe(9);
+  });
+
+  test("rejects refunding more than was sold", async () => {
+    const sale = loadSale();
+
+    const { error } = await run(refundSale, refundRequest(sale, 3));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe(
+      "Cannot refund more than sold quantity. Refundable: 2"
+    );
+    expect(product.inventory.currentStock).toBe(8);
+  });
+
+  test("rejects refunds on voided sales", async () => {
+    const sale = loadSale({ status: "voided" });
+
+    const { error } = await run(refundSale, refundRequest(sale, 1));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe("Cannot refund a voided sale");
+  });
+
+  test("returns 404 for an unknown sale", async () => {
+    const sale = loadSale();
+    Sale.findById.mockReturnValue(query(null));
+
+    const { error } = await run(refundSale, refundRequest(sale, 1));
+
+    expect(error.statusCode).toBe(404);
+  });
+});
+
+describe("refundSale loyalty", () => {
+  let ledger;
+
+  // Sale that earned 10 points and used 20 points towards its price
+  const loadLoyaltySale = (customer) =>
+    loadSale({
+      customer: customer._id,
+      loyalty: {
+        pointsEarned: 10,
+        pointsRedeemed: 20,
+        pointsReversed: 0,
+        pointsRestored: 0,
+      },
+    });
+
+  beforeEach(() => {
+    ledger = jest
+      .spyOn(LoyaltyTransaction, "create")
+      .mockImplementation(async ([entry]) => [entry]);
+  });
+
+  test("a partial refund restores and takes back its share of the points", async () => {
+    const customer = loadCustomer({ points: 40 });
+    const sale = loadLoyaltySale(customer);
+
+    await run(refundSale, refundRequest(sale, 1));
+
+    expect(sale.loyalty.pointsRestored).toBe(10);
+    expect(sale.loyalty.pointsReversed).toBe(5);
+    expect(customer.loyalty.points).toBe(45);
+    expect(ledger.mock.calls.map(([[entry]]) => entry.points)).toEqual([
+      10, -5,
+    ]);
+    expect(ledger.mock.calls[0][0][0]).toMatchObject({
+      type: "reversed",
+      reference: "RCP-0001",
+      reason: "Refund: Damaged packaging",
+    });
+  });
+
+  test("the last refund settles whatever points are left", async () => {
+    const customer = loadCustomer({ points: 40 });
+    const sale = loadLoyaltySale(customer);
+
+    await run(refundSale, refundRequest(sale, 1));
+    await run(refundSale, refundRequest(sale, 1));
+
+    expect(sale.loyalty.pointsRestored).toBe(20);
+    expect(sale.loyalty.pointsReversed).toBe(10);
+    expect(customer.loyalty.points).toBe(50);
+  });
+
+  test("points the customer has already spent are not taken back", async () => {
+    const customer = loadCustomer({ points: 0 });
+    const sale = loadLoyaltySale(customer);
+    sale.loyalty.pointsRedeemed = 0;
+
+    await run(refundSale, refundRequest(sale, 2));
+
+    expect(sale.loyalty.pointsReversed).toBe(0);
+    expect(customer.loyalty.points).toBe(0);
+    expect(ledger).not.toHaveBeenCalled();
+  });
+});
+
+describe("refundSale credit", () => {
+  // Sale of 1000 on account, of which `paid` was paid at the till
+  const loadCreditSale = (customer, paid = 0) =>
+    loadSale({
+      customer: customer._id,
+      payment: {
+        method: paid < 1000 ? "credit" : "cash",
+        status: paid >= 1000 ? "paid" : paid > 0 ? "partial" : "pending",
+        totalPaid: paid,
+        credit: { amount: 1000 - paid, paid: 0 },
+      },
+    });
+
+  test("a full refund clears what the customer owes", async () => {
+    const customer = loadCustomer({ owed: 1000 });
+    const sale = loadCreditSale(customer);
+
+    const { status } = await run(refundSale, refundRequest(sale, 2));
+
+    expect(status).toBe(200);
+    expect(customer.credit.used).toBe(0);
+    expect(customer.credit.transactions.at(-1)).toMatchObject({
+      type: "adjustment",
+      amount: -1000,
+      reference: "RCP-0001",
+    });
+    expect(sale.payment.credit.paid).toBe(1000);
+    expect(customer.statistics.totalSpent).toBe(0);
+  });
+
+  test("each partial refund only takes its own amount off the account", async () => {
+    const customer = loadCustomer({ owed: 1000 });
+    const sale = loadCreditSale(customer);
+
+    await run(refundSale, refundRequest(sale, 1));
+    expect(customer.credit.used).toBe(500);
+    expect(sale.payment.credit.paid).toBe(500);
+
+    await run(refundSale, refundRequest(sale, 1));
+    expect(customer.credit.used).toBe(0);
+    expect(sale.payment.credit.paid).toBe(1000);
+  });
+
+  test("refunds beyond the unpaid credit are not taken off the account twice", async () => {
+    const customer = loadCustomer({ owed: 400 });
+    const sale = loadCreditSale(customer, 600);
+
+    await run(refundSale, refundRequest(sale, 2));
+
+    expect(customer.credit.used).toBe(0);
+    expect(customer.credit.transactions.at(-1).amount).toBe(-400);
+    expect(sale.payment.credit.paid).toBe(400);
+  });
+
+  test("a paid sale leaves the customer's account alone", async () => {
+    const customer = loadCustomer();
+    const sale = loadCreditSale(customer, 1000);
+
+    const { status } = await run(refundSale, refundRequest(sale, 2));
+
+    expect(status).toBe(200);
+    expect(customer.credit.transactions).toHaveLength(0);
+  });
+
+  test("a rejected refund leaves the account alone", async () => {
+    const customer = loadCustomer({ owed: 1000 });
+    const sale = loadCreditSale(customer);
+
+    const { error } = await run(refundSale, refundRequest(sale, 3));
+
+    expect(error.statusCode).toBe(400);
+    expect(customer.credit.used).toBe(1000);
+    expect(customer.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("syncSales", () => {
+  const offlineId = "3f1c2b1e-8f4a-4d8e-9a53-0c6f1b2d7e90";
+  let saved;
+
+  const offlineSale = (fields = {}) => ({
+    offlineId,
+    capturedAt: "2026-10-18T09:15:00.000Z",
+    items: [{ product: product._id.toString(), quantity: 3 }],
+    payment: { method: "cash", totalPaid: 1500 },
+    ...fields,
+  });
+
+  const syncRequest = (sales) => ({
+    body: { sales, device: "till-2" },
+    user: { _id: userId, name: "Till operator" },
+    ip: "127.0.0.1",
+    get: () => "jest",
+  });
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(Settings, "getSettings").mockResolvedValue({
+      getDefaultLocation: () => null,
+      resolveLocation: () => null,
+      inventory: { valuationMethod: "weighted_average" },
+      sales: { tax: { enabled: false }, payment: { creditTerms: {} } },
+      features: { loyalty: { enabled: false } },
+    });
+    jest.spyOn(Sale, "findOne").mockReturnValue(query(null));
+    // Stands in for the receipt number and totals hooks
+    jest.spyOn(Sale.prototype, "save").mockImplementation(async function () {
+      if (!this.receiptNumber) {
+        saved.push(this);
+        this.receiptNumber = `RCP-${saved.length}`;
+      }
+      this.totals.total = this.items.reduce(
+        (sum, item) => sum + item.unitPrice * item.quantity,
+        0
+      );
+      return this;
+    });
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => ({
+        inventory: {
+          currentStock:
+            product.inventory.currentStock +
+            update.$inc["inventory.currentStock"],
+        },
+      }));
+    jest.spyOn(activityLogger, "logSale").mockImplementation(() => {});
+  });
+
+  test("records offline sales with the time and till they were captured on", async () => {
+    const { body } = await run(syncSales, syncRequest([offlineSale()]));
+
+    expect(body.data.summary).toMatchObject({ total: 1, created: 1 });
+    expect(body.data.results[0]).toMatchObject({
+      offlineId,
+      status: "created",
+      receiptNumber: "RCP-1",
+      total: 1500,
+    });
+    expect(saved[0].metadata).toMatchObject({ offlineId, device: "till-2" });
+    expect(saved[0].createdAt).toEqual(new Date("2026-10-18T09:15:00.000Z"));
+    expect(product.inventory.currentStock).toBe(5);
+  });
+
+  test("a sale that was already synced returns its first receipt", async () => {
+    const existing = Sale.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      receiptNumber: "RCP-0042",
+    });
+    Sale.findOne.mockReturnValue(query(existing));
+
+    const { body } = await run(syncSales, syncRequest([offlineSale()]));
+
+    expect(body.data.results[0]).toMatchObject({
+      status: "duplicate",
+      receiptNumber: "RCP-0042",
+    });
+    expect(saved).toHaveLength(0);
+    expect(product.inventory.currentStock).toBe(8);
+  });
+
+  test("replays in capture order and reports sales the stock cannot cover", async () => {
+    const later = offlineSale({
+      offlineId: "9b2e4c1a-1d3f-4a6b-8c7d-2e5f9a0b1c3d",
+      capturedAt: "2026-10-18T11:00:00.000Z",
+      items: [{ product: product._id.toString(), quantity: 6 }],
+    });
+
+    const { body } = await run(syncSales, syncRequest([later, offlineSale()]));
+
+    expect(body.data.results.map((result) => result.status)).toEqual([
+      "created",
+      "conflict",
+    ]);
+    expect(body.data.results[1].shortages[0]).toMatchObject({
+      requested: 6,
+      available: 5,
+    });
+    expect(body.message).toBe("1 of 2 offline sales synced");
+  });
+
+  test("offline IDs must be UUIDs from the till", async () => {
+    const req = { body: { sales: [offlineSale({ offlineId: "sale-1" })] } };
+    const [handleErrors, ...chains] = [...saleValidations.sync].reverse();
+    for (const chain of chains) {
+      await chain.run(req);
+    }
+
+    const { status, body } = await run(handleErrors, req);
+
+    expect(status).toBe(400);
+    expect(body.errors).toEqual([
+      expect.objectContaining({
+        message: "Offline ID must be a UUID generated by the till",
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+// backend/tests/helpers/handlers.js
+
+/**
+ * Call an Express handler and wait for its response or error
+ * @param {Function} handler - Route handler or middleware
+ * @param {Object} req - Request stand-in
+ * @returns {Promise<Object>} { status, body } on a response, { error } when
+ *   the handler passes an error on, or { next: true } when it calls next()
+ */
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        Object.assign(
+          this.headers,
+          typeof name === "object" ? name : { [name]: value }
+        );
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+      send(body) {
+        resolve({ status: this.statusCode, body, headers: this.headers });
+        return this;
+      },
+    };
+    handler(req, res, (error) => resolve(error ? { error } : { next: true }));
+  });
+
+module.exports = {
+  run,
+};
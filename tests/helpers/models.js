@@ -0,0 +1,87 @@
+// backend/tests/helpers/models.js
+const mongoose = require("mongoose");
+const Product = require("../../src/models/Product");
+
+// Stands in for the transaction session passed down by runInTransaction
+const session = { id: "test-session" };
+
+/**
+ * Product as loaded from the database, with saves stubbed out
+ * @param {Object} fields - Fields to override; inventory and pricing are
+ *   merged into the defaults
+ * @returns {Product}
+ */
+const loadProduct = ({ inventory = {}, pricing = {}, ...fields } = {}) => {
+  const product = Product.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Maize Flour 2kg",
+    sku: "MF-2KG",
+    category: new mongoose.Types.ObjectId(),
+    unit: "piece",
+    pricing: { cost: 150, sellingPrice: 200, discount: 0, tax: 16, ...pricing },
+    inventory: {
+      currentStock: 10,
+      minStock: 2,
+      reservedStock: 0,
+      trackInventory: true,
+      allowBackorder: false,
+      averageCost: 150,
+      ...inventory,
+    },
+    stockByLocation: [],
+    costLayers: [],
+    lots: [],
+    stockMovements: [],
+    costHistory: [],
+    performance: { totalSold: 0, totalRevenue: 0, averageDailySales: 0 },
+    metadata: { createdBy: new mongoose.Types.ObjectId() },
+    ...fields,
+  });
+  jest.spyOn(product, "save").mockResolvedValue(product);
+  return product;
+};
+
+/**
+ * Query stand-in that resolves to a result and, like a real query, joins
+ * returned documents to the session it is given
+ * @param {Document|Array|null} result - What the query finds
+ * @returns {Object} Chainable, awaitable query
+ */
+const query = (result) => ({
+  session(clientSession) {
+    for (const doc of [].concat(result || [])) {
+      if (clientSession && doc.$session) doc.$session(clientSession);
+    }
+    return this;
+  },
+  select() {
+    return this;
+  },
+  populate() {
+    return this;
+  },
+  sort() {
+    return this;
+  },
+  lean() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  },
+});
+
+// Stub Model.findById to find among the given documents
+const stubFindById = (Model, ...docs) =>
+  jest
+    .spyOn(Model, "findById")
+    .mockImplementation((id) =>
+      query(docs.find((doc) => doc._id.equals(id)) || null)
+    );
+
+module.exports = {
+  session,
+  loadProduct,
+  query,
+  stubFindById,
+};
@@ -0,0 +1,304 @@
+// backend/tests/middleware/auth.test.js
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const config = require("../../src/config/app");
+const ApiKey = require("../../src/models/ApiKey");
+const User = require("../../src/models/User");
+const Settings = require("../../src/models/Settings");
+const ActivityLog = require("../../src/models/ActivityLog");
+const sessionService = require("../../src/services/sessionService");
+const {
+  authenticateOrApiKey,
+  authorize,
+  checkPermission,
+  verifyCronSecret,
+  verifyRefreshToken,
+} = require("../../src/middleware/auth");
+
+const owner = new User({
+  name: "Shop Owner",
+  email: "owner@example.com",
+  phone: "0712345678",
+  role: "owner",
+});
+
+const makeKey = (fields = {}) => {
+  const apiKey = new ApiKey({
+    name: "Online shop",
+    prefix: "jsf_12345678",
+    keyHash: "hash",
+    createdBy: owner._id,
+    scopes: { products: { read: true }, orders: { create: true } },
+    ...fields,
+  });
+  jest.spyOn(apiKey, "recordUse").mockResolvedValue();
+  return apiKey;
+};
+
+// Routes guarded the same way as the real route modules
+const app = express();
+app.use(express.json());
+app.get(
+  "/products",
+  authenticateOrApiKey,
+  checkPermission("products", "read"),
+  (req, res) => res.json({ success: true, apiKey: Boolean(req.apiKey) })
+);
+app.delete(
+  "/products/:id",
+  authenticateOrApiKey,
+  checkPermission("products", "delete"),
+  (req, res) => res.json({ success: true })
+);
+app.post(
+  "/orders",
+  authenticateOrApiKey,
+  checkPermission("orders", "create"),
+  (req, res) => res.json({ success: true })
+);
+app.get("/users", authenticateOrApiKey, authorize("owner"), (req, res) =>
+  res.json({ success: true })
+);
+app.post("/jobs/payment-reminders", verifyCronSecret, (req, res) =>
+  res.json({ success: true })
+);
+app.post("/auth/refresh", verifyRefreshToken, (req, res) =>
+  res.json({ success: true })
+);
+
+beforeEach(() => {
+  jest.spyOn(ActivityLog, "log").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("API key scopes", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockResolvedValue(owner);
+  });
+
+  test("reaches routes the key is scoped for, acting as its creator", async () => {
+    const apiKey = makeKey();
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(apiKey);
+
+    const res = await request(app).get("/products").set("X-API-Key", "jsf_k");
+
+    expect(res.status).toBe(200);
+    expect(res.body.apiKey).toBe(true);
+    expect(User.findOne).toHaveBeenCalledWith({
+      _id: owner._id,
+      isActive: true,
+    });
+    expect(apiKey.recordUse).toHaveBeenCalled();
+  });
+
+  test("is refused actions outside its scopes, even for an owner", async () => {
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(makeKey());
+
+    const res = await request(app)
+      .delete("/products/1")
+      .set("X-API-Key", "jsf_k");
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("API key is not allowed to delete products");
+  });
+
+  test("scopes are per resource", async () => {
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(makeKey());
+
+    const res = await request(app).post("/orders").set("X-API-Key", "jsf_k");
+
+    expect(res.status).toBe(200);
+  });
+
+  test("cannot reach role-guarded routes", async () => {
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(makeKey());
+
+    const res = await request(app).get("/users").set("X-API-Key", "jsf_k");
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("This endpoint is not available to API keys");
+  });
+
+  test.each([
+    ["revoked", { revokedAt: new Date() }],
+    ["expired", { expiresAt: new Date(Date.now() - 1000) }],
+  ])("rejects %s keys", async (status, fields) => {
+    const apiKey = makeKey(fields);
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(apiKey);
+
+    const res = await request(app).get("/products").set("X-API-Key", "jsf_k");
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe(`API key ${status}`);
+    expect(apiKey.recordUse).not.toHaveBeenCalled();
+  });
+
+  test("rejects unknown keys", async () => {
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(null);
+
+    const res = await request(app).get("/products").set("X-API-Key", "jsf_x");
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe("Invalid API key");
+  });
+
+  test("rejects keys whose creator is no longer active", async () => {
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(makeKey());
+    User.findOne.mockResolvedValue(null);
+
+    const res = await request(app).get("/products").set("X-API-Key", "jsf_k");
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe("API key owner is inactive");
+  });
+
+  test("an access token takes precedence over a key", async () => {
+    const findByKey = jest.spyOn(ApiKey, "findByKey");
+
+    const res = await request(app)
+      .get("/products")
+      .set("X-API-Key", "jsf_k")
+      .set("Authorization", "Bearer not-a-token");
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Please authenticate");
+    expect(findByKey).not.toHaveBeenCalled();
+  });
+
+  test("only records use for requests within the key's rate limit", async () => {
+    const apiKey = makeKey({ rateLimit: 1 });
+    jest.spyOn(ApiKey, "findByKey").mockResolvedValue(apiKey);
+
+    const first = await request(app).get("/products").set("X-API-Key", "jsf_k");
+    const second = await request(app)
+      .get("/products")
+      .set("X-API-Key", "jsf_k");
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+    expect(apiKey.recordUse).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("verifyCronSecret", () => {
+  const cronSecret = config.jobs.cronSecret;
+
+  afterEach(() => {
+    config.jobs.cronSecret = cronSecret;
+  });
+
+  test("lets the scheduler in with the shared secret", async () => {
+    config.jobs.cronSecret = "cron-secret";
+
+    const res = await request(app)
+      .post("/jobs/payment-reminders")
+      .set("Authorization", "Bearer cron-secret");
+
+    expect(res.status).toBe(200);
+  });
+
+  test("rejects a wrong or missing secret", async () => {
+    config.jobs.cronSecret = "cron-secret";
+
+    const wrong = await request(app)
+      .post("/jobs/payment-reminders")
+      .set("Authorization", "Bearer guess");
+    const missing = await request(app).post("/jobs/payment-reminders");
+
+    expect(wrong.status).toBe(401);
+    expect(missing.status).toBe(401);
+  });
+
+  test("stays closed when no secret is configured", async () => {
+    config.jobs.cronSecret = undefined;
+
+    const res = await request(app)
+      .post("/jobs/payment-reminders")
+      .set("Authorization", "Bearer ");
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Invalid job credentials");
+  });
+});
+
+describe("verifyRefreshToken", () => {
+  const settings = {
+    security: { sessionTimeout: 60 },
+    getLocations: () => [],
+  };
+  const req = { ip: "10.0.0.5", body: {}, get: () => "jest" };
+
+  const makeUser = () => {
+    const user = new User({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Till Operator",
+      email: "operator@example.com",
+      phone: "0712345678",
+      role: "operator",
+    });
+    jest.spyOn(user, "save").mockResolvedValue(user);
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+    jest.spyOn(Settings, "getSettings").mockResolvedValue(settings);
+    return user;
+  };
+
+  test("accepts the current refresh token", async () => {
+    const user = makeUser();
+    const { refreshToken } = sessionService.start(user, req, settings);
+
+    const res = await request(app).post("/auth/refresh").send({ refreshToken });
+
+    expect(res.status).toBe(200);
+  });
+
+  test("ends the session when a rotated-out token is replayed", async () => {
+    const user = makeUser();
+    const { refreshToken, sessionId } = sessionService.start(
+      user,
+      req,
+      settings
+    );
+    const rotated = sessionService.rotate(user, user.refreshTokens[0], req);
+
+    const replay = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe(
+      "Refresh token reuse detected. Please login again."
+    );
+    expect(sessionService.findSession(user, sessionId)).toBeUndefined();
+    expect(user.save).toHaveBeenCalled();
+
+    // The token issued when the session was rotated stops working too
+    const next = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: rotated.refreshToken });
+
+    expect(next.status).toBe(401);
+    expect(next.body.error).toBe("Invalid refresh token");
+  });
+
+  test("ends sessions left idle past the timeout", async () => {
+    const user = makeUser();
+    const { refreshToken, sessionId } = sessionService.start(
+      user,
+      req,
+      settings
+    );
+    user.refreshTokens[0].lastUsedAt = new Date(
+      Date.now() - 2 * 60 * 60 * 1000
+    );
+
+    const res = await request(app).post("/auth/refresh").send({ refreshToken });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe("Session timed out. Please login again.");
+    expect(sessionService.findSession(user, sessionId)).toBeUndefined();
+  });
+});
@@ -0,0 +1,238 @@
+// backend/tests/models/DeliveryRun.test.js
+const mongoose = require("mongoose");
+const DeliveryRun = require("../../src/models/DeliveryRun");
+
+const userId = new mongoose.Types.ObjectId();
+
+// The shop in Nairobi CBD
+const SHOP = [36.8219, -1.2921];
+
+// Run as loaded from the database, with saves stubbed out: Westlands pays
+// 1,200 cash, Kilimani pays 800 by M-Pesa and Ngong Road is on account
+const loadRun = (status = "in_progress") => {
+  const run = DeliveryRun.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    runNumber: "RUN26100001",
+    rider: userId,
+    status,
+    stops: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        order: new mongoose.Types.ObjectId(),
+        orderNumber: "ORD-0001",
+        sequence: 1,
+        distanceKm: 3.4,
+        amountToCollect: 1200,
+        status: "pending",
+        collected: { amount: 0 },
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        order: new mongoose.Types.ObjectId(),
+        orderNumber: "ORD-0002",
+        sequence: 2,
+        distanceKm: 2.1,
+        amountToCollect: 800,
+        status: "pending",
+        collected: { amount: 0 },
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        order: new mongoose.Types.ObjectId(),
+        orderNumber: "ORD-0003",
+        sequence: 3,
+        distanceKm: 1.5,
+        amountToCollect: 0,
+        status: "pending",
+        collected: { amount: 0 },
+      },
+    ],
+    reconciliation: { status: "pending", expectedCash: 0 },
+    createdBy: userId,
+  });
+  jest.spyOn(run, "save").mockResolvedValue(run);
+  return run;
+};
+
+// Deliver every stop: cash at the first, M-Pesa at the second, and the
+// third fails
+const deliverAll = async (run) => {
+  const [westlands, kilimani, ngongRoad] = run.stops;
+  await run.recordStopOutcome(westlands._id, {
+    status: "delivered",
+    collected: { amount: 1200, method: "cash" },
+  });
+  await run.recordStopOutcome(kilimani._id, {
+    status: "delivered",
+    collected: { amount: 800, method: "mpesa", reference: "SJK4H7XQ2P" },
+  });
+  await run.recordStopOutcome(ngongRoad._id, {
+    status: "failed",
+    notes: "Customer not home",
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("orderStops", () => {
+  test("visits the nearest stop next, starting from the shop", () => {
+    const stops = DeliveryRun.orderStops(SHOP, [
+      { orderNumber: "Karen", coordinates: [36.7073, -1.3192] },
+      { orderNumber: "Upper Hill", coordinates: [36.8148, -1.2995] },
+      { orderNumber: "No pin" },
+      { orderNumber: "Lang'ata", coordinates: [36.7645, -1.3135] },
+    ]);
+
+    expect(
+      stops.map(({ orderNumber, sequence }) => [sequence, orderNumber])
+    ).toEqual([
+      [1, "Upper Hill"],
+      [2, "Lang'ata"],
+      [3, "Karen"],
+      [4, "No pin"],
+    ]);
+    expect(stops[0].distanceKm).toBeCloseTo(1.12, 1);
+    expect(stops[3].distanceKm).toBeNull();
+  });
+
+  test("keeps the given order when the shop has no coordinates", () => {
+    const stops = DeliveryRun.orderStops(undefined, [
+      { orderNumber: "Karen", coordinates: [36.7073, -1.3192] },
+      { orderNumber: "Upper Hill", coordinates: [36.8148, -1.2995] },
+    ]);
+
+    expect(stops[0]).toMatchObject({
+      orderNumber: "Karen",
+      sequence: 1,
+      distanceKm: null,
+    });
+    expect(stops[1].orderNumber).toBe("Upper Hill");
+  });
+});
+
+describe("start and cancel", () => {
+  test("only planned runs start or are cancelled", async () => {
+    const run = loadRun("planned");
+
+    await run.start();
+
+    expect(run.status).toBe("in_progress");
+    expect(run.startedAt).toBeInstanceOf(Date);
+    await expect(run.start()).rejects.toThrow(
+      "Cannot start a run that is in_progress"
+    );
+    await expect(run.cancel("Rider off sick")).rejects.toThrow(
+      "Cannot cancel a run that is in_progress"
+    );
+  });
+});
+
+describe("recordStopOutcome", () => {
+  test("expects back only the cash collected at the door", async () => {
+    const run = loadRun();
+    const [westlands, kilimani] = run.stops;
+
+    await run.recordStopOutcome(westlands._id, {
+      status: "delivered",
+      collected: { amount: 1200, method: "cash" },
+    });
+    await run.recordStopOutcome(kilimani._id, {
+      status: "delivered",
+      collected: { amount: 800, method: "mpesa" },
+    });
+
+    expect(run.reconciliation.expectedCash).toBe(1200);
+    expect(run.status).toBe("in_progress");
+    expect(run.summary).toMatchObject({
+      stops: 3,
+      pending: 1,
+      delivered: 2,
+      distanceKm: 7,
+      amountToCollect: 2000,
+      collected: 2000,
+    });
+  });
+
+  test("completes the run once every stop has an outcome", async () => {
+    const run = loadRun();
+
+    await deliverAll(run);
+
+    expect(run.status).toBe("completed");
+    expect(run.completedAt).toBeInstanceOf(Date);
+    expect(run.stops[2]).toMatchObject({
+      status: "failed",
+      notes: "Customer not home",
+    });
+  });
+
+  test("records each stop once, on a run that is under way", async () => {
+    const planned = loadRun("planned");
+    await expect(
+      planned.recordStopOutcome(planned.stops[0]._id, { status: "failed" })
+    ).rejects.toThrow("Cannot update stops on a run that is planned");
+
+    const run = loadRun();
+    await run.recordStopOutcome(run.stops[0]._id, { status: "failed" });
+    await expect(
+      run.recordStopOutcome(run.stops[0]._id, { status: "delivered" })
+    ).rejects.toThrow("Stop is already failed");
+    await expect(
+      run.recordStopOutcome(new mongoose.Types.ObjectId(), {
+        status: "failed",
+      })
+    ).rejects.toThrow("Stop not found on this run");
+  });
+});
+
+describe("reconcile", () => {
+  test.each([
+    [1200, "balanced", 0],
+    [1150, "short", -50],
+    [1250.5, "over", 50.5],
+  ])("%d returned is %s", async (cashReturned, status, variance) => {
+    const run = loadRun();
+    await deliverAll(run);
+
+    await run.reconcile(cashReturned, userId, "Counted at close");
+
+    expect(run.reconciliation).toMatchObject({
+      status,
+      variance,
+      expectedCash: 1200,
+      cashReturned,
+      reconciledBy: userId,
+    });
+  });
+
+  test("only reconciles a completed run, and only once", async () => {
+    const run = loadRun();
+    await expect(run.reconcile(0, userId)).rejects.toThrow(
+      "Only completed runs can be reconciled"
+    );
+
+    await deliverAll(run);
+    await run.reconcile(1200, userId);
+
+    await expect(run.reconcile(1200, userId)).rejects.toThrow(
+      "This run has already been reconciled"
+    );
+  });
+});
+
+describe("findActiveForOrders", () => {
+  test("finds open runs where the order is still to be delivered", () => {
+    const orderId = new mongoose.Types.ObjectId();
+
+    const filter = DeliveryRun.findActiveForOrders([orderId]).getFilter();
+
+    expect(filter).toEqual({
+      status: { $in: ["planned", "in_progress"] },
+      stops: {
+        $elemMatch: { order: { $in: [orderId] }, status: "pending" },
+      },
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// backend/tests/models/ImportBatch.test.js
+const mongoose = require("mongoose");
+const ImportBatch = require("../../src/models/ImportBatch");
+const Product = require("../../src/models/Product");
+const { loadProduct, query, stubFindById } = require("../helpers/models");
+
+const userId = new mongoose.Types.ObjectId();
+
+let untouched;
+let sold;
+let updated;
+
+// Import that created two products and raised the cost and price of a third
+const loadBatch = (status = "completed") => {
+  const batch = ImportBatch.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    batchNumber: "IMP-001",
+    status,
+    items: [
+      { product: untouched._id, action: "created", openingStock: 5 },
+      { product: sold._id, action: "created", openingStock: 5 },
+      {
+        product: updated._id,
+        action: "updated",
+        changes: [
+          { field: "pricing.cost", previous: 150, current: 165 },
+          { field: "pricing.sellingPrice", previous: 200, current: 220 },
+        ],
+      },
+    ],
+    importedBy: userId,
+  });
+  jest.spyOn(batch, "save").mockResolvedValue(batch);
+  return batch;
+};
+
+const imported = (fields = {}) =>
+  loadProduct({
+    metadata: { createdBy: userId, importBatch: "IMP-001" },
+    stockMovements: [{ type: "adjustment", quantity: 5, reference: "IMP-001" }],
+    ...fields,
+  });
+
+beforeEach(() => {
+  untouched = imported({ name: "Rice 1kg", sku: "RC-1KG" });
+  sold = imported({ name: "Salt 500g", sku: "SL-500" });
+  sold.stockMovements.push({ type: "sale", quantity: 1, reference: "RCP-1" });
+  updated = loadProduct({
+    pricing: { cost: 165, sellingPrice: 220 },
+  });
+
+  jest.spyOn(Product, "find").mockReturnValue(query([untouched, sold]));
+  stubFindById(Product, updated);
+  jest.spyOn(untouched, "deleteOne").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("rollback", () => {
+  test("deletes unused products and deactivates ones with later stock movements", async () => {
+    const batch = loadBatch();
+
+    const result = await batch.rollback(userId, "Wrong price list");
+
+    expect(untouched.deleteOne).toHaveBeenCalled();
+    expect(sold.status.isActive).toBe(false);
+    expect(sold.status.reason).toBe("Import IMP-001 rolled back");
+    expect(result).toMatchObject({ deleted: 1, deactivated: 1, restored: 1 });
+    expect(batch.status).toBe("rolled_back");
+    expect(batch.rollbackInfo).toMatchObject({
+      rolledBackBy: userId,
+      reason: "Wrong price list",
+      deleted: 1,
+      deactivated: 1,
+      restored: 1,
+    });
+  });
+
+  test("puts back the values the import overwrote", async () => {
+    await loadBatch().rollback(userId);
+
+    expect(updated.pricing.sellingPrice).toBe(200);
+    expect(updated.pricing.cost).toBe(150);
+    expect(updated.costHistory.at(-1)).toMatchObject({
+      cost: 150,
+      previousCost: 165,
+      source: "import",
+      reference: "IMP-001 rollback",
+    });
+    expect(updated.save).toHaveBeenCalled();
+  });
+
+  test("can only be rolled back once", async () => {
+    await expect(loadBatch("rolled_back").rollback(userId)).rejects.toThrow(
+      "Import has already been rolled back"
+    );
+    expect(untouched.deleteOne).not.toHaveBeenCalled();
+  });
+});
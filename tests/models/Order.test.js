@@ -0,0 +1,110 @@
+// backend/tests/models/Order.test.js
+const mongoose = require("mongoose");
+const Order = require("../../src/models/Order");
+const Customer = require("../../src/models/Customer");
+const Settings = require("../../src/models/Settings");
+const notificationService = require("../../src/services/notificationService");
+const { query } = require("../helpers/models");
+
+const customerId = new mongoose.Types.ObjectId();
+const openingTime = new Date("2026-10-20T05:00:00Z");
+
+let settings;
+
+// Order for a customer who reads Swahili, as loaded from the database
+const loadOrder = (status) => {
+  const order = Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-0001",
+    status,
+    customer: customerId,
+    customerInfo: {
+      name: "Jane Wanjiku",
+      phone: "0712345678",
+      email: "jane@example.com",
+    },
+    delivery: {
+      type: "delivery",
+      scheduledDate: new Date("2026-10-20T09:00:00Z"),
+      scheduledTime: "morning",
+    },
+    totals: { total: 2450 },
+    metadata: { notificationsSent: [] },
+  });
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  return order;
+};
+
+beforeEach(() => {
+  settings = new Settings({ business: { name: "Mama Njeri Shop" } });
+  jest.spyOn(settings, "getQuietHoursEnd").mockReturnValue(openingTime);
+  jest.spyOn(Settings, "getSettings").mockResolvedValue(settings);
+  jest.spyOn(Customer, "findById").mockReturnValue(
+    query(
+      Customer.hydrate({
+        _id: customerId,
+        preferences: { language: "sw", communication: { email: false } },
+      })
+    )
+  );
+  jest.spyOn(notificationService, "isChannelEnabled").mockReturnValue(true);
+  jest.spyOn(notificationService, "send").mockImplementation(async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    status: "queued",
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("notifyStatusChange", () => {
+  test("texts the customer in their language, held until opening time", async () => {
+    const order = loadOrder("ready");
+
+    await order.notifyStatusChange();
+
+    expect(notificationService.send).toHaveBeenCalledTimes(1);
+    expect(notificationService.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        channel: "sms",
+        to: "0712345678",
+        sendAt: openingTime,
+        message: expect.stringMatching(
+          /^Habari Jane Wanjiku, oda yako ORD-0001 iko tayari\. Jumla: KES 2,450\.00/
+        ),
+      })
+    );
+    expect(order.metadata.notificationsSent[0]).toMatchObject({
+      type: "sms",
+      status: "queued",
+    });
+  });
+
+  test("uses the general status text for statuses without their own", async () => {
+    const order = loadOrder("out_for_delivery");
+
+    await order.notifyStatusChange();
+
+    expect(notificationService.send.mock.calls[0][0].message).toContain(
+      "iko njiani"
+    );
+  });
+
+  test("sends straight away when quiet hours are not respected", async () => {
+    settings.orders.statusNotifications.respectQuietHours = false;
+
+    await loadOrder("ready").notifyStatusChange();
+
+    expect(notificationService.send.mock.calls[0][0].sendAt).toBeNull();
+  });
+
+  test("stays silent for statuses the business does not notify", async () => {
+    await loadOrder("processing").notifyStatusChange();
+
+    settings.orders.statusNotifications.enabled = false;
+    await loadOrder("ready").notifyStatusChange();
+
+    expect(notificationService.send).not.toHaveBeenCalled();
+  });
+});
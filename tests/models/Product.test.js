@@ -0,0 +1,411 @@
+// backend/tests/models/Product.test.js
+const mongoose = require("mongoose");
+const Product = require("../../src/models/Product");
+const { session, loadProduct } = require("../helpers/models");
+
+const userId = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("updateCost", () => {
+  test("records each change of cost price with its source", () => {
+    const product = loadProduct();
+
+    product.updateCost(160, "purchase", "PO2610000001", userId);
+
+    expect(product.pricing.cost).toBe(160);
+    expect(product.costHistory[0]).toMatchObject({
+      cost: 160,
+      previousCost: 150,
+      source: "purchase",
+      reference: "PO2610000001",
+    });
+  });
+
+  test("ignores a cost that has not changed", () => {
+    const product = loadProduct();
+
+    product.updateCost(150, "manual", null, userId);
+
+    expect(product.costHistory).toHaveLength(0);
+  });
+
+  test("keeps the last 50 changes", () => {
+    const product = loadProduct();
+
+    for (let cost = 1; cost <= 55; cost++) {
+      product.updateCost(cost, "manual", null, userId);
+    }
+
+    expect(product.costHistory).toHaveLength(50);
+    expect(product.costHistory[0].cost).toBe(6);
+  });
+
+  test("profit margin is the markup on the cost price", () => {
+    const product = loadProduct();
+
+    expect(product.profitMargin).toBe("33.33");
+  });
+});
+
+describe("sales", () => {
+  test("record the cost of the units sold on the movement", async () => {
+    const product = loadProduct();
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { currentStock: 7 } });
+
+    await product.updateStock(3, "sale", "RCP-1", userId, "Sale", { session });
+
+    const movement = product.stockMovements.at(-1);
+    expect(movement.unitCost).toBe(150);
+    expect(product.performance.totalSold).toBe(3);
+  });
+});
+
+describe("valuation", () => {
+  // 10 units on hand at 150, then 10 received at 180
+  const receiveAt180 = async (product) => {
+    await product.updateStock(10, "purchase", "PO-1", userId, "Delivery", {
+      unitCost: 180,
+      session,
+    });
+  };
+
+  test("receipts move the weighted average and open a cost layer", async () => {
+    const product = loadProduct();
+
+    await receiveAt180(product);
+
+    expect(product.inventory.averageCost).toBe(165);
+    expect(product.costLayers.map((layer) => layer.toObject())).toEqual([
+      expect.objectContaining({
+        quantity: 10,
+        unitCost: 150,
+        reference: "OPENING",
+      }),
+      expect.objectContaining({
+        quantity: 10,
+        unitCost: 180,
+        reference: "PO-1",
+      }),
+    ]);
+    expect(product.getStockValue("weighted_average")).toBe(3300);
+    expect(product.getStockValue("fifo")).toBe(3300);
+  });
+
+  test("FIFO issues the oldest layers first", async () => {
+    const product = loadProduct();
+    await receiveAt180(product);
+
+    expect(product.getIssueCost(15, "fifo")).toBe(160);
+    expect(product.getIssueCost(15, "weighted_average")).toBe(165);
+
+    // Quoting a cost does not consume the layers
+    expect(product.costLayers).toHaveLength(2);
+  });
+
+  test("sales consume layers oldest first and value what is left", async () => {
+    const product = loadProduct();
+    await receiveAt180(product);
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { currentStock: 5 } });
+
+    await product.updateStock(15, "sale", "RCP-1", userId, "Sale", {
+      session,
+    });
+
+    expect(product.stockMovements.at(-1).unitCost).toBe(160);
+    expect(product.costLayers).toHaveLength(1);
+    expect(product.costLayers[0]).toMatchObject({ quantity: 5, unitCost: 180 });
+    expect(product.getStockValue("fifo")).toBe(900);
+    expect(product.getStockValue("weighted_average")).toBe(825);
+  });
+
+  test("units beyond the layers are costed at the average", () => {
+    const product = loadProduct({ inventory: { currentStock: 0 } });
+    product.inventory.averageCost = 170;
+
+    expect(product.consumeCostLayers(4)).toBe(170);
+  });
+
+  test("returns come back at the cost they left at", async () => {
+    const product = loadProduct();
+
+    await product.updateStock(2, "return", "RCP-1", userId, "Refund", {
+      unitCost: 120,
+      session,
+    });
+
+    expect(product.costLayers.at(-1)).toMatchObject({
+      quantity: 2,
+      unitCost: 120,
+    });
+    expect(product.inventory.averageCost).toBe(145);
+  });
+});
+
+describe("lots", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const inDays = (days) => new Date(Date.now() + days * DAY);
+
+  // 10 units in three batches; B-2 expires first, B-3 has no expiry date
+  const loadPerishable = () =>
+    loadProduct({
+      lots: [
+        { batchNumber: "B-1", expiryDate: inDays(30), quantity: 4 },
+        { batchNumber: "B-2", expiryDate: inDays(5), quantity: 3 },
+        { batchNumber: "B-3", quantity: 3 },
+      ],
+    });
+
+  test("sales take the earliest expiry first and no-expiry lots last", async () => {
+    const product = loadPerishable();
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { currentStock: 2 } });
+
+    await product.updateStock(8, "sale", "RCP-1", userId, "Sale", {
+      session,
+    });
+
+    expect(
+      product.stockMovements.at(-1).lots.map(({ batchNumber, quantity }) => ({
+        batchNumber,
+        quantity,
+      }))
+    ).toEqual([
+      { batchNumber: "B-2", quantity: 3 },
+      { batchNumber: "B-1", quantity: 4 },
+      { batchNumber: "B-3", quantity: 1 },
+    ]);
+    expect(product.lots).toHaveLength(1);
+    expect(product.lots[0]).toMatchObject({ batchNumber: "B-3", quantity: 2 });
+  });
+
+  test("a named batch is taken on its own", () => {
+    const product = loadPerishable();
+
+    expect(product.consumeLots(2, "B-1")).toEqual([
+      expect.objectContaining({ batchNumber: "B-1", quantity: 2 }),
+    ]);
+    expect(() => product.consumeLots(5, "B-1")).toThrow(
+      "Insufficient stock in batch B-1"
+    );
+    expect(() => product.consumeLots(1, "B-9")).toThrow("Batch B-9 not found");
+  });
+
+  test("deliveries of a known batch are merged into it", async () => {
+    const product = loadPerishable();
+
+    await product.updateStock(6, "purchase", "PO-2", userId, "Delivery", {
+      batchNumber: "B-1",
+      expiryDate: inDays(40),
+      session,
+    });
+    await product.updateStock(2, "purchase", "PO-3", userId, "Delivery", {
+      batchNumber: "B-4",
+      expiryDate: inDays(60),
+      session,
+    });
+
+    expect(product.lots.find((lot) => lot.batchNumber === "B-1").quantity).toBe(
+      10
+    );
+    expect(product.lots.at(-1)).toMatchObject({
+      batchNumber: "B-4",
+      quantity: 2,
+      reference: "PO-3",
+    });
+  });
+
+  test("lists lots expiring within a window", () => {
+    const product = loadPerishable();
+
+    expect(product.getExpiringLots(7).map((lot) => lot.batchNumber)).toEqual([
+      "B-2",
+    ]);
+    expect(product.getExpiringLots(31)).toHaveLength(2);
+  });
+
+  test("writes off expired lots as damaged stock", async () => {
+    const product = loadPerishable();
+    product.lots[1].expiryDate = inDays(-1);
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { currentStock: 7 } });
+
+    const expired = await product.writeOffExpiredLots(userId, { session });
+
+    expect(expired).toEqual([
+      expect.objectContaining({ batchNumber: "B-2", quantity: 3 }),
+    ]);
+    expect(product.stockMovements.at(-1)).toMatchObject({
+      type: "damage",
+      quantity: 3,
+      reference: "B-2",
+    });
+    expect(product.lots.map((lot) => lot.batchNumber)).toEqual(["B-1", "B-3"]);
+  });
+});
+
+describe("reserveStock", () => {
+  test("claims units with a conditional increment of reservedStock", async () => {
+    const product = loadProduct();
+    const claim = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { reservedStock: 4 } });
+
+    await product.reserveStock(4, { session });
+
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter._id).toEqual(product._id);
+    expect(filter.$expr.$gte[1]).toBe(4);
+    expect(update).toEqual({ $inc: { "inventory.reservedStock": 4 } });
+    expect(options.session).toBe(session);
+
+    expect(product.inventory.reservedStock).toBe(4);
+    expect(product.inventory.currentStock).toBe(10);
+    expect(product.getAvailableStock()).toBe(6);
+    expect(product.save).toHaveBeenCalled();
+  });
+
+  test("takes the reserved total from the database, not the loaded copy", async () => {
+    const product = loadProduct({ inventory: { reservedStock: 1 } });
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { reservedStock: 7 } });
+
+    await product.reserveStock(2, { session });
+
+    expect(product.inventory.reservedStock).toBe(7);
+  });
+
+  test("fails when another order claimed the stock first", async () => {
+    const product = loadProduct();
+    jest.spyOn(Product, "findOneAndUpdate").mockResolvedValue(null);
+
+    await expect(product.reserveStock(4, { session })).rejects.toThrow(
+      "Insufficient stock for Maize Flour 2kg"
+    );
+    expect(product.save).not.toHaveBeenCalled();
+  });
+
+  test("refuses more than the unreserved stock without asking the database", async () => {
+    const product = loadProduct({ inventory: { reservedStock: 8 } });
+    const claim = jest.spyOn(Product, "findOneAndUpdate");
+
+    await expect(product.reserveStock(3, { session })).rejects.toThrow(
+      "Available: 2"
+    );
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test("holds stock at the order's branch", async () => {
+    const product = loadProduct();
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { reservedStock: 3 } });
+
+    await product.reserveStock(3, {
+      location: "MAIN",
+      defaultLocation: "MAIN",
+      session,
+    });
+
+    expect(product.getLocationEntry("MAIN").reserved).toBe(3);
+    expect(product.getAvailableStock("MAIN", "MAIN")).toBe(7);
+  });
+
+  test("backorder products are reserved without a claim", async () => {
+    const product = loadProduct({
+      inventory: { currentStock: 0, allowBackorder: true },
+    });
+    const claim = jest.spyOn(Product, "findOneAndUpdate");
+
+    await product.reserveStock(5, { session });
+
+    expect(claim).not.toHaveBeenCalled();
+    expect(product.inventory.reservedStock).toBe(5);
+  });
+});
+
+describe("releaseStock", () => {
+  test("gives back held units without going below zero", async () => {
+    const product = loadProduct({
+      inventory: { reservedStock: 2 },
+      stockByLocation: [{ location: "MAIN", quantity: 10, reserved: 2 }],
+    });
+
+    await product.releaseStock(5, { location: "MAIN", session });
+
+    expect(product.inventory.reservedStock).toBe(0);
+    expect(product.getLocationEntry("MAIN").reserved).toBe(0);
+  });
+});
+
+describe("updateStock", () => {
+  test("must run inside a transaction", async () => {
+    const product = loadProduct();
+
+    await expect(
+      product.updateStock(1, "sale", "RCP-1", userId, "Sale")
+    ).rejects.toThrow("Stock changes must run inside a transaction");
+  });
+
+  test("claims sold units with a conditional decrement", async () => {
+    const product = loadProduct();
+    const claim = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { currentStock: 7 } });
+
+    await product.updateStock(3, "sale", "RCP-1", userId, "Sale", { session });
+
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter["inventory.currentStock"]).toEqual({ $gte: 3 });
+    expect(update).toEqual({ $inc: { "inventory.currentStock": -3 } });
+    expect(options.session).toBe(session);
+
+    const movement = product.stockMovements.at(-1);
+    expect(product.inventory.currentStock).toBe(7);
+    expect(movement.previousStock).toBe(10);
+    expect(movement.newStock).toBe(7);
+  });
+
+  test("records the stock the claim saw when another till sold in between", async () => {
+    const product = loadProduct();
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValue({ inventory: { currentStock: 4 } });
+
+    await product.updateStock(3, "sale", "RCP-2", userId, "Sale", { session });
+
+    expect(product.inventory.currentStock).toBe(4);
+    expect(product.stockMovements.at(-1).previousStock).toBe(7);
+  });
+
+  test("fails when the last units were sold elsewhere", async () => {
+    const product = loadProduct();
+    jest.spyOn(Product, "findOneAndUpdate").mockResolvedValue(null);
+
+    await expect(
+      product.updateStock(3, "sale", "RCP-3", userId, "Sale", { session })
+    ).rejects.toThrow("Insufficient stock");
+    expect(product.save).not.toHaveBeenCalled();
+  });
+
+  test("backorder products sell past zero without a claim", async () => {
+    const product = loadProduct({
+      inventory: { currentStock: 1, allowBackorder: true },
+    });
+    const claim = jest.spyOn(Product, "findOneAndUpdate");
+
+    await product.updateStock(3, "sale", "RCP-4", userId, "Sale", { session });
+
+    expect(claim).not.toHaveBeenCalled();
+    expect(product.inventory.currentStock).toBe(-2);
+  });
+});
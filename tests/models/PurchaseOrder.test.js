@@ -0,0 +1,215 @@
+// backend/tests/models/PurchaseOrder.test.js
+const mongoose = require("mongoose");
+const PurchaseOrder = require("../../src/models/PurchaseOrder");
+const Product = require("../../src/models/Product");
+const Supplier = require("../../src/models/Supplier");
+const {
+  session,
+  loadProduct,
+  query,
+  stubFindById,
+} = require("../helpers/models");
+
+const userId = new mongoose.Types.ObjectId();
+
+let flour;
+let oil;
+let supplier;
+
+// Purchase order for 10 flour at 140 and 6 oil at 300, as loaded in a
+// transaction
+const loadOrder = (status = "sent") => {
+  const order = PurchaseOrder.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    poNumber: "PO2610000001",
+    supplier: supplier._id,
+    supplierInfo: { name: "Unga Distributors", contact: "0722000000" },
+    status,
+    items: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        product: flour._id,
+        productName: flour.name,
+        quantityOrdered: 10,
+        quantityReceived: 0,
+        unitCost: 140,
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        product: oil._id,
+        productName: oil.name,
+        quantityOrdered: 6,
+        quantityReceived: 0,
+        unitCost: 300,
+      },
+    ],
+    statusHistory: [],
+    receipts: [],
+    totals: { subtotal: 3200, tax: 0, total: 3200, received: 0 },
+  });
+  order.$session(session);
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  return order;
+};
+
+beforeEach(() => {
+  flour = loadProduct({ inventory: { currentStock: 0, averageCost: 0 } });
+  oil = loadProduct({
+    name: "Cooking Oil 1L",
+    sku: "OIL-1L",
+    pricing: { cost: 280, sellingPrice: 350 },
+    inventory: { currentStock: 4, averageCost: 280 },
+  });
+
+  supplier = Supplier.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Unga Distributors",
+    statistics: { totalOrders: 1, totalSpent: 0 },
+  });
+  jest.spyOn(supplier, "save").mockResolvedValue(supplier);
+
+  stubFindById(Product, flour, oil);
+  jest.spyOn(Supplier, "findById").mockReturnValue(query(supplier));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("receive", () => {
+  test("a partial delivery adds stock at the delivered cost", async () => {
+    const order = loadOrder();
+
+    await order.receive(
+      [{ itemId: order.items[1]._id.toString(), quantity: 4, unitCost: 320 }],
+      userId,
+      { reference: "DN-881" }
+    );
+
+    expect(order.status).toBe("partially_received");
+    expect(order.items[1].quantityReceived).toBe(4);
+    expect(order.receipts[0]).toMatchObject({ reference: "DN-881" });
+
+    expect(oil.inventory.currentStock).toBe(8);
+    expect(oil.inventory.averageCost).toBe(300);
+    expect(oil.pricing.cost).toBe(320);
+    expect(oil.costHistory[0]).toMatchObject({
+      cost: 320,
+      previousCost: 280,
+      source: "purchase",
+      reference: "PO2610000001",
+    });
+    expect(oil.supplier.name).toBe("Unga Distributors");
+
+    expect(supplier.statistics.totalSpent).toBe(1280);
+  });
+
+  test("the last delivery marks the order received", async () => {
+    const order = loadOrder();
+
+    await order.receive(
+      [
+        { product: flour._id.toString(), quantity: 10 },
+        { product: oil._id.toString(), quantity: 6 },
+      ],
+      userId
+    );
+
+    expect(order.status).toBe("received");
+    expect(order.receivedAt).toBeInstanceOf(Date);
+    expect(flour.inventory.currentStock).toBe(10);
+    expect(flour.inventory.averageCost).toBe(140);
+    expect(supplier.statistics.totalSpent).toBe(3200);
+  });
+
+  test("records batches and expiry dates on the stock received", async () => {
+    const order = loadOrder();
+    const expiryDate = new Date("2027-03-31");
+
+    await order.receive(
+      [
+        {
+          product: flour._id.toString(),
+          quantity: 5,
+          batchNumber: "B-17",
+          expiryDate,
+        },
+      ],
+      userId
+    );
+
+    expect(flour.lots).toHaveLength(1);
+    expect(flour.lots[0]).toMatchObject({ batchNumber: "B-17", quantity: 5 });
+    expect(order.receipts[0].items[0].batchNumber).toBe("B-17");
+  });
+
+  test("rejects more than is outstanding before touching any stock", async () => {
+    const order = loadOrder();
+    order.items[1].quantityReceived = 4;
+
+    await expect(
+      order.receive(
+        [
+          { product: flour._id.toString(), quantity: 10 },
+          { product: oil._id.toString(), quantity: 3 },
+        ],
+        userId
+      )
+    ).rejects.toThrow("Cannot receive 3 of Cooking Oil 1L. Outstanding: 2");
+
+    expect(flour.inventory.currentStock).toBe(0);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test("rejects lines that are not on the order", async () => {
+    const order = loadOrder();
+    const stranger = new mongoose.Types.ObjectId().toString();
+
+    await expect(
+      order.receive([{ product: stranger, quantity: 1 }], userId)
+    ).rejects.toThrow(`Item ${stranger} not found on PO2610000001`);
+  });
+
+  test("rejects a delivery with nothing in it", async () => {
+    const order = loadOrder();
+
+    await expect(
+      order.receive([{ product: flour._id.toString(), quantity: 0 }], userId)
+    ).rejects.toThrow("No quantities to receive");
+  });
+
+  test.each(["draft", "received", "closed", "cancelled"])(
+    "cannot receive against a %s order",
+    async (status) => {
+      const order = loadOrder(status);
+
+      await expect(
+        order.receive([{ product: flour._id.toString(), quantity: 1 }], userId)
+      ).rejects.toThrow(`Cannot receive against a ${status} purchase order`);
+    }
+  );
+});
+
+describe("status changes", () => {
+  test("only drafts can be sent", async () => {
+    const draft = loadOrder("draft");
+    await draft.send(userId);
+    expect(draft.status).toBe("sent");
+    expect(draft.sentAt).toBeInstanceOf(Date);
+
+    await expect(loadOrder("sent").send(userId)).rejects.toThrow(
+      "Cannot send a purchase order that is sent"
+    );
+  });
+
+  test("orders with deliveries cannot be cancelled, only closed", async () => {
+    const order = loadOrder("partially_received");
+
+    await expect(order.cancel(userId, "Supplier out of stock")).rejects.toThrow(
+      "Cannot cancel a partially_received purchase order"
+    );
+
+    await order.close(userId, "Rest not coming");
+    expect(order.status).toBe("closed");
+  });
+});
@@ -0,0 +1,193 @@
+// backend/tests/models/Settings.test.js
+const config = require("../../src/config/app");
+const Settings = require("../../src/models/Settings");
+
+const { timezone } = config.app;
+
+beforeAll(() => {
+  config.app.timezone = "Africa/Nairobi";
+});
+
+afterAll(() => {
+  config.app.timezone = timezone;
+});
+
+describe("getQuietHoursEnd", () => {
+  // Open 08:00-20:00 Monday to Saturday, closed on Sunday (Nairobi, UTC+3)
+  const weekdays = { open: "08:00", close: "20:00" };
+  const settings = new Settings({
+    business: {
+      name: "Mama Njeri Shop",
+      operatingHours: {
+        monday: weekdays,
+        tuesday: weekdays,
+        wednesday: weekdays,
+        thursday: weekdays,
+        friday: weekdays,
+        saturday: weekdays,
+        sunday: { isClosed: true },
+      },
+    },
+  });
+
+  test("is null while the business is open", () => {
+    // Monday 10:00 in Nairobi
+    expect(
+      settings.getQuietHoursEnd(new Date("2026-10-19T07:00:00Z"))
+    ).toBeNull();
+  });
+
+  test("holds messages sent before opening until opening time", () => {
+    // Monday 06:30 -> Monday 08:00
+    expect(settings.getQuietHoursEnd(new Date("2026-10-19T03:30:00Z"))).toEqual(
+      new Date("2026-10-19T05:00:00Z")
+    );
+  });
+
+  test("holds messages sent after closing until the next opening", () => {
+    // Monday 21:00 -> Tuesday 08:00
+    expect(settings.getQuietHoursEnd(new Date("2026-10-19T18:00:00Z"))).toEqual(
+      new Date("2026-10-20T05:00:00Z")
+    );
+  });
+
+  test("skips days the business is closed", () => {
+    // Saturday 22:00 -> Monday 08:00
+    expect(settings.getQuietHoursEnd(new Date("2026-10-24T19:00:00Z"))).toEqual(
+      new Date("2026-10-26T05:00:00Z")
+    );
+  });
+
+  test("is null when no operating hours are set", () => {
+    expect(
+      new Settings().getQuietHoursEnd(new Date("2026-10-19T18:00:00Z"))
+    ).toBeNull();
+  });
+});
+
+describe("delivery zones", () => {
+  // CBD is drawn on the map, Westlands is 2km around a point and Kilimani
+  // is matched by area name; Karen is switched off
+  const loadZones = (delivery = {}) =>
+    new Settings({
+      orders: {
+        delivery: {
+          defaultFee: 300,
+          zones: [
+            {
+              name: "CBD",
+              boundary: {
+                type: "polygon",
+                coordinates: [
+                  [36.815, -1.29],
+                  [36.83, -1.29],
+                  [36.83, -1.28],
+                  [36.815, -1.28],
+                ],
+              },
+              fee: 100,
+              estimatedTime: "30 minutes",
+            },
+            {
+              name: "Westlands",
+              boundary: {
+                type: "radius",
+                center: [36.807, -1.265],
+                radiusKm: 2,
+              },
+              fee: 150,
+            },
+            { name: "Kilimani", areas: ["Kilimani", "Yaya"], fee: 200 },
+            { name: "Karen", areas: ["Karen"], fee: 400, isActive: false },
+          ],
+          ...delivery,
+        },
+      },
+    });
+
+  const at = (lng, lat, area) => ({
+    area,
+    location: { type: "Point", coordinates: [lng, lat] },
+  });
+
+  test("matches coordinates inside a drawn boundary", () => {
+    const { zone, matchedBy } = loadZones().findDeliveryZone(
+      at(36.825, -1.288)
+    );
+
+    expect(zone.name).toBe("CBD");
+    expect(matchedBy).toBe("coordinates");
+  });
+
+  test("matches coordinates within a radius", () => {
+    expect(loadZones().findDeliveryZone(at(36.81, -1.27)).zone.name).toBe(
+      "Westlands"
+    );
+  });
+
+  test("falls back to the area name, ignoring case and spaces", () => {
+    const { zone, matchedBy } = loadZones().findDeliveryZone(
+      at(36.7, -1.33, " kilimani ")
+    );
+
+    expect(zone.name).toBe("Kilimani");
+    expect(matchedBy).toBe("area");
+  });
+
+  test("skips inactive zones", () => {
+    expect(loadZones().findDeliveryZone({ area: "Karen" })).toEqual({
+      zone: null,
+      matchedBy: null,
+    });
+  });
+
+  test("quotes the zone fee, or the default fee outside every zone", () => {
+    const settings = loadZones();
+
+    expect(settings.quoteDelivery(at(36.825, -1.288), 1000)).toMatchObject({
+      deliverable: true,
+      fee: 100,
+      estimatedTime: "30 minutes",
+    });
+    expect(settings.quoteDelivery({ area: "Karen" }, 1000)).toMatchObject({
+      deliverable: true,
+      zone: null,
+      fee: 300,
+    });
+  });
+
+  test("refuses addresses outside every zone when restricted", () => {
+    const quote = loadZones({ restrictToZones: true }).quoteDelivery(
+      { area: "Karen" },
+      1000
+    );
+
+    expect(quote.deliverable).toBe(false);
+    expect(quote.fee).toBe(0);
+  });
+
+  test("waives the fee from the free delivery threshold", () => {
+    const settings = loadZones({ freeDeliveryThreshold: 5000 });
+
+    expect(settings.quoteDelivery({ area: "Yaya" }, 3500)).toMatchObject({
+      fee: 200,
+      freeDelivery: false,
+      amountToFreeDelivery: 1500,
+    });
+    expect(settings.quoteDelivery({ area: "Yaya" }, 5000)).toMatchObject({
+      baseFee: 200,
+      fee: 0,
+      freeDelivery: true,
+      amountToFreeDelivery: 0,
+    });
+  });
+
+  test("quotes nothing when delivery is switched off", () => {
+    const quote = loadZones({ enabled: false }).quoteDelivery(
+      { area: "Yaya" },
+      1000
+    );
+
+    expect(quote).toMatchObject({ deliverable: false, zone: null, fee: 0 });
+  });
+});
@@ -0,0 +1,155 @@
+// backend/tests/models/StockTransfer.test.js
+const mongoose = require("mongoose");
+const StockTransfer = require("../../src/models/StockTransfer");
+const Product = require("../../src/models/Product");
+const { session, loadProduct, stubFindById } = require("../helpers/models");
+
+const userId = new mongoose.Types.ObjectId();
+const branches = { defaultLocation: "MAIN" };
+
+let flour;
+
+// Transfer of 4 flour from MAIN to WEST, as loaded in a transaction
+const loadTransfer = (status = "requested", item = {}) => {
+  const transfer = StockTransfer.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    transferNumber: "TRF261000001",
+    fromLocation: "MAIN",
+    toLocation: "WEST",
+    status,
+    items: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        product: flour._id,
+        productName: flour.name,
+        quantityRequested: 4,
+        quantityDispatched: 0,
+        quantityReceived: 0,
+        lots: [],
+        ...item,
+      },
+    ],
+    statusHistory: [],
+    requestedBy: userId,
+  });
+  transfer.$session(session);
+  jest.spyOn(transfer, "save").mockResolvedValue(transfer);
+  return transfer;
+};
+
+// Stand in for the atomic claim on outbound stock
+const stubClaim = () =>
+  jest
+    .spyOn(Product, "findOneAndUpdate")
+    .mockImplementation(async (filter, update) => ({
+      inventory: {
+        currentStock:
+          flour.inventory.currentStock + update.$inc["inventory.currentStock"],
+      },
+    }));
+
+beforeEach(() => {
+  // 10 units from before branches were tracked, so all of them are at MAIN
+  flour = loadProduct();
+  stubFindById(Product, flour);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("dispatch", () => {
+  test("takes the stock out of the source branch at its cost", async () => {
+    stubClaim();
+    const transfer = loadTransfer();
+
+    await transfer.dispatch(userId, branches);
+
+    expect(transfer.status).toBe("dispatched");
+    expect(transfer.items[0]).toMatchObject({
+      quantityDispatched: 4,
+      unitCost: 150,
+    });
+    expect(flour.inventory.currentStock).toBe(6);
+    expect(flour.getLocationStock("MAIN", "MAIN")).toBe(6);
+    expect(flour.getLocationStock("WEST", "MAIN")).toBe(0);
+    expect(flour.stockMovements.at(-1)).toMatchObject({
+      type: "transfer",
+      location: "MAIN",
+      reference: "TRF261000001",
+    });
+  });
+
+  test("rejects more than is available at the source branch", async () => {
+    flour.stockByLocation.push({ location: "MAIN", quantity: 5, reserved: 2 });
+    flour.stockByLocation.push({ location: "WEST", quantity: 5 });
+    const transfer = loadTransfer();
+
+    await expect(transfer.dispatch(userId, branches)).rejects.toThrow(
+      "Insufficient stock for Maize Flour 2kg at MAIN. Available: 3"
+    );
+    expect(flour.save).not.toHaveBeenCalled();
+  });
+
+  test("only requested transfers can be dispatched", async () => {
+    await expect(
+      loadTransfer("dispatched").dispatch(userId, branches)
+    ).rejects.toThrow("Cannot dispatch a transfer that is dispatched");
+  });
+});
+
+describe("receive", () => {
+  test("adds what arrived to the destination and records the shortage", async () => {
+    stubClaim();
+    const transfer = loadTransfer();
+    await transfer.dispatch(userId, branches);
+
+    await transfer.receive(
+      [{ itemId: transfer.items[0]._id.toString(), quantity: 3 }],
+      userId,
+      branches
+    );
+
+    expect(transfer.status).toBe("received");
+    expect(transfer.shortageQuantity).toBe(1);
+    expect(flour.inventory.currentStock).toBe(9);
+    expect(flour.getLocationStock("WEST", "MAIN")).toBe(3);
+    expect(flour.stockMovements.at(-1)).toMatchObject({
+      type: "transfer_in",
+      location: "WEST",
+      unitCost: 150,
+    });
+  });
+
+  test("batches travel with the stock", async () => {
+    stubClaim();
+    const expiryDate = new Date("2027-01-31");
+    flour.lots.push({ batchNumber: "B-7", expiryDate, quantity: 10 });
+    const transfer = loadTransfer();
+    await transfer.dispatch(userId, branches);
+
+    await transfer.receive(null, userId, branches);
+
+    expect(flour.lots).toHaveLength(1);
+    expect(flour.lots[0]).toMatchObject({ batchNumber: "B-7", quantity: 10 });
+    expect(flour.getLocationStock("WEST", "MAIN")).toBe(4);
+  });
+
+  test("rejects more than was dispatched", async () => {
+    const transfer = loadTransfer("dispatched", { quantityDispatched: 4 });
+
+    await expect(
+      transfer.receive(
+        [{ product: flour._id.toString(), quantity: 5 }],
+        userId,
+        branches
+      )
+    ).rejects.toThrow("Cannot receive 5 of Maize Flour 2kg. Dispatched: 4");
+  });
+
+  test("dispatched transfers cannot be cancelled", async () => {
+    await expect(
+      loadTransfer("dispatched").cancel(userId, "Changed plans")
+    ).rejects.toThrow("Cannot cancel a transfer that is dispatched");
+  });
+});
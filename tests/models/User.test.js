@@ -0,0 +1,125 @@
+// backend/tests/models/User.test.js
+const bcrypt = require("bcryptjs");
+const User = require("../../src/models/User");
+const Settings = require("../../src/models/Settings");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeSettings = (passwordPolicy = {}) => {
+  const settings = new Settings();
+  Object.assign(settings.security.passwordPolicy, passwordPolicy);
+  return settings;
+};
+
+// User whose current password and earlier ones are stored as hashes
+const makeUser = async (current, previous = []) => {
+  const user = new User({
+    name: "Test Operator",
+    email: "operator@example.com",
+    phone: "0712345678",
+    role: "operator",
+  });
+  user.password = await bcrypt.hash(current, 4);
+  user.passwordChangedAt = new Date(Date.now() - DAY);
+  user.passwordHistory = await Promise.all(
+    previous.map(async (password) => ({ hash: await bcrypt.hash(password, 4) }))
+  );
+  return user;
+};
+
+describe("password policy", () => {
+  test("lists every rule a password misses", () => {
+    const settings = makeSettings({
+      minLength: 10,
+      requireUppercase: true,
+      requireNumbers: true,
+      requireSpecialChars: true,
+    });
+
+    expect(settings.getPasswordPolicyError("short")).toBe(
+      "Password must be at least 10 characters, contain an uppercase letter, contain a number, contain a special character"
+    );
+    expect(settings.getPasswordPolicyError("Longenough1")).toBe(
+      "Password must contain a special character"
+    );
+    expect(settings.getPasswordPolicyError("Longenough1!")).toBeNull();
+  });
+
+  test("only checks the length by default", () => {
+    const settings = makeSettings();
+
+    expect(settings.getPasswordPolicyError("abcdef")).toBeNull();
+    expect(settings.getPasswordPolicyError("abcde")).toBe(
+      "Password must be at least 6 characters"
+    );
+  });
+
+  test("setPassword rejects passwords that break the policy", async () => {
+    const user = await makeUser("Current1!");
+    const settings = makeSettings({ requireNumbers: true });
+
+    await expect(user.setPassword("nodigits", settings)).rejects.toThrow(
+      "Password must contain a number"
+    );
+  });
+});
+
+describe("password history", () => {
+  test("rejects the current password and recent ones", async () => {
+    const user = await makeUser("Current1!", ["Older1!a", "Older1!b"]);
+    const settings = makeSettings({ historyCount: 3 });
+
+    await expect(user.setPassword("Current1!", settings)).rejects.toThrow(
+      "Password cannot be the same as any of your last 3 passwords"
+    );
+    await expect(user.setPassword("Older1!b", settings)).rejects.toThrow(
+      "last 3 passwords"
+    );
+  });
+
+  test("allows passwords older than the history", async () => {
+    const user = await makeUser("Current1!", ["Older1!a", "Older1!b"]);
+    const settings = makeSettings({ historyCount: 2 });
+
+    await expect(user.setPassword("Older1!b", settings)).resolves.toBe(
+      undefined
+    );
+  });
+
+  test("allows any password when history is off", async () => {
+    const user = await makeUser("Current1!");
+    const settings = makeSettings({ historyCount: 0 });
+
+    await user.setPassword("Current1!", settings);
+
+    expect(user.password).toBe("Current1!");
+    expect(user.passwordHistory).toHaveLength(0);
+  });
+
+  test("keeps the replaced hash and trims the history", async () => {
+    const user = await makeUser("Current1!", ["Older1!a", "Older1!b"]);
+    const currentHash = user.password;
+    const settings = makeSettings({ historyCount: 3 });
+    user.mustChangePassword = true;
+
+    await user.setPassword("Newest1!", settings);
+
+    expect(user.password).toBe("Newest1!");
+    expect(user.mustChangePassword).toBe(false);
+    expect(user.passwordHistory).toHaveLength(2);
+    expect(user.passwordHistory[0].hash).toBe(currentHash);
+  });
+});
+
+describe("password expiry", () => {
+  test("expires passwords older than the policy allows", async () => {
+    const user = await makeUser("Current1!");
+
+    user.passwordChangedAt = new Date(Date.now() - 31 * DAY);
+    expect(user.isPasswordExpired(30)).toBe(true);
+    expect(user.isPasswordExpired(0)).toBe(false);
+
+    user.passwordChangedAt = new Date(Date.now() - 29 * DAY);
+    expect(user.isPasswordExpired(30)).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+// backend/tests/services/deliveryProofService.test.js
+const { Writable } = require("stream");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const deliveryProofService = require("../../src/services/deliveryProofService");
+const { logger } = require("../../src/middleware/logger");
+
+let files;
+let bucket;
+
+// GridFS bucket stand-in keeping uploads in memory
+class FakeBucket {
+  constructor(db, { bucketName }) {
+    bucket = this;
+    this.bucketName = bucketName;
+  }
+
+  openUploadStream(filename, { metadata }) {
+    const id = new mongoose.Types.ObjectId();
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      final(callback) {
+        files.set(id.toString(), {
+          filename,
+          metadata,
+          buffer: Buffer.concat(chunks),
+        });
+        callback();
+      },
+    });
+    stream.id = id;
+    return stream;
+  }
+
+  async delete(id) {
+    if (!files.delete(id.toString())) {
+      throw new Error(`File not found for id ${id}`);
+    }
+  }
+}
+
+const image = (width, height, format) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#2e7d32" },
+  })
+    [format]()
+    .toBuffer();
+
+beforeEach(() => {
+  files = new Map();
+  jest.spyOn(mongoose.mongo, "GridFSBucket", "get").mockReturnValue(FakeBucket);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("readUpload", () => {
+  test("takes the signature from a signature pad data URL", () => {
+    const png = Buffer.from("signature");
+
+    const { signature } = deliveryProofService.readUpload({
+      body: {
+        signature: `data:image/png;base64,${png.toString("base64")}`,
+      },
+    });
+
+    expect(signature).toEqual(png);
+  });
+
+  test("refuses a signature that is not base64", () => {
+    expect(() =>
+      deliveryProofService.readUpload({
+        body: { signature: "<svg onload=alert(1)>" },
+      })
+    ).toThrow("Signature must be a base64 image");
+  });
+});
+
+describe("store", () => {
+  test("saves a resized photo, its thumbnail and the signature in GridFS", async () => {
+    const stored = await deliveryProofService.store("ORD-0001", {
+      photo: await image(3000, 2000, "jpeg"),
+      signature: await image(400, 150, "webp"),
+    });
+
+    expect(bucket.bucketName).toBe("deliveryProof");
+    expect(Object.keys(stored)).toEqual([
+      "photo",
+      "photoThumbnail",
+      "signature",
+    ]);
+
+    const photo = files.get(stored.photo.toString());
+    expect(photo).toMatchObject({
+      filename: "ORD-0001/photo.jpg",
+      metadata: { orderNumber: "ORD-0001", mimeType: "image/jpeg" },
+    });
+    expect(await sharp(photo.buffer).metadata()).toMatchObject({
+      format: "jpeg",
+      width: 1600,
+      height: 1067,
+    });
+
+    const thumbnail = files.get(stored.photoThumbnail.toString());
+    expect((await sharp(thumbnail.buffer).metadata()).width).toBe(320);
+
+    const signature = files.get(stored.signature.toString());
+    expect(signature.metadata.mimeType).toBe("image/png");
+    expect((await sharp(signature.buffer).metadata()).format).toBe("png");
+  });
+
+  test("stores nothing without proof", async () => {
+    await expect(deliveryProofService.store("ORD-0001", {})).resolves.toEqual(
+      {}
+    );
+    expect(files.size).toBe(0);
+  });
+
+  test("refuses an image it cannot read", async () => {
+    await expect(
+      deliveryProofService.store("ORD-0001", {
+        photo: Buffer.from("not an image"),
+      })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/^Proof image could not be processed/),
+    });
+    expect(files.size).toBe(0);
+  });
+
+  test("removes what was saved when an upload fails", async () => {
+    const openUploadStream = FakeBucket.prototype.openUploadStream;
+    jest
+      .spyOn(FakeBucket.prototype, "openUploadStream")
+      .mockImplementation(function (filename, options) {
+        if (filename.endsWith("signature.png")) {
+          throw new Error("connection closed");
+        }
+        return openUploadStream.call(this, filename, options);
+      });
+
+    await expect(
+      deliveryProofService.store("ORD-0001", {
+        photo: await image(800, 600, "jpeg"),
+        signature: await image(400, 150, "png"),
+      })
+    ).rejects.toThrow("connection closed");
+    expect(files.size).toBe(0);
+  });
+});
+
+describe("discard", () => {
+  test("logs images that are already gone and carries on", async () => {
+    const stored = await deliveryProofService.store("ORD-0001", {
+      signature: await image(400, 150, "png"),
+    });
+    jest.spyOn(logger, "warn").mockImplementation(() => {});
+
+    await deliveryProofService.discard({
+      photo: new mongoose.Types.ObjectId(),
+      ...stored,
+    });
+
+    expect(files.size).toBe(0);
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Proof image could not be removed",
+      expect.objectContaining({ error: expect.stringMatching(/not found/) })
+    );
+  });
+});
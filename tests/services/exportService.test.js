@@ -0,0 +1,267 @@
+// backend/tests/services/exportService.test.js
+const mongoose = require("mongoose");
+const exportService = require("../../src/services/exportService");
+const ExportJob = require("../../src/models/ExportJob");
+const ActivityLog = require("../../src/models/ActivityLog");
+const { taskLogger } = require("../../src/middleware/logger");
+const { run } = require("../helpers/handlers");
+
+const userId = new mongoose.Types.ObjectId();
+
+const build = jest.fn();
+
+// Queued job as claimed by a worker
+const claimedJob = (fields = {}) => {
+  const job = ExportJob.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    reportType: "stock-count",
+    format: "csv",
+    filters: {},
+    status: "processing",
+    attempts: 1,
+    requestedBy: userId,
+    ...fields,
+  });
+  jest.spyOn(job, "save").mockResolvedValue(job);
+  jest.spyOn(job, "storeFile").mockImplementation(async function (file) {
+    this.file = { name: file.name, size: file.buffer.length };
+  });
+  return job;
+};
+
+beforeAll(() => {
+  exportService.register("stock-count", {
+    title: "Stock Count",
+    roles: ["owner", "operator"],
+    build,
+    sheets: (products) => [
+      {
+        name: "Stock",
+        columns: [
+          { header: "Product", key: "name" },
+          { header: "Stock", key: "inventory.currentStock", type: "number" },
+          { header: "Value", key: "value", type: "currency" },
+          { header: "Tags", key: "tags" },
+        ],
+        rows: products,
+      },
+    ],
+  });
+});
+
+beforeEach(() => {
+  build.mockReset().mockResolvedValue([
+    {
+      name: 'Maize Flour 2kg, "Jogoo"',
+      inventory: { currentStock: 12 },
+      value: 1800,
+      tags: ["flour", "staple"],
+    },
+    { name: "Sugar 1kg", inventory: { currentStock: 0 }, value: 0 },
+  ]);
+  jest.spyOn(taskLogger, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("generate", () => {
+  test("writes CSV that Excel opens as UTF-8, with quoting", async () => {
+    const file = await exportService.generate("stock-count", "csv");
+
+    expect(file.name).toMatch(/^stock-count-\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(file.rowCount).toBe(2);
+    expect(file.buffer.toString("utf8")).toBe(
+      "﻿Product,Stock,Value,Tags\r\n" +
+        '"Maize Flour 2kg, ""Jogoo""",12,1800.00,"flour, staple"\r\n' +
+        "Sugar 1kg,0,0.00,\r\n"
+    );
+  });
+
+  test("writes an Excel workbook", async () => {
+    const file = await exportService.generate("stock-count", "xlsx");
+
+    expect(file.buffer.subarray(0, 2).toString()).toBe("PK");
+    expect(file.mimeType).toBe(
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+  });
+
+  test("rejects unknown reports and formats", async () => {
+    await expect(exportService.generate("payroll", "csv")).rejects.toThrow(
+      "Unknown report type payroll"
+    );
+    await expect(exportService.generate("stock-count", "ods")).rejects.toThrow(
+      "Unsupported export format ods"
+    );
+  });
+});
+
+describe("shouldRunInBackground", () => {
+  test("sends long date ranges and large exports to the queue", () => {
+    expect(
+      exportService.shouldRunInBackground({
+        startDate: "2026-01-01",
+        endDate: "2026-03-31",
+      })
+    ).toBe(false);
+    expect(
+      exportService.shouldRunInBackground({
+        startDate: "2026-01-01",
+        endDate: "2026-06-30",
+      })
+    ).toBe(true);
+    expect(exportService.shouldRunInBackground({}, 5001)).toBe(true);
+  });
+});
+
+describe("processQueue", () => {
+  test("recovers stuck jobs, then generates queued ones up to the limit", async () => {
+    const jobs = [claimedJob(), claimedJob(), claimedJob()];
+    jest
+      .spyOn(ExportJob, "recoverStale")
+      .mockResolvedValue({ requeued: 1, failed: 0 });
+    const claim = jest
+      .spyOn(ExportJob, "claim")
+      .mockImplementation(async () => jobs.shift() || null);
+
+    const first = jobs[0];
+    const result = await exportService.processQueue(2);
+
+    expect(ExportJob.recoverStale).toHaveBeenCalledWith(15 * 60 * 1000, 2);
+    expect(result).toEqual({ requeued: 1, failed: 0, processed: 2 });
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(first.status).toBe("completed");
+    expect(first.rowCount).toBe(2);
+    expect(first.file.name).toMatch(/\.csv$/);
+    expect(first.completedAt).toBeInstanceOf(Date);
+  });
+
+  test("marks a job failed when the report cannot be built", async () => {
+    const job = claimedJob();
+    jest
+      .spyOn(ExportJob, "recoverStale")
+      .mockResolvedValue({ requeued: 0, failed: 0 });
+    jest
+      .spyOn(ExportJob, "claim")
+      .mockResolvedValueOnce(job)
+      .mockResolvedValue(null);
+    build.mockRejectedValue(new Error("Aggregation timed out"));
+
+    const result = await exportService.processQueue();
+
+    expect(result.processed).toBe(1);
+    expect(job.status).toBe("failed");
+    expect(job.error).toBe("Aggregation timed out");
+    expect(job.storeFile).not.toHaveBeenCalled();
+    expect(job.save).toHaveBeenCalled();
+  });
+});
+
+describe("ExportJob", () => {
+  test("claims only queued jobs, counting the attempt", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(ExportJob, "findOneAndUpdate")
+      .mockResolvedValue(null);
+    const jobId = new mongoose.Types.ObjectId();
+
+    await ExportJob.claim(jobId);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: jobId, status: "queued" });
+    expect(update).toMatchObject({
+      status: "processing",
+      $inc: { attempts: 1 },
+    });
+  });
+
+  test("fails stuck jobs that used their attempts and requeues the rest", async () => {
+    const updateMany = jest
+      .spyOn(ExportJob, "updateMany")
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 3 });
+
+    const result = await ExportJob.recoverStale(60000, 2);
+
+    expect(result).toEqual({ requeued: 3, failed: 1 });
+    const [[failedFilter, failedUpdate], [requeueFilter, requeueUpdate]] =
+      updateMany.mock.calls;
+    expect(failedFilter).toMatchObject({
+      status: "processing",
+      attempts: { $gte: 2 },
+    });
+    expect(failedUpdate).toMatchObject({
+      status: "failed",
+      error: "Export timed out",
+    });
+    expect(requeueFilter.attempts).toBeUndefined();
+    expect(requeueUpdate).toEqual({ status: "queued" });
+  });
+});
+
+describe("respond", () => {
+  const exportRequest = (role = "owner") => ({
+    user: { _id: userId, role },
+    ip: "127.0.0.1",
+    get: () => "jest",
+  });
+
+  beforeEach(() => {
+    jest.spyOn(ActivityLog, "log").mockResolvedValue();
+  });
+
+  test("sends small exports straight away", async () => {
+    const { status, body, headers } = await run(
+      (req, res) =>
+        exportService.respond(req, res, "stock-count", { format: "csv" }),
+      exportRequest()
+    );
+
+    expect(status).toBe(200);
+    expect(headers["Content-Type"]).toBe("text/csv; charset=utf-8");
+    expect(headers["Content-Disposition"]).toMatch(
+      /^attachment; filename="stock-count-/
+    );
+    expect(body).toBeInstanceOf(Buffer);
+  });
+
+  test("queues exports asked to run in the background", async () => {
+    const job = claimedJob({ status: "queued" });
+    jest.spyOn(ExportJob, "purgeExpired").mockResolvedValue(0);
+    jest.spyOn(ExportJob, "create").mockResolvedValue(job);
+    jest.spyOn(ExportJob, "claim").mockResolvedValue(null);
+
+    const { status, body } = await run(
+      (req, res) =>
+        exportService.respond(req, res, "stock-count", {
+          format: "xlsx",
+          background: "true",
+          location: "MAIN",
+        }),
+      exportRequest()
+    );
+
+    expect(status).toBe(202);
+    expect(body.data).toBe(job);
+    expect(ExportJob.create).toHaveBeenCalledWith({
+      reportType: "stock-count",
+      format: "xlsx",
+      filters: { location: "MAIN" },
+      requestedBy: userId,
+    });
+
+    // The job starts once the response is out
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(ExportJob.claim).toHaveBeenCalledWith(job._id);
+  });
+
+  test("refuses roles the report is not shared with", async () => {
+    await expect(
+      exportService.respond(exportRequest("viewer"), {}, "stock-count", {
+        format: "csv",
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(build).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+// backend/tests/services/ipAccessService.test.js
+const mongoose = require("mongoose");
+const config = require("../../src/config/app");
+const ipAccessService = require("../../src/services/ipAccessService");
+const ActivityLog = require("../../src/models/ActivityLog");
+
+const ALLOW_LIST = ["41.90.64.10", "10.0.0.0/24", "2001:db8::/32"];
+
+const makeSettings = (ipWhitelist = {}) => ({
+  security: {
+    ipWhitelist: {
+      enabled: true,
+      addresses: ALLOW_LIST,
+      exemptRoles: ["owner"],
+      ...ipWhitelist,
+    },
+  },
+});
+
+const makeRequest = (ip, headers = {}) => ({
+  ip,
+  method: "GET",
+  originalUrl: "/api/v1/products",
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const operator = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Till Operator",
+  role: "operator",
+};
+
+let log;
+
+beforeEach(() => {
+  log = jest.spyOn(ActivityLog, "log").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  config.security.ipWhitelistOverrideKey = undefined;
+});
+
+describe("isAllowed", () => {
+  test.each([
+    ["41.90.64.10", true],
+    ["41.90.64.11", false],
+    ["10.0.0.200", true],
+    ["10.0.1.1", false],
+    ["::ffff:10.0.0.7", true],
+    ["2001:db8::1", true],
+    ["2001:db9::1", false],
+    ["not-an-ip", false],
+    [undefined, false],
+  ])("%s -> %s", (ip, allowed) => {
+    expect(ipAccessService.isAllowed(ip, ALLOW_LIST)).toBe(allowed);
+  });
+
+  test("skips invalid entries instead of failing", () => {
+    expect(
+      ipAccessService.isAllowed("10.0.0.5", [
+        "bogus",
+        "10.0.0.0/99",
+        "10.0.0.5",
+      ])
+    ).toBe(true);
+  });
+
+  test("allows nobody with an empty list", () => {
+    expect(ipAccessService.isAllowed("10.0.0.5", [])).toBe(false);
+  });
+});
+
+describe("isValidEntry", () => {
+  test.each([
+    ["192.168.1.1", true],
+    ["192.168.1.0/24", true],
+    ["fe80::/10", true],
+    ["192.168.1.0/33", false],
+    ["192.168.1.0/abc", false],
+    ["example.com", false],
+  ])("%s -> %s", (entry, valid) => {
+    expect(ipAccessService.isValidEntry(entry)).toBe(valid);
+  });
+});
+
+describe("check", () => {
+  test("lets everyone in while the allow-list is off", async () => {
+    const allowed = await ipAccessService.check(
+      makeRequest("8.8.8.8"),
+      operator,
+      makeSettings({ enabled: false })
+    );
+
+    expect(allowed).toBe(true);
+  });
+
+  test("lets exempt roles in from anywhere", async () => {
+    const owner = { ...operator, role: "owner" };
+
+    expect(
+      await ipAccessService.check(makeRequest("8.8.8.8"), owner, makeSettings())
+    ).toBe(true);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  test("lets listed addresses in without logging", async () => {
+    expect(
+      await ipAccessService.check(
+        makeRequest("10.0.0.9"),
+        operator,
+        makeSettings()
+      )
+    ).toBe(true);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  test("blocks and records other addresses", async () => {
+    const allowed = await ipAccessService.check(
+      makeRequest("::ffff:8.8.8.8"),
+      operator,
+      makeSettings()
+    );
+
+    expect(allowed).toBe(false);
+    expect(log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "security.ip_blocked",
+        severity: "warning",
+        details: expect.objectContaining({
+          reason: "8.8.8.8 is not on the IP allow-list",
+          notes: "GET /api/v1/products",
+        }),
+      })
+    );
+  });
+
+  test("accepts the break-glass key and records its use", async () => {
+    config.security.ipWhitelistOverrideKey = "break-glass";
+
+    const allowed = await ipAccessService.check(
+      makeRequest("8.8.8.8", { "x-access-override": "break-glass" }),
+      operator,
+      makeSettings()
+    );
+
+    expect(allowed).toBe(true);
+    expect(log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "security.access_override",
+        severity: "critical",
+      })
+    );
+  });
+
+  test("rejects a wrong break-glass key", async () => {
+    config.security.ipWhitelistOverrideKey = "break-glass";
+
+    expect(
+      await ipAccessService.check(
+        makeRequest("8.8.8.8", { "x-access-override": "guess" }),
+        operator,
+        makeSettings()
+      )
+    ).toBe(false);
+  });
+
+  test("ignores the header when no key is configured", async () => {
+    expect(
+      await ipAccessService.check(
+        makeRequest("8.8.8.8", { "x-access-override": "" }),
+        operator,
+        makeSettings()
+      )
+    ).toBe(false);
+  });
+});
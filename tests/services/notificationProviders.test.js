@@ -0,0 +1,69 @@
+// backend/tests/services/notificationProviders.test.js
+const axios = require("axios");
+const config = require("../../src/config/app");
+const { getProvider } = require("../../src/services/notificationProviders");
+
+const { callbackUrl, callbackToken } = config.notifications;
+
+const sms = { channel: "sms", to: "0712345678", message: "Order shipped" };
+const twilioSettings = {
+  settings: {
+    accountSid: "AC123",
+    authToken: "token",
+    senderId: "+15005550006",
+  },
+};
+
+beforeEach(() => {
+  jest.spyOn(axios, "post").mockResolvedValue({ data: { sid: "SM123" } });
+});
+
+afterEach(() => {
+  Object.assign(config.notifications, { callbackUrl, callbackToken });
+  jest.restoreAllMocks();
+});
+
+describe("twilio", () => {
+  const sentForm = () => axios.post.mock.calls[0][1];
+
+  test("asks for delivery reports on a URL carrying the callback token", async () => {
+    Object.assign(config.notifications, {
+      callbackUrl: "https://shop.example.com/api/notifications/callbacks",
+      callbackToken: "s3cret&more",
+    });
+
+    const result = await getProvider("twilio").send(sms, twilioSettings);
+
+    expect(result).toEqual({ messageId: "SM123" });
+    expect(sentForm().get("StatusCallback")).toBe(
+      "https://shop.example.com/api/notifications/callbacks/twilio?token=s3cret%26more"
+    );
+    expect(sentForm().get("To")).toBe("+254712345678");
+  });
+
+  test("does not ask for reports the callback route would refuse", async () => {
+    Object.assign(config.notifications, {
+      callbackUrl: "https://shop.example.com/api/notifications/callbacks",
+      callbackToken: undefined,
+    });
+
+    await getProvider("twilio").send(sms, twilioSettings);
+
+    expect(sentForm().has("StatusCallback")).toBe(false);
+  });
+
+  test("turns final statuses into outbox updates", () => {
+    const twilio = getProvider("twilio");
+
+    expect(
+      twilio.parseStatus({
+        MessageSid: "SM123",
+        MessageStatus: "undelivered",
+        ErrorCode: "30003",
+      })
+    ).toEqual([{ messageId: "SM123", status: "failed", error: "30003" }]);
+    expect(
+      twilio.parseStatus({ MessageSid: "SM123", MessageStatus: "sent" })
+    ).toEqual([]);
+  });
+});
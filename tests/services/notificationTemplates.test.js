@@ -0,0 +1,126 @@
+// backend/tests/services/notificationTemplates.test.js
+const {
+  templates,
+  label,
+  getTemplate,
+  validateTemplates,
+} = require("../../src/services/notificationTemplates");
+const notificationService = require("../../src/services/notificationService");
+
+// Settings with a Swahili-only override of the SMS orderReady text
+const settings = {
+  notifications: {
+    sms: {
+      templates: {
+        orderReady: { sw: "{name}, oda {orderNumber} iko tayari dukani." },
+        paymentReminder: "Hi {name}, please clear KES {amount}.",
+      },
+    },
+  },
+};
+
+describe("getTemplate", () => {
+  test("uses the business's text for the customer's language", () => {
+    expect(getTemplate(settings, "sms", "orderReady", "sw").message).toBe(
+      "{name}, oda {orderNumber} iko tayari dukani."
+    );
+  });
+
+  test("falls back to the default text for languages not overridden", () => {
+    expect(getTemplate(settings, "sms", "orderReady", "en").message).toBe(
+      templates.orderReady.defaults.en
+    );
+    expect(getTemplate(settings, "sms", "orderReady", "fr").message).toBe(
+      templates.orderReady.defaults.en
+    );
+  });
+
+  test("reads templates saved as plain English strings", () => {
+    expect(getTemplate(settings, "sms", "paymentReminder", "en").message).toBe(
+      "Hi {name}, please clear KES {amount}."
+    );
+    expect(getTemplate(settings, "sms", "paymentReminder", "sw").message).toBe(
+      templates.paymentReminder.defaults.sw
+    );
+  });
+
+  test("WhatsApp shares the SMS text and only email has a subject", () => {
+    const whatsapp = getTemplate(settings, "whatsapp", "orderReady", "sw");
+    const email = getTemplate(settings, "email", "orderConfirmation", "sw");
+
+    expect(whatsapp.message).toBe(
+      "{name}, oda {orderNumber} iko tayari dukani."
+    );
+    expect(whatsapp.subject).toBeUndefined();
+    expect(email.subject).toBe("Oda {orderNumber} imethibitishwa");
+  });
+
+  test("rejects unknown templates", () => {
+    expect(() => getTemplate(settings, "sms", "birthday", "en")).toThrow(
+      "Unknown notification template birthday"
+    );
+  });
+});
+
+describe("renderTemplate", () => {
+  test("fills placeholders and leaves unknown ones in place", () => {
+    const { subject, message } = notificationService.renderTemplate(
+      "orderConfirmation",
+      {
+        channel: "email",
+        language: "en",
+        values: { name: "Jane", orderNumber: "ORD-0001", total: "2,450.00" },
+        settings,
+      }
+    );
+
+    expect(subject).toBe("Order ORD-0001 confirmed");
+    expect(message).toMatch(/^Dear Jane, thank you for your order ORD-0001/);
+    expect(message).toContain("Total: KES 2,450.00");
+    expect(message).toContain("{deliverySlot}");
+  });
+
+  test("labels statuses in the customer's language", () => {
+    expect(label("out_for_delivery", "sw")).toBe("iko njiani");
+    expect(label("out_for_delivery", "en")).toBe("out for delivery");
+    expect(label("returned", "sw")).toBe("returned");
+  });
+});
+
+describe("validateTemplates", () => {
+  test("accepts known templates and variables in each language", () => {
+    expect(
+      validateTemplates("sms", {
+        orderReady: {
+          en: "{name}, order {orderNumber} is ready",
+          sw: "{name}, oda {orderNumber} iko tayari",
+        },
+        paymentReminder: "Please pay KES {amount}",
+      })
+    ).toEqual([]);
+  });
+
+  test("reports every problem found", () => {
+    expect(
+      validateTemplates("sms", {
+        orderReady: { en: "Hi {customer}, {orderNumber} {eta}", fr: "Bonjour" },
+        orderConfirmation: { sw: 42 },
+        birthday: "Happy birthday {name}",
+      })
+    ).toEqual([
+      "Template orderReady.en uses unknown variables: customer, eta",
+      "Template orderReady has unsupported language fr",
+      "Template orderConfirmation.sw must be text",
+      "Unknown sms template birthday",
+    ]);
+  });
+
+  test("only allows templates on the channels they are sent on", () => {
+    expect(validateTemplates("email", { orderReady: "Ready" })).toEqual([
+      "Unknown email template orderReady",
+    ]);
+    expect(validateTemplates("sms", ["orderReady"])).toEqual([
+      "Templates must be an object",
+    ]);
+  });
+});
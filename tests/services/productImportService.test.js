@@ -0,0 +1,249 @@
+// backend/tests/services/productImportService.test.js
+const mongoose = require("mongoose");
+const productImportService = require("../../src/services/productImportService");
+const Product = require("../../src/models/Product");
+const Category = require("../../src/models/Category");
+const ImportBatch = require("../../src/models/ImportBatch");
+const { loadProduct, query } = require("../helpers/models");
+
+const userId = new mongoose.Types.ObjectId();
+
+let flour;
+let groceries;
+
+const csv = (text) => ({
+  originalname: "products.csv",
+  buffer: Buffer.from(text, "utf8"),
+});
+
+// Read a CSV and preview it with the columns matched automatically
+const previewCsv = async (text) => {
+  const { headers, rows } = await productImportService.readSpreadsheet(
+    csv(text)
+  );
+  const { columns } = productImportService.mapColumns(headers);
+  return productImportService.preview(rows, columns, { userId });
+};
+
+beforeEach(() => {
+  groceries = Category.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Groceries",
+  });
+  flour = loadProduct({ category: groceries._id });
+  jest.spyOn(Category, "find").mockReturnValue(query([groceries]));
+  jest.spyOn(Product, "find").mockReturnValue(query([flour]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("readSpreadsheet", () => {
+  test("keeps codes as text and skips blank rows", async () => {
+    const { headers, rows } = await productImportService.readSpreadsheet(
+      csv("﻿Name,Barcode\r\nMilk 500ml,0061234567890\r\n,\r\n")
+    );
+
+    expect(headers).toEqual(["Name", "Barcode"]);
+    expect(rows).toEqual([
+      { row: 2, values: { Name: "Milk 500ml", Barcode: "0061234567890" } },
+    ]);
+  });
+
+  test("rejects a file with no product rows", async () => {
+    await expect(
+      productImportService.readSpreadsheet(csv("Name,SKU\r\n"))
+    ).rejects.toThrow("The file has no product rows");
+  });
+});
+
+describe("mapColumns", () => {
+  test("matches common headers and leaves the rest unmapped", () => {
+    const { columns, unmapped } = productImportService.mapColumns([
+      "Product Name",
+      "Item Code",
+      "Buying Price",
+      "Qty",
+      "Shelf",
+    ]);
+
+    expect(columns).toEqual([
+      { header: "Product Name", field: "name" },
+      { header: "Item Code", field: "sku" },
+      { header: "Buying Price", field: "pricing.cost" },
+      { header: "Qty", field: "openingStock" },
+    ]);
+    expect(unmapped).toEqual(["Shelf"]);
+  });
+
+  test("applies overrides and skips columns mapped to nothing", () => {
+    const { columns, unmapped } = productImportService.mapColumns(
+      ["Name", "Price", "Old Price"],
+      { Price: "", "Old Price": "pricing.sellingPrice" }
+    );
+
+    expect(columns.map((column) => column.field)).toEqual([
+      "name",
+      "pricing.sellingPrice",
+    ]);
+    expect(unmapped).toEqual(["Price"]);
+  });
+
+  test("needs a column that identifies the product", () => {
+    expect(() => productImportService.mapColumns(["Price", "Qty"])).toThrow(
+      "The file needs a name, SKU or barcode column"
+    );
+    expect(() => productImportService.mapColumns(["SKU", "Code"])).toThrow(
+      "More than one column is mapped to sku"
+    );
+  });
+});
+
+describe("preview", () => {
+  test("sorts rows into creates, updates and unchanged products", async () => {
+    const results = await previewCsv(
+      [
+        "Name,SKU,Category,Cost,Price,Stock",
+        "Maize Flour 2kg,MF-2KG,groceries,150,200,",
+        "Maize Flour 2kg,mf-2kg-x,Groceries,165,210,",
+        "Rice 1kg,RC-1KG,Groceries,120,160,24",
+      ].join("\r\n")
+    );
+
+    expect(productImportService.summarize(results)).toEqual({
+      total: 3,
+      create: 2,
+      update: 0,
+      unchanged: 1,
+      skip: 0,
+    });
+    expect(results[0].product).toBe(flour);
+    expect(results[1].values.sku).toBe("MF-2KG-X");
+    expect(productImportService.toPreview(results[2])).toMatchObject({
+      action: "create",
+      sku: "RC-1KG",
+      name: "Rice 1kg",
+      openingStock: 24,
+    });
+  });
+
+  test("lists what an update changes without saving it", async () => {
+    const [result] = await previewCsv(
+      "SKU,Cost,Price,Stock\r\nMF-2KG,165,200,10\r\n"
+    );
+
+    expect(result.action).toBe("update");
+    expect(result.changes).toEqual([
+      { field: "pricing.cost", previous: 150, current: 165 },
+    ]);
+    expect(result.warnings).toEqual([
+      "Opening stock is only set for new products; adjust stock on existing products instead",
+    ]);
+    expect(flour.save).not.toHaveBeenCalled();
+  });
+
+  test("skips rows with errors and says why", async () => {
+    const results = await previewCsv(
+      [
+        "Name,SKU,Category,Price,Stock",
+        "Beans 1kg,BN-1KG,Pulses,180,",
+        "Beans 2kg,BN-2KG,Groceries,abc,",
+        "Beans 5kg,BN-5KG,Groceries,800,2.5",
+        "Beans 5kg,BN-5KG,Groceries,800,",
+      ].join("\r\n")
+    );
+
+    expect(results.map((result) => result.action)).toEqual([
+      "skip",
+      "skip",
+      "skip",
+      "skip",
+    ]);
+    expect(results[0].errors).toEqual(["Category Pulses not found"]);
+    expect(results[1].errors).toEqual(["Price must be a number"]);
+    expect(results[2].errors).toEqual([
+      "Opening stock must be a whole number of 0 or more",
+    ]);
+    expect(results[3].errors).toEqual(["SKU BN-5KG appears more than once"]);
+  });
+});
+
+describe("apply", () => {
+  beforeEach(() => {
+    jest.spyOn(Product.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+    jest
+      .spyOn(ImportBatch.prototype, "save")
+      .mockImplementation(async function () {
+        return this;
+      });
+    jest.spyOn(groceries, "updateProductCount").mockResolvedValue();
+  });
+
+  test("creates products with their opening stock and records the batch", async () => {
+    const results = await previewCsv(
+      [
+        "Name,SKU,Category,Cost,Price,Stock,Batch,Expiry",
+        "Rice 1kg,RC-1KG,Groceries,120,160,24,R-01,2027-06-30",
+        "Salt 500g,SL-500,Groceries,20,30,,,",
+        "Beans 1kg,BN-1KG,Pulses,150,180,,,",
+      ].join("\r\n")
+    );
+
+    const batch = await productImportService.apply(results, {
+      batchNumber: "IMP-001",
+      fileName: "products.csv",
+      userId,
+    });
+
+    const rice = results[0].product;
+    expect(rice.inventory.currentStock).toBe(24);
+    expect(rice.inventory.averageCost).toBe(120);
+    expect(rice.lots[0]).toMatchObject({ batchNumber: "R-01", quantity: 24 });
+    expect(rice.stockMovements[0]).toMatchObject({
+      type: "adjustment",
+      reference: "IMP-001",
+      reason: "Opening stock",
+    });
+    expect(rice.metadata.importBatch).toBe("IMP-001");
+    expect(rice.costHistory[0]).toMatchObject({ cost: 120, source: "import" });
+
+    expect(batch.summary).toMatchObject({
+      total: 3,
+      created: 2,
+      failed: 1,
+    });
+    expect(batch.items.map((item) => item.openingStock)).toEqual([24, 0]);
+    expect(groceries.updateProductCount).toHaveBeenCalled();
+    expect(batch.failures[0]).toMatchObject({
+      row: 4,
+      sku: "BN-1KG",
+      messages: ["Category Pulses not found"],
+    });
+  });
+
+  test("records cost changes on updated products against the batch", async () => {
+    const results = await previewCsv("SKU,Cost\r\nMF-2KG,165\r\n");
+
+    const batch = await productImportService.apply(results, {
+      batchNumber: "IMP-002",
+      userId,
+    });
+
+    expect(flour.pricing.cost).toBe(165);
+    expect(flour.costHistory[0]).toMatchObject({
+      cost: 165,
+      previousCost: 150,
+      source: "import",
+      reference: "IMP-002",
+    });
+    expect(batch.items[0]).toMatchObject({ action: "updated" });
+    expect(batch.items[0].changes[0]).toMatchObject({
+      field: "pricing.cost",
+      previous: 150,
+      current: 165,
+    });
+  });
+});
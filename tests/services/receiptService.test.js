@@ -0,0 +1,194 @@
+// backend/tests/services/receiptService.test.js
+const axios = require("axios");
+const receiptService = require("../../src/services/receiptService");
+const Settings = require("../../src/models/Settings");
+
+const settingsWith = (receipt = {}) =>
+  new Settings({
+    business: {
+      name: "Mama Njeri Shop",
+      address: { street: "Moi Avenue", city: "Nairobi" },
+      contact: { phone: "0712345678" },
+      registration: { taxId: "P051234567X" },
+      logo: { url: "https://example.com/logo.png" },
+    },
+    sales: { receipt: { footer: "Asante sana!", ...receipt } },
+  });
+
+// Bread and sugar are standard rated, milk is zero rated
+const sale = (fields = {}) => ({
+  receiptNumber: "RCP26101800001",
+  createdAt: new Date("2026-10-18T09:15:00.000Z"),
+  status: "completed",
+  seller: { name: "Wanjiku" },
+  customerInfo: { name: "Otieno" },
+  items: [
+    {
+      productName: "Bread 400g",
+      quantity: 2,
+      unitPrice: 50,
+      tax: { rate: 16, amount: 16 },
+      subtotal: 116,
+    },
+    {
+      productName: "Fresh Milk 500ml",
+      quantity: 1,
+      unitPrice: 60,
+      tax: { rate: 0, amount: 0 },
+      subtotal: 60,
+    },
+    {
+      productName: "Sugar 1kg",
+      quantity: 1,
+      unitPrice: 200,
+      discount: { percentage: 0, amount: 0 },
+      tax: { rate: 16, amount: 32 },
+      subtotal: 232,
+    },
+  ],
+  totals: { subtotal: 360, discount: 0, tax: 48, total: 408 },
+  payment: {
+    method: "mpesa",
+    totalPaid: 408,
+    change: 0,
+    details: [{ method: "mpesa", amount: 408, transactionId: "SJK4H7XQ2P" }],
+  },
+  ...fields,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("buildReceipt", () => {
+  test("breaks VAT down by rate and leaves out zero-rated items", () => {
+    const receipt = receiptService.buildReceipt(sale(), settingsWith());
+
+    expect(receipt.vat).toEqual([
+      { label: "VAT 16%", taxable: "KSh300.00", tax: "KSh48.00" },
+    ]);
+    expect(receipt.totals).toMatchObject({
+      subtotal: "KSh360.00",
+      tax: "KSh48.00",
+      total: "KSh408.00",
+      discount: null,
+    });
+  });
+
+  test("carries the business, customer and payment details", () => {
+    const receipt = receiptService.buildReceipt(sale(), settingsWith());
+
+    expect(receipt.business).toMatchObject({
+      name: "Mama Njeri Shop",
+      address: "Moi Avenue, Nairobi",
+      kraPin: "P051234567X",
+    });
+    expect(receipt.customer).toBe("Otieno");
+    expect(receipt.seller).toBe("Wanjiku");
+    expect(receipt.payment).toMatchObject({
+      method: "M-Pesa",
+      paid: "KSh408.00",
+      details: ["M-Pesa ref: SJK4H7XQ2P"],
+    });
+    expect(receipt.footer).toBe("Asante sana!");
+  });
+});
+
+describe("renderEscPos", () => {
+  // Commands the renderer sends: reset, alignment, bold, size, feed and cut
+  const COMMANDS = [
+    [0x1b, 0x40],
+    [0x1b, 0x61, 0],
+    [0x1b, 0x61, 1],
+    [0x1b, 0x45, 1],
+    [0x1b, 0x45, 0],
+    [0x1d, 0x21, 0x11],
+    [0x1d, 0x21, 0x00],
+    [0x1b, 0x64, 4],
+    [0x1d, 0x56, 0x42, 0x00],
+  ].map((bytes) => Buffer.from(bytes).toString("latin1"));
+
+  // Printed text, one entry per line, with the commands taken out
+  const printedLines = (buffer) =>
+    COMMANDS.reduce(
+      (text, command) => text.split(command).join(""),
+      buffer.toString("latin1")
+    ).split("\n");
+
+  test("starts with a printer reset and ends with a cut", () => {
+    const receipt = receiptService.buildReceipt(sale(), settingsWith());
+
+    const buffer = receiptService.renderEscPos(receipt);
+
+    expect([...buffer.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+    expect([...buffer.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 0x00]);
+  });
+
+  test("fits every line to a 58mm roll", () => {
+    const receipt = receiptService.buildReceipt(
+      sale(),
+      settingsWith({ paperSize: "58mm" })
+    );
+
+    const printed = printedLines(receiptService.renderEscPos(receipt));
+
+    expect(printed.every((text) => text.length <= 32)).toBe(true);
+    expect(printed).toContain(`TOTAL${" ".repeat(18)}KSh408.00`);
+    expect(printed).toContain(`VAT 16%${" ".repeat(17)}KSh48.00`);
+  });
+
+  test("marks voided sales and reprinted copies", () => {
+    const receipt = receiptService.buildReceipt(
+      sale({ status: "voided" }),
+      settingsWith({ printCopy: 2 })
+    );
+
+    const text = receiptService.renderEscPos(receipt).toString("latin1");
+
+    expect(text.match(/\*\*\* VOID \*\*\*/g)).toHaveLength(2);
+    expect(text.match(/COPY/g)).toHaveLength(1);
+  });
+
+  test("drops characters the printer cannot print", () => {
+    const receipt = receiptService.buildReceipt(
+      sale({ customerInfo: { name: "Zoë ☕" } }),
+      settingsWith()
+    );
+
+    const printed = printedLines(receiptService.renderEscPos(receipt));
+
+    expect(printed).toContain(`Customer:${" ".repeat(34)}Zoe `);
+  });
+});
+
+describe("renderPdf", () => {
+  test("renders a PDF sized to the roll", async () => {
+    const receipt = receiptService.buildReceipt(
+      sale(),
+      settingsWith({ showLogo: false })
+    );
+    const fetch = jest.spyOn(axios, "get");
+
+    const pdf = await receiptService.renderPdf(receipt);
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pdf.toString("latin1")).toMatch(/\/MediaBox \[0 0 227 /);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("prints without the logo when it cannot be fetched", async () => {
+    const receipt = receiptService.buildReceipt(
+      sale(),
+      settingsWith({ paperSize: "A4" })
+    );
+    jest.spyOn(axios, "get").mockRejectedValue(new Error("timeout"));
+
+    const pdf = await receiptService.renderPdf(receipt);
+
+    expect(axios.get).toHaveBeenCalledWith(
+      "https://example.com/logo.png",
+      expect.objectContaining({ responseType: "arraybuffer" })
+    );
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+});
@@ -0,0 +1,221 @@
+// backend/tests/services/receivablesService.test.js
+const mongoose = require("mongoose");
+const receivablesService = require("../../src/services/receivablesService");
+const notificationService = require("../../src/services/notificationService");
+const Sale = require("../../src/models/Sale");
+const Order = require("../../src/models/Order");
+const Customer = require("../../src/models/Customer");
+const Settings = require("../../src/models/Settings");
+const { logger } = require("../../src/middleware/logger");
+const { query } = require("../helpers/models");
+
+const DAY = 24 * 60 * 60 * 1000;
+const asOf = new Date("2026-10-19T09:00:00.000Z");
+const daysAgo = (days) => new Date(asOf.getTime() - days * DAY);
+
+let customer;
+
+// Customer charged 3000 on account 75 days ago, due 45 days ago, and 1000
+// ten days ago, with 500 paid since
+const loadCustomer = (fields = {}) => {
+  const account = Customer.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Wanjiku",
+    phone: "0712345678",
+    email: "wanjiku@example.com",
+    credit: {
+      isEnabled: true,
+      limit: 10000,
+      used: 3500,
+      transactions: [
+        {
+          type: "credit",
+          amount: 3000,
+          reference: "RCP-0001",
+          date: daysAgo(75),
+          dueDate: daysAgo(45),
+        },
+        {
+          type: "credit",
+          amount: 1000,
+          reference: "RCP-0002",
+          date: daysAgo(10),
+          dueDate: new Date(asOf.getTime() + 20 * DAY),
+        },
+        { type: "payment", amount: -500, date: daysAgo(5) },
+      ],
+    },
+    paymentReminders: [],
+    ...fields,
+  });
+  jest.spyOn(account, "save").mockResolvedValue(account);
+  return account;
+};
+
+beforeEach(() => {
+  customer = loadCustomer();
+  jest.spyOn(Customer, "find").mockResolvedValue([customer]);
+  jest.spyOn(Customer, "findById").mockResolvedValue(customer);
+
+  // A walk-in sale left half unpaid, and a delivered order paid on delivery
+  jest.spyOn(Sale, "find").mockReturnValue(
+    query([
+      {
+        receiptNumber: "RCP-0003",
+        customerInfo: { name: "Otieno", phone: "0722000000" },
+        totals: { total: 800 },
+        payment: { totalPaid: 400 },
+        createdAt: daysAgo(100),
+      },
+    ])
+  );
+  jest.spyOn(Order, "find").mockReturnValue(
+    query([
+      {
+        orderNumber: "ORD-0001",
+        customer: customer._id,
+        customerInfo: { name: "Wanjiku" },
+        totals: { total: 1200 },
+        payment: { prepaidAmount: 200, transactions: [{ amount: 1000 }] },
+        createdAt: daysAgo(3),
+      },
+    ])
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("getAgingReport", () => {
+  test("ages every open balance from its date", async () => {
+    const report = await receivablesService.getAgingReport({ asOf });
+
+    expect(report.summary).toEqual({
+      current: 1000,
+      days31To60: 0,
+      days61To90: 2500,
+      over90: 400,
+      total: 3900,
+    });
+    expect(report.bySource.credit.total).toBe(3500);
+    expect(report.bySource.order.total).toBe(0);
+    expect(report.items.map((item) => item.reference)).toEqual([
+      "RCP-0003",
+      "RCP-0001",
+      "RCP-0002",
+    ]);
+  });
+
+  test("groups balances by customer, walk-ins by phone", async () => {
+    const report = await receivablesService.getAgingReport({ asOf });
+
+    expect(report.customers).toEqual([
+      expect.objectContaining({
+        customer: customer._id,
+        total: 3500,
+        overdue: 2500,
+        oldestDays: 75,
+        items: 2,
+      }),
+      expect.objectContaining({
+        customer: null,
+        name: "Otieno",
+        phone: "0722000000",
+        total: 400,
+      }),
+    ]);
+  });
+});
+
+describe("sendPaymentReminders", () => {
+  const settingsWith = (reminders) => ({
+    business: { name: "Mama Njeri Shop" },
+    sales: {
+      payment: {
+        creditTerms: {
+          reminders: {
+            enabled: true,
+            thresholds: [7, 30, 60],
+            channels: ["sms", "email"],
+            ...reminders,
+          },
+        },
+      },
+    },
+  });
+
+  beforeEach(() => {
+    jest.spyOn(logger, "warn").mockImplementation(() => {});
+    jest.spyOn(Settings, "getSettings").mockResolvedValue(settingsWith());
+    jest
+      .spyOn(notificationService, "renderTemplate")
+      .mockReturnValue({ subject: "Payment reminder", message: "Please pay" });
+    jest
+      .spyOn(notificationService, "send")
+      .mockImplementation(async ({ channel }) => ({
+        _id: new mongoose.Types.ObjectId(),
+        status: channel === "email" ? "failed" : "sent",
+        lastError: channel === "email" ? "SMTP timeout" : undefined,
+      }));
+  });
+
+  test("reminds customers at the highest threshold they have passed", async () => {
+    const result = await receivablesService.sendPaymentReminders();
+
+    expect(result).toEqual({ reminded: 1, skipped: 0, failed: 0 });
+    expect(notificationService.send).toHaveBeenCalledWith(
+      expect.objectContaining({ channel: "sms", to: "0712345678" })
+    );
+    expect(customer.paymentReminders.map((r) => r.toObject())).toEqual([
+      expect.objectContaining({
+        channel: "sms",
+        threshold: 30,
+        amount: 2500,
+        status: "sent",
+      }),
+      expect.objectContaining({
+        channel: "email",
+        threshold: 30,
+        status: "failed",
+        error: "SMTP timeout",
+      }),
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Payment reminder failed",
+      expect.objectContaining({ channel: "email" })
+    );
+  });
+
+  test("does not repeat a threshold already sent for the same debt", async () => {
+    customer.paymentReminders.push({
+      channel: "sms",
+      threshold: 30,
+      status: "sent",
+      sentAt: daysAgo(2),
+    });
+
+    const result = await receivablesService.sendPaymentReminders();
+
+    expect(result).toEqual({ reminded: 0, skipped: 1, failed: 0 });
+    expect(notificationService.send).not.toHaveBeenCalled();
+  });
+
+  test("skips customers who accept none of the reminder channels", async () => {
+    customer.preferences.communication.sms = false;
+    Settings.getSettings.mockResolvedValue(settingsWith({ channels: ["sms"] }));
+
+    const result = await receivablesService.sendPaymentReminders();
+
+    expect(result).toEqual({ reminded: 0, skipped: 1, failed: 0 });
+  });
+
+  test("does nothing while reminders are switched off", async () => {
+    Settings.getSettings.mockResolvedValue(settingsWith({ enabled: false }));
+
+    const result = await receivablesService.sendPaymentReminders();
+
+    expect(result).toEqual({ reminded: 0, skipped: 0, failed: 0 });
+    expect(Sale.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+// backend/tests/services/sessionService.test.js
+const jwt = require("jsonwebtoken");
+const sessionService = require("../../src/services/sessionService");
+const ActivityLog = require("../../src/models/ActivityLog");
+const User = require("../../src/models/User");
+
+const settings = {
+  security: { sessionTimeout: 60 },
+  getLocations: () => [{ code: "MAIN" }, { code: "WEST" }],
+};
+
+const makeRequest = (fields = {}) => ({
+  ip: "10.0.0.5",
+  body: {},
+  get: () =>
+    "Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36",
+  ...fields,
+});
+
+const makeUser = () =>
+  new User({
+    name: "Test Operator",
+    email: "operator@example.com",
+    phone: "0712345678",
+    role: "operator",
+    location: "MAIN",
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("start", () => {
+  test("opens a session bound to the access token", () => {
+    const user = makeUser();
+
+    const { token, refreshToken, sessionId } = sessionService.start(
+      user,
+      makeRequest({ body: { location: "WEST" } }),
+      settings
+    );
+
+    expect(jwt.decode(token).sid).toBe(sessionId);
+    expect(jwt.decode(refreshToken).family).toBe(sessionId);
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(user.refreshTokens[0]).toMatchObject({
+      family: sessionId,
+      deviceInfo: "Chrome on Android (Mobile)",
+      ip: "10.0.0.5",
+      location: "WEST",
+    });
+  });
+
+  test("ignores a branch that does not exist", () => {
+    const user = makeUser();
+
+    sessionService.start(
+      user,
+      makeRequest({ body: { location: "NOWHERE" } }),
+      settings
+    );
+
+    expect(user.refreshTokens[0].location).toBe("MAIN");
+  });
+});
+
+describe("rotate", () => {
+  test("replaces the refresh token and keeps the session", () => {
+    const user = makeUser();
+    const started = sessionService.start(user, makeRequest(), settings);
+    const entry = user.refreshTokens[0];
+
+    const rotated = sessionService.rotate(
+      user,
+      entry,
+      makeRequest({ ip: "10.0.0.9" })
+    );
+
+    expect(rotated.refreshToken).not.toBe(started.refreshToken);
+    expect(rotated.sessionId).toBe(started.sessionId);
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(user.refreshTokens[0]).toMatchObject({
+      token: rotated.refreshToken,
+      family: started.sessionId,
+      deviceInfo: entry.deviceInfo,
+      ip: "10.0.0.9",
+    });
+  });
+});
+
+describe("handleReuse", () => {
+  test("ends the session when a rotated-out token comes back", async () => {
+    const log = jest.spyOn(ActivityLog, "log").mockResolvedValue();
+    const user = makeUser();
+    const stolen = sessionService.start(user, makeRequest(), settings);
+    const other = sessionService.start(user, makeRequest(), settings);
+    sessionService.rotate(user, user.refreshTokens[0], makeRequest());
+
+    const reused = await sessionService.handleReuse(
+      user,
+      stolen.refreshToken,
+      makeRequest()
+    );
+
+    expect(reused).toBe(true);
+    expect(sessionService.findSession(user, stolen.sessionId)).toBeUndefined();
+    expect(sessionService.findSession(user, other.sessionId)).toBeDefined();
+    expect(log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "user.token_reused",
+        severity: "critical",
+      })
+    );
+  });
+
+  test("treats tokens from ended sessions as plain invalid tokens", async () => {
+    const log = jest.spyOn(ActivityLog, "log").mockResolvedValue();
+    const user = makeUser();
+    const { refreshToken, sessionId } = sessionService.start(
+      user,
+      makeRequest(),
+      settings
+    );
+    sessionService.revoke(user, { sessionId });
+
+    expect(
+      await sessionService.handleReuse(user, refreshToken, makeRequest())
+    ).toBe(false);
+    expect(
+      await sessionService.handleReuse(user, "not-a-token", makeRequest())
+    ).toBe(false);
+    expect(log).not.toHaveBeenCalled();
+  });
+});
+
+describe("isIdle", () => {
+  test("expires sessions unused for longer than the timeout", () => {
+    const recent = { lastUsedAt: new Date(Date.now() - 59 * 60 * 1000) };
+    const stale = { lastUsedAt: new Date(Date.now() - 61 * 60 * 1000) };
+
+    expect(sessionService.isIdle(recent, settings)).toBe(false);
+    expect(sessionService.isIdle(stale, settings)).toBe(true);
+    expect(
+      sessionService.isIdle(stale, { security: { sessionTimeout: 0 } })
+    ).toBe(false);
+  });
+});
+
+describe("revoke", () => {
+  test("ends every session except the current one", () => {
+    const user = makeUser();
+    const current = sessionService.start(user, makeRequest(), settings);
+    sessionService.start(user, makeRequest(), settings);
+    sessionService.start(user, makeRequest(), settings);
+
+    const ended = sessionService.revoke(user, { except: current.sessionId });
+
+    expect(ended).toBe(2);
+    expect(user.refreshTokens.map((rt) => rt.family)).toEqual([
+      current.sessionId,
+    ]);
+  });
+});
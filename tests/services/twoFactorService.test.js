@@ -0,0 +1,176 @@
+// backend/tests/services/twoFactorService.test.js
+const twoFactorService = require("../../src/services/twoFactorService");
+const notificationService = require("../../src/services/notificationService");
+const User = require("../../src/models/User");
+
+// RFC 4226 / RFC 6238 shared secret "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const settingsWith = (twoFactorAuth) => ({
+  security: {
+    twoFactorAuth: {
+      enabled: true,
+      methods: { sms: true, email: true, app: true },
+      requiredRoles: ["owner"],
+      trustedDeviceDays: 30,
+      ...twoFactorAuth,
+    },
+  },
+});
+
+const makeUser = (fields = {}) =>
+  new User({
+    name: "Test Owner",
+    email: "owner@example.com",
+    phone: "0712345678",
+    role: "owner",
+    ...fields,
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("authenticator codes", () => {
+  // RFC 4226 appendix D: HOTP values for counters 0-9
+  const HOTP_VECTORS = [
+    "755224",
+    "287082",
+    "359152",
+    "969429",
+    "338314",
+    "254676",
+    "287922",
+    "162583",
+    "399871",
+    "520489",
+  ];
+
+  test.each(HOTP_VECTORS.map((code, counter) => [counter, code]))(
+    "matches RFC 4226 HOTP for counter %i",
+    (counter, code) => {
+      expect(
+        twoFactorService.generateTotp(RFC_SECRET, counter * 30 * 1000)
+      ).toBe(code);
+    }
+  );
+
+  // RFC 6238 appendix B (SHA-1), last six digits of the eight-digit codes
+  test.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+  ])("matches RFC 6238 TOTP at %i seconds", (seconds, code) => {
+    expect(twoFactorService.generateTotp(RFC_SECRET, seconds * 1000)).toBe(
+      code
+    );
+  });
+
+  test("accepts one step of clock drift and rejects codes further off", () => {
+    const now = 1234567890 * 1000;
+    jest.spyOn(Date, "now").mockReturnValue(now);
+
+    const step = Math.floor(now / 30000);
+    const codeAt = (offset) =>
+      twoFactorService.generateTotp(RFC_SECRET, now + offset * 30000);
+
+    expect(twoFactorService.verifyTotp(RFC_SECRET, codeAt(-1))).toBe(step - 1);
+    expect(twoFactorService.verifyTotp(RFC_SECRET, codeAt(1))).toBe(step + 1);
+    expect(twoFactorService.verifyTotp(RFC_SECRET, codeAt(2))).toBeNull();
+    expect(twoFactorService.verifyTotp(RFC_SECRET, "12345")).toBeNull();
+  });
+
+  test("rejects a code that was already used", () => {
+    const now = 1234567890 * 1000;
+    jest.spyOn(Date, "now").mockReturnValue(now);
+
+    const code = twoFactorService.generateTotp(RFC_SECRET, now);
+    const step = twoFactorService.verifyTotp(RFC_SECRET, code);
+
+    expect(step).not.toBeNull();
+    expect(twoFactorService.verifyTotp(RFC_SECRET, code, step)).toBeNull();
+  });
+
+  test("round-trips generated secrets", () => {
+    const secret = twoFactorService.generateSecret();
+    const code = twoFactorService.generateTotp(secret);
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(twoFactorService.verifyTotp(secret, code)).not.toBeNull();
+  });
+});
+
+describe("getLoginMethod", () => {
+  test("uses the enrolled method", () => {
+    const user = makeUser({ twoFactor: { enabled: true, method: "app" } });
+
+    expect(twoFactorService.getLoginMethod(user, settingsWith())).toBe("app");
+  });
+
+  test("skips roles that are not required", () => {
+    const user = makeUser({ role: "operator" });
+
+    expect(twoFactorService.getLoginMethod(user, settingsWith())).toBeNull();
+  });
+
+  test("sends codes to unenrolled users over a working channel", () => {
+    jest
+      .spyOn(notificationService, "isChannelEnabled")
+      .mockImplementation((channel) => channel === "email");
+
+    expect(twoFactorService.getLoginMethod(makeUser(), settingsWith())).toBe(
+      "email"
+    );
+  });
+
+  test("refuses unenrolled users when no channel can deliver a code", () => {
+    jest.spyOn(notificationService, "isChannelEnabled").mockReturnValue(false);
+
+    expect(() =>
+      twoFactorService.getLoginMethod(makeUser(), settingsWith())
+    ).toThrow(
+      expect.objectContaining({
+        statusCode: 403,
+        message: expect.stringMatching(/no verification method is available/),
+      })
+    );
+  });
+
+  test("enrols an app during login only when the policy allows it", () => {
+    jest.spyOn(notificationService, "isChannelEnabled").mockReturnValue(false);
+
+    expect(
+      twoFactorService.getLoginMethod(
+        makeUser(),
+        settingsWith({ enrollOnLogin: true })
+      )
+    ).toBe("enroll");
+  });
+});
+
+describe("enrolment", () => {
+  test("enable stores the secret and hashed recovery codes", () => {
+    const user = makeUser();
+    user.twoFactor.pending = { method: "app", secret: RFC_SECRET };
+
+    const codes = twoFactorService.enable(user, "app", RFC_SECRET);
+
+    expect(codes).toHaveLength(10);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.secret).toBe(RFC_SECRET);
+    expect(user.twoFactor.pending).toBeUndefined();
+    expect(user.twoFactor.recoveryCodes[0].code).not.toBe(codes[0]);
+  });
+
+  test("a recovery code works once, ignoring case and dashes", () => {
+    const user = makeUser();
+    const codes = twoFactorService.enable(user, "app", RFC_SECRET);
+    const typed = codes[0].replace("-", "").toUpperCase();
+
+    expect(twoFactorService.verifyCode(user, "app", typed)).toBe(true);
+    expect(twoFactorService.verifyCode(user, "app", typed)).toBe(false);
+  });
+});
@@ -0,0 +1,6 @@
+// backend/tests/setup.js
+// Tests run without a database; models are stubbed per test
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.JWT_REFRESH_SECRET =
+  process.env.JWT_REFRESH_SECRET || "test-jwt-refresh-secret";